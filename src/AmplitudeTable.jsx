@@ -0,0 +1,104 @@
+import { useState, useMemo } from 'react';
+import { formatAngle, phaseColor } from './quantum';
+import { getAmplitudeRows } from './amplitudeTable';
+import './AmplitudeTable.css';
+
+// Rows drawn before the rest of a large statevector is elided
+const MAX_ROWS = 256;
+
+// Amplitudes smaller than this count as zero when they are hidden
+const ZERO_AMPLITUDE = 1e-6;
+
+const COLUMNS = [
+    { key: 'basis', label: 'Basis' },
+    { key: 're', label: 'Re' },
+    { key: 'im', label: 'Im' },
+    { key: 'magnitude', label: '|a|' },
+    { key: 'phase', label: 'Phase' }
+];
+
+// Columns a header click sorts by; Re and Im are read along with the basis order
+const SORTABLE = new Set(['basis', 'magnitude', 'phase']);
+
+const formatReal = (x) => (Math.abs(x) < 0.0005 ? '0' : x.toFixed(3));
+
+// Every basis amplitude of the statevector; clicking a row marks its bits on the circuit's qubits
+export default function AmplitudeTable({ statevector, selectedIndex = null, onSelectBasisState }) {
+    const [littleEndian, setLittleEndian] = useState(false);
+    const [hideZero, setHideZero] = useState(true);
+    const [sort, setSort] = useState({ by: 'basis', descending: false });
+
+    const rows = useMemo(() => getAmplitudeRows(statevector, {
+        littleEndian,
+        hideBelow: hideZero ? ZERO_AMPLITUDE : 0,
+        sortBy: sort.by,
+        descending: sort.descending
+    }), [statevector, littleEndian, hideZero, sort]);
+
+    const handleSort = (key) => {
+        if (!SORTABLE.has(key)) return;
+        // Basis starts ascending, the numeric columns largest first
+        setSort(prev => (prev.by === key ? { by: key, descending: !prev.descending } : { by: key, descending: key !== 'basis' }));
+    };
+
+    const numQubits = Math.round(Math.log2(statevector.length));
+    const shown = rows.slice(0, MAX_ROWS);
+
+    return (
+        <div className="amplitude-table">
+            <div className="amplitude-controls">
+                <label className="amplitude-option" title={`Leave out amplitudes below ${ZERO_AMPLITUDE}`}>
+                    <input type="checkbox" checked={hideZero} onChange={e => setHideZero(e.target.checked)} />
+                    hide ≈0
+                </label>
+                <button
+                    className="mode-toggle"
+                    onClick={() => setLittleEndian(!littleEndian)}
+                    title={littleEndian ? 'Labels read q[n-1] … q[0], q[0] rightmost as in Qiskit' : 'Labels read q[0] … q[n-1], q[0] leftmost'}
+                >
+                    {littleEndian ? `|q${numQubits - 1}…q0⟩` : `|q0…q${numQubits - 1}⟩`}
+                </button>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        {COLUMNS.map(({ key, label }) => (
+                            <th
+                                key={key}
+                                className={SORTABLE.has(key) ? 'sortable' : ''}
+                                onClick={() => handleSort(key)}
+                            >
+                                {label}{sort.by === key && (sort.descending ? ' ↓' : ' ↑')}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {shown.map(row => (
+                        <tr
+                            key={row.index}
+                            className={row.index === selectedIndex ? 'selected' : ''}
+                            onClick={() => onSelectBasisState?.(row.index === selectedIndex ? null : row.index)}
+                            title={`Probability ${(row.probability * 100).toFixed(2)}%`}
+                        >
+                            <td className="amplitude-ket">|{row.label}⟩</td>
+                            <td>{formatReal(row.re)}</td>
+                            <td>{formatReal(row.im)}</td>
+                            <td>{formatReal(row.magnitude)}</td>
+                            <td>
+                                <span
+                                    className="amplitude-swatch"
+                                    style={{ background: phaseColor(row.phase), opacity: row.magnitude > ZERO_AMPLITUDE ? 1 : 0.2 }}
+                                />
+                                {formatAngle(row.phase)}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {rows.length > shown.length && (
+                <div className="amplitude-more">… {rows.length - shown.length} more</div>
+            )}
+        </div>
+    );
+}
@@ -4,18 +4,64 @@ import QbitsWorkspace from './layout/QbitsWorkspace';
 import {
   getInitialQubitState,
   applyGate,
+  complex,
+  cFromPolar,
   createU3Matrix,
-  getMultiQubitProbabilities,
-  stateToBlochCoords,
+  densityMatrixToBlochCoords,
   getProbabilities,
-  getKickbackPhaseForControlledGate
+  getKickbackPhaseForControlledGate,
+  getGateControls,
+  getAxisRotation,
+  isTwoQubitGate,
+  isCustomGate,
+  isNoiseChannel
 } from './quantum';
+import {
+  simulateCircuitBranches,
+  getBranchProbabilities,
+  getMixedReducedDensityMatrix,
+  classicalLabel,
+  MAX_QUBITS
+} from './statevector';
+import { simulateDensityBranches, MAX_DENSITY_QUBITS } from './densityMatrix';
+import { createNoiseModel, isNoiseModelActive, getReadoutErrors, applyReadoutErrors, withoutQubitNoise } from './noiseModel';
+import { stringifyWorkspace, parseWorkspace } from './workspace';
+import { getBasisBits } from './amplitudeTable';
+import { hasWorkspaceHash, encodeWorkspaceHash, decodeWorkspaceHash } from './shareLink';
+import { createCircuitModel, circuitReducer, findUnitTarget, copyBlock, isBlockComplete, getBlockCircuit } from './circuitModel';
+import { CustomGateError, createCustomGate, updateCustomGate, findCustomGate } from './customGates';
+import { createHistory, canUndo, canRedo, recordChange, undoChange, redoChange } from './history';
+import { saveSession, loadSession, listRecentCircuits, keepRecentCircuit, loadRecentCircuit, removeRecentCircuit } from './autosave';
 import './App.css';
 
+const AUTOSAVE_DELAY_MS = 500;
+
+// Keyboard shortcuts stay out of fields where typing (and the browser's own undo) happens
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'range', 'button', 'submit', 'file', 'color'];
+const isTextEntryTarget = (target) =>
+  target instanceof HTMLElement && (
+    target.isContentEditable ||
+    target.tagName === 'TEXTAREA' ||
+    target.tagName === 'SELECT' ||
+    (target.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(target.type))
+  );
+
+// Offer text as a file download
+const downloadTextFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 function App() {
-  const [showLanding, setShowLanding] = useState(true);
-  const [circuits, setCircuits] = useState([[]]); // Each gate: { gate, matrix, decomposition, controlIndex }
-  const [barriers, setBarriers] = useState([]);
+  // A shared link (#circuit=...) opens straight into the workspace
+  const [showLanding, setShowLanding] = useState(() => !hasWorkspaceHash(window.location.hash));
+  // { circuits, barriers, customGates }, edited only through circuitReducer. Each gate: { gate, matrix, decomposition, controls: [{ qubit, open }], condition }
+  const [circuitModel, setCircuitModel] = useState(() => createCircuitModel());
+  const { circuits, barriers, customGates } = circuitModel;
   const [qubitVisibility, setQubitVisibility] = useState([true]);
   const [focusQubit, setFocusQubit] = useState(null);
   const [selectedGate, setSelectedGate] = useState(null);
@@ -29,8 +75,20 @@ function App() {
   const [isDraggingV, setIsDraggingV] = useState(false);
   const [visibilityChangeToken, setVisibilityChangeToken] = useState(0);
   const [initialStateMode, setInitialStateMode] = useState('zero');
+  const [noiseModel, setNoiseModel] = useState(createNoiseModel); // Device noise applied after every gate while enabled (see noiseModel.js)
+  const [probabilityDistribution, setProbabilityDistribution] = useState('noisy'); // 'noisy' | 'ideal' | 'both' in the probability bars while a noise model is on
+  const [selectedOutcome, setSelectedOutcome] = useState(null); // Classical register string picked from sampled shots
+  const [highlightedBasis, setHighlightedBasis] = useState(null); // { index, numQubits } of the amplitude table row picked
+  const [workspaceError, setWorkspaceError] = useState(null); // Message from the last failed "Open"
   const containerRef = useRef(null);
   const leftPanelRef = useRef(null);
+  const hashSyncRef = useRef(false); // True while the URL hash should follow the circuit (after loading or copying a link)
+  const [savedSession] = useState(() => loadSession()); // Autosave from the previous visit, offered on the landing page
+  const [recentCircuits, setRecentCircuits] = useState(() => listRecentCircuits());
+  const [history, setHistory] = useState(createHistory);
+  const recordedDocumentRef = useRef(null); // { document, onLanding } as of the last render, the "before" of the next change
+  const coalesceKeyRef = useRef(null); // Coalesce key of the change being made (see history.js)
+  const isApplyingHistoryRef = useRef(false); // True while an undo/redo is being rendered
 
   const barrierCount = barriers.length;
   // Total frames: 0 = no gates, 1..barrierCount = after each barrier, barrierCount+1 = all gates
@@ -87,7 +145,8 @@ function App() {
       for (let s = 0; s <= maxSlot + 1; s++) {
         statesAtSlot[s] = [...state]; // state BEFORE applying gate at slot s
         const gateAtSlot = sortedGates.find(g => g.slot === s);
-        if (gateAtSlot && gateAtSlot.gate !== 'BARRIER' && gateAtSlot.gate !== 'CONTROL') {
+        if (gateAtSlot && gateAtSlot.gate !== 'BARRIER' && gateAtSlot.gate !== 'CONTROL' &&
+          gateAtSlot.gate !== 'PARTNER' && !isTwoQubitGate(gateAtSlot) && !isCustomGate(gateAtSlot)) {
           // Only apply non-controlled version OR skip controlled gates here
           // For state cache, apply the gate unconditionally (used to detect what the qubit looks like at this point)
           state = applyGate(state, gateAtSlot);
@@ -98,7 +157,90 @@ function App() {
     return cache;
   }, [circuits, getOrderedGates, getInitialState]);
 
-  // Calculate branches with rotation history
+  // Noise channels need the density-matrix backend; without them the statevector is exact and cheaper
+  const hasNoiseChannels = useMemo(() => circuits.some(row => row.some(isNoiseChannel)), [circuits]);
+  // ρ grows as 4^n, so wider circuits run on the statevector and leave their noise channels and noise model out
+  const densityFits = circuits.length <= MAX_DENSITY_QUBITS;
+  const channelsSimulated = hasNoiseChannels && densityFits;
+  const noiseModelActive = isNoiseModelActive(noiseModel) && densityFits;
+  const noiseLeftOut = densityFits ? [] : [hasNoiseChannels && 'its noise channels', isNoiseModelActive(noiseModel) && 'the noise model'].filter(Boolean);
+
+  // Slots simulated for the current animation frame
+  const frameSlotLimit = useMemo(() => {
+    const frame = animationFrame < 0 ? totalFrames - 1 : animationFrame;
+    const sortedBarriers = [...barriers].sort((a, b) => a - b);
+    if (frame === 0) return 0;
+    if (frame <= barrierCount && sortedBarriers[frame - 1] !== undefined) return sortedBarriers[frame - 1];
+    return Infinity;
+  }, [barriers, barrierCount, animationFrame, totalFrames]);
+
+  // Exact 2^n statevector branches (one per measurement outcome) up to a slot,
+  // or density-matrix branches of the same shape when the circuit or the noise model is noisy
+  const simulateBranches = useCallback((slotLimit) => {
+    if (noiseModelActive) return simulateDensityBranches(circuits, { initialStateMode, slotLimit, noiseModel });
+    const simulate = channelsSimulated ? simulateDensityBranches : simulateCircuitBranches;
+    return simulate(circuits, { initialStateMode, slotLimit });
+  }, [circuits, initialStateMode, channelsSimulated, noiseModelActive, noiseModel]);
+
+  // Branches of the whole circuit whatever the frame, so sampled shots stay put during the animation;
+  // simulated once per edit, and reused as the last frame
+  const finalBranches = useMemo(() => simulateBranches(Infinity), [simulateBranches]);
+
+  // Branches for the current animation frame
+  const circuitBranches = useMemo(
+    () => (frameSlotLimit === Infinity ? finalBranches : simulateBranches(frameSlotLimit)),
+    [simulateBranches, frameSlotLimit, finalBranches]
+  );
+
+  // What the simulation leaves out or estimates, shown above the circuit
+  const simulationNotice = [
+    noiseLeftOut.length > 0 && `Noise is simulated on up to ${MAX_DENSITY_QUBITS} qubits; this ${circuits.length}-qubit circuit runs without ${noiseLeftOut.join(' or ')}`,
+    circuitBranches.some(b => b.sampled) && `Measurements split this circuit into too many outcomes; probabilities come from ${circuitBranches.length} sampled runs`
+  ].filter(Boolean).join('. ') || null;
+
+  // The same circuit without the noise model, only simulated while the probability bars show the ideal distribution
+  const idealShown = noiseModelActive && probabilityDistribution !== 'noisy';
+  const idealBranches = useMemo(() => {
+    if (!idealShown) return null;
+    const simulate = channelsSimulated ? simulateDensityBranches : simulateCircuitBranches;
+    return simulate(circuits, { initialStateMode, slotLimit: frameSlotLimit });
+  }, [circuits, frameSlotLimit, initialStateMode, channelsSimulated, idealShown]);
+
+  const hasMeasurements = useMemo(() => circuits.some(row => row.some(g => g?.gate === 'M')), [circuits]);
+
+  // Branches shown on the spheres: only the picked outcome, or all of them when none is picked
+  const visibleBranches = useMemo(() => {
+    if (selectedOutcome === null) return circuitBranches;
+    const matching = circuitBranches.filter(b => classicalLabel(b.classicalBits) === selectedOutcome);
+    return matching.length > 0 ? matching : circuitBranches;
+  }, [circuitBranches, selectedOutcome]);
+
+  const statevector = visibleBranches.length === 1 ? visibleBranches[0].state : null;
+
+  // The picked basis state and its bits, q[0] first, until the qubit count changes or the state stops being pure
+  const basisHighlight = highlightedBasis && statevector && highlightedBasis.numQubits === circuits.length
+    ? { index: highlightedBasis.index, bits: getBasisBits(highlightedBasis.index, circuits.length) }
+    : null;
+  const handleSelectBasisState = useCallback((index) => {
+    setHighlightedBasis(index === null ? null : { index, numQubits: circuits.length });
+  }, [circuits.length]);
+
+  // A final readout of every qubit, so the noisy distribution also carries the readout errors
+  const readoutErrors = useMemo(
+    () => (noiseModelActive ? getReadoutErrors(noiseModel, circuits.length) : null),
+    [noiseModelActive, noiseModel, circuits.length]
+  );
+  const allProbabilities = useMemo(() => {
+    const exact = getBranchProbabilities(circuitBranches, circuits.length, true);
+    return readoutErrors ? applyReadoutErrors(exact, readoutErrors) : exact;
+  }, [circuitBranches, circuits.length, readoutErrors]);
+  const probabilities = useMemo(() => allProbabilities.filter(p => p.probability > 0.001), [allProbabilities]);
+  const idealProbabilities = useMemo(
+    () => (idealBranches ? getBranchProbabilities(idealBranches, circuits.length, true) : null),
+    [idealBranches, circuits.length]
+  );
+
+  // Per-qubit Bloch data: reduced (partial-trace) Bloch vector plus rotation history for animation
   const qubitBranches = useMemo(() => {
     const frame = animationFrame < 0 ? totalFrames - 1 : animationFrame;
 
@@ -120,17 +262,21 @@ function App() {
         const targetGates = getOrderedGates(targetQubit, frame);
         targetGates.forEach((gate) => {
           if (!gate || gate.gate === 'CONTROL') return;
-          if (gate.controlIndex !== controlQubit) return;
+          // Kickback onto a single control is a pure phase; with several controls it is an entangling phase
+          const controls = getGateControls(gate);
+          if (controls.length !== 1 || controls[0].qubit !== controlQubit) return;
 
           const targetStateBefore = stateCache[targetQubit]?.[gate.slot] || getInitialState();
           const phase = getKickbackPhaseForControlledGate(gate, targetStateBefore);
           if (phase === null || Math.abs(phase) <= 0.01) return;
+          // An open control fires on |0⟩, so the relative phase lands with the opposite sign
+          const lambda = controls[0].open ? -phase : phase;
 
           kickbackGates.push({
             gate: 'U',
-            matrix: createU3Matrix(0, 0, phase),
-            decomposition: { theta: 0, phi: 0, lambda: phase },
-            controlIndex: null,
+            matrix: createU3Matrix(0, 0, lambda),
+            decomposition: { theta: 0, phi: 0, lambda, globalPhase: 0 },
+            controls: [],
             slot: gate.slot,
             isDerivedKickback: true
           });
@@ -144,155 +290,43 @@ function App() {
       const rowGates = getOrderedGates(qi, frame);
       const kickbackGates = getKickbackGatesForControl(qi);
       const gates = [...rowGates, ...kickbackGates].sort((a, b) => a.slot - b.slot);
-      const controlledGate = gates.find(g => g.controlIndex !== undefined && g.controlIndex !== null && g.gate !== 'CONTROL');
-      const hasControl = !!controlledGate;
-
-      // Build rotations from decomposition (for visualization)
-      const buildRotations = (gateList) => {
-        const rotations = [];
-        for (const gate of gateList) {
-          if (gate.gate === 'BARRIER' || gate.gate === 'CONTROL') continue;
-          const decomp = gate.decomposition;
-          if (decomp) {
-            const { theta, phi, lambda } = decomp;
-            const hasTheta = Math.abs(theta) > 0.01;
-            const hasPhi = Math.abs(phi) > 0.01;
-            const hasLambda = Math.abs(lambda) > 0.01;
-            if (hasTheta || hasPhi || hasLambda) {
-              rotations.push({ theta, phi, lambda, isCompound: true });
-            }
-          }
-        }
-        return rotations;
-      };
-
-      // Apply gates using matrix multiplication
-      const applyGates = (gateList, state) => {
-        for (const gate of gateList) {
-          if (gate.gate === 'BARRIER' || gate.gate === 'CONTROL') continue;
-          state = applyGate(state, gate);
-        }
-        return state;
-      };
-
-      if (!hasControl) {
-        let state = getInitialState();
-        state = applyGates(gates, state);
-        const rotations = buildRotations(gates);
-        return [{ state, coords: stateToBlochCoords(state), probability: 1, rotations }];
-      } else {
-        // Find all controlled gates (exclude CONTROL placeholder nodes)
-        const controlledGates = gates.filter(g => g.controlIndex !== undefined && g.controlIndex !== null && g.gate !== 'CONTROL');
-        const uniqueControls = [...new Set(controlledGates.map(g => g.controlIndex))];
-
-        const numControls = uniqueControls.length;
-        const numCombinations = Math.pow(2, numControls);
-
-        // Get probabilities for each control qubit being in |1⟩
-        const controlProbs = uniqueControls.map(ctrlIdx => {
-          const ctrlGate = controlledGates.find(g => g.controlIndex === ctrlIdx);
-          const ctrlState = getControlStateAtSlot(ctrlIdx, ctrlGate.slot);
-          return getProbabilities(ctrlState).prob1;
-        });
-
-        const branches = [];
 
-        for (let combo = 0; combo < numCombinations && branches.length < 10; combo++) {
-          const controlActive = {};
-          let probability = 1;
-
-          for (let i = 0; i < numControls; i++) {
-            const isActive = (combo >> i) & 1;
-            controlActive[uniqueControls[i]] = isActive === 1;
-            probability *= isActive ? controlProbs[i] : (1 - controlProbs[i]);
-          }
-
-          if (probability < 0.01) continue;
-
-          const activeGates = gates.filter(g => {
-            if (g.gate === 'CONTROL') return false;
-            if (g.controlIndex === undefined || g.controlIndex === null) return true;
-            return controlActive[g.controlIndex];
-          });
-
-          let state = getInitialState();
-          state = applyGates(activeGates, state);
-          const rotations = buildRotations(activeGates);
-
-          branches.push({
-            state,
-            coords: stateToBlochCoords(state),
-            probability,
-            rotations
-          });
+      // Rotations drive the arrow animation. A controlled gate is animated when every
+      // control is more likely in its active state (|1⟩ closed, |0⟩ open) than not;
+      // the reduced Bloch vector below is the ground truth.
+      const rotations = [];
+      for (const gate of gates) {
+        if (gate.gate === 'BARRIER' || gate.gate === 'CONTROL') continue;
+        const controlsLikelyActive = getGateControls(gate).every(({ qubit, open }) => {
+          const { prob0, prob1 } = getProbabilities(getControlStateAtSlot(qubit, gate.slot));
+          return (open ? prob0 : prob1) >= 0.5;
+        });
+        if (!controlsLikelyActive) continue;
+        // Classically-controlled gates are animated only when every shown branch fires them
+        if (gate.condition && !visibleBranches.every(b => b.classicalBits[gate.condition.bit] === gate.condition.value)) continue;
+        // Rotation gates (Rx, SX, P, ...) turn around their own axis instead of the U3 path
+        const axisRotation = getAxisRotation(gate);
+        if (axisRotation) {
+          if (Math.abs(axisRotation.angle) > 0.01) rotations.push(axisRotation);
+          continue;
         }
-
-        // Merge branches with identical Bloch sphere positions AND phases
-        const coordsEqual = (c1, c2) => {
-          const tol = 0.01;
-          return Math.abs(c1.x - c2.x) < tol &&
-            Math.abs(c1.y - c2.y) < tol &&
-            Math.abs(c1.z - c2.z) < tol;
-        };
-
-        const normalizeAngle = (a) => {
-          while (a > Math.PI) a -= 2 * Math.PI;
-          while (a < -Math.PI) a += 2 * Math.PI;
-          return a;
-        };
-
-        const getTotalPhases = (rotations) => {
-          let theta = 0, lambda = 0, phi = 0;
-          for (const r of rotations) {
-            theta += r.theta || 0;
-            lambda += r.lambda || 0;
-            phi += r.phi || 0;
-          }
-          return {
-            theta: normalizeAngle(theta),
-            lambda: normalizeAngle(lambda),
-            phi: normalizeAngle(phi)
-          };
-        };
-
-        const phasesEqual = (rots1, rots2) => {
-          const tol = 0.01;
-          const p1 = getTotalPhases(rots1);
-          const p2 = getTotalPhases(rots2);
-          return Math.abs(p1.theta - p2.theta) < tol &&
-            Math.abs(p1.lambda - p2.lambda) < tol &&
-            Math.abs(p1.phi - p2.phi) < tol;
-        };
-
-        const mergedBranches = [];
-        for (const branch of branches) {
-          const existing = mergedBranches.find(b =>
-            coordsEqual(b.coords, branch.coords) &&
-            phasesEqual(b.rotations, branch.rotations)
-          );
-          if (existing) {
-            existing.probability += branch.probability;
-          } else {
-            mergedBranches.push({ ...branch });
-          }
+        const decomp = gate.decomposition;
+        if (!decomp) continue;
+        const { theta, phi, lambda } = decomp;
+        if (Math.abs(theta) > 0.01 || Math.abs(phi) > 0.01 || Math.abs(lambda) > 0.01) {
+          rotations.push({ theta, phi, lambda, isCompound: true });
         }
+      }
 
-        mergedBranches.sort((a, b) => b.probability - a.probability);
-        if (mergedBranches.length > 10) mergedBranches.length = 10;
+      const coords = densityMatrixToBlochCoords(getMixedReducedDensityMatrix(visibleBranches, qi, circuits.length));
+      // Pure reduced states are shown as α|0⟩ + β|1⟩; mixed ones have no single-qubit ket
+      const state = coords.purity > 0.999
+        ? [complex(Math.cos(coords.theta / 2)), cFromPolar(Math.sin(coords.theta / 2), coords.phi)]
+        : null;
 
-        return mergedBranches.length > 0 ? mergedBranches : [{
-          state: getInitialState(),
-          coords: stateToBlochCoords(getInitialState()),
-          probability: 1,
-          rotations: []
-        }];
-      }
+      return [{ state, coords, probability: 1, rotations }];
     });
-  }, [circuits, animationFrame, totalFrames, getOrderedGates, buildColumnStateCache, getInitialState]);
-
-  const qubitStates = useMemo(() => qubitBranches.map(b => b.reduce((a, c) => c.probability > a.probability ? c : a).state), [qubitBranches]);
-  const probabilities = useMemo(() => getMultiQubitProbabilities(qubitStates, false), [qubitStates]);
-  const allProbabilities = useMemo(() => getMultiQubitProbabilities(qubitStates, true), [qubitStates]);
+  }, [circuits, animationFrame, totalFrames, getOrderedGates, buildColumnStateCache, getInitialState, visibleBranches]);
 
   // ── Phase kickback detection using column state cache ──
   const detectPhaseKickback = useCallback((targetGate, targetQubit, slot, stateCache) => {
@@ -322,12 +356,11 @@ function App() {
     // Find controlled gates in the active slot range
     circuits.forEach((row, qIdx) => {
       row.forEach((gate, slot) => {
-        if (gate && gate.controlIndex !== undefined && gate.controlIndex !== null && gate.gate !== 'CONTROL') {
-          if (slot >= minSlot && slot < maxSlot) {
-            const hasKickback = detectPhaseKickback(gate, qIdx, slot, stateCache);
-            signals.push({ from: gate.controlIndex, to: qIdx, hasKickback });
-          }
-        }
+        if (!gate || gate.gate === 'CONTROL' || slot < minSlot || slot >= maxSlot) return;
+        const controls = getGateControls(gate);
+        if (controls.length === 0) return;
+        const hasKickback = detectPhaseKickback(gate, qIdx, slot, stateCache);
+        controls.forEach(({ qubit }) => signals.push({ from: qubit, to: qIdx, hasKickback }));
       });
     });
 
@@ -355,139 +388,40 @@ function App() {
     return [...activeControlSignals, ...configControlSignals];
   }, [activeControlSignals, configControlSignals]);
 
-  // ── Helper: shift ALL qubit threads right from a given slot ──
-  const shiftAllColumnsRight = (circuitRows, fromSlot) => {
-    return circuitRows.map(row => {
-      const newRow = [...row];
-      for (let s = newRow.length; s > fromSlot; s--) {
-        newRow[s] = newRow[s - 1];
-      }
-      newRow[fromSlot] = null;
-      return newRow;
-    });
-  };
+  // ── Circuit edits ──
+  // The editing rules (control pairing, column shifts, renumbering) live in circuitModel.js
+  const editCircuit = useCallback((action) => {
+    setCircuitModel(prev => circuitReducer(prev, action));
+    setAnimationFrame(-1);
+    setIsPlaying(false);
+  }, []);
 
-  // ── Insert gate: column-synchronized ──
   const handleInsertGate = useCallback((qi, si, gate) => {
-    const isOccupied = circuits[qi] && circuits[qi][si];
-
-    setCircuits(prev => {
-      let next = prev.map(r => [...r]);
-      if (isOccupied) {
-        // Shift ALL qubit threads right from this slot
-        next = shiftAllColumnsRight(next, si);
-        // Also shift any control references for gates at or after si
-        next = next.map(row => row.map((g, s) => {
-          if (!g) return g;
-          // No need to remap controlIndex (it's a qubit index, not a slot)
-          return g;
-        }));
-      }
-      next[qi][si] = gate;
-      return next;
-    });
-
-    if (isOccupied) {
-      setBarriers(b => b.map(bi => bi >= si ? bi + 1 : bi));
-    }
-
+    const next = circuitReducer(circuitModel, { type: 'insertGate', qubit: qi, slot: si, gate });
+    if (next === circuitModel) return;
+    setCircuitModel(next);
     setAnimationFrame(-1);
     setIsPlaying(false);
-    setSelectedGate({ qubitIndex: qi, slotIndex: si, gate });
-  }, [circuits]);
+    const targetQi = findUnitTarget(next.circuits, qi, si); // A custom gate may start above the drop
+    setSelectedGate({ qubitIndex: targetQi, slotIndex: si, gate: next.circuits[targetQi][si] });
+  }, [circuitModel]);
 
-  // ── Remove gate: handles control pairing ──
   const handleRemoveGate = useCallback((qi, si) => {
-    setCircuits(prev => {
-      const next = prev.map(r => [...r]);
-      const gate = next[qi][si];
-      if (!gate) return prev;
-
-      if (gate.gate === 'CONTROL') {
-        // Removing a control dot: remove controlled config from target gate
-        const targetQi = gate.targetIndex;
-        if (next[targetQi] && next[targetQi][si] && next[targetQi][si].controlIndex === qi) {
-          next[targetQi][si] = { ...next[targetQi][si], controlIndex: null };
-        }
-      } else if (gate.controlIndex !== undefined && gate.controlIndex !== null) {
-        // Removing a target gate with a control: also remove the control dot
-        const ctrlQi = gate.controlIndex;
-        if (next[ctrlQi] && next[ctrlQi][si] && next[ctrlQi][si].gate === 'CONTROL' && next[ctrlQi][si].targetIndex === qi) {
-          next[ctrlQi][si] = null;
-        }
-      }
-
-      next[qi][si] = null;
-      return next;
-    });
+    editCircuit({ type: 'removeGate', qubit: qi, slot: si });
     setSelectedGate(null);
-    setAnimationFrame(-1);
-    setIsPlaying(false);
-  }, []);
+  }, [editCircuit]);
 
   const handleRemoveBarrier = useCallback((slotIdx) => {
-    setBarriers(prev => prev.filter(b => b !== slotIdx));
+    editCircuit({ type: 'removeBarrier', slot: slotIdx });
     setSelectedGate(null);
-    setAnimationFrame(-1);
-    setIsPlaying(false);
-  }, []);
+  }, [editCircuit]);
 
-  // ── Update gate: handles control placement/removal with column sync ──
-  const handleUpdateGate = useCallback((qi, si, newGate) => {
-    setCircuits(prev => {
-      let next = prev.map(r => [...r]);
-      const oldGate = prev[qi][si];
-
-      // --- Remove old control dot if control is changing or being removed ---
-      if (oldGate && oldGate.controlIndex !== undefined && oldGate.controlIndex !== null) {
-        const oldCtrlQi = oldGate.controlIndex;
-        // Only remove if the new gate has a different control or no control
-        if (newGate.controlIndex === null || newGate.controlIndex === undefined ||
-          newGate.controlIndex !== oldCtrlQi) {
-          if (next[oldCtrlQi] && next[oldCtrlQi][si] && next[oldCtrlQi][si].gate === 'CONTROL') {
-            next[oldCtrlQi][si] = null;
-          }
-        }
-      }
-
-      // --- Place new control dot ---
-      if (newGate.controlIndex !== undefined && newGate.controlIndex !== null) {
-        const ctrlQi = newGate.controlIndex;
-
-        // Check collision at the control qubit's slot
-        const existingAtCtrl = next[ctrlQi][si];
-        const isOurControlNode = existingAtCtrl && existingAtCtrl.gate === 'CONTROL' && existingAtCtrl.targetIndex === qi;
-
-        if (existingAtCtrl && !isOurControlNode) {
-          // Collision! Remove target gate first so it doesn't get shifted to si+1
-          next[qi][si] = null;
-          // Shift ALL threads right from this slot
-          next = shiftAllColumnsRight(next, si);
-          // After shift: slot si is now empty, old content at si moved to si+1
-          // Place the target gate and control dot at si (the freed slot)
-          next[qi][si] = newGate;
-          next[ctrlQi][si] = { gate: 'CONTROL', targetIndex: qi, controlIndex: null };
-          // Update barriers
-          setBarriers(b => b.map(bi => bi >= si ? bi + 1 : bi));
-          // Selected gate stays at si
-          setSelectedGate(prev => prev ? { ...prev, gate: newGate } : null);
-          return next;
-        } else {
-          // No collision: place directly
-          next[qi][si] = newGate;
-          next[ctrlQi][si] = { gate: 'CONTROL', targetIndex: qi, controlIndex: null };
-        }
-      } else {
-        // Not controlled
-        next[qi][si] = newGate;
-      }
-
-      return next;
-    });
-
-    // Update selected gate reference
-    setSelectedGate(prev => prev ? { ...prev, gate: newGate } : null);
-  }, [circuits]);
+  // options.coalesce: changes with the same key in a row form one undo step (e.g. one slider drag)
+  const handleUpdateGate = useCallback((qi, si, gate, options = {}) => {
+    coalesceKeyRef.current = options.coalesce ?? null;
+    setCircuitModel(prev => circuitReducer(prev, { type: 'updateGate', qubit: qi, slot: si, gate }));
+    setSelectedGate(prev => prev ? { ...prev, gate } : null);
+  }, []);
 
   const handleGateClick = useCallback((qi, si, g) => {
     if (qi === null && si === null) {
@@ -499,216 +433,108 @@ function App() {
   }, []);
 
   const handleGateMiddleClick = useCallback((qi, si) => {
-    // Check if this is a control dot
-    const gate = circuits[qi]?.[si];
-    if (gate?.gate === 'CONTROL') {
-      // Middle-click on control dot: remove controlled config from target, remove control dot
-      const targetQi = gate.targetIndex;
-      setCircuits(prev => {
-        const next = prev.map(r => [...r]);
-        // Remove controlled config from target
-        if (next[targetQi] && next[targetQi][si]) {
-          next[targetQi][si] = { ...next[targetQi][si], controlIndex: null };
-        }
-        // Remove control dot
-        next[qi][si] = null;
-        return next;
-      });
-      setSelectedGate(null);
-      return;
-    }
-    // Normal gate: remove it
+    // Control dots detach from their target; other gates are removed with their dots
     handleRemoveGate(qi, si);
-  }, [circuits, handleRemoveGate]);
+  }, [handleRemoveGate]);
 
   const handleAddBarrier = useCallback((si) => {
-    setBarriers(prev => prev.includes(si) ? prev : [...prev, si].sort((a, b) => a - b));
-    setAnimationFrame(-1);
-    setIsPlaying(false);
-  }, []);
+    editCircuit({ type: 'addBarrier', slot: si });
+  }, [editCircuit]);
 
-  // ── Move gate: handles control pairing, cross-qubit rules ──
-  // Moving a CONTROL dot moves the entire pair (target + control).
-  // Moving a target with control also moves the control dot.
-  // If EITHER destination slot is occupied, shift ALL threads right.
+  // The moved gate ends up selected, wherever its dragged cell was
   const handleMoveGate = useCallback((fromQi, fromSi, toQi, toSi) => {
-    setCircuits(prev => {
-      let next = prev.map(r => [...r]);
-      let gate = next[fromQi][fromSi];
-      if (!gate) return prev;
-
-      const isControlNode = gate.gate === 'CONTROL';
-
-      if (isControlNode) {
-        // ── Moving a CONTROL dot = move the whole pair ──
-        // The user dragged the control dot. We treat this as moving the
-        // target gate to the destination column, with the control dot
-        // following on the toQi thread.
-        const targetQi = gate.targetIndex;
-        const targetGate = next[targetQi]?.[fromSi];
-        if (!targetGate) return prev;
-
-        // If dropping to a different qubit on the same column, just reassign control
-        if (toSi === fromSi && toQi !== fromQi) {
-          if (toQi === targetQi) {
-            // Moving control dot to same qubit as target → disable controlled
-            next[fromQi][fromSi] = null;
-            next[targetQi][fromSi] = { ...targetGate, controlIndex: null };
-            return next;
-          }
-          // Different qubit, same column — check if toQi slot is free
-          if (next[toQi][fromSi] && next[toQi][fromSi] !== gate) {
-            // Occupied: shift all right
-            next = shiftAllColumnsRight(next, fromSi);
-            setBarriers(b => b.map(bi => bi >= fromSi ? bi + 1 : bi));
-            // Everything at fromSi shifted to fromSi+1
-            next[toQi][fromSi + 1] = { gate: 'CONTROL', targetIndex: targetQi, controlIndex: null };
-            next[targetQi][fromSi + 1] = { ...next[targetQi][fromSi + 1], controlIndex: toQi };
-          } else {
-            // Free: place directly
-            next[fromQi][fromSi] = null;
-            next[toQi][fromSi] = { gate: 'CONTROL', targetIndex: targetQi, controlIndex: null };
-            next[targetQi][fromSi] = { ...targetGate, controlIndex: toQi };
-          }
-          return next;
-        }
-
-        // Different column: move the entire pair (target + control) to the new column
-        const ctrlQi = toQi; // Control goes to the qubit we dropped on
-        const tgtQi = targetQi; // Target stays on its own qubit
-
-        // Remove both from old positions
-        next[fromQi][fromSi] = null;
-        next[tgtQi][fromSi] = null;
-
-        // Check if moving control to same qubit as target
-        if (ctrlQi === tgtQi) {
-          // Disable controlled, just move the target gate
-          const movedGate = { ...targetGate, controlIndex: null };
-          if (next[tgtQi][toSi]) {
-            next = shiftAllColumnsRight(next, toSi);
-            setBarriers(b => b.map(bi => bi >= toSi ? bi + 1 : bi));
-          }
-          next[tgtQi][toSi] = movedGate;
-          setSelectedGate({ qubitIndex: tgtQi, slotIndex: toSi, gate: movedGate });
-          return next;
-        }
-
-        // Check BOTH destination slots
-        const tgtOccupied = next[tgtQi][toSi] != null;
-        const ctrlOccupied = next[ctrlQi][toSi] != null;
-
-        if (tgtOccupied || ctrlOccupied) {
-          // At least one slot is occupied: shift ALL right to make room
-          next = shiftAllColumnsRight(next, toSi);
-          setBarriers(b => b.map(bi => bi >= toSi ? bi + 1 : bi));
-        }
-
-        // Place target gate and control dot at the (now empty) destination
-        const movedGate = { ...targetGate, controlIndex: ctrlQi };
-        next[tgtQi][toSi] = movedGate;
-        next[ctrlQi][toSi] = { gate: 'CONTROL', targetIndex: tgtQi, controlIndex: null };
-        setSelectedGate({ qubitIndex: tgtQi, slotIndex: toSi, gate: movedGate });
-        return next;
-      }
-
-      // ── Moving a regular gate ──
-      const hasControl = gate.controlIndex !== undefined && gate.controlIndex !== null;
-      const ctrlQi = hasControl ? gate.controlIndex : null;
-      let ctrlGate = hasControl ? next[ctrlQi]?.[fromSi] : null;
-
-      // Remove gate from old position
-      next[fromQi][fromSi] = null;
-      // Remove paired control dot from old position
-      if (hasControl && ctrlGate) {
-        next[ctrlQi][fromSi] = null;
-      }
-
-      // Check if moving to the same qubit as control → disable controlled
-      if (hasControl && toQi === ctrlQi) {
-        gate = { ...gate, controlIndex: null };
-        ctrlGate = null;
-      }
-
-      if (!hasControl || !ctrlGate) {
-        // No control pairing — simple move
-        if (next[toQi][toSi]) {
-          next = shiftAllColumnsRight(next, toSi);
-          setBarriers(b => b.map(bi => bi >= toSi ? bi + 1 : bi));
-        }
-        next[toQi][toSi] = gate;
-      } else {
-        // Has control: check BOTH destination slots
-        const tgtOccupied = next[toQi][toSi] != null;
-        const ctrlOccupied = next[ctrlQi][toSi] != null;
-
-        if (tgtOccupied || ctrlOccupied) {
-          // At least one slot is occupied: shift ALL right to make room
-          next = shiftAllColumnsRight(next, toSi);
-          setBarriers(b => b.map(bi => bi >= toSi ? bi + 1 : bi));
-        }
+    const next = circuitReducer(circuitModel, { type: 'moveGate', from: { qubit: fromQi, slot: fromSi }, to: { qubit: toQi, slot: toSi } });
+    if (next === circuitModel) return;
+    setCircuitModel(next);
+    const targetQi = findUnitTarget(next.circuits, toQi, toSi);
+    setSelectedGate({ qubitIndex: targetQi, slotIndex: toSi, gate: next.circuits[targetQi][toSi] });
+    setAnimationFrame(-1);
+    setIsPlaying(false);
+  }, [circuitModel]);
+
+  // Multi-cell edits from CircuitBuilder; paste and move report whether they happened so the
+  // selection can follow the block
+  const handlePasteBlock = useCallback((qi, si, block) => {
+    const next = circuitReducer(circuitModel, { type: 'pasteBlock', qubit: qi, slot: si, block });
+    if (next === circuitModel) return false;
+    setCircuitModel(next);
+    setSelectedGate(null);
+    setAnimationFrame(-1);
+    setIsPlaying(false);
+    return true;
+  }, [circuitModel]);
 
-        // Place both at the (now empty) destination column
-        next[toQi][toSi] = gate;
-        next[ctrlQi][toSi] = { ...ctrlGate, targetIndex: toQi };
-      }
+  const handleRemoveBlock = useCallback((cells) => {
+    editCircuit({ type: 'removeBlock', cells });
+    setSelectedGate(null);
+  }, [editCircuit]);
 
-      return next;
-    });
-    setSelectedGate(prev => ({ ...prev, qubitIndex: toQi, slotIndex: toSi }));
+  const handleMoveBlock = useCallback((cells, qubitOffset, slotOffset) => {
+    const next = circuitReducer(circuitModel, { type: 'moveBlock', cells, qubitOffset, slotOffset });
+    if (next === circuitModel) return false;
+    setCircuitModel(next);
+    setSelectedGate(null);
     setAnimationFrame(-1);
     setIsPlaying(false);
-  }, []);
+    return true;
+  }, [circuitModel]);
+
+  // Custom gates. Creating and redefining return an error message for the form, or null when done.
+  const handleCreateCustomGate = useCallback((name, cells) => {
+    if (!isBlockComplete(circuits, cells)) return 'The selection must hold every gate inside its rectangle';
+    try {
+      const definition = createCustomGate({ name, circuits: getBlockCircuit(copyBlock(circuits, cells)) }, customGates);
+      editCircuit({ type: 'defineCustomGate', definition, cells });
+      setSelectedGate(null);
+      return null;
+    } catch (err) {
+      if (err instanceof CustomGateError) return err.message;
+      throw err;
+    }
+  }, [circuits, customGates, editCircuit]);
+
+  const handleRedefineCustomGate = useCallback((name, changes) => {
+    const definition = findCustomGate(customGates, name);
+    if (!definition) return `There is no custom gate "${name}"`;
+    try {
+      editCircuit({ type: 'redefineCustomGate', definition: updateCustomGate(definition, changes) });
+      return null;
+    } catch (err) {
+      if (err instanceof CustomGateError) return err.message;
+      throw err;
+    }
+  }, [customGates, editCircuit]);
+
+  const handleExpandCustomGate = useCallback((qi, si) => {
+    editCircuit({ type: 'expandCustomGate', qubit: qi, slot: si });
+    setSelectedGate(null);
+  }, [editCircuit]);
 
   const handleAddQubit = useCallback(() => {
-    setCircuits(prev => [...prev, []]);
+    if (circuits.length >= MAX_QUBITS) return;
+    editCircuit({ type: 'addQubit' });
     setQubitVisibility(prev => [...prev, true]);
-    setAnimationFrame(-1);
-    setIsPlaying(false);
-  }, []);
+  }, [circuits.length, editCircuit]);
 
   const handleRemoveQubit = useCallback((qi) => {
     if (circuits.length <= 1) return;
-    setCircuits(prev => {
-      const next = prev.filter((_, i) => i !== qi);
-      // Clean up control configs and CONTROL gates
-      return next.map((row, newQi) =>
-        row.map(gate => {
-          if (!gate) return gate;
-
-          // Remove CONTROL gates pointing to removed qubit
-          if (gate.gate === 'CONTROL') {
-            const originalTarget = gate.targetIndex;
-            if (originalTarget === qi) return null; // Target was removed
-            return {
-              ...gate,
-              targetIndex: originalTarget > qi ? originalTarget - 1 : originalTarget
-            };
-          }
-
-          // Update controlIndex
-          if (gate.controlIndex === undefined || gate.controlIndex === null) return gate;
-          if (gate.controlIndex === qi) {
-            return { ...gate, controlIndex: null };
-          }
-          return {
-            ...gate,
-            controlIndex: gate.controlIndex > qi ? gate.controlIndex - 1 : gate.controlIndex
-          };
-        })
-      );
-    });
+    editCircuit({ type: 'removeQubit', qubit: qi });
     setQubitVisibility(prev => prev.filter((_, i) => i !== qi));
+    setNoiseModel(prev => withoutQubitNoise(prev, qi));
     setSelectedGate(null);
-    setAnimationFrame(-1);
-    setIsPlaying(false);
-  }, [circuits.length]);
+  }, [circuits.length, editCircuit]);
 
   const handleToggleVisibility = useCallback((qi) => {
     setQubitVisibility(prev => { const n = [...prev]; n[qi] = !n[qi]; return n; });
     setVisibilityChangeToken(t => t + 1);
   }, []);
 
+  // Same options as handleUpdateGate
+  const handleUpdateNoiseModel = useCallback((model, options = {}) => {
+    coalesceKeyRef.current = options.coalesce ?? null;
+    setNoiseModel(model);
+  }, []);
+
   const handleCycleInitialState = useCallback(() => {
     setInitialStateMode(prev => {
       if (prev === 'zero') return 'one';
@@ -720,6 +546,191 @@ function App() {
     setIsPlaying(false);
   }, []);
 
+  // Replace the whole circuit, e.g. from an imported OpenQASM file or an opened workspace
+  // (which also carries the initial state mode, qubit visibility and noise model)
+  const handleLoadCircuit = useCallback(({ circuits: loaded, barriers: loadedBarriers, customGates: loadedGates, initialStateMode: loadedMode, qubitVisibility: loadedVisibility, noiseModel: loadedNoiseModel }) => {
+    setCircuitModel(prev => circuitReducer(prev, { type: 'load', circuits: loaded, barriers: loadedBarriers, customGates: loadedGates }));
+    setQubitVisibility(loadedVisibility ?? loaded.map(() => true));
+    if (loadedMode) setInitialStateMode(loadedMode);
+    if (loadedNoiseModel) setNoiseModel(loadedNoiseModel);
+    setSelectedGate(null);
+    setSelectedOutcome(null);
+    setVisibilityChangeToken(t => t + 1);
+    setAnimationFrame(-1);
+    setIsPlaying(false);
+  }, []);
+
+  const handleSaveWorkspace = useCallback(() => {
+    const text = stringifyWorkspace({ circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel });
+    downloadTextFile('circuit.qbits.json', text, 'application/json');
+  }, [circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel]);
+
+  const handleOpenWorkspace = useCallback((file) => {
+    file.text()
+      .then(text => {
+        handleLoadCircuit(parseWorkspace(text));
+        setWorkspaceError(null);
+      })
+      .catch(err => setWorkspaceError(`${file.name}: ${err.message}`));
+  }, [handleLoadCircuit]);
+
+  const handleCopyLink = useCallback(async () => {
+    const hash = await encodeWorkspaceHash({ circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel });
+    window.history.replaceState(null, '', hash);
+    hashSyncRef.current = true;
+    await navigator.clipboard.writeText(window.location.href);
+  }, [circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel]);
+
+  // Load a circuit from the URL hash on start and whenever another link is pasted into this tab
+  useEffect(() => {
+    const loadFromHash = () => {
+      if (!hasWorkspaceHash(window.location.hash)) {
+        hashSyncRef.current = false;
+        return;
+      }
+      decodeWorkspaceHash(window.location.hash)
+        .then(workspace => {
+          handleLoadCircuit(workspace);
+          setShowLanding(false);
+          setWorkspaceError(null);
+          hashSyncRef.current = true;
+        })
+        .catch(err => {
+          setShowLanding(false);
+          setWorkspaceError(`Shared link: ${err.message}`);
+        });
+    };
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [handleLoadCircuit]);
+
+  // Keep a shared link in the address bar up to date while the circuit is edited
+  useEffect(() => {
+    if (!hashSyncRef.current) return;
+    let stale = false;
+    encodeWorkspaceHash({ circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel })
+      .then(hash => {
+        if (!stale && hashSyncRef.current) window.history.replaceState(null, '', hash);
+      })
+      .catch(err => {
+        // Browsers without CompressionStream('deflate-raw') cannot write links; stop trying on every edit
+        if (stale) return;
+        hashSyncRef.current = false;
+        setWorkspaceError(`Shared link: the address bar no longer follows the circuit (${err.message})`);
+      });
+    return () => { stale = true; };
+  }, [circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel]);
+
+  // ── Undo/redo ──
+  // Every change of circuits, barriers, custom gates, the initial state mode or the noise model is recorded here, after the fact, so
+  // each edit handler (and each loaded file) is undoable without knowing about the history. The circuit
+  // behind the landing page is not a step: whatever leaves the landing page starts a fresh history.
+  useEffect(() => {
+    const previous = recordedDocumentRef.current;
+    const coalesceKey = coalesceKeyRef.current;
+    recordedDocumentRef.current = { document: { circuits, barriers, customGates, initialStateMode, noiseModel }, onLanding: showLanding };
+    coalesceKeyRef.current = null;
+    if (isApplyingHistoryRef.current) {
+      isApplyingHistoryRef.current = false;
+      return;
+    }
+    if (!previous || previous.onLanding) return;
+    const { circuits: c, barriers: b, customGates: g, initialStateMode: m, noiseModel: n } = previous.document;
+    if (c === circuits && b === barriers && g === customGates && m === initialStateMode && n === noiseModel) return;
+    setHistory(h => recordChange(h, previous.document, coalesceKey));
+  }, [showLanding, circuits, barriers, customGates, initialStateMode, noiseModel]);
+
+  const applyHistoryStep = useCallback((step) => {
+    if (!step) return;
+    const { circuits: restored, barriers: restoredBarriers, customGates: restoredGates, initialStateMode: restoredMode, noiseModel: restoredNoiseModel } = step.document;
+    isApplyingHistoryRef.current = true;
+    setHistory(step.history);
+    setCircuitModel(prev => circuitReducer(prev, { type: 'load', circuits: restored, barriers: restoredBarriers, customGates: restoredGates }));
+    setInitialStateMode(restoredMode);
+    setNoiseModel(restoredNoiseModel);
+    // Visibility is a view setting: keep it, only matching the restored number of qubits
+    setQubitVisibility(prev => restored.map((_, i) => prev[i] ?? true));
+    setSelectedGate(null);
+    setVisibilityChangeToken(t => t + 1);
+    setAnimationFrame(-1);
+    setIsPlaying(false);
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    applyHistoryStep(undoChange(history, recordedDocumentRef.current.document));
+  }, [history, applyHistoryStep]);
+
+  const handleRedo = useCallback(() => {
+    applyHistoryStep(redoChange(history, recordedDocumentRef.current.document));
+  }, [history, applyHistoryStep]);
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo; text fields keep their own undo
+  useEffect(() => {
+    if (showLanding) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTextEntryTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) handleUndo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') handleRedo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [showLanding, handleUndo, handleRedo]);
+
+  // Autosave every change made in the workspace, at most once per AUTOSAVE_DELAY_MS. The circuit shown
+  // behind the landing page is never saved, so a previous session survives until the next edit.
+  const pendingSaveRef = useRef(null); // State waiting for the debounce timer
+  useEffect(() => {
+    if (showLanding) return;
+    pendingSaveRef.current = { circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel };
+    const timer = setTimeout(() => {
+      saveSession(pendingSaveRef.current);
+      pendingSaveRef.current = null;
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [showLanding, circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel]);
+
+  // Write a pending save right away when the tab is closed or hidden
+  useEffect(() => {
+    const flush = () => {
+      if (!pendingSaveRef.current) return;
+      saveSession(pendingSaveRef.current);
+      pendingSaveRef.current = null;
+    };
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, []);
+
+  const handleRestoreSession = useCallback(() => {
+    handleLoadCircuit(savedSession.state);
+    setShowLanding(false);
+  }, [savedSession, handleLoadCircuit]);
+
+  const handleOpenRecent = useCallback((name) => {
+    const state = loadRecentCircuit(name);
+    if (state) {
+      handleLoadCircuit(state);
+      setShowLanding(false);
+    } else {
+      setRecentCircuits(listRecentCircuits()); // Discarded as unreadable since the list was shown
+    }
+  }, [handleLoadCircuit]);
+
+  const handleDeleteRecent = useCallback((name) => {
+    removeRecentCircuit(name);
+    setRecentCircuits(listRecentCircuits());
+  }, []);
+
+  const handleKeepCircuit = useCallback((name) => {
+    const kept = keepRecentCircuit(name, { circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel });
+    setRecentCircuits(listRecentCircuits());
+    return kept;
+  }, [circuits, barriers, customGates, initialStateMode, qubitVisibility, noiseModel]);
+
   const handleFocusQubit = useCallback((qi) => {
     setQubitVisibility(prev => { const n = [...prev]; n[qi] = true; return n; });
     setFocusQubit(qi);
@@ -751,7 +762,16 @@ function App() {
     selectedGate ? circuits[selectedGate.qubitIndex]?.[selectedGate.slotIndex] : null;
 
   if (showLanding) {
-    return <QbitsLanding onStart={() => setShowLanding(false)} />;
+    return (
+      <QbitsLanding
+        onStart={() => setShowLanding(false)}
+        savedSession={savedSession?.gateCount > 0 ? savedSession : null}
+        onRestoreSession={handleRestoreSession}
+        recentCircuits={recentCircuits}
+        onOpenRecent={handleOpenRecent}
+        onDeleteRecent={handleDeleteRecent}
+      />
+    );
   }
 
   return (
@@ -766,6 +786,7 @@ function App() {
       onStartDragV={() => setIsDraggingV(true)}
       circuits={circuits}
       barriers={barriers}
+      customGates={customGates}
       qubitVisibility={qubitVisibility}
       selectedGate={selectedGate}
       highlightedBarrier={highlightedBarrier}
@@ -777,7 +798,21 @@ function App() {
       segmentDurations={segmentDurations}
       probabilities={probabilities}
       allProbabilities={allProbabilities}
+      idealProbabilities={idealProbabilities}
+      probabilityDistribution={noiseModelActive ? probabilityDistribution : null}
+      onChangeProbabilityDistribution={setProbabilityDistribution}
+      readoutErrors={readoutErrors}
+      noiseModel={noiseModel}
+      onUpdateNoiseModel={handleUpdateNoiseModel}
       qubitBranches={qubitBranches}
+      statevector={statevector}
+      basisHighlight={basisHighlight}
+      onSelectBasisState={handleSelectBasisState}
+      finalBranches={finalBranches}
+      visibleBranches={visibleBranches}
+      hasMeasurements={hasMeasurements}
+      selectedOutcome={selectedOutcome}
+      onSelectOutcome={setSelectedOutcome}
       focusQubit={focusQubit}
       allControlSignals={allControlSignals}
       visibilityChangeToken={visibilityChangeToken}
@@ -785,6 +820,12 @@ function App() {
       onInsertGate={handleInsertGate}
       onRemoveGate={handleRemoveGate}
       onMoveGate={handleMoveGate}
+      onPasteBlock={handlePasteBlock}
+      onRemoveBlock={handleRemoveBlock}
+      onMoveBlock={handleMoveBlock}
+      onCreateCustomGate={handleCreateCustomGate}
+      onRedefineCustomGate={handleRedefineCustomGate}
+      onExpandCustomGate={handleExpandCustomGate}
       onGateClick={handleGateClick}
       onGateMiddleClick={handleGateMiddleClick}
       onAddQubit={handleAddQubit}
@@ -801,6 +842,18 @@ function App() {
         if (playing) setSelectedGate(null);
         setIsPlaying(playing);
       }}
+      onLoadCircuit={handleLoadCircuit}
+      onSaveWorkspace={handleSaveWorkspace}
+      onOpenWorkspace={handleOpenWorkspace}
+      onCopyLink={handleCopyLink}
+      onKeepCircuit={handleKeepCircuit}
+      onUndo={handleUndo}
+      onRedo={handleRedo}
+      canUndo={canUndo(history)}
+      canRedo={canRedo(history)}
+      workspaceError={workspaceError}
+      onDismissWorkspaceError={() => setWorkspaceError(null)}
+      simulationNotice={simulationNotice}
     />
   );
 }
@@ -25,7 +25,7 @@ const applyRotation = (vec, axis, angle) => {
     const v = vec.clone();
     switch (axis) {
         case 'x':
-            v.applyAxisAngle(new THREE.Vector3(1, 0, 0), angle);
+            v.applyAxisAngle(new THREE.Vector3(-1, 0, 0), angle); // X axis on Bloch = -X in Three.js
             break;
         case 'y':
             v.applyAxisAngle(new THREE.Vector3(0, 0, 1), angle); // Y axis on Bloch = Z in Three.js
@@ -42,6 +42,12 @@ const applyRotation = (vec, axis, angle) => {
     return v;
 };
 
+// Bloch (x, y, z) in Three space: X -> -X, Y -> Z, Z -> Y (matches the |+⟩, |+i⟩, |0⟩ labels)
+const blochToDisplayVector = (coords) => new THREE.Vector3(-coords.x, coords.z, coords.y);
+
+// How far the rotation-replayed arrow may sit from the reduced Bloch vector before we trust the latter
+const TRUTH_TOLERANCE = 0.05;
+
 const getInitialDisplayVector = (initialStateMode = 'zero') => {
     if (initialStateMode === 'one') return new THREE.Vector3(0, -1, 0);
     if (initialStateMode === 'plus') return new THREE.Vector3(-1, 0, 0);
@@ -74,6 +80,16 @@ const getTargetVector = (rotations, startVector = new THREE.Vector3(0, 1, 0)) =>
     return v;
 };
 
+// Replaying gate rotations only reproduces the direction of unentangled qubits;
+// otherwise the arrow settles on the reduced Bloch vector (truthVec) instead.
+// Rotations keep the length, so noise shrinking a qubit's vector is applied on top of them.
+const resolveTarget = (rotations, startVector, truthVec) => {
+    const rotationTarget = getTargetVector(rotations, startVector);
+    if (!truthVec) return rotationTarget;
+    rotationTarget.multiplyScalar(truthVec.length() / (rotationTarget.length() || 1));
+    return rotationTarget.distanceTo(truthVec) < TRUTH_TOLERANCE ? rotationTarget : truthVec.clone();
+};
+
 // Animated state arrow with delta animation + phase visualization
 function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = false, isNewBranch = false, depthOffset = 0, staticSnapshotToken = 0, initialStateMode = 'zero' }) {
     const initialVec = useMemo(() => getInitialDisplayVector(initialStateMode), [initialStateMode]);
@@ -94,6 +110,9 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
     const playStarted = useRef(false);
     const suppressNextRotationEffect = useRef(false);
 
+    // Reduced Bloch vector from the full state (length < 1 when the qubit is entangled or mixed)
+    const truthVec = useMemo(() => targetCoords ? blochToDisplayVector(targetCoords) : null, [targetCoords]);
+
     // Compute lambda phase from rotations (only lambda values)
     const getTargetLambda = (rots) => {
         return rots.reduce((acc, r) => {
@@ -124,7 +143,7 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
     useEffect(() => {
         if (!staticSnapshotToken) return;
 
-        const snapshotVec = getTargetVector(rotations, initialVec);
+        const snapshotVec = resolveTarget(rotations, initialVec, truthVec);
         const snapshotLambda = getTargetLambda(rotations);
         const snapshotPhi = getTargetPhi(rotations);
         setDisplayVec(snapshotVec);
@@ -142,7 +161,7 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
         playStarted.current = false;
         wasPlayMode.current = isPlayMode;
         prevRotationsSignature.current = getRotationSignature(rotations);
-    }, [staticSnapshotToken, rotations, opacity, isPlayMode, initialVec]);
+    }, [staticSnapshotToken, rotations, opacity, isPlayMode, initialVec, truthVec]);
 
     // Handle rotation changes
     useEffect(() => {
@@ -214,7 +233,7 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
 
     useFrame((_, delta) => {
         const speed = delta * 3;
-        const targetVec = getTargetVector(rotations, initialVec);
+        const targetVec = resolveTarget(rotations, initialVec, truthVec);
         const targetLambda = getTargetLambda(rotations);
         const targetPhi = getTargetPhi(rotations);
 
@@ -291,8 +310,8 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
                 }
             }
         } else if (rotations.length === 0) {
-            if (displayVec.distanceTo(initialVec) > 0.01) {
-                setDisplayVec(displayVec.clone().lerp(initialVec, Math.min(speed * 2, 0.15)));
+            if (displayVec.distanceTo(targetVec) > 0.01) {
+                setDisplayVec(displayVec.clone().lerp(targetVec, Math.min(speed * 2, 0.15)));
             }
             if (Math.abs(displayLambda) > 0.01) {
                 setDisplayLambda(prev => prev * 0.9);
@@ -300,6 +319,10 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
             if (Math.abs(displayPhi) > 0.01) {
                 setDisplayPhi(prev => prev * 0.9);
             }
+        } else if (displayVec.distanceTo(targetVec) > 0.005) {
+            // Rotations finished: shrink to the length noise left, or settle on the reduced vector
+            // of an entangled qubit
+            setDisplayVec(displayVec.clone().lerp(targetVec, Math.min(speed * 2, 0.15)));
         }
 
         const opDiff = opacity - currentOpacity;
@@ -308,7 +331,8 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
         }
     });
 
-    const direction = displayVec.clone().normalize();
+    const vecLength = Math.min(1, displayVec.length());
+    const direction = vecLength > 1e-3 ? displayVec.clone().normalize() : new THREE.Vector3(0, 1, 0);
     // Shorten arrow for overlapping vectors: each offset level shortens by 0.12
     const shortenFactor = Math.max(0.3, 1 - depthOffset * 0.15);
     const baseArrowLen = 0.94;
@@ -316,8 +340,8 @@ function StateArrow({ targetCoords, rotations = [], opacity = 1, isPlayMode = fa
     const lineLen = 0.9 * shortenFactor; // Extended to touch cone base
     const coneHeight = 0.07; // Taller cone
     const coneRadius = 0.035; // Smaller cone radius
-    const phiStickPos = (lineLen + arrowLen) / 2; // At bottom of cone head
-    const lambdaStickPos = 0.50 * shortenFactor; // Lower on the vector
+    const phiStickPos = vecLength * (lineLen + arrowLen) / 2; // At bottom of cone head
+    const lambdaStickPos = vecLength * 0.50 * shortenFactor; // Lower on the vector
     const arcPos = phiStickPos; // Arc at same position as phi stick
     const position = [displayVec.x * arrowLen, displayVec.y * arrowLen, displayVec.z * arrowLen];
 
@@ -614,6 +638,7 @@ function AxisLabel({ position, text }) {
 }
 
 function SingleBlochSphere({ branches, position = [0, 0, 0], qubitIndex, isPlayMode, staticSnapshotToken = 0, initialStateMode = 'zero' }) {
+    const reducedCoords = branches[0]?.coords;
     const [prevBranchCount, setPrevBranchCount] = useState(branches.length);
     const [newBranchIndices, setNewBranchIndices] = useState([]);
 
@@ -668,6 +693,13 @@ function SingleBlochSphere({ branches, position = [0, 0, 0], qubitIndex, isPlayM
             <Billboard position={[0, 1.6, 0]}>
                 <Text fontSize={0.1} color="#8B91A5" anchorX="center" anchorY="middle">q[{qubitIndex}]</Text>
             </Billboard>
+            {reducedCoords?.length !== undefined && (
+                <Billboard position={[0, -1.65, 0]}>
+                    <Text fontSize={0.09} color="#8B91A5" anchorX="center" anchorY="middle">
+                        {`|r| = ${reducedCoords.length.toFixed(2)}   purity = ${reducedCoords.purity.toFixed(2)}`}
+                    </Text>
+                </Billboard>
+            )}
             {[0, 1, 2].map(i => (
                 <Line key={i} points={Array.from({ length: 65 }, (_, j) => {
                     const angle = (j / 64) * Math.PI * 2;
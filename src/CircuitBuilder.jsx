@@ -1,6 +1,13 @@
 import { useState, useMemo, useEffect, useRef } from 'react';
+import { GATES, createCircuitGate, getGateControls, isControlledGate, isTwoQubitGate, isCustomGate, isNoiseChannel } from './quantum';
+import { MAX_QUBITS } from './statevector';
+import { isAttachedCell, findUnitTarget, nextControlQubit, getUnitTargets, copyBlock } from './circuitModel';
+import { GATE_SHORTCUTS } from './shortcuts';
+import ShortcutSheet from './ShortcutSheet';
 import './CircuitBuilder.css';
 
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
 export default function CircuitBuilder({
     circuits,
     barriers,
@@ -12,6 +19,13 @@ export default function CircuitBuilder({
     onInsertGate,
     onRemoveGate,
     onMoveGate,
+    onPasteBlock,
+    onRemoveBlock,
+    onMoveBlock,
+    onCreateCustomGate,
+    onUpdateGate,
+    onEditGate,
+    focusToken = 0,
     onGateClick,
     onGateMiddleClick,
     onAddQubit,
@@ -21,7 +35,20 @@ export default function CircuitBuilder({
     onAddBarrier,
     onRemoveBarrier,
     initialStateMode = 'zero',
-    onCycleInitialState
+    onCycleInitialState,
+    classicalBits = null,
+    basisHighlight = null, // { index, bits } of the basis state picked in the amplitude table, bits q[0] first
+    onSaveWorkspace,
+    onOpenWorkspace,
+    onCopyLink,
+    onKeepCircuit,
+    onUndo,
+    onRedo,
+    canUndo = false,
+    canRedo = false,
+    workspaceError = null,
+    onDismissWorkspaceError,
+    simulationNotice = null // Why part of the circuit is left out of the simulation
 }) {
     const [isDraggingGate, setIsDraggingGate] = useState(false);
     const [isDraggingBarrier, setIsDraggingBarrier] = useState(false);
@@ -29,6 +56,19 @@ export default function CircuitBuilder({
     const [dropTarget, setDropTarget] = useState(null); // {qubit, slot} or {insert: true, qubit, slot, side}
     const [barrierTarget, setBarrierTarget] = useState(null);
     const circuitRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const [linkStatus, setLinkStatus] = useState(null); // 'copied' | 'failed' briefly after "Link"
+    const [keepName, setKeepName] = useState(null); // Name being typed for "Keep", null when the form is closed
+    const [keepFailed, setKeepFailed] = useState(false);
+    const [cursor, setCursor] = useState({ qubit: 0, slot: 0 }); // Keyboard cursor on the qubit/slot grid
+    const [hasKeyboardFocus, setHasKeyboardFocus] = useState(false);
+    const [showShortcuts, setShowShortcuts] = useState(false);
+    const cursorRef = useRef(null);
+    const [selectedCells, setSelectedCells] = useState([]); // Multi-selection: { qubit, slot } of gate units
+    const [clipboard, setClipboard] = useState(null); // Block from copyBlock
+    const [band, setBand] = useState(null); // Rubber-band rectangle { x0, y0, x1, y1 } in board pixels
+    const [customGateName, setCustomGateName] = useState(null); // Name being typed for "Make gate", null when closed
+    const [customGateError, setCustomGateError] = useState(null);
 
     const numQubits = circuits.length;
     const rowHeight = 42;
@@ -44,6 +84,105 @@ export default function CircuitBuilder({
     }, [circuits]);
 
     const slots = Array.from({ length: maxSlot + 2 }, (_, i) => i);
+
+    // Selected units that still exist (edits and undo can take them away)
+    const blockSelection = useMemo(() => getUnitTargets(circuits, selectedCells), [circuits, selectedCells]);
+    const isInBlockSelection = (qi, si) => {
+        const targetQi = findUnitTarget(circuits, qi, si);
+        return blockSelection.some(c => c.qubit === targetQi && c.slot === si);
+    };
+
+    // The cursor stays on the grid when qubits or columns go away
+    const cursorQubit = clamp(cursor.qubit, 0, numQubits - 1);
+    const cursorSlot = clamp(cursor.slot, 0, slots.length - 1);
+
+    // Focus requests, e.g. Esc in the gate settings hands the keyboard back to the circuit
+    useEffect(() => {
+        if (focusToken > 0) circuitRef.current?.focus();
+    }, [focusToken]);
+
+    useEffect(() => {
+        if (hasKeyboardFocus) cursorRef.current?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }, [hasKeyboardFocus, cursorQubit, cursorSlot]);
+
+    // ── Rubber-band selection ──
+    // Dragging on empty board space selects every unit with a cell inside the rectangle
+
+    const boardPoint = (e) => {
+        const rect = circuitRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const handleBoardMouseDown = (e) => {
+        if (e.button !== 0 || isPlaying || e.target.closest('.circuit-gate, .barrier-line')) return;
+        e.preventDefault(); // No text selection while dragging; focus is set by hand instead
+        circuitRef.current.focus();
+        const { x, y } = boardPoint(e);
+        bandRef.current = { x0: x, y0: y, x1: x, y1: y };
+        setBand(bandRef.current);
+    };
+
+    const bandRef = useRef(null); // Latest rectangle for the mouseup handler
+    const isBanding = band !== null;
+    useEffect(() => {
+        if (!isBanding) return;
+        const onMove = (e) => {
+            const { x, y } = boardPoint(e);
+            bandRef.current = { ...bandRef.current, x1: x, y1: y };
+            setBand(bandRef.current);
+        };
+        // Select the cells whose centre lies inside the rectangle; a plain click clears the selection
+        const onUp = () => {
+            const { x0, y0, x1, y1 } = bandRef.current;
+            setBand(null);
+            if (Math.abs(x1 - x0) < 4 && Math.abs(y1 - y0) < 4) {
+                setSelectedCells([]);
+                return;
+            }
+            const cells = [];
+            circuits.forEach((row, qubit) => row.forEach((cell, slot) => {
+                const cx = slot * slotWidth + slotWidth / 2;
+                const cy = qubit * rowHeight + rowHeight / 2;
+                if (cell && cx >= Math.min(x0, x1) && cx <= Math.max(x0, x1) && cy >= Math.min(y0, y1) && cy <= Math.max(y0, y1)) {
+                    cells.push({ qubit, slot });
+                }
+            }));
+            setSelectedCells(getUnitTargets(circuits, cells));
+            if (cells.length > 0) onGateClick(null, null, null);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+        return () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+    }, [isBanding, circuits, onGateClick]);
+
+    // Measurement gates and the classical bit each one writes to
+    const measurementMarks = useMemo(() => {
+        const marks = [];
+        circuits.forEach((row, qi) => {
+            row.forEach((gate, si) => {
+                if (gate?.gate === 'M') marks.push({ qubit: qi, slot: si, bit: gate.classicalBit ?? qi });
+            });
+        });
+        return marks;
+    }, [circuits]);
+
+    // Classically-controlled gates (c_if) and the bit/value they wait for
+    const conditionMarks = useMemo(() => {
+        const marks = [];
+        circuits.forEach((row, qi) => {
+            row.forEach((gate, si) => {
+                if (gate?.condition) marks.push({ qubit: qi, slot: si, ...gate.condition });
+            });
+        });
+        return marks;
+    }, [circuits]);
+
+    // Classical register is drawn as one extra row below the qubits once something uses it
+    const showClassicalWire = measurementMarks.length > 0 || conditionMarks.length > 0;
+    const boardHeight = showClassicalWire ? totalHeight + rowHeight : totalHeight;
     const initialStateLabel = initialStateMode === 'one'
         ? 'Init: |1⟩'
         : initialStateMode === 'plus'
@@ -66,33 +205,15 @@ export default function CircuitBuilder({
         return (slot) => slot < barrierSlot;
     }, [isPlaying, animationFrame, sortedBarriers]);
 
-    // Build a map of control relationships for selection pairing
-    const controlPairMap = useMemo(() => {
-        const pairs = {}; // key: "qi-si" -> paired "qi-si"
-        circuits.forEach((row, qi) => {
-            row.forEach((gate, si) => {
-                if (!gate) return;
-                if (gate.gate === 'CONTROL' && gate.targetIndex !== undefined) {
-                    // Control dot at (qi, si) pairs with target at (gate.targetIndex, si)
-                    pairs[`${qi}-${si}`] = { qubit: gate.targetIndex, slot: si };
-                    pairs[`${gate.targetIndex}-${si}`] = { qubit: qi, slot: si };
-                } else if (gate.controlIndex !== undefined && gate.controlIndex !== null) {
-                    // Target gate at (qi, si) pairs with control at (gate.controlIndex, si)
-                    pairs[`${qi}-${si}`] = { qubit: gate.controlIndex, slot: si };
-                    pairs[`${gate.controlIndex}-${si}`] = { qubit: qi, slot: si };
-                }
-            });
-        });
-        return pairs;
-    }, [circuits]);
-
-    // Check if a gate is "paired-selected" (its partner is the currently selected gate)
+    // A control dot or partner cell is "paired-selected" when the selected gate is its target,
+    // and the selected gate is paired when one of its attached cells is selected
     const isPairedSelected = (qi, si) => {
-        if (!selectedGate || selectedGate.isBarrier) return false;
-        const selKey = `${selectedGate.qubitIndex}-${selectedGate.slotIndex}`;
-        const thisKey = `${qi}-${si}`;
-        const pair = controlPairMap[selKey];
-        if (pair && pair.qubit === qi && pair.slot === si) return true;
+        if (!selectedGate || selectedGate.isBarrier || selectedGate.slotIndex !== si) return false;
+        const selected = circuits[selectedGate.qubitIndex]?.[si];
+        const here = circuits[qi]?.[si];
+        if (!selected || !here) return false;
+        if (isAttachedCell(here)) return here.targetIndex === selectedGate.qubitIndex;
+        if (isAttachedCell(selected)) return selected.targetIndex === qi;
         return false;
     };
 
@@ -150,8 +271,18 @@ export default function CircuitBuilder({
         try {
             const gateData = e.dataTransfer.getData('gate');
             const moveData = e.dataTransfer.getData('moveGate');
-
-            if (moveData) {
+            const blockData = e.dataTransfer.getData('moveBlock');
+
+            if (blockData && dropTarget) {
+                // Moving the whole selection: every unit keeps its offset from the dragged cell
+                const { fromQubit, fromSlot } = JSON.parse(blockData);
+                const toSlot = dropTarget.insert ? dropTarget.slot + (dropTarget.side === 'left' ? 0 : 1) : dropTarget.slot;
+                const qubitOffset = dropTarget.qubit - fromQubit;
+                const slotOffset = toSlot - fromSlot;
+                if (onMoveBlock(blockSelection, qubitOffset, slotOffset)) {
+                    setSelectedCells(blockSelection.map(c => ({ qubit: c.qubit + qubitOffset, slot: c.slot + slotOffset })));
+                }
+            } else if (moveData) {
                 // Moving existing gate
                 const { fromQubit, fromSlot, gate } = JSON.parse(moveData);
 
@@ -204,17 +335,36 @@ export default function CircuitBuilder({
         const moveData = { fromQubit: qi, fromSlot: si, gate };
         e.dataTransfer.setData('moveGate', JSON.stringify(moveData));
         e.dataTransfer.setData('gate', JSON.stringify(gate));
+        if (blockSelection.length > 1 && isInBlockSelection(qi, si)) {
+            e.dataTransfer.setData('moveBlock', JSON.stringify({ fromQubit: qi, fromSlot: si }));
+        }
         e.dataTransfer.effectAllowed = 'move';
         setIsDraggingExisting({ qubit: qi, slot: si });
         setIsDraggingGate(true);
     };
 
-    // Handle clicking on a gate — if it's a CONTROL node, select the target gate instead
-    const handleGateClickInternal = (qi, si, gate) => {
+    // Handle clicking on a gate — if it's a CONTROL node or PARTNER cell, select the target gate instead.
+    // Shift-click adds the gate's unit to the multi-selection (or takes it out again).
+    const handleGateClickInternal = (qi, si, gate, extend = false) => {
         if (isPlaying) return;
+        setCursor({ qubit: qi, slot: si }); // The keyboard carries on from the clicked cell
+
+        if (extend) {
+            const [unit] = getUnitTargets(circuits, [{ qubit: qi, slot: si }]);
+            if (!unit) return;
+            const single = selectedGate && !selectedGate.isBarrier
+                ? getUnitTargets(circuits, [{ qubit: selectedGate.qubitIndex, slot: selectedGate.slotIndex }])
+                : [];
+            const current = blockSelection.length > 0 ? blockSelection : single;
+            const isSelected = current.some(c => c.qubit === unit.qubit && c.slot === unit.slot);
+            setSelectedCells(isSelected ? current.filter(c => c.qubit !== unit.qubit || c.slot !== unit.slot) : [...current, unit]);
+            onGateClick(null, null, null);
+            return;
+        }
+        setSelectedCells([]);
 
-        if (gate.gate === 'CONTROL') {
-            // Click on control dot → select the target gate
+        if (isAttachedCell(gate)) {
+            // Click on control dot / partner wire → select the target gate
             const targetQi = gate.targetIndex;
             const targetGate = circuits[targetQi]?.[si];
             if (targetGate) {
@@ -249,18 +399,156 @@ export default function CircuitBuilder({
         onGateMiddleClick(qi, si);
     };
 
-    // Build control line data for CSS-based vertical lines
+    // ── Keyboard editing ──
+    // The cursor selects whatever it lands on, so GateSettings, Delete and "c" act on the cell under it
+
+    const moveCursor = (qubit, slot) => {
+        const q = clamp(qubit, 0, numQubits - 1);
+        const s = clamp(slot, 0, slots.length - 1);
+        setCursor({ qubit: q, slot: s });
+        setSelectedCells([]);
+        const cell = circuits[q]?.[s];
+        if (cell) onGateClick(q, s, cell);
+        else if (selectedGate) onGateClick(null, null, null);
+    };
+
+    // One more control on the gate at the cursor, on the nearest free wire
+    const addControlAtCursor = () => {
+        if (!circuits[cursorQubit]?.[cursorSlot] || !onUpdateGate) return;
+        const targetQi = findUnitTarget(circuits, cursorQubit, cursorSlot);
+        const gate = circuits[targetQi]?.[cursorSlot];
+        if (!gate || GATES[gate.gate]?.isMeasurement || isNoiseChannel(gate) || isTwoQubitGate(gate)) return;
+        const qubit = nextControlQubit(circuits, targetQi, cursorSlot);
+        if (qubit === null) return;
+        onUpdateGate(targetQi, cursorSlot, { ...gate, controls: [...getGateControls(gate), { qubit, open: false }] });
+    };
+
+    // ── Copy, cut and paste ──
+    // The multi-selection, or else the unit under the cursor
+    const getActiveCells = () => {
+        if (blockSelection.length > 0) return blockSelection;
+        return circuits[cursorQubit]?.[cursorSlot] ? [{ qubit: cursorQubit, slot: cursorSlot }] : [];
+    };
+
+    const copySelection = (cut = false) => {
+        const cells = getActiveCells();
+        const block = copyBlock(circuits, cells);
+        if (!block) return false;
+        setClipboard(block);
+        if (cut) {
+            onRemoveBlock(cells);
+            setSelectedCells([]);
+        }
+        return true;
+    };
+
+    // Replace the selection by one custom gate; App reports why it cannot be done
+    const makeCustomGate = () => {
+        const error = onCreateCustomGate(customGateName, blockSelection);
+        if (error) {
+            setCustomGateError(error);
+            return;
+        }
+        setCustomGateName(null);
+        setCustomGateError(null);
+        setSelectedCells([]);
+    };
+
+    const deleteSelection = () => {
+        onRemoveBlock(blockSelection);
+        setSelectedCells([]);
+    };
+
+    // Paste with the block's top-left at the cursor, moved up when it would run past the last wire
+    const pasteAtCursor = () => {
+        if (!clipboard || clipboard.height > numQubits) return;
+        const qubit = Math.min(cursorQubit, numQubits - clipboard.height);
+        if (onPasteBlock(qubit, cursorSlot, clipboard)) {
+            setSelectedCells(clipboard.units.map(u => ({ qubit: u.qubit + qubit, slot: u.slot + cursorSlot })));
+        }
+    };
+
+    const selectAll = () => {
+        const cells = circuits.flatMap((row, qubit) => row.map((cell, slot) => (cell ? { qubit, slot } : null))).filter(Boolean);
+        setSelectedCells(getUnitTargets(circuits, cells));
+        onGateClick(null, null, null);
+    };
+
+    // Ctrl/Cmd + C, X, V, A on the grid; false lets the key through (e.g. Ctrl+Z to the app)
+    const handleClipboardKey = (key) => {
+        if (key === 'c') return copySelection();
+        if (key === 'x') return copySelection(true);
+        if (key === 'v' && clipboard) {
+            pasteAtCursor();
+            return true;
+        }
+        if (key === 'a') {
+            selectAll();
+            return true;
+        }
+        return false;
+    };
+
+    const handleBoardKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && !isPlaying && handleClipboardKey(e.key.toLowerCase())) {
+            e.preventDefault();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return; // Undo/redo are handled app-wide
+        if (e.key === '?') {
+            setShowShortcuts(open => !open);
+            e.preventDefault();
+            return;
+        }
+        if (isPlaying) return;
+
+        const cell = circuits[cursorQubit]?.[cursorSlot];
+        const gateName = GATE_SHORTCUTS[e.key.toLowerCase()];
+        if (gateName && !e.shiftKey) {
+            onInsertGate(cursorQubit, cursorSlot, createCircuitGate(gateName));
+        } else if (e.key === 'ArrowLeft') moveCursor(cursorQubit, cursorSlot - 1);
+        else if (e.key === 'ArrowRight') moveCursor(cursorQubit, cursorSlot + 1);
+        else if (e.key === 'ArrowUp') moveCursor(cursorQubit - 1, cursorSlot);
+        else if (e.key === 'ArrowDown') moveCursor(cursorQubit + 1, cursorSlot);
+        else if (e.key === 'Home') moveCursor(cursorQubit, 0);
+        else if (e.key === 'End') moveCursor(cursorQubit, slots.length - 1);
+        else if (e.key === 'c' || e.key === 'C') addControlAtCursor();
+        else if (e.key === 'b' || e.key === 'B') {
+            // A barrier at slot s sits in front of column s, so this one follows the cursor column
+            const barrierSlot = cursorSlot + 1;
+            if (barriers.includes(barrierSlot)) onRemoveBarrier(barrierSlot);
+            else onAddBarrier(barrierSlot);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (blockSelection.length > 0) deleteSelection();
+            else if (cell) onRemoveGate(cursorQubit, cursorSlot);
+        } else if (e.key === 'Enter') {
+            if (!cell) return;
+            if (selectedGate?.qubitIndex !== cursorQubit || selectedGate?.slotIndex !== cursorSlot) onGateClick(cursorQubit, cursorSlot, cell);
+            onEditGate?.();
+        } else if (e.key === 'Escape') {
+            if (showShortcuts) setShowShortcuts(false);
+            else if (blockSelection.length > 0) setSelectedCells([]);
+            else onGateClick(null, null, null);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    };
+
+    // Build control line data for CSS-based vertical lines: one line per target gate,
+    // spanning from the outermost control (or partner wire) to the target
     const controlLines = useMemo(() => {
         const lines = [];
         circuits.forEach((row, qi) => {
             row.forEach((gate, si) => {
-                if (!gate || gate.controlIndex === undefined || gate.controlIndex === null) return;
-                if (gate.gate === 'CONTROL') return; // Don't draw from control dot, draw from target
-                const ctrlQ = gate.controlIndex;
+                if (!isControlledGate(gate) && !isTwoQubitGate(gate)) return;
+                const wires = [qi, ...getGateControls(gate).map(c => c.qubit)];
+                if (isTwoQubitGate(gate) && gate.partner !== null) wires.push(gate.partner);
+                if (isCustomGate(gate)) wires.push(...gate.wires);
                 lines.push({
                     slot: si,
-                    targetQubit: qi,
-                    controlQubit: ctrlQ,
+                    topQubit: Math.min(...wires),
+                    bottomQubit: Math.max(...wires),
                     key: `ctrl-line-${qi}-${si}`
                 });
             });
@@ -272,21 +560,171 @@ export default function CircuitBuilder({
         <div className="circuit-builder">
             <div className="circuit-header">
                 <h3 className="circuit-title">Circuit</h3>
-                <button
-                    className="mode-toggle"
-                    onClick={() => onCycleInitialState && onCycleInitialState()}
-                    title="Cycle initial qubit state for all threads"
-                >
-                    {initialStateLabel}
-                </button>
+                <div className="circuit-header-actions">
+                    {onUndo && (
+                        <button className="mode-toggle" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                            ↶
+                        </button>
+                    )}
+                    {onRedo && (
+                        <button className="mode-toggle" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                            ↷
+                        </button>
+                    )}
+                    {onSaveWorkspace && (
+                        <button className="mode-toggle" onClick={onSaveWorkspace} title="Download the workspace as a JSON file">
+                            Save
+                        </button>
+                    )}
+                    {onCopyLink && (
+                        <button
+                            className="mode-toggle"
+                            onClick={() => {
+                                onCopyLink()
+                                    .then(() => setLinkStatus('copied'), () => setLinkStatus('failed'))
+                                    .finally(() => setTimeout(() => setLinkStatus(null), 1500));
+                            }}
+                            title="Copy a link that opens this circuit"
+                        >
+                            {linkStatus === 'copied' ? 'Copied' : linkStatus === 'failed' ? 'Copy failed' : 'Link'}
+                        </button>
+                    )}
+                    {onKeepCircuit && (
+                        <button
+                            className="mode-toggle"
+                            onClick={() => { setKeepName(keepName === null ? '' : null); setKeepFailed(false); }}
+                            title="Keep this circuit under a name in the recent circuits on the start page"
+                        >
+                            Keep
+                        </button>
+                    )}
+                    {onOpenWorkspace && (
+                        <>
+                            <button className="mode-toggle" onClick={() => fileInputRef.current?.click()} title="Open a saved workspace file">
+                                Open
+                            </button>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept=".json,application/json"
+                                className="workspace-file-input"
+                                onChange={e => {
+                                    const file = e.target.files?.[0];
+                                    if (file) onOpenWorkspace(file);
+                                    e.target.value = ''; // Opening the same file again still fires onChange
+                                }}
+                            />
+                        </>
+                    )}
+                    <button
+                        className="mode-toggle"
+                        onClick={() => setShowShortcuts(open => !open)}
+                        title="Keyboard shortcuts (?)"
+                    >
+                        ?
+                    </button>
+                    <button
+                        className="mode-toggle"
+                        onClick={() => onCycleInitialState && onCycleInitialState()}
+                        title="Cycle initial qubit state for all threads"
+                    >
+                        {initialStateLabel}
+                    </button>
+                </div>
             </div>
+            {showShortcuts && <ShortcutSheet onClose={() => setShowShortcuts(false)} />}
+            {(blockSelection.length > 0 || clipboard) && (
+                <div className="selection-bar">
+                    {blockSelection.length > 0 && (
+                        <>
+                            <span className="selection-count">{blockSelection.length} selected</span>
+                            <button className="mode-toggle" onClick={() => copySelection()} title="Copy (Ctrl+C)">Copy</button>
+                            <button className="mode-toggle" onClick={() => copySelection(true)} title="Cut (Ctrl+X)">Cut</button>
+                            <button className="mode-toggle" onClick={deleteSelection} title="Delete (Del)">Delete</button>
+                            {onCreateCustomGate && (
+                                <button
+                                    className="mode-toggle"
+                                    onClick={() => { setCustomGateName(customGateName === null ? '' : null); setCustomGateError(null); }}
+                                    disabled={isPlaying}
+                                    title="Save the selection as a named gate that replaces it and appears in the palette"
+                                >
+                                    Make gate
+                                </button>
+                            )}
+                        </>
+                    )}
+                    {clipboard && (
+                        <button
+                            className="mode-toggle"
+                            onClick={pasteAtCursor}
+                            disabled={isPlaying || clipboard.height > numQubits}
+                            title={`Paste ${clipboard.units.length} gate${clipboard.units.length === 1 ? '' : 's'} at q[${cursorQubit}], slot ${cursorSlot} (Ctrl+V)`}
+                        >
+                            Paste
+                        </button>
+                    )}
+                </div>
+            )}
+            {customGateName !== null && blockSelection.length > 0 && (
+                <form
+                    className="keep-circuit-form"
+                    onSubmit={e => {
+                        e.preventDefault();
+                        if (customGateName.trim()) makeCustomGate();
+                    }}
+                >
+                    <input
+                        className="keep-circuit-name"
+                        value={customGateName}
+                        onChange={e => { setCustomGateName(e.target.value); setCustomGateError(null); }}
+                        onKeyDown={e => { if (e.key === 'Escape') setCustomGateName(null); }}
+                        placeholder="Gate name, e.g. bell"
+                        maxLength={40}
+                        autoFocus
+                    />
+                    <button type="submit" className="mode-toggle" disabled={!customGateName.trim()}>Make gate</button>
+                    <button type="button" className="collapse-btn" onClick={() => setCustomGateName(null)} title="Cancel">×</button>
+                    {customGateError && <span className="keep-circuit-error">{customGateError}</span>}
+                </form>
+            )}
+            {keepName !== null && (
+                <form
+                    className="keep-circuit-form"
+                    onSubmit={e => {
+                        e.preventDefault();
+                        if (!keepName.trim()) return;
+                        if (onKeepCircuit(keepName)) setKeepName(null);
+                        else setKeepFailed(true);
+                    }}
+                >
+                    <input
+                        className="keep-circuit-name"
+                        value={keepName}
+                        onChange={e => setKeepName(e.target.value)}
+                        onKeyDown={e => { if (e.key === 'Escape') setKeepName(null); }}
+                        placeholder="Circuit name"
+                        maxLength={60}
+                        autoFocus
+                    />
+                    <button type="submit" className="mode-toggle" disabled={!keepName.trim()}>Keep</button>
+                    <button type="button" className="collapse-btn" onClick={() => setKeepName(null)} title="Cancel">×</button>
+                    {keepFailed && <span className="keep-circuit-error">Browser storage is unavailable</span>}
+                </form>
+            )}
+            {workspaceError && (
+                <div className="workspace-error">
+                    <span>{workspaceError}</span>
+                    <button className="collapse-btn" onClick={onDismissWorkspaceError} title="Dismiss">×</button>
+                </div>
+            )}
+            {simulationNotice && <div className="simulation-notice">{simulationNotice}</div>}
 
             <div className="circuit-board">
                 <div className="circuit-grid">
                     {/* Qubit labels */}
                     <div className="qubit-labels">
                         {circuits.map((_, qi) => (
-                            <div key={qi} className="qubit-row-label">
+                            <div key={qi} className={`qubit-row-label ${basisHighlight ? `basis-${basisHighlight.bits[qi]}` : ''}`}>
                                 <button
                                     className={`qubit-btn eye ${qubitVisibility[qi] ? '' : 'hidden'}`}
                                     onClick={() => onToggleVisibility(qi)}
@@ -304,8 +742,18 @@ export default function CircuitBuilder({
                                 <button className="qubit-label" onClick={() => onFocusQubit(qi)} title="Focus">
                                     q[{qi}]
                                 </button>
+                                {basisHighlight && (
+                                    <span className="basis-bit" title={`q[${qi}] is ${basisHighlight.bits[qi]} in the basis state picked in the amplitude table`}>
+                                        |{basisHighlight.bits[qi]}⟩
+                                    </span>
+                                )}
                             </div>
                         ))}
+                        {showClassicalWire && (
+                            <div className="qubit-row-label classical-label" title="Classical register, c[0] first">
+                                {classicalBits !== null ? `c=${classicalBits}` : `c[${numQubits}]`}
+                            </div>
+                        )}
                     </div>
 
                     {/* Circuit area */}
@@ -313,7 +761,14 @@ export default function CircuitBuilder({
                         <div
                             ref={circuitRef}
                             className="circuit-slots"
-                            style={{ '--num-qubits': numQubits, '--total-height': `${totalHeight}px`, '--slot-count': slots.length }}
+                            style={{ '--num-qubits': numQubits, '--total-height': `${boardHeight}px`, '--slot-count': slots.length }}
+                            tabIndex={0}
+                            role="grid"
+                            aria-label="Circuit grid: arrow keys move, letters place gates, ? lists shortcuts"
+                            onKeyDown={handleBoardKeyDown}
+                            onMouseDown={handleBoardMouseDown}
+                            onFocus={() => setHasKeyboardFocus(true)}
+                            onBlur={() => setHasKeyboardFocus(false)}
                             onDragOver={handleCircuitDragOver}
                             onDragEnter={handleDragEnter}
                             onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) resetDragState(); }}
@@ -324,12 +779,42 @@ export default function CircuitBuilder({
                                 <div key={qi} className={`qubit-track ${isPlaying ? 'animating' : ''}`} style={{ '--row': qi }} />
                             ))}
 
+                            {/* Classical register wire and measurement links */}
+                            {showClassicalWire && (
+                                <div className="classical-track" style={{ '--row': numQubits }} />
+                            )}
+                            {measurementMarks.map(({ qubit, slot, bit }) => {
+                                const topY = qubit * rowHeight + rowHeight / 2 + 16;
+                                const bottomY = numQubits * rowHeight + rowHeight / 2 - 2;
+                                return (
+                                    <div key={`measure-${qubit}-${slot}`}>
+                                        <div
+                                            className="measure-line"
+                                            style={{ left: `${slot * slotWidth + slotWidth / 2 - 2}px`, top: `${topY}px`, height: `${bottomY - topY}px` }}
+                                        />
+                                        <span className="classical-bit-tag" style={{ '--slot': slot, '--row': numQubits }}>{bit}</span>
+                                    </div>
+                                );
+                            })}
+                            {conditionMarks.map(({ qubit, slot, bit, value }) => {
+                                const topY = qubit * rowHeight + rowHeight / 2 + 16;
+                                const bottomY = numQubits * rowHeight + rowHeight / 2;
+                                return (
+                                    <div key={`condition-${qubit}-${slot}`}>
+                                        <div
+                                            className="condition-line"
+                                            style={{ left: `${slot * slotWidth + slotWidth / 2 - 2}px`, top: `${topY}px`, height: `${bottomY - topY}px` }}
+                                        />
+                                        <div className={`condition-node ${value ? 'one' : 'zero'}`} style={{ '--slot': slot, '--row': numQubits }} />
+                                        <span className="classical-bit-tag condition" style={{ '--slot': slot, '--row': numQubits }}>{bit}={value}</span>
+                                    </div>
+                                );
+                            })}
+
                             {/* CSS-based control lines (vertical connections) */}
-                            {controlLines.map(({ slot, targetQubit, controlQubit, key }) => {
-                                const topQ = Math.min(targetQubit, controlQubit);
-                                const bottomQ = Math.max(targetQubit, controlQubit);
-                                const topY = topQ * rowHeight + rowHeight / 2;
-                                const bottomY = bottomQ * rowHeight + rowHeight / 2;
+                            {controlLines.map(({ slot, topQubit, bottomQubit, key }) => {
+                                const topY = topQubit * rowHeight + rowHeight / 2;
+                                const bottomY = bottomQubit * rowHeight + rowHeight / 2;
                                 const lineX = slot * slotWidth + slotWidth / 2;
                                 return (
                                     <div
@@ -353,7 +838,7 @@ export default function CircuitBuilder({
                                 <div
                                     key={`barrier-${bIdx}`}
                                     className={`barrier-line ${highlightedBarrier === bIdx ? 'highlighted' : ''} ${selectedGate?.isBarrier && selectedGate?.slot === slotIdx ? 'selected' : ''}`}
-                                    style={{ '--slot': slotIdx, '--total-height': `${totalHeight}px` }}
+                                    style={{ '--slot': slotIdx, '--total-height': `${boardHeight}px` }}
                                     onClick={() => onGateClick(-1, slotIdx, { isBarrier: true })}
                                     onMouseDown={(e) => e.button === 1 && onRemoveBarrier(slotIdx)}
                                     title="Barrier"
@@ -364,7 +849,7 @@ export default function CircuitBuilder({
                             {barrierTarget !== null && isDraggingBarrier && (
                                 <div
                                     className="barrier-indicator"
-                                    style={{ '--slot': barrierTarget, '--total-height': `${totalHeight}px` }}
+                                    style={{ '--slot': barrierTarget, '--total-height': `${boardHeight}px` }}
                                 />
                             )}
 
@@ -384,6 +869,24 @@ export default function CircuitBuilder({
                                 />
                             )}
 
+                            {/* Rubber-band selection */}
+                            {band && (
+                                <div
+                                    className="selection-band"
+                                    style={{
+                                        left: `${Math.min(band.x0, band.x1)}px`,
+                                        top: `${Math.min(band.y0, band.y1)}px`,
+                                        width: `${Math.abs(band.x1 - band.x0)}px`,
+                                        height: `${Math.abs(band.y1 - band.y0)}px`
+                                    }}
+                                />
+                            )}
+
+                            {/* Keyboard cursor */}
+                            {hasKeyboardFocus && (
+                                <div ref={cursorRef} className="grid-cursor" style={{ '--slot': cursorSlot, '--row': cursorQubit }} />
+                            )}
+
                             {/* Gates */}
                             {circuits.map((row, qi) =>
                                 row.map((gate, si) => {
@@ -393,21 +896,33 @@ export default function CircuitBuilder({
                                     const isAnimated = isGateAnimated(si);
                                     const isDisabled = isPlaying && !isAnimated;
                                     const pairedSel = isPairedSelected(qi, si);
+                                    const inBlock = isInBlockSelection(qi, si);
+                                    // Both wires of a two-qubit gate are drawn from the gate on its own wire
+                                    const unitGate = gate.gate === 'PARTNER' ? circuits[gate.targetIndex]?.[si] : gate;
+                                    const wireSymbol = GATES[unitGate?.gate]?.wireSymbol;
+                                    const isTwoQubitCell = isTwoQubitGate(unitGate);
+                                    const isCustomCell = isCustomGate(unitGate);
+                                    let title = `${gate.label}\nDrag to move | Middle-click to remove`;
+                                    if (isCustomCell) title = `${unitGate.label} (custom gate ${unitGate.name}) on q[${unitGate.wires[0]}]..q[${unitGate.wires[unitGate.wires.length - 1]}]\nDrag any wire to move | Middle-click to remove`;
+                                    else if (gate.gate === 'CONTROL') title = `${gate.open ? 'Open control (fires on |0⟩)' : 'Control'} for q[${gate.targetIndex}]\nDrag to move | Middle-click to remove`;
+                                    else if (isNoiseChannel(gate)) title = `${gate.description} (p = ${gate.probability})\nDrag to move | Middle-click to remove`;
+                                    else if (isTwoQubitCell) title = `${unitGate.label} on q[${unitGate === gate ? qi : gate.targetIndex}], q[${unitGate === gate ? gate.partner : qi}]\nDrag either wire to move | Middle-click to remove`;
 
                                     return (
                                         <div
                                             key={`gate-${qi}-${si}`}
-                                            className={`circuit-gate ${isSelected ? 'selected' : ''} ${isBeingDragged ? 'dragging' : ''} ${isDisabled ? 'disabled' : ''} ${gate.gate === 'CONTROL' ? 'control-node' : ''} ${pairedSel ? 'paired-selected' : ''}`}
-                                            style={{ '--slot': si, '--row': qi, '--gate-color': gate.color || 'var(--qbits-accent)' }}
-                                            onClick={() => handleGateClickInternal(qi, si, gate)}
+                                            className={`circuit-gate ${isSelected ? 'selected' : ''} ${isBeingDragged ? 'dragging' : ''} ${isDisabled ? 'disabled' : ''} ${gate.gate === 'CONTROL' ? 'control-node' : ''} ${gate.open ? 'open-control' : ''} ${wireSymbol === 'cross' ? 'swap-node' : ''} ${wireSymbol === 'dot' ? 'cz-node' : ''} ${pairedSel ? 'paired-selected' : ''} ${inBlock ? 'block-selected' : ''} ${isCustomCell ? (unitGate === gate ? 'custom-gate' : 'custom-gate-part') : ''} ${isNoiseChannel(gate) ? 'noise-channel' : ''}`}
+                                            style={{ '--slot': si, '--row': qi, '--gate-color': unitGate?.color || 'var(--qbits-accent)', ...(isCustomCell && { '--span': unitGate.wires.length }) }}
+                                            onClick={(e) => handleGateClickInternal(qi, si, gate, e.shiftKey)}
                                             onMouseDown={(e) => !isPlaying && e.button === 1 && handleGateMiddleClickInternal(qi, si)}
                                             draggable={!isPlaying}
                                             onDragStart={(e) => !isPlaying && handleGateDragStart(e, qi, si, gate)}
                                             onDragEnd={resetDragState}
-                                            title={gate.gate === 'CONTROL' ? `Control for q[${gate.targetIndex}]\nDrag to move | Middle-click to remove` : `${gate.label}\nDrag to move | Middle-click to remove`}
+                                            title={title}
                                         >
-                                            {gate.gate !== 'CONTROL' && gate.controlIndex !== undefined && gate.controlIndex !== null && <span className="control-indicator">C</span>}
-                                            {gate.gate !== 'CONTROL' ? gate.label : ''}
+                                            {isControlledGate(gate) && <span className="control-indicator">C</span>}
+                                            {gate.condition && <span className="condition-indicator" title={`Fires only when c[${gate.condition.bit}] = ${gate.condition.value}`}>if</span>}
+                                            {gate.gate === 'CONTROL' || wireSymbol === 'dot' || (isCustomCell && unitGate !== gate) ? '' : wireSymbol === 'cross' ? '×' : unitGate?.label}
                                         </div>
                                     );
                                 })
@@ -417,7 +932,14 @@ export default function CircuitBuilder({
                 </div>
             </div>
 
-            <button className="add-qubit-button" onClick={onAddQubit}>+ Add Qubit</button>
+            <button
+                className="add-qubit-button"
+                onClick={onAddQubit}
+                disabled={numQubits >= MAX_QUBITS}
+                title={numQubits >= MAX_QUBITS ? `Circuits have at most ${MAX_QUBITS} qubits` : undefined}
+            >
+                + Add Qubit
+            </button>
         </div>
     );
 }
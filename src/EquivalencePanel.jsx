@@ -0,0 +1,144 @@
+import { useState, useMemo, useRef } from 'react';
+import { cAbs } from './quantum';
+import { basisLabel } from './statevector';
+import { formatComplex } from './matrixInput';
+import { parseWorkspace } from './workspace';
+import { importQasm } from './qasm';
+import { importQasm3 } from './qasm3';
+import { listRecentCircuits, loadRecentCircuit } from './autosave';
+import { EquivalenceError, compareCircuits } from './equivalence';
+import './EquivalencePanel.css';
+
+// Terms of a state shown before the rest is elided
+const MAX_STATE_TERMS = 8;
+
+// Circuit grid from the text of a workspace file or an OpenQASM program
+const readCircuitFile = (text) => {
+    if (/^\s*\{/.test(text)) return parseWorkspace(text).circuits;
+    return (/^\s*OPENQASM\s+3/m.test(text) ? importQasm3(text) : importQasm(text)).circuits;
+};
+
+const formatState = (state) => {
+    const numQubits = Math.log2(state.length);
+    const terms = state
+        .map((amp, i) => ({ amp, label: basisLabel(i, numQubits) }))
+        .filter(({ amp }) => cAbs(amp) > 1e-4)
+        .map(({ amp, label }) => `${formatComplex(amp, 3)}|${label}⟩`);
+    const shown = terms.slice(0, MAX_STATE_TERMS).join(' + ').replace(/\+ -/g, '- ');
+    return terms.length > MAX_STATE_TERMS ? `${shown} + …` : shown;
+};
+
+const formatDegrees = (radians) => `${(radians * 180 / Math.PI).toFixed(1)}°`;
+
+// Compares the circuit with a reference: a snapshot of an earlier version, a kept circuit or a file
+export default function EquivalencePanel({ circuits }) {
+    const [collapsed, setCollapsed] = useState(true);
+    const [reference, setReference] = useState(null); // { name, circuits }
+    const [recentCircuits, setRecentCircuits] = useState([]);
+    const [loadError, setLoadError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const result = useMemo(() => {
+        if (collapsed || !reference) return null;
+        try {
+            return compareCircuits(circuits, reference.circuits);
+        } catch (err) {
+            if (err instanceof EquivalenceError) return { error: err.message };
+            throw err;
+        }
+    }, [collapsed, circuits, reference]);
+
+    const chooseReference = (name, loaded) => {
+        setReference({ name, circuits: loaded });
+        setLoadError(null);
+    };
+
+    const handleSnapshot = () => {
+        chooseReference(`snapshot from ${new Date().toLocaleTimeString()}`, circuits);
+    };
+
+    const handleOpenFile = (file) => {
+        file.text()
+            .then(text => chooseReference(file.name, readCircuitFile(text)))
+            .catch(err => setLoadError(`${file.name}: ${err.message}`));
+    };
+
+    const handlePickRecent = (name) => {
+        const state = name ? loadRecentCircuit(name) : null;
+        if (state) chooseReference(name, state.circuits);
+    };
+
+    return (
+        <div className="equivalence-panel">
+            <div className="equivalence-header">
+                <h3 className="equivalence-title">Equivalence</h3>
+                <div className="equivalence-actions">
+                    {!collapsed && (
+                        <>
+                            <button className="mode-toggle" onClick={handleSnapshot} title="Compare later versions with the circuit as it is now">
+                                Snapshot
+                            </button>
+                            <button className="mode-toggle" onClick={() => fileInputRef.current?.click()} title="Compare with a workspace file or an OpenQASM program">
+                                Open
+                            </button>
+                            <select
+                                className="equivalence-recent"
+                                value=""
+                                onFocus={() => setRecentCircuits(listRecentCircuits())}
+                                onChange={e => handlePickRecent(e.target.value)}
+                                title="Compare with a kept circuit"
+                            >
+                                <option value="">Kept…</option>
+                                {recentCircuits.map(({ name }) => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept=".json,.qasm,application/json,text/plain"
+                                className="equivalence-file-input"
+                                onChange={e => {
+                                    const file = e.target.files?.[0];
+                                    if (file) handleOpenFile(file);
+                                    e.target.value = ''; // Opening the same file again still fires onChange
+                                }}
+                            />
+                        </>
+                    )}
+                    <button className="collapse-btn" onClick={() => setCollapsed(!collapsed)} title={collapsed ? 'Expand' : 'Collapse'}>
+                        {collapsed ? '▼' : '▲'}
+                    </button>
+                </div>
+            </div>
+            {!collapsed && (
+                <div className="equivalence-body">
+                    {loadError && <div className="equivalence-error">{loadError}</div>}
+                    {!reference ? (
+                        <div className="equivalence-empty">Take a snapshot, open a file or pick a kept circuit to compare this circuit with</div>
+                    ) : (
+                        <>
+                            <div className="equivalence-reference">
+                                <span>A = this circuit, B = {reference.name}</span>
+                                <button className="collapse-btn" onClick={() => setReference(null)} title="Forget the reference circuit">×</button>
+                            </div>
+                            {result.error && <div className="equivalence-error">{result.error}</div>}
+                            {result.equivalent === true && (
+                                <div className="equivalence-match">
+                                    Equivalent: B = e^(i·{formatDegrees(result.globalPhase)}) · A
+                                </div>
+                            )}
+                            {result.equivalent === false && (
+                                <div className="equivalence-mismatch">
+                                    <div>Not equivalent: min over φ of ‖B - e^(iφ)·A‖ = {result.distance.toFixed(4)}</div>
+                                    <div className="equivalence-state">
+                                        Input |ψ⟩ = {formatState(result.state)}
+                                    </div>
+                                    <div>gives outputs with |⟨Aψ|Bψ⟩| = {result.overlap.toFixed(4)}</div>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
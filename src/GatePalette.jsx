@@ -1,21 +1,17 @@
-import { GATES, createGateInstance } from './quantum';
+import { GATES, createCircuitGate } from './quantum';
+import { createCustomGateInstance } from './customGates';
 import './GatePalette.css';
 
-export default function GatePalette() {
-    // Separate gates and barrier (include I now)
-    const gateList = Object.values(GATES).filter(g => !g.isBarrier);
+export default function GatePalette({ customGates = [] }) {
+    // Separate single-qubit gates, two-qubit gates, noise channels and barrier (include I now)
+    const gateList = Object.values(GATES).filter(g => !g.isBarrier && !g.isNoise && g.numQubits !== 2);
+    const twoQubitGates = Object.values(GATES).filter(g => g.numQubits === 2);
+    const noiseChannels = Object.values(GATES).filter(g => g.isNoise);
     const barrier = GATES.BARRIER;
 
     const handleDragStart = (e, gate) => {
         // Create a full gate instance with matrix and decomposition
-        const gateInstance = createGateInstance(gate.name);
-        const gateData = {
-            ...gateInstance,
-            label: gate.label,
-            color: gate.color,
-            description: gate.description,
-            isBarrier: gate.isBarrier || false
-        };
+        const gateData = createCircuitGate(gate.name);
         e.dataTransfer.setData('gate', JSON.stringify(gateData));
         e.dataTransfer.effectAllowed = 'copy';
 
@@ -45,6 +41,65 @@ export default function GatePalette() {
                 </div>
             </div>
 
+            <div className="palette-section">
+                <h3 className="palette-title">Two-qubit</h3>
+                <div className="gates-grid">
+                    {twoQubitGates.map(gate => (
+                        <div
+                            key={gate.name}
+                            className="gate-button two-qubit"
+                            style={{ '--gate-color': gate.color }}
+                            draggable
+                            onDragStart={(e) => handleDragStart(e, gate)}
+                            title={`${gate.description}\n(Drag to circuit - spans the dropped wire and the one below)`}
+                        >
+                            {gate.label}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="palette-section">
+                <h3 className="palette-title">Noise</h3>
+                <div className="gates-grid">
+                    {noiseChannels.map(gate => (
+                        <div
+                            key={gate.name}
+                            className="gate-button noise"
+                            style={{ '--gate-color': gate.color }}
+                            draggable
+                            onDragStart={(e) => handleDragStart(e, gate)}
+                            title={`${gate.description}\n(Drag to circuit - the simulation switches to density matrices)`}
+                        >
+                            {gate.label}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {customGates.length > 0 && (
+                <div className="palette-section">
+                    <h3 className="palette-title">Custom</h3>
+                    <div className="gates-grid">
+                        {customGates.map(definition => (
+                            <div
+                                key={definition.name}
+                                className="gate-button custom"
+                                style={{ '--gate-color': definition.color }}
+                                draggable
+                                onDragStart={(e) => {
+                                    e.dataTransfer.setData('gate', JSON.stringify(createCustomGateInstance(definition)));
+                                    e.dataTransfer.effectAllowed = 'copy';
+                                }}
+                                title={`${definition.name} - custom gate on ${definition.circuits.length} qubits\n(Drag to circuit - spans the dropped wire and the ones below)`}
+                            >
+                                {definition.label}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {barrier && (
                 <div className="palette-section barrier-section">
                     <h3 className="palette-title">Barrier</h3>
@@ -1,68 +1,197 @@
-import { useState, useEffect } from 'react';
-import { GATES, createU3Matrix, gateHasPhaseKickbackPotential } from './quantum';
+import { useState, useEffect, useRef } from 'react';
+import { GATES, formatAngle, createU3Matrix, withGateAngle, withNoiseProbability, gateHasPhaseKickbackPotential, getGateControls, isControlledGate, isCustomGate, isTwoQubitGate, getU3GlobalPhase } from './quantum';
+import { MatrixInputError, parseUnitary, formatComplex, createMatrixGate } from './matrixInput';
+import { findCustomGate } from './customGates';
+import { QasmError, evaluateExpression } from './qasm';
+import { exportQasm3, importQasm3 } from './qasm3';
 import './GateSettings.css';
 
-const parsePiNotation = (str) => {
-    if (typeof str === 'number') return str;
-    const s = str.toString().trim().toLowerCase().replace('π', 'pi');
-    if (s === 'pi') return Math.PI;
-    if (s === '-pi') return -Math.PI;
-    const divMatch = s.match(/^(-?)pi\s*\/\s*(\d+)$/);
-    if (divMatch) return (divMatch[1] === '-' ? -1 : 1) * Math.PI / parseInt(divMatch[2]);
-    const mulMatch = s.match(/^(-?\d*\.?\d*)\s*\*?\s*pi$/);
-    if (mulMatch) {
-        const num = mulMatch[1] === '' || mulMatch[1] === '-' ? (mulMatch[1] === '-' ? -1 : 1) : parseFloat(mulMatch[1]);
-        return num * Math.PI;
+// Angle typed into a field, in radians: an expression read like an OpenQASM parameter, such as 3pi/4,
+// 3π/4, -pi/8 or 0.5, where a number right before pi multiplies it; null when it cannot be read
+const readAngle = (text) => {
+    const source = String(text).trim().toLowerCase().replace(/π/g, 'pi').replace(/(\d)\s*(?=pi\b)/g, '$1*');
+    try {
+        const value = evaluateExpression(source);
+        return Number.isFinite(value) ? value : null;
+    } catch (err) {
+        if (err instanceof QasmError) return null;
+        throw err;
     }
-    const num = parseFloat(s);
-    return isNaN(num) ? 0 : num;
 };
 
-const toPiNotation = (rad) => {
-    const pi = Math.PI;
-    if (Math.abs(rad) < 0.001) return '0';
-    if (Math.abs(rad - pi) < 0.001) return 'π';
-    if (Math.abs(rad + pi) < 0.001) return '-π';
-    if (Math.abs(rad - pi / 2) < 0.001) return 'π/2';
-    if (Math.abs(rad + pi / 2) < 0.001) return '-π/2';
-    if (Math.abs(rad - pi / 4) < 0.001) return 'π/4';
-    if (Math.abs(rad + pi / 4) < 0.001) return '-π/4';
-    return rad.toFixed(3);
+const PARAM_KEYS = ['theta', 'phi', 'lambda', 'globalPhase'];
+const PARAM_SYMBOLS = { theta: 'θ', phi: 'φ', lambda: 'λ', globalPhase: 'γ' };
+
+// What one cell of a custom gate's inner circuit shows in the preview
+const previewSymbol = (cell) => {
+    if (!cell) return '';
+    if (cell.gate === 'CONTROL') return cell.open ? '○' : '●';
+    if (cell.gate === 'PARTNER') return '┃';
+    return cell.label;
 };
 
-export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, onUpdate, numQubits, onControlSignal }) {
-    const [isControlled, setIsControlled] = useState(gate?.controlIndex !== undefined && gate?.controlIndex !== null);
-    const [controlQubit, setControlQubit] = useState(gate?.controlIndex ?? -1);
+// Inner circuit and label of a custom gate. The circuit is edited as OpenQASM 3 text, and applying it
+// (or a new label) changes the definition and so every instance of the gate.
+function CustomGateDefinition({ definition, onRedefine }) {
+    const [shownDefinition, setShownDefinition] = useState(definition);
+    const [source, setSource] = useState(() => exportQasm3(definition.circuits));
+    const [label, setLabel] = useState(definition.label);
+    const [error, setError] = useState(null);
+
+    // Start over from the definition whenever it changes, e.g. after applying or an undo
+    if (shownDefinition !== definition) {
+        setShownDefinition(definition);
+        setSource(exportQasm3(definition.circuits));
+        setLabel(definition.label);
+        setError(null);
+    }
+
+    const handleApply = () => {
+        try {
+            const { circuits } = importQasm3(source);
+            setError(onRedefine(definition.name, { circuits }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleLabelBlur = () => {
+        if (label.trim() && label !== definition.label) setError(onRedefine(definition.name, { label }));
+        else setLabel(definition.label);
+    };
+
+    return (
+        <div className="param-section">
+            <div className="param-header">
+                <span>Inner circuit</span>
+            </div>
+            <div className="custom-gate-preview" style={{ '--columns': Math.max(1, ...definition.circuits.map(row => row.length)) }}>
+                {definition.circuits.map((row, qi) => (
+                    <div key={qi} className="custom-gate-preview-row">
+                        <span className="custom-gate-preview-wire">q{qi}</span>
+                        {row.map((cell, si) => (
+                            <span key={si} className="custom-gate-preview-cell" style={{ '--gate-color': cell?.color }}>{previewSymbol(cell)}</span>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="param-grid">
+                <div className="param-row">
+                    <label>Label</label>
+                    <input type="text" value={label} maxLength={12} onChange={e => setLabel(e.target.value)} onBlur={handleLabelBlur} onKeyDown={e => e.key === 'Enter' && e.target.blur()} />
+                </div>
+            </div>
+            <textarea
+                className="custom-gate-source styled-scrollbar"
+                value={source}
+                onChange={e => setSource(e.target.value)}
+                spellCheck={false}
+                rows={Math.min(10, source.split('\n').length + 1)}
+                aria-label={`OpenQASM 3 definition of ${definition.name}`}
+            />
+            {error && <div className="settings-description settings-error">{error}</div>}
+            <button className="action-btn apply" onClick={handleApply} title={`Every ${definition.name} in the circuit changes`}>
+                Apply to all instances
+            </button>
+        </div>
+    );
+}
+
+const matrixEntries = (matrix) => matrix.map(row => row.map(v => formatComplex(v)));
+
+// 2x2 matrix typed entry by entry. Applying turns the gate into a U gate with exactly that matrix;
+// a matrix that is not unitary is refused with the reason.
+function MatrixEntry({ gate, onApply }) {
+    const [shownMatrix, setShownMatrix] = useState(gate.matrix);
+    const [entries, setEntries] = useState(() => matrixEntries(gate.matrix));
+    const [error, setError] = useState(null);
+
+    // Start over from the gate whenever its matrix changes (parameters, undo, another gate)
+    if (shownMatrix !== gate.matrix) {
+        setShownMatrix(gate.matrix);
+        setEntries(matrixEntries(gate.matrix));
+        setError(null);
+    }
+
+    const handleApply = () => {
+        try {
+            onApply(createMatrixGate(parseUnitary(entries)));
+        } catch (err) {
+            if (!(err instanceof MatrixInputError)) throw err;
+            setError(err.message);
+        }
+    };
+
+    const handleEntryChange = (r, c, value) => {
+        setEntries(prev => prev.map((row, ri) => row.map((text, ci) => (ri === r && ci === c ? value : text))));
+        setError(null);
+    };
+
+    return (
+        <div className="param-section">
+            <div className="matrix-entry" role="group" aria-label="Gate matrix">
+                {entries.map((row, r) => row.map((text, c) => (
+                    <input
+                        key={`${r}-${c}`}
+                        type="text"
+                        value={text}
+                        onChange={e => handleEntryChange(r, c, e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && handleApply()}
+                        aria-label={`Row ${r + 1}, column ${c + 1}`}
+                        placeholder="e.g. -i/sqrt(2)"
+                    />
+                )))}
+            </div>
+            {error && <div className="settings-description settings-error">{error}</div>}
+            <button className="action-btn apply" onClick={handleApply} title="Replace this gate by a U gate with this matrix">
+                Apply matrix
+            </button>
+        </div>
+    );
+}
+
+// U parameters of a gate, global phase included: matrix = e^(iγ) · U(θ, φ, λ)
+const getDecompositionParams = (gate) => ({
+    theta: gate?.decomposition?.theta || 0,
+    phi: gate?.decomposition?.phi || 0,
+    lambda: gate?.decomposition?.lambda || 0,
+    globalPhase: gate?.decomposition ? getU3GlobalPhase(gate) : 0
+});
+
+const toParamStrings = (params) => Object.fromEntries(PARAM_KEYS.map(key => [key, formatAngle(params[key])]));
+
+export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, onUpdate, numQubits, customGates = [], onRedefineCustomGate, onExpandCustomGate, onControlSignal, focusToken = 0, onReturnFocus }) {
+    const [isControlled, setIsControlled] = useState(isControlledGate(gate));
     const [useSliders, setUseSliders] = useState(false);
-    const [params, setParams] = useState({
-        theta: gate?.decomposition?.theta || 0,
-        phi: gate?.decomposition?.phi || 0,
-        lambda: gate?.decomposition?.lambda || 0
-    });
-    const [paramStrings, setParamStrings] = useState({
-        theta: toPiNotation(params.theta),
-        phi: toPiNotation(params.phi),
-        lambda: toPiNotation(params.lambda)
-    });
+    const [showMatrix, setShowMatrix] = useState(false);
+    const sliderGestureRef = useRef(0); // Counts slider grabs: one drag (or key press) is one undo step
+    const rootRef = useRef(null);
+    const [angleString, setAngleString] = useState(formatAngle(gate?.angle ?? 0));
+    const [params, setParams] = useState(() => getDecompositionParams(gate));
+    const [paramStrings, setParamStrings] = useState(() => toParamStrings(getDecompositionParams(gate)));
 
     useEffect(() => {
         if (gate && !gate.isBarrier) {
-            setIsControlled(gate.controlIndex !== undefined && gate.controlIndex !== null);
-            setControlQubit(gate.controlIndex ?? -1);
-            const newParams = {
-                theta: gate.decomposition?.theta || 0,
-                phi: gate.decomposition?.phi || 0,
-                lambda: gate.decomposition?.lambda || 0
-            };
+            setIsControlled(isControlledGate(gate));
+            setAngleString(formatAngle(gate.angle ?? 0));
+            const newParams = getDecompositionParams(gate);
             setParams(newParams);
-            setParamStrings({
-                theta: toPiNotation(newParams.theta),
-                phi: toPiNotation(newParams.phi),
-                lambda: toPiNotation(newParams.lambda)
-            });
+            setParamStrings(toParamStrings(newParams));
         }
     }, [gate, gateIndex, qubitIndex]);
 
+    // Enter on the circuit grid asks for the first field of the selected gate
+    useEffect(() => {
+        if (focusToken > 0) rootRef.current?.querySelector('input, button')?.focus();
+    }, [focusToken]);
+
+    // Esc hands the keyboard back to the circuit grid
+    const handleSettingsKeyDown = (e) => {
+        if (e.key !== 'Escape' || !onReturnFocus) return;
+        e.preventDefault();
+        onReturnFocus();
+    };
+
     if (!gate) {
         return (
             <div className="gate-settings empty">
@@ -73,7 +202,7 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
 
     if (gate.isBarrier) {
         return (
-            <div className="gate-settings">
+            <div className="gate-settings" ref={rootRef} onKeyDown={handleSettingsKeyDown}>
                 <div className="settings-header">
                     <div className="gate-badge barrier">┃</div>
                     <span className="gate-name">Barrier</span>
@@ -87,13 +216,13 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
 
     if (gate.gate === 'CONTROL') {
         return (
-            <div className="gate-settings">
+            <div className="gate-settings" ref={rootRef} onKeyDown={handleSettingsKeyDown}>
                 <div className="settings-header">
                     <div className="gate-badge control-node"></div>
                     <span className="gate-name">Control Node</span>
                 </div>
                 <div className="settings-description">
-                    Controls the gate at Qubit {gate.targetIndex}.
+                    {gate.open ? 'Open control' : 'Control'} for the gate at Qubit {gate.targetIndex}: the gate acts only when this qubit is {gate.open ? '|0⟩' : '|1⟩'}.
                 </div>
                 <div className="settings-actions">
                     <button className="action-btn remove" onClick={() => onRemove(qubitIndex, gateIndex)}>Remove Control</button>
@@ -103,17 +232,95 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
     }
 
     const gateInfo = GATES[gate.gate] || gate;
+
+    if (gateInfo.isMeasurement) {
+        const targetBit = gate.classicalBit ?? qubitIndex;
+        return (
+            <div className="gate-settings" ref={rootRef} onKeyDown={handleSettingsKeyDown}>
+                <div className="settings-header">
+                    <div className="gate-badge" style={{ '--gate-color': gate.color }}>{gate.label}</div>
+                    <span className="gate-name">{gateInfo.description}</span>
+                </div>
+                <div className="control-section">
+                    <span className="settings-description">Write outcome to</span>
+                    <div className="control-select">
+                        {Array.from({ length: numQubits }, (_, i) => i).map(bit => (
+                            <button
+                                key={bit}
+                                className={`control-qubit-btn ${targetBit === bit ? 'active' : ''}`}
+                                onClick={() => onUpdate(qubitIndex, gateIndex, { ...gate, classicalBit: bit })}
+                            >
+                                c[{bit}]
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="settings-actions">
+                    <button className="action-btn remove" onClick={() => onRemove(qubitIndex, gateIndex)}>Remove</button>
+                </div>
+            </div>
+        );
+    }
+
+    if (gateInfo.isNoise) {
+        const probability = gate.probability ?? gateInfo.defaultProbability;
+        return (
+            <div className="gate-settings" ref={rootRef} onKeyDown={handleSettingsKeyDown}>
+                <div className="settings-header">
+                    <div className="gate-badge" style={{ '--gate-color': gate.color }}>{gate.label}</div>
+                    <span className="gate-name">{gateInfo.description}</span>
+                </div>
+                <div className="param-section">
+                    <div className="param-sliders">
+                        <div className="slider-row">
+                            <label title="Probability (strength) of the channel">p</label>
+                            <input
+                                type="range"
+                                min={0}
+                                max={1}
+                                step={0.01}
+                                value={probability}
+                                onPointerDown={() => { sliderGestureRef.current += 1; }}
+                                onKeyDown={() => { sliderGestureRef.current += 1; }}
+                                onChange={e => onUpdate(qubitIndex, gateIndex, withNoiseProbability(gate, parseFloat(e.target.value)), {
+                                    coalesce: `noise:${qubitIndex}:${gateIndex}:${sliderGestureRef.current}`
+                                })}
+                                aria-label="Noise probability"
+                            />
+                            <span className="slider-value">{probability.toFixed(2)}</span>
+                        </div>
+                    </div>
+                </div>
+                <div className="settings-description">
+                    While the circuit holds a noise channel it is simulated with density matrices, and the Bloch vector of a noisy qubit shrinks inside the sphere.
+                </div>
+                <div className="settings-actions">
+                    <button className="action-btn remove" onClick={() => onRemove(qubitIndex, gateIndex)}>Remove</button>
+                </div>
+            </div>
+        );
+    }
+
+    const isTwoQubit = gateInfo.numQubits === 2;
+    const isCustom = isCustomGate(gate);
+    const customDefinition = isCustom ? findCustomGate(customGates, gate.name) : null;
     const isParametric = gate.gate === 'U' || gateInfo.showDecomposition;
     const canDecompose = gate.gate !== 'U' && gateInfo.defaultDecomposition;
+    const canEnterMatrix = !isTwoQubitGate(gate) && !isCustomGate(gate) && (isParametric || canDecompose);
 
     const handleParamStringChange = (key, value) => setParamStrings(prev => ({ ...prev, [key]: value }));
 
     const handleParamBlur = (key) => {
-        const parsed = parsePiNotation(paramStrings[key]);
+        const parsed = readAngle(paramStrings[key]);
+        // Unreadable text goes back to the value; unchanged text is left alone so the shown rounding does not stick
+        if (parsed === null || paramStrings[key] === formatAngle(params[key])) {
+            setParamStrings(prev => ({ ...prev, [key]: formatAngle(params[key]) }));
+            return;
+        }
         const newDecomp = { ...params, [key]: parsed };
         setParams(newDecomp);
         // Sync matrix with decomposition
-        const newMatrix = createU3Matrix(newDecomp.theta, newDecomp.phi, newDecomp.lambda);
+        const newMatrix = createU3Matrix(newDecomp.theta, newDecomp.phi, newDecomp.lambda, newDecomp.globalPhase);
         onUpdate(qubitIndex, gateIndex, { ...gate, decomposition: newDecomp, matrix: newMatrix });
     };
 
@@ -121,38 +328,57 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
         const numValue = parseFloat(value);
         const newDecomp = { ...params, [key]: numValue };
         setParams(newDecomp);
-        setParamStrings(prev => ({ ...prev, [key]: toPiNotation(numValue) }));
+        setParamStrings(prev => ({ ...prev, [key]: formatAngle(numValue) }));
         // Sync matrix with decomposition
-        const newMatrix = createU3Matrix(newDecomp.theta, newDecomp.phi, newDecomp.lambda);
-        onUpdate(qubitIndex, gateIndex, { ...gate, decomposition: newDecomp, matrix: newMatrix });
+        const newMatrix = createU3Matrix(newDecomp.theta, newDecomp.phi, newDecomp.lambda, newDecomp.globalPhase);
+        onUpdate(qubitIndex, gateIndex, { ...gate, decomposition: newDecomp, matrix: newMatrix }, {
+            coalesce: `slider:${qubitIndex}:${gateIndex}:${key}:${sliderGestureRef.current}`
+        });
     };
 
+    const controls = getGateControls(gate);
+    const controlOn = (q) => controls.find(c => c.qubit === q);
+
     const handleControlChange = (checked) => {
         setIsControlled(checked);
         if (!checked) {
-            setControlQubit(-1);
-            onUpdate(qubitIndex, gateIndex, { ...gate, controlIndex: null });
+            onUpdate(qubitIndex, gateIndex, { ...gate, controls: [] });
+        }
+    };
+
+    // Each qubit button cycles: not a control → closed control (●) → open control (○) → not a control
+    const handleControlQubitCycle = (q) => {
+        const current = controlOn(q);
+        let nextControls;
+        if (!current) nextControls = [...controls, { qubit: q, open: false }];
+        else if (!current.open) nextControls = controls.map(c => (c.qubit === q ? { ...c, open: true } : c));
+        else nextControls = controls.filter(c => c.qubit !== q);
+        onUpdate(qubitIndex, gateIndex, { ...gate, controls: nextControls });
+
+        // Trigger control signal animation when a control is added
+        if (!current && onControlSignal) {
+            const hasKickback = gateHasPhaseKickbackPotential(gate);
+            onControlSignal(q, qubitIndex, hasKickback, gateIndex, gate);
         }
     };
 
-    const handleControlQubitChange = (value) => {
-        const ctrl = parseInt(value);
-        setControlQubit(ctrl);
-        if (ctrl >= 0) {
-            onUpdate(qubitIndex, gateIndex, { ...gate, controlIndex: ctrl });
-            // Trigger control signal animation
-            if (onControlSignal) {
-                const hasKickback = gateHasPhaseKickbackPotential(gate);
-                onControlSignal(ctrl, qubitIndex, hasKickback, gateIndex, gate);
-            }
+    const handleAngleBlur = () => {
+        const current = gate.angle ?? 0;
+        const angle = readAngle(angleString);
+        if (angle === null || angleString === formatAngle(current)) {
+            setAngleString(formatAngle(current));
+            return;
         }
+        setAngleString(formatAngle(angle));
+        onUpdate(qubitIndex, gateIndex, withGateAngle(gate, angle));
     };
 
     const handleDecompose = () => {
         if (gateInfo.defaultDecomposition) {
-            // Switch to U gate, keep same matrix and decomposition
+            // Switch to U gate, keep same matrix and decomposition (rotation gates drop their angle)
+            const { angle: _angle, ...rest } = gate;
             onUpdate(qubitIndex, gateIndex, {
-                ...gate,
+                ...rest,
                 gate: 'U',
                 label: 'U',
                 color: GATES.U.color,
@@ -162,15 +388,39 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
         }
     };
 
-    const availableControlQubits = Array.from({ length: numQubits }, (_, i) => i).filter(i => i !== qubitIndex);
+    const condition = gate.condition || null;
+
+    const handleConditionToggle = (checked) => {
+        onUpdate(qubitIndex, gateIndex, { ...gate, condition: checked ? { bit: 0, value: 1 } : null });
+    };
+
+    const handleConditionChange = (changes) => {
+        onUpdate(qubitIndex, gateIndex, { ...gate, condition: { ...condition, ...changes } });
+    };
+
+    // Fixed and rotation gates show the phase their matrix carries on top of U(θ, φ, λ); U gates edit it as γ
+    const fixedGlobalPhase = !isParametric && !isTwoQubit && !isCustom && gate.decomposition ? getU3GlobalPhase(gate) : 0;
+
+    const availableControlQubits = Array.from({ length: numQubits }, (_, i) => i)
+        .filter(i => i !== qubitIndex && !(isTwoQubit && i === gate.partner) && !(isCustom && gate.wires.includes(i)));
 
     return (
-        <div className="gate-settings">
+        <div className="gate-settings" ref={rootRef} onKeyDown={handleSettingsKeyDown}>
             <div className="settings-header">
                 <div className="gate-badge" style={{ '--gate-color': gate.color }}>{gate.label}</div>
                 <span className="gate-name">{gateInfo.description}</span>
             </div>
 
+            {Math.abs(fixedGlobalPhase) > 1e-9 && (
+                <div className="settings-description" title="Invisible on its own, a relative phase once the gate is controlled">
+                    Global phase γ = {formatAngle(fixedGlobalPhase)}: matrix = e^(iγ) · U({formatAngle(gate.decomposition.theta)}, {formatAngle(gate.decomposition.phi)}, {formatAngle(gate.decomposition.lambda)})
+                </div>
+            )}
+
+            {customDefinition && onRedefineCustomGate && (
+                <CustomGateDefinition definition={customDefinition} onRedefine={onRedefineCustomGate} />
+            )}
+
             {isParametric && (
                 <div className="param-section">
                     <div className="param-header">
@@ -183,26 +433,27 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
 
                     {useSliders ? (
                         <div className="param-sliders">
-                            {['theta', 'phi', 'lambda'].map(key => {
+                            {PARAM_KEYS.map(key => {
                                 const tooltips = {
                                     theta: 'Tips the state vector away from the Z-axis (Y rotation)',
                                     phi: 'Rotates around the Z-axis after tilting',
-                                    lambda: 'Rotates the starting point in XY plane before tilting'
+                                    lambda: 'Rotates the starting point in XY plane before tilting',
+                                    globalPhase: 'Global phase e^(iγ): invisible on its own, a relative phase once the gate is controlled'
                                 };
                                 return (
                                     <div key={key} className="slider-row">
-                                        <label title={tooltips[key]}>{key === 'theta' ? 'θ' : key === 'phi' ? 'φ' : 'λ'}</label>
-                                        <input type="range" min={-Math.PI} max={Math.PI} step={0.001} value={params[key]} onChange={e => handleSliderChange(key, e.target.value)} />
-                                        <span className="slider-value">{toPiNotation(params[key])}</span>
+                                        <label title={tooltips[key]}>{PARAM_SYMBOLS[key]}</label>
+                                        <input type="range" min={-Math.PI} max={Math.PI} step={0.001} value={params[key]} onPointerDown={() => { sliderGestureRef.current += 1; }} onKeyDown={() => { sliderGestureRef.current += 1; }} onChange={e => handleSliderChange(key, e.target.value)} />
+                                        <span className="slider-value">{formatAngle(params[key])}</span>
                                     </div>
                                 );
                             })}
                         </div>
                     ) : (
                         <div className="param-grid">
-                            {['theta', 'phi', 'lambda'].map(key => (
+                            {PARAM_KEYS.map(key => (
                                 <div key={key} className="param-row">
-                                    <label>{key === 'theta' ? 'θ' : key === 'phi' ? 'φ' : 'λ'}</label>
+                                    <label>{PARAM_SYMBOLS[key]}</label>
                                     <input type="text" value={paramStrings[key]} onChange={e => handleParamStringChange(key, e.target.value)} onBlur={() => handleParamBlur(key)} placeholder="π/4..." />
                                 </div>
                             ))}
@@ -211,7 +462,51 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
                 </div>
             )}
 
-            {numQubits > 1 && !gate.isBarrier && (
+            {canEnterMatrix && (
+                <label className="slider-toggle matrix-toggle">
+                    <input type="checkbox" checked={showMatrix} onChange={e => setShowMatrix(e.target.checked)} />
+                    <span>Enter matrix</span>
+                </label>
+            )}
+            {canEnterMatrix && showMatrix && (
+                <MatrixEntry
+                    gate={gate}
+                    onApply={(matrixGate) => onUpdate(qubitIndex, gateIndex, { ...matrixGate, controls: gate.controls, condition: gate.condition })}
+                />
+            )}
+
+            {isTwoQubit && (
+                <div className="control-section">
+                    <span className="settings-description">Second qubit</span>
+                    <div className="control-select">
+                        {availableControlQubits.concat(gate.partner).sort((a, b) => a - b).map(q => (
+                            <button
+                                key={q}
+                                className={`control-qubit-btn ${gate.partner === q ? 'active' : ''}`}
+                                onClick={() => onUpdate(qubitIndex, gateIndex, { ...gate, partner: q })}
+                            >
+                                q[{q}]
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {gateInfo.hasAngle && (
+                <div className="param-section">
+                    <div className="param-header">
+                        <span>Angle</span>
+                    </div>
+                    <div className="param-grid">
+                        <div className="param-row">
+                            <label>θ</label>
+                            <input type="text" value={angleString} onChange={e => setAngleString(e.target.value)} onBlur={handleAngleBlur} onKeyDown={e => e.key === 'Enter' && e.target.blur()} placeholder="π/4..." />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {availableControlQubits.length > 0 && !gate.isBarrier && !isTwoQubit && (
                 <div className="control-section">
                     <label className="control-toggle">
                         <input type="checkbox" checked={isControlled} onChange={e => handleControlChange(e.target.checked)} />
@@ -219,22 +514,61 @@ export default function GateSettings({ gate, gateIndex, qubitIndex, onRemove, on
                     </label>
                     {isControlled && (
                         <div className="control-select">
-                            {availableControlQubits.map(q => (
-                                <button
-                                    key={q}
-                                    className={`control-qubit-btn ${controlQubit === q ? 'active' : ''}`}
-                                    onClick={() => handleControlQubitChange(q)}
-                                >
-                                    q[{q}]
-                                </button>
-                            ))}
+                            {availableControlQubits.map(q => {
+                                const ctrl = controlOn(q);
+                                return (
+                                    <button
+                                        key={q}
+                                        className={`control-qubit-btn ${ctrl ? 'active' : ''} ${ctrl?.open ? 'open' : ''}`}
+                                        onClick={() => handleControlQubitCycle(q)}
+                                        title="Click to cycle: control on |1⟩ (●), control on |0⟩ (○), none"
+                                    >
+                                        {ctrl ? (ctrl.open ? '○ ' : '● ') : ''}q[{q}]
+                                    </button>
+                                );
+                            })}
                         </div>
                     )}
                 </div>
             )}
 
+            <div className="control-section">
+                <label className="control-toggle condition-toggle">
+                    <input type="checkbox" checked={!!condition} onChange={e => handleConditionToggle(e.target.checked)} />
+                    <span>Classically controlled</span>
+                </label>
+                {condition && (
+                    <div className="control-select">
+                        {Array.from({ length: numQubits }, (_, i) => i).map(bit => (
+                            <button
+                                key={bit}
+                                className={`control-qubit-btn condition ${condition.bit === bit ? 'active' : ''}`}
+                                onClick={() => handleConditionChange({ bit })}
+                            >
+                                c[{bit}]
+                            </button>
+                        ))}
+                        {[0, 1].map(value => (
+                            <button
+                                key={`value-${value}`}
+                                className={`control-qubit-btn condition ${condition.value === value ? 'active' : ''}`}
+                                onClick={() => handleConditionChange({ value })}
+                                title={`Fire when c[${condition.bit}] = ${value}`}
+                            >
+                                = {value}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
             <div className="settings-actions">
                 {canDecompose && <button className="action-btn decompose" onClick={handleDecompose}>→ U</button>}
+                {isCustom && onExpandCustomGate && (
+                    <button className="action-btn decompose" onClick={() => onExpandCustomGate(qubitIndex, gateIndex)} title="Replace this instance by the gates inside it">
+                        Expand
+                    </button>
+                )}
                 <button className="action-btn remove" onClick={() => onRemove(qubitIndex, gateIndex)}>Remove</button>
             </div>
         </div>
@@ -0,0 +1,165 @@
+import { useState, useMemo, useRef } from 'react';
+import { getQubitNoise, withQubitNoise, getCircuitGateTypes } from './noiseModel';
+import { MAX_DENSITY_QUBITS } from './densityMatrix';
+import './NoiseModelPanel.css';
+
+const DURATION_FIELDS = [
+    { key: 'singleQubit', label: '1q', title: 'Duration of a single-qubit gate (ns)' },
+    { key: 'twoQubit', label: '2q', title: 'Duration of a gate on two or more qubits, controls included (ns)' },
+    { key: 'measure', label: 'M', title: 'Duration of a measurement (ns)' }
+];
+
+// Text typed into a field, read as a value for the model; undefined when it cannot be one
+const readTime = (text) => {
+    if (text.trim() === '') return null; // No decay
+    const value = Number(text);
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+};
+const readDuration = (text) => {
+    const value = Number(text);
+    return text.trim() !== '' && Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+const readProbability = (text) => {
+    if (text.trim() === '') return 0;
+    const value = Number(text);
+    return Number.isFinite(value) && value >= 0 && value <= 1 ? value : undefined;
+};
+
+/**
+ * Field that keeps what is being typed and reports the value whenever it reads as one.
+ * Text that cannot be read is shown as invalid and leaves the model alone.
+ * The keystrokes of one visit to the field make one undo step; the next visit starts another.
+ */
+function ModelField({ value, read, onChange, title, placeholder, coalesce }) {
+    const visitRef = useRef(0); // Counts focus visits, so separate edits of the field do not merge
+    const shown = value === null ? '' : String(value);
+    const [text, setText] = useState(shown);
+    const [lastShown, setLastShown] = useState(shown);
+    // Follow changes made elsewhere (undo, an opened workspace) unless they came from this field
+    if (shown !== lastShown) {
+        setLastShown(shown);
+        if (read(text) !== value) setText(shown);
+    }
+    const invalid = read(text) === undefined;
+
+    return (
+        <input
+            type="text"
+            className={invalid ? 'invalid' : ''}
+            value={text}
+            title={title}
+            placeholder={placeholder}
+            onFocus={() => { visitRef.current += 1; }}
+            onChange={e => {
+                setText(e.target.value);
+                const next = read(e.target.value);
+                if (next !== undefined && next !== value) onChange(next, { coalesce: `${coalesce}:${visitRef.current}` });
+            }}
+        />
+    );
+}
+
+export default function NoiseModelPanel({ noiseModel, circuits, onUpdate }) {
+    const [collapsed, setCollapsed] = useState(true);
+    const gateTypes = useMemo(() => getCircuitGateTypes(circuits), [circuits]);
+    // The model needs the density-matrix backend, which wider circuits do not get
+    const tooWide = circuits.length > MAX_DENSITY_QUBITS;
+
+    const setEnabled = (enabled) => onUpdate({ ...noiseModel, enabled });
+    const setQubit = (qubit, field) => (value, options) => onUpdate(withQubitNoise(noiseModel, qubit, { [field]: value }), options);
+    const setDuration = (key) => (value, options) => onUpdate({ ...noiseModel, durations: { ...noiseModel.durations, [key]: value } }, options);
+    const setGateError = (type) => (value, options) => onUpdate({ ...noiseModel, gateErrors: { ...noiseModel.gateErrors, [type]: value } }, options);
+
+    return (
+        <div className="noise-model-panel">
+            <div className="noise-model-header">
+                <h3 className="noise-model-title">Noise model</h3>
+                <div className="noise-model-actions">
+                    {tooWide && (
+                        <span className="noise-model-warning" title={`The noise model is only simulated on circuits of up to ${MAX_DENSITY_QUBITS} qubits`}>
+                            off above {MAX_DENSITY_QUBITS} qubits
+                        </span>
+                    )}
+                    <label className="noise-model-toggle" title="Apply the noise model after every gate of the circuit">
+                        <input type="checkbox" checked={noiseModel.enabled} onChange={e => setEnabled(e.target.checked)} />
+                        on
+                    </label>
+                    <button className="collapse-btn" onClick={() => setCollapsed(!collapsed)} title={collapsed ? 'Expand' : 'Collapse'}>
+                        {collapsed ? '▼' : '▲'}
+                    </button>
+                </div>
+            </div>
+            {!collapsed && (
+                <div className={`noise-model-body ${noiseModel.enabled && !tooWide ? '' : 'disabled'}`}>
+                    <div className="noise-model-section">
+                        <span className="noise-model-caption">Gate durations (ns)</span>
+                        <div className="noise-model-row">
+                            {DURATION_FIELDS.map(({ key, label, title }) => (
+                                <label key={key}>
+                                    {label}
+                                    <ModelField
+                                        value={noiseModel.durations[key]}
+                                        read={readDuration}
+                                        onChange={setDuration(key)}
+                                        title={title}
+                                        coalesce={`noise-model:duration:${key}`}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="noise-model-section">
+                        <span className="noise-model-caption">Qubits: T1, T2 (μs, empty for none) and readout error</span>
+                        {circuits.map((_, q) => {
+                            const { t1, t2, readoutError } = getQubitNoise(noiseModel, q);
+                            return (
+                                <div key={q} className="noise-model-row">
+                                    <span className="noise-model-qubit">q[{q}]</span>
+                                    <label>
+                                        T1
+                                        <ModelField value={t1} read={readTime} onChange={setQubit(q, 't1')} placeholder="∞" coalesce={`noise-model:t1:${q}`} title="Energy relaxation time (μs)" />
+                                    </label>
+                                    <label>
+                                        T2
+                                        <ModelField value={t2} read={readTime} onChange={setQubit(q, 't2')} placeholder="∞" coalesce={`noise-model:t2:${q}`} title="Dephasing time (μs), at most 2·T1" />
+                                    </label>
+                                    <label>
+                                        p
+                                        <ModelField value={readoutError} read={readProbability} onChange={setQubit(q, 'readoutError')} placeholder="0" coalesce={`noise-model:readout:${q}`} title="Probability that a readout of this qubit is flipped" />
+                                    </label>
+                                    {t1 !== null && t2 !== null && t2 > 2 * t1 && (
+                                        <span className="noise-model-warning" title="T2 cannot exceed 2·T1; it is capped there">T2 &gt; 2·T1</span>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <div className="noise-model-section">
+                        <span className="noise-model-caption">Depolarizing error per gate type</span>
+                        {gateTypes.length === 0 ? (
+                            <div className="noise-model-empty">Place gates to set their error</div>
+                        ) : (
+                            <div className="noise-model-row wrap">
+                                {gateTypes.map(type => (
+                                    <label key={type}>
+                                        {type}
+                                        <ModelField
+                                            value={noiseModel.gateErrors[type] ?? 0}
+                                            read={readProbability}
+                                            onChange={setGateError(type)}
+                                            placeholder="0"
+                                            title={`Depolarizing probability on every qubit a ${type} gate touches`}
+                                            coalesce={`noise-model:gate:${type}`}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -3,17 +3,26 @@ import './ProbabilityBars.css';
 
 const VIEW_MODES = ['all', 'presence', 'compact'];
 const MODE_LABELS = { all: 'All', presence: 'Presence', compact: 'Compact' };
+// With a noise model on: the noisy distribution, the ideal one, or both side by side
+const DISTRIBUTIONS = ['noisy', 'ideal', 'both'];
+const DISTRIBUTION_LABELS = { noisy: 'Noisy', ideal: 'Ideal', both: 'Ideal | Noisy' };
 
-export default function ProbabilityBars({ probabilities, allProbabilities }) {
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+// distribution is set while a noise model is on, and allProbabilities is then the noisy distribution;
+// idealProbabilities only arrives once the chosen distribution needs it
+export default function ProbabilityBars({ probabilities, allProbabilities, idealProbabilities = null, distribution = null, onChangeDistribution }) {
     const [viewMode, setViewMode] = useState('presence');
+    const shownDistribution = distribution && idealProbabilities ? distribution : 'noisy';
+    const sourceProbs = shownDistribution === 'ideal' ? idealProbabilities : allProbabilities;
 
     const displayProbs = useMemo(() => {
         if (viewMode === 'all') {
-            return allProbabilities;
+            return sourceProbs;
         }
 
         // Filter out zeros
-        const nonZero = allProbabilities.filter(p => p.probability > 0.001);
+        const nonZero = sourceProbs.filter(p => p.probability > 0.001);
 
         if (viewMode === 'presence') {
             return nonZero;
@@ -32,33 +41,60 @@ export default function ProbabilityBars({ probabilities, allProbabilities }) {
             ...top5,
             { state: '**', probability: othersSum, isOthers: true }
         ];
-    }, [viewMode, allProbabilities]);
+    }, [viewMode, sourceProbs]);
+
+    // Ideal probability of each shown row, for the side-by-side view
+    const idealForRows = useMemo(() => {
+        if (shownDistribution !== 'both') return null;
+        const ideal = new Map(idealProbabilities.map(({ state, probability }) => [state, probability]));
+        const shownTotal = displayProbs.reduce((sum, { state, isOthers }) => (isOthers ? sum : sum + (ideal.get(state) ?? 0)), 0);
+        return displayProbs.map(({ state, isOthers }) => (isOthers ? Math.max(0, 1 - shownTotal) : ideal.get(state) ?? 0));
+    }, [shownDistribution, idealProbabilities, displayProbs]);
 
     const cycleMode = () => {
         const idx = VIEW_MODES.indexOf(viewMode);
         setViewMode(VIEW_MODES[(idx + 1) % VIEW_MODES.length]);
     };
 
+    const cycleDistribution = () => {
+        const idx = DISTRIBUTIONS.indexOf(distribution);
+        onChangeDistribution(DISTRIBUTIONS[(idx + 1) % DISTRIBUTIONS.length]);
+    };
+
     return (
         <div className="probability-bars">
             <div className="prob-header">
                 <h3 className="prob-title">Probabilities</h3>
-                <button className="mode-toggle" onClick={cycleMode} title="Click to cycle view mode">
-                    {MODE_LABELS[viewMode]}
-                </button>
+                <div className="prob-actions">
+                    {distribution && (
+                        <button className="mode-toggle" onClick={cycleDistribution} title="Show the distribution with the noise model, without it, or both">
+                            {DISTRIBUTION_LABELS[distribution]}
+                        </button>
+                    )}
+                    <button className="mode-toggle" onClick={cycleMode} title="Click to cycle view mode">
+                        {MODE_LABELS[viewMode]}
+                    </button>
+                </div>
             </div>
 
             <div className="prob-container styled-scrollbar">
-                {displayProbs.map(({ state, probability, isOthers }) => (
-                    <div key={state} className={`prob-row ${probability < 0.001 ? 'zero-prob' : ''} ${isOthers ? 'others' : ''}`}>
+                {displayProbs.map(({ state, probability, isOthers }, row) => (
+                    <div
+                        key={state}
+                        className={`prob-row ${probability < 0.001 ? 'zero-prob' : ''} ${isOthers ? 'others' : ''}`}
+                        title={idealForRows ? `ideal ${formatPercent(idealForRows[row])}, noisy ${formatPercent(probability)}` : undefined}
+                    >
                         <span className="prob-label">|{state}⟩</span>
-                        <div className="prob-bar-track">
+                        <div className={`prob-bar-track ${idealForRows ? 'compare' : ''}`}>
+                            {idealForRows && (
+                                <div className="prob-bar ideal-bar" style={{ width: `${idealForRows[row] * 100}%` }} />
+                            )}
                             <div
                                 className={`prob-bar ${isOthers ? 'others-bar' : ''}`}
                                 style={{ width: `${probability * 100}%` }}
                             />
                         </div>
-                        <span className="prob-value">{(probability * 100).toFixed(1)}%</span>
+                        <span className="prob-value">{formatPercent(probability)}</span>
                     </div>
                 ))}
                 {displayProbs.length === 0 && (
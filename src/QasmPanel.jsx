@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { exportQasm, importQasm } from './qasm';
+import { exportQasm3, importQasm3 } from './qasm3';
+import './QasmPanel.css';
+
+// The text's own OPENQASM header decides which parser reads it
+const isQasm3 = (text) => /^\s*OPENQASM\s+3/m.test(text);
+
+export default function QasmPanel({ circuits, barriers, customGates, onLoadCircuit }) {
+    const [text, setText] = useState('');
+    const [version, setVersion] = useState('3.0');
+    const [error, setError] = useState(null);
+    const [warnings, setWarnings] = useState([]);
+    const [inputs, setInputs] = useState([]); // [{ name, value }] with value as typed, e.g. "pi/2"
+    const [collapsed, setCollapsed] = useState(true);
+    const [copyStatus, setCopyStatus] = useState(null); // 'copied' | 'failed' briefly after "Copy"
+
+    const handleExport = () => {
+        try {
+            setText(version === '3.0' ? exportQasm3(circuits, barriers, customGates) : exportQasm(circuits, barriers, customGates));
+            setError(null);
+            setWarnings([]);
+            setInputs([]);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleImport = () => {
+        try {
+            if (isQasm3(text)) {
+                const bound = Object.fromEntries(inputs.map(({ name, value }) => [name, value]));
+                const result = importQasm3(text, { inputs: bound });
+                onLoadCircuit(result);
+                setWarnings(result.warnings);
+                setInputs(result.inputs.map(({ name }) => ({ name, value: bound[name] ?? '' })));
+            } else {
+                onLoadCircuit(importQasm(text));
+                setWarnings([]);
+                setInputs([]);
+            }
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleCopy = () => {
+        if (!text) return;
+        // navigator.clipboard is missing outside secure contexts, and writeText rejects without permission
+        (navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('no clipboard')))
+            .then(() => setCopyStatus('copied'), () => setCopyStatus('failed'))
+            .finally(() => setTimeout(() => setCopyStatus(null), 1500));
+    };
+
+    const handleInputChange = (name, value) => {
+        setInputs(prev => prev.map(input => (input.name === name ? { ...input, value } : input)));
+    };
+
+    return (
+        <div className="qasm-panel">
+            <div className="qasm-header">
+                <h3 className="qasm-title">OpenQASM</h3>
+                <div className="qasm-actions">
+                    {!collapsed && (
+                        <>
+                            <button
+                                className="mode-toggle"
+                                onClick={() => setVersion(version === '3.0' ? '2.0' : '3.0')}
+                                title="OpenQASM version used by Export (Import reads the version from the text)"
+                            >
+                                v{version}
+                            </button>
+                            <button className="mode-toggle" onClick={handleExport} title="Write the current circuit as OpenQASM">Export</button>
+                            <button className="mode-toggle" onClick={handleImport} title="Replace the circuit with the OpenQASM below">Import</button>
+                            <button className="mode-toggle" onClick={handleCopy} disabled={!text}>
+                                {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy'}
+                            </button>
+                        </>
+                    )}
+                    <button className="collapse-btn" onClick={() => setCollapsed(!collapsed)} title={collapsed ? 'Expand' : 'Collapse'}>
+                        {collapsed ? '▼' : '▲'}
+                    </button>
+                </div>
+            </div>
+            {!collapsed && (
+                <>
+                    <textarea
+                        className="qasm-text styled-scrollbar"
+                        value={text}
+                        onChange={e => { setText(e.target.value); setError(null); }}
+                        placeholder={'OPENQASM 3.0;\ninclude "stdgates.inc";\nqubit[2] q;\nh q[0];\nctrl @ x q[0], q[1];'}
+                        spellCheck={false}
+                    />
+                    {inputs.length > 0 && (
+                        <div className="qasm-inputs">
+                            {inputs.map(({ name, value }) => (
+                                <label key={name} title={`Value of input ${name} (Enter to import again)`}>
+                                    {name} =
+                                    <input
+                                        type="text"
+                                        value={value}
+                                        placeholder="0"
+                                        onChange={e => handleInputChange(name, e.target.value)}
+                                        onKeyDown={e => { if (e.key === 'Enter') handleImport(); }}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    {error && <div className="qasm-error">{error}</div>}
+                    {warnings.length > 0 && (
+                        <ul className="qasm-warnings">
+                            {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
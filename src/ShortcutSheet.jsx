@@ -0,0 +1,29 @@
+import { SHORTCUT_GROUPS } from './shortcuts';
+import './ShortcutSheet.css';
+
+export default function ShortcutSheet({ onClose }) {
+    return (
+        <div className="shortcut-sheet" role="dialog" aria-label="Keyboard shortcuts">
+            <div className="shortcut-sheet-header">
+                <span className="shortcut-sheet-title">Keyboard</span>
+                <span className="shortcut-sheet-hint">Click the circuit or Tab to it, then:</span>
+                <button className="collapse-btn" onClick={onClose} title="Close">×</button>
+            </div>
+            <div className="shortcut-groups">
+                {SHORTCUT_GROUPS.map(group => (
+                    <div key={group.title} className="shortcut-group">
+                        <h4 className="shortcut-group-title">{group.title}</h4>
+                        {group.shortcuts.map(({ keys, action }) => (
+                            <div key={action} className="shortcut-row">
+                                <span className="shortcut-keys">
+                                    {keys.map(key => <kbd key={key}>{key}</kbd>)}
+                                </span>
+                                <span className="shortcut-action">{action}</span>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,84 @@
+import { useState, useMemo } from 'react';
+import { sampleShots } from './sampling';
+import './ShotsPanel.css';
+
+// branches: the whole circuit's branches, not the animation frame's
+// readoutErrors: per-qubit flip probabilities of the final readout while a noise model is on
+export default function ShotsPanel({ branches, numQubits, hasMeasurements, readoutErrors = null, selectedOutcome, onSelectOutcome }) {
+    const [shotsInput, setShotsInput] = useState('1024');
+    const [seedInput, setSeedInput] = useState('1');
+    const [run, setRun] = useState(null); // { shots, seed } of the last "Run" click
+
+    // Re-sampled with the same seed whenever the circuit changes, so results never go stale
+    const counts = useMemo(() => {
+        if (!run || !branches || branches.length === 0) return null;
+        return sampleShots(branches, {
+            shots: run.shots,
+            seed: run.seed,
+            numQubits,
+            useClassicalRegister: hasMeasurements,
+            readoutErrors
+        });
+    }, [run, branches, numQubits, hasMeasurements, readoutErrors]);
+
+    const handleRun = () => {
+        const shots = Math.min(Math.max(parseInt(shotsInput) || 1, 1), 100000);
+        const seed = parseInt(seedInput) || 0;
+        setShotsInput(String(shots));
+        setRun({ shots, seed });
+    };
+
+    const handleRowClick = (outcome) => {
+        if (!hasMeasurements || !onSelectOutcome) return;
+        onSelectOutcome(selectedOutcome === outcome ? null : outcome);
+    };
+
+    return (
+        <div className="shots-panel">
+            <div className="shots-header">
+                <h3 className="shots-title">Shots</h3>
+                <div className="shots-controls">
+                    <label title="Number of shots">
+                        N
+                        <input type="text" value={shotsInput} onChange={e => setShotsInput(e.target.value)} />
+                    </label>
+                    <label title="PRNG seed (same seed, same samples)">
+                        seed
+                        <input type="text" value={seedInput} onChange={e => setSeedInput(e.target.value)} />
+                    </label>
+                    <button className="mode-toggle" onClick={handleRun}>Run</button>
+                </div>
+            </div>
+
+            {counts ? (
+                <div className="shots-container styled-scrollbar">
+                    {counts.map(({ outcome, count }) => (
+                        <div
+                            key={outcome}
+                            className={`shots-row ${hasMeasurements ? 'selectable' : ''} ${selectedOutcome === outcome ? 'selected' : ''}`}
+                            onClick={() => handleRowClick(outcome)}
+                            title={hasMeasurements ? 'Click to show the state for this outcome' : undefined}
+                        >
+                            <span className="shots-label">{hasMeasurements ? `c=${outcome}` : `|${outcome}⟩`}</span>
+                            <div className="shots-bar-track">
+                                <div className="shots-bar" style={{ width: `${(count / run.shots) * 100}%` }} />
+                            </div>
+                            <span className="shots-value">{count}</span>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="shots-empty">
+                    {hasMeasurements ? 'Run shots to sample the classical register' : 'Run shots to sample a final readout of all qubits'}
+                </div>
+            )}
+
+            {selectedOutcome !== null && selectedOutcome !== undefined && (
+                <div className="shots-selection">
+                    <span>Showing outcome c={selectedOutcome}</span>
+                    <button className="collapse-btn" onClick={() => onSelectOutcome(null)} title="Show all outcomes">×</button>
+                </div>
+            )}
+        </div>
+    );
+}
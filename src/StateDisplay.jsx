@@ -1,4 +1,7 @@
 import React, { useState } from 'react';
+import { getGlobalPhase } from './statevector';
+import { getPurity } from './densityMatrix';
+import AmplitudeTable from './AmplitudeTable';
 import './StateDisplay.css';
 
 /**
@@ -40,6 +43,25 @@ const formatStateString = (state) => {
     return parts;
 };
 
+/**
+ * Build the non-zero terms of the full statevector, q[0] as the leftmost bit
+ */
+const getStatevectorTerms = (statevector, maxTerms = 8) => {
+    if (!statevector || statevector.length < 2) return [];
+    const numQubits = Math.round(Math.log2(statevector.length));
+    const terms = [];
+    statevector.forEach((amp, i) => {
+        const coef = formatComplex(amp);
+        if (coef !== '0') {
+            terms.push({ coef, ket: `|${i.toString(2).padStart(numQubits, '0')}⟩` });
+        }
+    });
+    if (terms.length > maxTerms) {
+        return [...terms.slice(0, maxTerms), { coef: '…', ket: '' }];
+    }
+    return terms;
+};
+
 /**
  * Format phase angle for display
  */
@@ -57,12 +79,24 @@ const getTotalPhases = (rotations) => {
     for (const r of rotations || []) {
         lambda += r.lambda || 0;
         phi += r.phi || 0;
+        if (r.axis === 'z') phi += r.angle;
     }
     return { lambda, phi };
 };
 
-function StateDisplay({ qubitStates }) {
+function StateDisplay({ qubitStates, statevector, branches, selectedBasis = null, onSelectBasisState }) {
     const [collapsed, setCollapsed] = useState(false);
+    const [showTable, setShowTable] = useState(false);
+
+    // The picked row only marks the circuit while the table it was picked in is on screen
+    const toggleTable = () => {
+        if (showTable) onSelectBasisState?.(null);
+        setShowTable(!showTable);
+    };
+    const toggleCollapsed = () => {
+        if (!collapsed) onSelectBasisState?.(null);
+        setCollapsed(!collapsed);
+    };
 
     if (!qubitStates || qubitStates.length === 0) {
         return null;
@@ -72,16 +106,73 @@ function StateDisplay({ qubitStates }) {
         <div className="state-display">
             <div className="state-display-header">
                 <h4>Mathematical State</h4>
-                <button
-                    className="collapse-btn"
-                    onClick={() => setCollapsed(!collapsed)}
-                    title={collapsed ? 'Expand' : 'Collapse'}
-                >
-                    {collapsed ? '▼' : '▲'}
-                </button>
+                <div className="state-display-actions">
+                    {!collapsed && statevector && (
+                        <button
+                            className="mode-toggle"
+                            onClick={toggleTable}
+                            title={showTable ? 'Show the state as kets' : 'Show every basis amplitude in a table'}
+                        >
+                            {showTable ? 'Kets' : 'Table'}
+                        </button>
+                    )}
+                    <button
+                        className="collapse-btn"
+                        onClick={toggleCollapsed}
+                        title={collapsed ? 'Expand' : 'Collapse'}
+                    >
+                        {collapsed ? '▼' : '▲'}
+                    </button>
+                </div>
             </div>
-            {!collapsed && (
+            {!collapsed && statevector && showTable && (
+                <AmplitudeTable statevector={statevector} selectedIndex={selectedBasis} onSelectBasisState={onSelectBasisState} />
+            )}
+            {!collapsed && !(statevector && showTable) && (
                 <div className="state-equations">
+                    {!statevector && branches && (branches.length > 1 || branches[0]?.rho) && branches.map((branch, bIdx) => (
+                        <div key={`branch-${bIdx}`} className="qubit-state-container full-state">
+                            {branches.length > 1 ? (
+                                <>
+                                    <span className="qubit-label" title="Classical register for this measurement branch">c={branch.classicalBits.join('')}</span>
+                                    <span className="branch-probability">{(branch.probability * 100).toFixed(0)}%</span>
+                                </>
+                            ) : <span className="qubit-label">ρ:</span>}
+                            {branch.rho ? (
+                                <span className="state-equation mixed-state" title="Noise channels leave a mixed state, simulated as a density matrix">
+                                    density matrix, purity Tr(ρ²) = {getPurity(branch.rho).toFixed(3)}
+                                </span>
+                            ) : <span className="state-equation">
+                                {getStatevectorTerms(branch.state).map((p, i) => (
+                                    <React.Fragment key={i}>
+                                        {i > 0 && <span className="operator"> + </span>}
+                                        <span className="coefficient">{p.coef}</span>
+                                        <span className="ket">{p.ket}</span>
+                                    </React.Fragment>
+                                ))}
+                            </span>}
+                        </div>
+                    ))}
+                    {statevector && statevector.length > 2 && (
+                        <div className="qubit-state-container full-state">
+                            <span className="qubit-label">|ψ⟩:</span>
+                            <span className="state-equation">
+                                {getStatevectorTerms(statevector).map((p, i) => (
+                                    <React.Fragment key={i}>
+                                        {i > 0 && <span className="operator"> + </span>}
+                                        <span className="coefficient">{p.coef}</span>
+                                        <span className="ket">{p.ket}</span>
+                                    </React.Fragment>
+                                ))}
+                            </span>
+                        </div>
+                    )}
+                    {statevector && (
+                        <div className="qubit-state-container global-phase-row" title="Global phase of the circuit's state, read off its first nonzero amplitude: invisible to measurement on its own">
+                            <span className="qubit-label">γ:</span>
+                            <span className="state-equation">e^(i·{formatPhase(getGlobalPhase(statevector)) || '0°'})</span>
+                        </div>
+                    )}
                     {qubitStates.map((branches, qIdx) => {
                         const branchList = branches && branches.length > 0 ? branches : [];
 
@@ -102,7 +193,11 @@ function StateDisplay({ qubitStates }) {
                                                 {branchList.length > 1 && (
                                                     <span className="branch-probability">{probPercent}%</span>
                                                 )}
-                                                <span className="state-equation">
+                                                {!branch.state && branch.coords ? (
+                                                    <span className="state-equation mixed-state" title="Entangled or mixed: no single-qubit ket exists">
+                                                        mixed, |r| = {branch.coords.length.toFixed(3)}, purity = {branch.coords.purity.toFixed(3)}
+                                                    </span>
+                                                ) : <span className="state-equation">
                                                     {Array.isArray(parts) ? parts.map((p, i) => (
                                                         <React.Fragment key={i}>
                                                             {i > 0 && <span className="operator"> + </span>}
@@ -110,7 +205,7 @@ function StateDisplay({ qubitStates }) {
                                                             <span className="ket">{p.ket}</span>
                                                         </React.Fragment>
                                                     )) : <span className="ket">{parts}</span>}
-                                                </span>
+                                                </span>}
                                                 {hasPhase && branchList.length > 1 && (
                                                     <span className="phase-indicator">
                                                         {lambdaStr && <span className="lambda-phase" title="Lambda phase">λ:{lambdaStr}</span>}
@@ -0,0 +1,136 @@
+import { useState, useMemo } from 'react';
+import { cAbs, cPhase, phaseColor } from './quantum';
+import { basisLabel } from './statevector';
+import { formatComplex } from './matrixInput';
+import { getUnitaryView, formatUnitaryText, formatUnitaryNumpy } from './unitaryView';
+import './UnitaryPanel.css';
+
+// Basis labels are drawn beside grids up to this size
+const MAX_LABELLED_SIZE = 16;
+
+const PHASE_LEGEND = `linear-gradient(to right, ${[-1, -0.5, 0, 0.5, 1].map(t => phaseColor(t * Math.PI)).join(', ')})`;
+
+// Column number typed into a range field; empty means the circuit's own edge
+const readColumn = (text, fallback) => {
+    if (text.trim() === '') return fallback;
+    const value = Number(text);
+    return Number.isInteger(value) && value >= 0 ? value : null;
+};
+
+function UnitaryGrid({ matrix }) {
+    const size = matrix.length;
+    const numQubits = Math.log2(size);
+    const labelled = size <= MAX_LABELLED_SIZE;
+    const margin = labelled ? numQubits * 0.55 + 0.4 : 0;
+
+    return (
+        <svg className="unitary-grid" viewBox={`${-margin} ${-margin} ${size + margin} ${size + margin}`}>
+            {labelled && Array.from({ length: size }, (_, i) => (
+                <g key={i} className="unitary-label">
+                    <text x={-0.2} y={i + 0.5} textAnchor="end" dominantBaseline="central">{basisLabel(i, numQubits)}</text>
+                    <text x={i + 0.5} y={-0.2} textAnchor="middle">{basisLabel(i, numQubits)}</text>
+                </g>
+            ))}
+            {matrix.map((row, r) => row.map((v, c) => {
+                const magnitude = Math.min(1, cAbs(v));
+                const side = 0.9 * Math.sqrt(magnitude); // Area follows |u|
+                return (
+                    <g key={`${r}-${c}`}>
+                        <rect className="unitary-cell" x={c} y={r} width={1} height={1} />
+                        {magnitude > 1e-9 && (
+                            <rect
+                                x={c + (1 - side) / 2}
+                                y={r + (1 - side) / 2}
+                                width={side}
+                                height={side}
+                                fill={phaseColor(cPhase(v))}
+                            />
+                        )}
+                        <title>{`⟨${basisLabel(r, numQubits)}|U|${basisLabel(c, numQubits)}⟩ = ${formatComplex(v)}`}</title>
+                    </g>
+                );
+            }))}
+        </svg>
+    );
+}
+
+export default function UnitaryPanel({ circuits }) {
+    const [collapsed, setCollapsed] = useState(true);
+    const [fromText, setFromText] = useState('');
+    const [toText, setToText] = useState('');
+    const [copyStatus, setCopyStatus] = useState(null); // { format: 'text' | 'numpy', result: 'copied' | 'failed' } briefly after a copy
+
+    const lastColumn = Math.max(0, ...circuits.map(row => row.length - 1));
+    const fromSlot = readColumn(fromText, 0);
+    const toSlot = readColumn(toText, lastColumn);
+
+    const view = useMemo(() => {
+        if (collapsed) return null;
+        if (fromSlot === null || toSlot === null) return { error: 'Columns are whole numbers from 0' };
+        if (fromSlot > toSlot) return { error: 'The first column comes after the last one' };
+        return getUnitaryView(circuits, { fromSlot, toSlot });
+    }, [collapsed, circuits, fromSlot, toSlot]);
+
+    const copy = (format, text) => {
+        // navigator.clipboard is missing outside secure contexts, and writeText rejects without permission
+        (navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('no clipboard')))
+            .then(() => setCopyStatus({ format, result: 'copied' }), () => setCopyStatus({ format, result: 'failed' }))
+            .finally(() => setTimeout(() => setCopyStatus(null), 1500));
+    };
+    const copyLabel = (format, label) => {
+        if (copyStatus?.format !== format) return label;
+        return copyStatus.result === 'copied' ? 'Copied' : 'Copy failed';
+    };
+
+    return (
+        <div className="unitary-panel">
+            <div className="unitary-header">
+                <h3 className="unitary-title">Unitary</h3>
+                <div className="unitary-actions">
+                    {!collapsed && (
+                        <>
+                            <button className="mode-toggle" onClick={() => copy('text', formatUnitaryText(view.matrix))} disabled={!view?.matrix} title="Copy the matrix as rows of entries">
+                                {copyLabel('text', 'Copy')}
+                            </button>
+                            <button className="mode-toggle" onClick={() => copy('numpy', formatUnitaryNumpy(view.matrix))} disabled={!view?.matrix} title="Copy the matrix as a NumPy array">
+                                {copyLabel('numpy', 'NumPy')}
+                            </button>
+                        </>
+                    )}
+                    <button className="collapse-btn" onClick={() => setCollapsed(!collapsed)} title={collapsed ? 'Expand' : 'Collapse'}>
+                        {collapsed ? '▼' : '▲'}
+                    </button>
+                </div>
+            </div>
+            {!collapsed && (
+                <>
+                    <div className="unitary-range">
+                        <label title="First column included (empty for the start of the circuit)">
+                            columns
+                            <input type="text" value={fromText} placeholder="0" onChange={e => setFromText(e.target.value)} />
+                        </label>
+                        <label title="Last column included (empty for the end of the circuit)">
+                            to
+                            <input type="text" value={toText} placeholder={String(lastColumn)} onChange={e => setToText(e.target.value)} />
+                        </label>
+                    </div>
+                    {view.error ? (
+                        <div className="unitary-empty">{view.error}</div>
+                    ) : (
+                        <>
+                            <UnitaryGrid matrix={view.matrix} />
+                            <div className="unitary-legend">
+                                <span>size |u|, color arg u:</span>
+                                <span className="unitary-legend-bar" style={{ background: PHASE_LEGEND }} />
+                                <span>-π … π</span>
+                                <span className="unitary-phase" title="The grid shows U without this global phase">
+                                    U = e^(i·{(view.globalPhase * 180 / Math.PI).toFixed(1)}°) · shown
+                                </span>
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
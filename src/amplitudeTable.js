@@ -0,0 +1,54 @@
+// Rows of the amplitude table: every basis amplitude of the statevector
+// The statevector is indexed with q[0] as the most significant bit (big-endian labels, |q0 q1 … ⟩).
+// Little-endian labels read the other way round, q[0] rightmost as Qiskit prints them; the row's
+// index into the statevector stays the same either way.
+
+import { cAbs, cPhase } from './quantum.js';
+import { basisLabel } from './statevector.js';
+
+// Label of a basis state in the chosen qubit order
+export const formatBasisLabel = (index, numQubits, littleEndian = false) => {
+    const label = basisLabel(index, numQubits);
+    return littleEndian ? [...label].reverse().join('') : label;
+};
+
+// Bit of each qubit in a basis state, q[0] first
+export const getBasisBits = (index, numQubits) => [...basisLabel(index, numQubits)].map(Number);
+
+// Numeric columns the table sorts by; any other sort is by label
+const SORT_KEYS = {
+    magnitude: row => row.magnitude,
+    phase: row => row.phase
+};
+
+/**
+ * Table rows [{ index, label, re, im, magnitude, probability, phase }] for a statevector.
+ * Amplitudes with magnitude below hideBelow are left out. Rows sort by their label in the chosen
+ * order ('basis'), by 'magnitude' or by 'phase', ties keeping basis order.
+ */
+export const getAmplitudeRows = (statevector, { littleEndian = false, hideBelow = 0, sortBy = 'basis', descending = false } = {}) => {
+    const numQubits = Math.round(Math.log2(statevector.length));
+    const rows = statevector
+        .map((amp, index) => {
+            const magnitude = cAbs(amp);
+            return {
+                index,
+                label: formatBasisLabel(index, numQubits, littleEndian),
+                re: amp.re,
+                im: amp.im,
+                magnitude,
+                probability: magnitude * magnitude,
+                phase: magnitude > 1e-12 ? cPhase(amp) : 0
+            };
+        })
+        .filter(row => row.magnitude >= hideBelow);
+
+    const byLabel = (a, b) => (a.label < b.label ? -1 : a.label > b.label ? 1 : 0);
+    const sign = descending ? -1 : 1;
+    if (!SORT_KEYS[sortBy]) return rows.sort((a, b) => sign * byLabel(a, b));
+    const key = SORT_KEYS[sortBy];
+    return rows.sort((a, b) => {
+        const diff = key(a) - key(b);
+        return Math.abs(diff) > 1e-9 ? sign * diff : byLabel(a, b);
+    });
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cFromPolar, formatAngle } from './quantum.js';
+import { getAmplitudeRows, formatBasisLabel, getBasisBits } from './amplitudeTable.js';
+
+const SQRT1_2 = Math.SQRT1_2;
+
+// 3 qubits: 0.6|000⟩ + 0.8i/√2 |001⟩ - 0.8/√2 |100⟩
+const state = [
+    complex(0.6), complex(0, 0.8 * SQRT1_2), complex(0), complex(0),
+    complex(-0.8 * SQRT1_2), complex(0), complex(0), complex(0)
+];
+
+describe('amplitude table', () => {
+    it('lists every amplitude with its magnitude and phase', () => {
+        const rows = getAmplitudeRows(state);
+        expect(rows).toHaveLength(8);
+        expect(rows.map(r => r.label)).toEqual(['000', '001', '010', '011', '100', '101', '110', '111']);
+        expect(rows[1]).toMatchObject({ index: 1, re: 0 });
+        expect(rows[1].magnitude).toBeCloseTo(0.8 * SQRT1_2, 12);
+        expect(rows[1].probability).toBeCloseTo(0.32, 12);
+        expect(rows[1].phase).toBeCloseTo(Math.PI / 2, 12);
+        expect(rows[4].phase).toBeCloseTo(Math.PI, 12);
+        expect(rows[2].phase).toBe(0);
+    });
+
+    it('hides amplitudes near zero', () => {
+        expect(getAmplitudeRows(state, { hideBelow: 1e-6 }).map(r => r.index)).toEqual([0, 1, 4]);
+    });
+
+    it('reverses the labels for little-endian order, keeping statevector indices', () => {
+        const rows = getAmplitudeRows(state, { littleEndian: true, hideBelow: 1e-6 });
+        // |100⟩ (q[0] = 1) reads 001 with q[0] rightmost, so it sorts before |001⟩
+        expect(rows.map(r => [r.index, r.label])).toEqual([[0, '000'], [4, '001'], [1, '100']]);
+        expect(formatBasisLabel(6, 3, true)).toBe('011');
+        expect(getBasisBits(6, 3)).toEqual([1, 1, 0]);
+    });
+
+    it('sorts by magnitude and phase', () => {
+        const options = { hideBelow: 1e-6 };
+        expect(getAmplitudeRows(state, { ...options, sortBy: 'magnitude', descending: true }).map(r => r.index)).toEqual([0, 1, 4]);
+        expect(getAmplitudeRows(state, { ...options, sortBy: 'magnitude' }).map(r => r.index)).toEqual([1, 4, 0]);
+        expect(getAmplitudeRows(state, { ...options, sortBy: 'phase' }).map(r => r.index)).toEqual([0, 1, 4]);
+        expect(getAmplitudeRows(state, { sortBy: 'basis', descending: true })[0].label).toBe('111');
+    });
+
+    it('names phases in multiples of π', () => {
+        const phases = [Math.PI, -Math.PI / 2, 3 * Math.PI / 4, Math.PI / 3, -5 * Math.PI / 6, Math.PI / 8, 0, 1];
+        expect(phases.map(formatAngle)).toEqual(['π', '-π/2', '3π/4', 'π/3', '-5π/6', 'π/8', '0', '1.00']);
+        expect(formatAngle(getAmplitudeRows([cFromPolar(1, -Math.PI / 4), complex(0)])[0].phase)).toBe('-π/4');
+    });
+});
@@ -0,0 +1,132 @@
+// Local autosave: the last session and a short list of named recent circuits in localStorage
+// Entries hold workspace objects (see workspace.js), so they migrate like saved files. Anything
+// that no longer loads (corrupted JSON, a newer format, broken cells) is removed on read instead
+// of being offered again. Storage failures (private mode, full quota) are ignored: autosave is a
+// convenience and must never break editing.
+
+import { serializeWorkspace, loadWorkspace } from './workspace.js';
+
+const SESSION_KEY = 'qbits.session';
+const RECENT_KEY = 'qbits.recent';
+export const MAX_RECENT_CIRCUITS = 8;
+
+const getDefaultStorage = () => {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch {
+        return null; // Access itself throws when storage is disabled
+    }
+};
+
+// Parsed JSON under key: null when absent, undefined when unreadable
+const readJson = (storage, key) => {
+    try {
+        const text = storage.getItem(key);
+        return text === null ? null : JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+};
+
+const writeJson = (storage, key, value) => {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const removeKey = (storage, key) => {
+    try {
+        storage.removeItem(key);
+    } catch {
+        // Nothing to clean up if storage is unavailable
+    }
+};
+
+// Qubit and gate counts for listing a workspace (control dots and partner cells are not gates)
+export const summarizeWorkspace = ({ circuits }) => ({
+    numQubits: circuits.length,
+    gateCount: circuits.flat().filter(cell => cell && cell.gate !== 'CONTROL' && cell.gate !== 'PARTNER').length
+});
+
+// { savedAt, workspace } entry -> { savedAt, state } or null when it does not load
+const readEntry = (entry) => {
+    if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.savedAt)) return null;
+    try {
+        return { savedAt: entry.savedAt, state: loadWorkspace(entry.workspace) };
+    } catch {
+        return null;
+    }
+};
+
+// ── Last session ──
+
+export const saveSession = (state, storage = getDefaultStorage()) => {
+    if (!storage) return false;
+    return writeJson(storage, SESSION_KEY, { savedAt: Date.now(), workspace: serializeWorkspace(state) });
+};
+
+/**
+ * The autosaved session as { savedAt, state, numQubits, gateCount }, or null when there is none.
+ * A session that fails to load is discarded.
+ */
+export const loadSession = (storage = getDefaultStorage()) => {
+    if (!storage) return null;
+    const raw = readJson(storage, SESSION_KEY);
+    if (raw === null) return null;
+    const entry = readEntry(raw);
+    if (!entry) {
+        removeKey(storage, SESSION_KEY);
+        return null;
+    }
+    return { ...entry, ...summarizeWorkspace(entry.state) };
+};
+
+// ── Recent circuits ──
+
+// Stored entries that still load, rewriting the list when some had to be dropped
+const readRecentEntries = (storage) => {
+    const raw = readJson(storage, RECENT_KEY);
+    if (raw === null) return [];
+    const list = Array.isArray(raw) ? raw : [];
+    const valid = list.filter(entry => typeof entry?.name === 'string' && entry.name && readEntry(entry));
+    if (valid.length !== list.length || !Array.isArray(raw)) {
+        if (valid.length > 0) writeJson(storage, RECENT_KEY, valid);
+        else removeKey(storage, RECENT_KEY);
+    }
+    return valid;
+};
+
+// [{ name, savedAt, numQubits, gateCount }], most recent first
+export const listRecentCircuits = (storage = getDefaultStorage()) => {
+    if (!storage) return [];
+    return readRecentEntries(storage).map(entry => {
+        const { savedAt, state } = readEntry(entry);
+        return { name: entry.name, savedAt, ...summarizeWorkspace(state) };
+    });
+};
+
+// Keep the state under name (replacing an entry with the same name), dropping the oldest past the limit
+export const keepRecentCircuit = (name, state, storage = getDefaultStorage()) => {
+    const trimmed = name.trim();
+    if (!storage || !trimmed) return false;
+    const entries = readRecentEntries(storage).filter(entry => entry.name !== trimmed);
+    const entry = { name: trimmed, savedAt: Date.now(), workspace: serializeWorkspace(state) };
+    return writeJson(storage, RECENT_KEY, [entry, ...entries].slice(0, MAX_RECENT_CIRCUITS));
+};
+
+// App state of a recent circuit, or null when it is gone
+export const loadRecentCircuit = (name, storage = getDefaultStorage()) => {
+    if (!storage) return null;
+    const entry = readRecentEntries(storage).find(e => e.name === name);
+    return entry ? readEntry(entry).state : null;
+};
+
+export const removeRecentCircuit = (name, storage = getDefaultStorage()) => {
+    if (!storage) return;
+    const entries = readRecentEntries(storage).filter(entry => entry.name !== name);
+    if (entries.length > 0) writeJson(storage, RECENT_KEY, entries);
+    else removeKey(storage, RECENT_KEY);
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { createCircuitGate } from './quantum.js';
+import { WORKSPACE_VERSION } from './workspace.js';
+import {
+    MAX_RECENT_CIRCUITS, saveSession, loadSession, listRecentCircuits, keepRecentCircuit,
+    loadRecentCircuit, removeRecentCircuit
+} from './autosave.js';
+
+// In-memory stand-in for localStorage
+const createStorage = (initial = {}) => {
+    const data = new Map(Object.entries(initial));
+    return {
+        data,
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); }
+    };
+};
+
+const bellState = () => ({
+    circuits: [
+        [createCircuitGate('H'), { gate: 'CONTROL', targetIndex: 1, open: false }],
+        [null, { ...createCircuitGate('X'), controls: [{ qubit: 0, open: false }] }]
+    ],
+    barriers: [1],
+    initialStateMode: 'zero',
+    qubitVisibility: [true, true]
+});
+
+describe('autosaved session', () => {
+    it('restores the last saved session with a summary', () => {
+        const storage = createStorage();
+        expect(loadSession(storage)).toBeNull();
+        expect(saveSession(bellState(), storage)).toBe(true);
+
+        const session = loadSession(storage);
+        expect(session.numQubits).toBe(2);
+        expect(session.gateCount).toBe(2);
+        expect(session.state.barriers).toEqual([1]);
+        expect(session.state.circuits[1][1].controls).toEqual([{ qubit: 0, open: false }]);
+    });
+
+    it('discards corrupted and newer-format sessions', () => {
+        const corrupted = createStorage({ 'qbits.session': '{"savedAt": 1, "workspace": ' });
+        expect(loadSession(corrupted)).toBeNull();
+        expect(corrupted.data.has('qbits.session')).toBe(false);
+
+        const newer = createStorage({
+            'qbits.session': JSON.stringify({ savedAt: 1, workspace: { format: 'qbits-workspace', version: WORKSPACE_VERSION + 1, circuits: [[]] } })
+        });
+        expect(loadSession(newer)).toBeNull();
+        expect(newer.data.has('qbits.session')).toBe(false);
+    });
+
+    it('reports a failed write instead of throwing', () => {
+        const full = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+        expect(saveSession(bellState(), full)).toBe(false);
+    });
+});
+
+describe('recent circuits', () => {
+    it('keeps named circuits, most recent first, replacing equal names', () => {
+        const storage = createStorage();
+        keepRecentCircuit('Bell', bellState(), storage);
+        keepRecentCircuit('Empty', { ...bellState(), circuits: [[]], qubitVisibility: [true] }, storage);
+        keepRecentCircuit(' Bell ', bellState(), storage);
+
+        expect(listRecentCircuits(storage).map(({ name, gateCount }) => [name, gateCount])).toEqual([['Bell', 2], ['Empty', 0]]);
+        expect(loadRecentCircuit('Bell', storage).circuits[0][0].gate).toBe('H');
+
+        removeRecentCircuit('Bell', storage);
+        expect(listRecentCircuits(storage).map(c => c.name)).toEqual(['Empty']);
+        expect(loadRecentCircuit('Bell', storage)).toBeNull();
+    });
+
+    it(`holds at most ${MAX_RECENT_CIRCUITS} circuits`, () => {
+        const storage = createStorage();
+        for (let i = 0; i < MAX_RECENT_CIRCUITS + 2; i++) keepRecentCircuit(`c${i}`, bellState(), storage);
+        const names = listRecentCircuits(storage).map(c => c.name);
+        expect(names.length).toBe(MAX_RECENT_CIRCUITS);
+        expect(names[0]).toBe(`c${MAX_RECENT_CIRCUITS + 1}`);
+    });
+
+    it('drops entries that no longer load', () => {
+        const storage = createStorage();
+        keepRecentCircuit('Bell', bellState(), storage);
+        const entries = JSON.parse(storage.data.get('qbits.recent'));
+        storage.setItem('qbits.recent', JSON.stringify([{ name: 'Broken', savedAt: 1, workspace: { format: 'qbits-workspace', version: 1, circuits: [[{ gate: 'NOPE' }]] } }, ...entries]));
+
+        expect(listRecentCircuits(storage).map(c => c.name)).toEqual(['Bell']);
+        expect(JSON.parse(storage.data.get('qbits.recent')).length).toBe(1);
+
+        storage.setItem('qbits.recent', 'not json');
+        expect(listRecentCircuits(storage)).toEqual([]);
+        expect(storage.data.has('qbits.recent')).toBe(false);
+    });
+});
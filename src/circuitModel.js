@@ -0,0 +1,445 @@
+// Circuit model: the editing rules of the circuit grid as pure functions behind one reducer
+// The model is { circuits, barriers, customGates }: circuits[qubit][slot] holds a gate, one of the
+// cells a gate draws on other wires of its column (CONTROL dots, the PARTNER cells of two-qubit and
+// custom gates) or null; barriers lists the slots a barrier sits in front of; customGates holds the
+// custom gate definitions (see customGates.js). Every action returns a new model, or the same model
+// object when it changes nothing, so callers can skip no-op edits by identity.
+
+import { getGateControls, isTwoQubitGate, isCustomGate } from './quantum.js';
+import { MAX_QUBITS } from './statevector.js';
+import { createCustomGateInstance, refreshCustomGateInstance, findCustomGate } from './customGates.js';
+
+// ── Gate units: a gate plus the cells it draws on other wires in the same column ──
+
+export const isAttachedCell = (cell) => cell?.gate === 'CONTROL' || cell?.gate === 'PARTNER';
+
+// Wires holding a PARTNER cell of the gate: the partner of a two-qubit gate, the other wires of a custom gate
+const getPartnerWires = (gate) => {
+    if (isTwoQubitGate(gate) && gate.partner !== null) return [gate.partner];
+    if (isCustomGate(gate)) return gate.wires.slice(1);
+    return [];
+};
+
+// Wires a gate draws on besides its own: its partner wires, then one per control
+export const getUnitWires = (gate) => [...getPartnerWires(gate), ...getGateControls(gate).map(c => c.qubit)];
+
+// Qubit of the gate a cell belongs to (the cell's own qubit for a gate)
+export const findUnitTarget = (circuits, qubit, slot) => {
+    const cell = circuits[qubit]?.[slot];
+    return isAttachedCell(cell) ? cell.targetIndex : qubit;
+};
+
+// True when any wire the unit needs is already occupied at this slot
+export const isUnitBlocked = (rows, targetQi, gate, slot) =>
+    [targetQi, ...getUnitWires(gate)].some(q => rows[q][slot]);
+
+// Place a gate and draw its control dots / partner cells in the same column (mutates rows)
+export const placeGateUnit = (rows, targetQi, slot, gate) => {
+    rows[targetQi][slot] = gate;
+    for (const qubit of getPartnerWires(gate)) {
+        rows[qubit][slot] = { gate: 'PARTNER', targetIndex: targetQi };
+    }
+    for (const { qubit, open } of getGateControls(gate)) {
+        rows[qubit][slot] = { gate: 'CONTROL', targetIndex: targetQi, open: !!open };
+    }
+};
+
+// Remove a gate and its control dots / partner cells from a column, returning the gate (mutates rows)
+export const takeGateUnit = (rows, targetQi, slot) => {
+    const target = rows[targetQi][slot];
+    rows[targetQi][slot] = null;
+    for (const qubit of getUnitWires(target)) {
+        const cell = rows[qubit]?.[slot];
+        if (isAttachedCell(cell) && cell.targetIndex === targetQi) rows[qubit][slot] = null;
+    }
+    return target;
+};
+
+// Clear CONTROL and PARTNER cells whose gate no longer draws them (mutates rows)
+const dropOrphanCells = (rows) => {
+    rows.forEach((row, qubit) => row.forEach((cell, slot) => {
+        if (!isAttachedCell(cell)) return;
+        const target = rows[cell.targetIndex]?.[slot];
+        const owned = target && !isAttachedCell(target) && (cell.gate === 'CONTROL'
+            ? getGateControls(target).some(c => c.qubit === qubit)
+            : getPartnerWires(target).includes(qubit));
+        if (!owned) row[slot] = null;
+    }));
+};
+
+// Wire for one more control on the gate at (targetQi, slot): the nearest wire the unit does not use,
+// preferring wires that are free in this column (above before below on ties); null when none is left
+export const nextControlQubit = (circuits, targetQi, slot) => {
+    const gate = circuits[targetQi]?.[slot];
+    if (!gate || isAttachedCell(gate)) return null;
+    const used = [targetQi, ...getUnitWires(gate)];
+    const candidates = circuits.map((_, q) => q).filter(q => !used.includes(q));
+    const rank = (q) => [circuits[q][slot] ? 1 : 0, Math.abs(q - targetQi), q > targetQi ? 1 : 0];
+    candidates.sort((a, b) => {
+        const ra = rank(a);
+        const rb = rank(b);
+        return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+    });
+    return candidates.length > 0 ? candidates[0] : null;
+};
+
+// ── Column shifts ──
+
+const copyRows = (circuits) => circuits.map(row => [...row]);
+
+// Make room at fromSlot by moving every wire one slot right, barriers included
+const shiftColumnsRight = (model, fromSlot) => ({
+    ...model,
+    circuits: model.circuits.map(row => {
+        const next = [...row];
+        for (let s = next.length; s > fromSlot; s--) next[s] = next[s - 1];
+        next[fromSlot] = null;
+        return next;
+    }),
+    barriers: model.barriers.map(b => (b >= fromSlot ? b + 1 : b))
+});
+
+// Place a unit at slot of the (already copied) rows, first shifting all columns right when any of its
+// wires is occupied there
+const placeOrShift = (model, rows, targetQi, slot, gate) => {
+    let next = { ...model, circuits: rows };
+    if (isUnitBlocked(rows, targetQi, gate, slot)) next = shiftColumnsRight(next, slot);
+    placeGateUnit(next.circuits, targetQi, slot, gate);
+    return next;
+};
+
+// Wires top .. top + count - 1
+const wireRange = (top, count) => Array.from({ length: count }, (_, i) => top + i);
+
+// ── Actions ──
+
+export const createCircuitModel = (numQubits = 1) => ({
+    circuits: Array.from({ length: numQubits }, () => []),
+    barriers: [],
+    customGates: []
+});
+
+// Drop a gate onto a cell; two-qubit gates take the wire below as partner (or above on the last wire),
+// custom gates take the wires below, moving up when they would run past the last wire
+const insertGate = (model, qubit, slot, droppedGate) => {
+    let gate = droppedGate;
+    let targetQi = qubit;
+    if (isTwoQubitGate(gate)) {
+        if (model.circuits.length < 2) return model;
+        gate = { ...gate, partner: qubit + 1 < model.circuits.length ? qubit + 1 : qubit - 1 };
+    } else if (isCustomGate(gate)) {
+        const span = gate.wires.length;
+        if (model.circuits.length < span) return model;
+        targetQi = Math.min(qubit, model.circuits.length - span);
+        gate = { ...gate, wires: wireRange(targetQi, span) };
+    }
+    return placeOrShift(model, copyRows(model.circuits), targetQi, slot, gate);
+};
+
+// Removing a control dot detaches it from its gate; removing a gate or its partner end removes the whole unit
+const removeGate = (model, qubit, slot) => {
+    const cell = model.circuits[qubit]?.[slot];
+    if (!cell) return model;
+    const rows = copyRows(model.circuits);
+    if (cell.gate === 'CONTROL') {
+        const target = rows[cell.targetIndex]?.[slot];
+        if (target) rows[cell.targetIndex][slot] = { ...target, controls: getGateControls(target).filter(c => c.qubit !== qubit) };
+        rows[qubit][slot] = null;
+    } else {
+        takeGateUnit(rows, findUnitTarget(rows, qubit, slot), slot);
+    }
+    return { ...model, circuits: rows };
+};
+
+// Replace a gate, redrawing its controls and partners; controls on the gate's own wires are dropped
+const updateGate = (model, qubit, slot, newGate) => {
+    if (!model.circuits[qubit]?.[slot]) return model;
+    const ownWires = [qubit, ...getPartnerWires(newGate)];
+    const gate = { ...newGate, controls: getGateControls(newGate).filter(c => !ownWires.includes(c.qubit)) };
+    const rows = copyRows(model.circuits);
+    takeGateUnit(rows, qubit, slot);
+    return placeOrShift(model, rows, qubit, slot, gate);
+};
+
+// Move the unit owning the dragged cell to another cell. A gate moves with all of its control dots and
+// its partner. A dragged control dot re-wires that control to the drop qubit; a dragged end of a
+// two-qubit gate moves that end, and dropping it on the other end swaps them. A custom gate moves as a
+// whole, keeping the dragged wire under the pointer. Controls that land on one of the gate's own wires
+// (or duplicate another control) are removed.
+const moveGate = (model, from, to) => {
+    const dragged = model.circuits[from.qubit]?.[from.slot];
+    if (!dragged) return model;
+    const fromTargetQi = findUnitTarget(model.circuits, from.qubit, from.slot);
+    if (!model.circuits[fromTargetQi]?.[from.slot]) return model;
+
+    const rows = copyRows(model.circuits);
+    const unit = takeGateUnit(rows, fromTargetQi, from.slot);
+    let targetQi = dragged.gate === 'CONTROL' ? fromTargetQi : to.qubit;
+    let movedGate = unit;
+
+    if (isTwoQubitGate(unit)) {
+        if (dragged.gate === 'PARTNER') {
+            targetQi = to.qubit === fromTargetQi ? from.qubit : fromTargetQi;
+            movedGate = { ...unit, partner: to.qubit };
+        } else {
+            movedGate = { ...unit, partner: unit.partner === to.qubit ? from.qubit : unit.partner };
+        }
+    } else if (isCustomGate(unit) && dragged.gate !== 'CONTROL') {
+        const span = unit.wires.length;
+        targetQi = Math.max(0, Math.min(to.qubit - (from.qubit - fromTargetQi), rows.length - span));
+        movedGate = { ...unit, wires: wireRange(targetQi, span) };
+    }
+
+    let controls = getGateControls(unit);
+    if (dragged.gate === 'CONTROL') {
+        controls = controls.map(c => (c.qubit === from.qubit ? { ...c, qubit: to.qubit } : c));
+    }
+    const ownWires = [targetQi, ...getPartnerWires(movedGate)];
+    controls = controls.filter((c, i) =>
+        !ownWires.includes(c.qubit) && controls.findIndex(o => o.qubit === c.qubit) === i);
+
+    return placeOrShift(model, rows, targetQi, to.slot, { ...movedGate, controls });
+};
+
+// ── Blocks: several gate units copied, moved or pasted together ──
+// A block is { height, width, origin, units: [{ qubit, slot, gate }] } with unit positions, controls
+// and partners relative to the block's top-left cell (origin, where it was copied from). Control
+// links survive because every unit is taken whole, whichever of its cells was selected.
+
+const offsetGateWires = (gate, offset) => {
+    const moved = { ...gate, controls: getGateControls(gate).map(c => ({ ...c, qubit: c.qubit + offset })) };
+    if (isTwoQubitGate(gate)) moved.partner = gate.partner + offset;
+    if (isCustomGate(gate)) moved.wires = gate.wires.map(q => q + offset);
+    return moved;
+};
+
+// Distinct { qubit, slot } of the units owning the given cells (empty cells are skipped)
+export const getUnitTargets = (circuits, cells) => {
+    const targets = [];
+    for (const { qubit, slot } of cells) {
+        if (!circuits[qubit]?.[slot]) continue;
+        const targetQi = findUnitTarget(circuits, qubit, slot);
+        const target = circuits[targetQi]?.[slot];
+        if (!target || isAttachedCell(target)) continue;
+        if (!targets.some(t => t.qubit === targetQi && t.slot === slot)) targets.push({ qubit: targetQi, slot });
+    }
+    return targets;
+};
+
+// Block of the units owning the given cells, or null when they hold no gate
+export const copyBlock = (circuits, cells) => {
+    const targets = getUnitTargets(circuits, cells);
+    if (targets.length === 0) return null;
+    const wires = targets.flatMap(({ qubit, slot }) => [qubit, ...getUnitWires(circuits[qubit][slot])]);
+    const top = Math.min(...wires);
+    const left = Math.min(...targets.map(t => t.slot));
+    return {
+        height: Math.max(...wires) - top + 1,
+        width: Math.max(...targets.map(t => t.slot)) - left + 1,
+        origin: { qubit: top, slot: left },
+        units: targets.map(({ qubit, slot }) => ({
+            qubit: qubit - top,
+            slot: slot - left,
+            gate: offsetGateWires(circuits[qubit][slot], -top)
+        }))
+    };
+};
+
+// True when every cell inside the rectangle of copyBlock(circuits, cells) belongs to one of the units
+// owning the cells, so the block can be cut out without reordering it against other gates
+export const isBlockComplete = (circuits, cells) => {
+    const block = copyBlock(circuits, cells);
+    if (!block) return false;
+    const targets = getUnitTargets(circuits, cells);
+    for (let q = block.origin.qubit; q < block.origin.qubit + block.height; q++) {
+        for (let s = block.origin.slot; s < block.origin.slot + block.width; s++) {
+            if (!circuits[q]?.[s]) continue;
+            const targetQi = findUnitTarget(circuits, q, s);
+            if (!targets.some(t => t.qubit === targetQi && t.slot === s)) return false;
+        }
+    }
+    return true;
+};
+
+// Grid of a block: height rows, width columns, every unit drawn at its relative position
+export const getBlockCircuit = (block) => {
+    const rows = Array.from({ length: block.height }, () => Array(block.width).fill(null));
+    block.units.forEach(({ qubit, slot, gate }) => placeGateUnit(rows, qubit, slot, gate));
+    return rows;
+};
+
+// Block holding every unit of a circuit at its own position
+const getCircuitBlock = (circuits) => {
+    const units = [];
+    circuits.forEach((row, qubit) => row.forEach((cell, slot) => {
+        if (cell && !isAttachedCell(cell)) units.push({ qubit, slot, gate: cell });
+    }));
+    return {
+        height: circuits.length,
+        width: Math.max(0, ...circuits.map(row => row.length)),
+        origin: { qubit: 0, slot: 0 },
+        units
+    };
+};
+
+// Remove the units owning the given cells, control dots and partners included
+const removeBlock = (model, cells) => {
+    const targets = getUnitTargets(model.circuits, cells);
+    if (targets.length === 0) return model;
+    const rows = copyRows(model.circuits);
+    targets.forEach(({ qubit, slot }) => takeGateUnit(rows, qubit, slot));
+    return { ...model, circuits: rows };
+};
+
+// Paste a block with its top-left cell at (qubit, slot). Like inserting a gate, a column whose
+// wires are taken is first shifted right (with every wire and barrier after it), one block
+// column at a time, so the pasted gates keep their relative positions.
+const pasteBlock = (model, qubit, slot, block) => {
+    if (!block || qubit < 0 || slot < 0 || qubit + block.height > model.circuits.length) return model;
+    let next = { ...model, circuits: copyRows(model.circuits) };
+    for (let column = 0; column < block.width; column++) {
+        const placed = block.units
+            .filter(unit => unit.slot === column)
+            .map(unit => ({ targetQi: unit.qubit + qubit, gate: offsetGateWires(unit.gate, qubit) }));
+        if (placed.length === 0) continue;
+        const s = slot + column;
+        if (placed.some(p => isUnitBlocked(next.circuits, p.targetQi, p.gate, s))) next = shiftColumnsRight(next, s);
+        placed.forEach(p => placeGateUnit(next.circuits, p.targetQi, s, p.gate));
+    }
+    return next;
+};
+
+// Drag several units at once: they keep their relative positions
+const moveBlock = (model, cells, qubitOffset, slotOffset) => {
+    const block = copyBlock(model.circuits, cells);
+    if (!block || (qubitOffset === 0 && slotOffset === 0)) return model;
+    const removed = removeBlock(model, cells);
+    const pasted = pasteBlock(removed, block.origin.qubit + qubitOffset, block.origin.slot + slotOffset, block);
+    return pasted === removed ? model : pasted;
+};
+
+// ── Custom gates ──
+
+// Add a definition; with cells, the units owning them are replaced by one instance of it at the
+// top-left of their block (callers check isBlockComplete first)
+const defineCustomGate = (model, definition, cells = []) => {
+    if (findCustomGate(model.customGates, definition.name)) return model;
+    const next = { ...model, customGates: [...model.customGates, definition] };
+    const block = copyBlock(model.circuits, cells);
+    if (!block) return next;
+    const { circuits } = removeBlock(next, cells);
+    placeGateUnit(circuits, block.origin.qubit, block.origin.slot, createCustomGateInstance(definition, block.origin.qubit));
+    return { ...next, circuits };
+};
+
+// Replace a definition (same name) and bring every instance of it up to date
+const redefineCustomGate = (model, definition) => {
+    if (!findCustomGate(model.customGates, definition.name)) return model;
+    return {
+        ...model,
+        customGates: model.customGates.map(d => (d.name === definition.name ? definition : d)),
+        circuits: model.circuits.map(row => row.map(cell =>
+            (isCustomGate(cell) && cell.name === definition.name ? refreshCustomGateInstance(cell, definition) : cell)))
+    };
+};
+
+// Put the inner circuit of the custom gate owning a cell in its place. The gate's controls and
+// condition go onto every gate inside, so the expanded circuit does the same thing.
+const expandCustomGate = (model, qubit, slot) => {
+    const targetQi = findUnitTarget(model.circuits, qubit, slot);
+    const gate = model.circuits[targetQi]?.[slot];
+    const definition = isCustomGate(gate) ? findCustomGate(model.customGates, gate.name) : null;
+    if (!definition) return model;
+
+    const rows = copyRows(model.circuits);
+    takeGateUnit(rows, targetQi, slot);
+    const inner = getCircuitBlock(definition.circuits);
+    const outerControls = getGateControls(gate).map(c => ({ ...c, qubit: c.qubit - targetQi }));
+    const block = {
+        ...inner,
+        units: inner.units.map(unit => ({
+            ...unit,
+            gate: { ...unit.gate, controls: [...getGateControls(unit.gate), ...outerControls], condition: gate.condition ?? null }
+        }))
+    };
+    return pasteBlock({ ...model, circuits: rows }, targetQi, slot, block);
+};
+
+const addBarrier = (model, slot) => (model.barriers.includes(slot)
+    ? model
+    : { ...model, barriers: [...model.barriers, slot].sort((a, b) => a - b) });
+
+const removeBarrier = (model, slot) => (model.barriers.includes(slot)
+    ? { ...model, barriers: model.barriers.filter(b => b !== slot) }
+    : model);
+
+const addQubit = (model) => (model.circuits.length >= MAX_QUBITS ? model : { ...model, circuits: [...model.circuits, []] });
+
+// Remove a wire: higher wires move down by one, and controls, partners, conditions and classical bits
+// are renumbered. Gates lose controls on the removed wire; two-qubit and custom gates using it go away.
+const removeQubit = (model, qubit) => {
+    if (model.circuits.length <= 1 || qubit < 0 || qubit >= model.circuits.length) return model;
+    const remap = (i) => (i > qubit ? i - 1 : i);
+    const rows = model.circuits.filter((_, i) => i !== qubit).map(row => row.map(cell => {
+        if (!cell) return cell;
+        if (isAttachedCell(cell)) {
+            return cell.targetIndex === qubit ? null : { ...cell, targetIndex: remap(cell.targetIndex) };
+        }
+        if (isTwoQubitGate(cell) && cell.partner === qubit) return null;
+        if (isCustomGate(cell) && cell.wires.includes(qubit)) return null;
+
+        const updated = {
+            ...cell,
+            controls: getGateControls(cell).filter(c => c.qubit !== qubit).map(c => ({ ...c, qubit: remap(c.qubit) }))
+        };
+        if (isTwoQubitGate(cell)) updated.partner = remap(cell.partner);
+        if (isCustomGate(cell)) updated.wires = cell.wires.map(remap);
+        if (cell.condition) {
+            updated.condition = cell.condition.bit === qubit ? null : { ...cell.condition, bit: remap(cell.condition.bit) };
+        }
+        if (cell.classicalBit !== undefined && cell.classicalBit !== null) {
+            updated.classicalBit = cell.classicalBit === qubit ? null : remap(cell.classicalBit);
+        }
+        return updated;
+    }));
+    // Control dots and partner cells of a gate that lost one of its wires
+    dropOrphanCells(rows);
+    return { ...model, circuits: rows };
+};
+
+/**
+ * Apply one editing action to the model:
+ *   { type: 'insertGate', qubit, slot, gate }     drop a new gate (shifting columns when occupied)
+ *   { type: 'removeGate', qubit, slot }           remove the gate or control dot at a cell
+ *   { type: 'updateGate', qubit, slot, gate }     replace a gate, e.g. after editing its settings
+ *   { type: 'moveGate', from, to }                drag a cell ({ qubit, slot }) to another cell
+ *   { type: 'pasteBlock', qubit, slot, block }    paste a copyBlock result with its top-left at a cell
+ *   { type: 'removeBlock', cells }                remove every unit owning one of the cells
+ *   { type: 'moveBlock', cells, qubitOffset, slotOffset }
+ *   { type: 'addBarrier' | 'removeBarrier', slot }
+ *   { type: 'addQubit' } / { type: 'removeQubit', qubit }  addQubit does nothing at MAX_QUBITS wires
+ *   { type: 'defineCustomGate', definition, cells }  add a custom gate, replacing the units at cells by it
+ *   { type: 'redefineCustomGate', definition }    replace a custom gate's definition in every instance
+ *   { type: 'expandCustomGate', qubit, slot }     put a custom gate's inner circuit in its place
+ *   { type: 'load', circuits, barriers, customGates }  replace the whole circuit
+ */
+export const circuitReducer = (model, action) => {
+    switch (action.type) {
+        case 'insertGate': return insertGate(model, action.qubit, action.slot, action.gate);
+        case 'removeGate': return removeGate(model, action.qubit, action.slot);
+        case 'updateGate': return updateGate(model, action.qubit, action.slot, action.gate);
+        case 'moveGate': return moveGate(model, action.from, action.to);
+        case 'pasteBlock': return pasteBlock(model, action.qubit, action.slot, action.block);
+        case 'removeBlock': return removeBlock(model, action.cells);
+        case 'moveBlock': return moveBlock(model, action.cells, action.qubitOffset, action.slotOffset);
+        case 'addBarrier': return addBarrier(model, action.slot);
+        case 'removeBarrier': return removeBarrier(model, action.slot);
+        case 'addQubit': return addQubit(model);
+        case 'removeQubit': return removeQubit(model, action.qubit);
+        case 'defineCustomGate': return defineCustomGate(model, action.definition, action.cells);
+        case 'redefineCustomGate': return redefineCustomGate(model, action.definition);
+        case 'expandCustomGate': return expandCustomGate(model, action.qubit, action.slot);
+        case 'load': return { circuits: action.circuits, barriers: action.barriers, customGates: action.customGates ?? [] };
+        default: throw new Error(`Unknown circuit action "${action.type}"`);
+    }
+};
@@ -0,0 +1,311 @@
+import { describe, it, expect } from 'vitest';
+import { createCircuitGate, withGateAngle } from './quantum.js';
+import { createCircuitModel, circuitReducer, findUnitTarget, nextControlQubit, copyBlock, isBlockComplete, getBlockCircuit } from './circuitModel.js';
+import { MAX_QUBITS } from './statevector.js';
+import { createCustomGate, createCustomGateInstance, updateCustomGate } from './customGates.js';
+import { controlled, partnerCell } from './testUtils.js';
+
+const apply = (model, ...actions) => actions.reduce(circuitReducer, model);
+
+// Gate names per cell ('·' control, '~' partner, '-' empty) to compare grids at a glance
+const layout = ({ circuits }) => {
+    const width = Math.max(...circuits.map(row => row.length));
+    return circuits.map(row => Array.from({ length: width }, (_, slot) => {
+        const cell = row[slot];
+        if (!cell) return '-';
+        if (cell.gate === 'CONTROL') return `·${cell.targetIndex}`;
+        if (cell.gate === 'PARTNER') return `~${cell.targetIndex}`;
+        return cell.gate;
+    }).join(' '));
+};
+
+// Every attached cell belongs to a gate that draws it, and every gate draws all of its cells
+const expectConsistent = ({ circuits }) => {
+    circuits.forEach((row, qi) => row.forEach((cell, slot) => {
+        if (!cell) return;
+        if (cell.gate === 'CONTROL' || cell.gate === 'PARTNER') {
+            const target = circuits[cell.targetIndex]?.[slot];
+            expect(target, `owner of cell q${qi}/${slot}`).toBeTruthy();
+            if (cell.gate === 'CONTROL') expect(target.controls.map(c => c.qubit)).toContain(qi);
+            else if (target.gate === 'CUSTOM') expect(target.wires).toContain(qi);
+            else expect(target.partner).toBe(qi);
+            return;
+        }
+        (cell.controls || []).forEach(({ qubit }) => expect(circuits[qubit][slot]).toMatchObject({ gate: 'CONTROL', targetIndex: qi }));
+        if (cell.partner !== undefined) expect(circuits[cell.partner][slot]).toEqual(partnerCell(qi));
+        if (cell.wires) cell.wires.slice(1).forEach(wire => expect(circuits[wire][slot]).toEqual(partnerCell(qi)));
+    }));
+};
+
+// q0: H ·1     q1: -  X     q2: -  -
+const cnotModel = () => apply(createCircuitModel(3),
+    { type: 'insertGate', qubit: 0, slot: 0, gate: createCircuitGate('H') },
+    { type: 'insertGate', qubit: 1, slot: 1, gate: createCircuitGate('X') },
+    { type: 'updateGate', qubit: 1, slot: 1, gate: controlled('X', 0) });
+
+describe('circuit model: inserting and updating', () => {
+    it('shifts every wire and later barriers right when dropping onto an occupied cell', () => {
+        const model = apply(cnotModel(), { type: 'addBarrier', slot: 1 }, { type: 'addBarrier', slot: 2 },
+            { type: 'insertGate', qubit: 2, slot: 1, gate: createCircuitGate('Z') });
+        // q2 was free at slot 1, so nothing moves
+        expect(layout(model)).toEqual(['H ·1', '- X', '- Z']);
+
+        const shifted = circuitReducer(model, { type: 'insertGate', qubit: 0, slot: 1, gate: createCircuitGate('Y') });
+        expect(layout(shifted)).toEqual(['H Y ·1', '- - X', '- - Z']);
+        expect(shifted.barriers).toEqual([2, 3]);
+        expectConsistent(shifted);
+    });
+
+    it('pairs two-qubit gates with the wire below, or above on the last wire', () => {
+        const model = apply(createCircuitModel(2),
+            { type: 'insertGate', qubit: 0, slot: 0, gate: createCircuitGate('SWAP') },
+            { type: 'insertGate', qubit: 1, slot: 1, gate: withGateAngle(createCircuitGate('RZZ'), 0.5) });
+        expect(layout(model)).toEqual(['SWAP ~1', '~0 RZZ']);
+        expect(model.circuits[1][1].partner).toBe(0);
+        expectConsistent(model);
+
+        const single = createCircuitModel(1);
+        expect(circuitReducer(single, { type: 'insertGate', qubit: 0, slot: 0, gate: createCircuitGate('SWAP') })).toBe(single);
+    });
+
+    it('shifts columns when a new control lands on an occupied wire', () => {
+        const model = apply(cnotModel(), { type: 'insertGate', qubit: 2, slot: 0, gate: createCircuitGate('Z') });
+        const next = circuitReducer(model, { type: 'updateGate', qubit: 2, slot: 0, gate: controlled('Z', 0) });
+        expect(layout(next)).toEqual(['·2 H ·1', '- - X', 'Z - -']);
+        expectConsistent(next);
+    });
+
+    it('picks the nearest free wire for another control', () => {
+        // q0: H ·1   q1: - X   q2: - -   q3: - -
+        const model = circuitReducer(cnotModel(), { type: 'addQubit' });
+        expect(nextControlQubit(model.circuits, 1, 1)).toBe(2);
+        const withSecond = circuitReducer(model, { type: 'updateGate', qubit: 1, slot: 1, gate: controlled('X', 0, 2) });
+        expect(nextControlQubit(withSecond.circuits, 1, 1)).toBe(3);
+        // An occupied wire is used only when no free one is left
+        expect(nextControlQubit(model.circuits, 0, 0)).toBe(1);
+        expect(nextControlQubit(model.circuits, 0, 1)).toBeNull();
+    });
+
+    it('adds wires up to the qubit limit', () => {
+        const full = { ...createCircuitModel(), circuits: Array.from({ length: MAX_QUBITS - 1 }, () => []) };
+        const model = circuitReducer(full, { type: 'addQubit' });
+        expect(model.circuits).toHaveLength(MAX_QUBITS);
+        expect(circuitReducer(model, { type: 'addQubit' })).toBe(model);
+    });
+
+    it('drops controls on the gate\'s own wires', () => {
+        const model = circuitReducer(cnotModel(), { type: 'updateGate', qubit: 1, slot: 1, gate: controlled('X', 0, 1) });
+        expect(model.circuits[1][1].controls).toEqual([{ qubit: 0, open: false }]);
+    });
+});
+
+describe('circuit model: moving', () => {
+    it('moves a gate together with its control dots', () => {
+        const model = circuitReducer(cnotModel(), { type: 'moveGate', from: { qubit: 1, slot: 1 }, to: { qubit: 2, slot: 3 } });
+        expect(layout(model)).toEqual(['H - - ·2', '- - - -', '- - - X']);
+        expect(findUnitTarget(model.circuits, 0, 3)).toBe(2);
+        expectConsistent(model);
+    });
+
+    it('re-wires a dragged control dot and moves its gate to the drop column', () => {
+        const model = circuitReducer(cnotModel(), { type: 'moveGate', from: { qubit: 0, slot: 1 }, to: { qubit: 2, slot: 2 } });
+        expect(layout(model)).toEqual(['H - -', '- - X', '- - ·1']);
+        expect(model.circuits[1][2].controls).toEqual([{ qubit: 2, open: false }]);
+        expectConsistent(model);
+    });
+
+    it('removes a control dot dropped onto its own gate\'s wire without leaving it behind', () => {
+        const model = circuitReducer(cnotModel(), { type: 'moveGate', from: { qubit: 0, slot: 1 }, to: { qubit: 1, slot: 1 } });
+        expect(layout(model)).toEqual(['H -', '- X', '- -']);
+        expect(model.circuits[1][1].controls).toEqual([]);
+        expectConsistent(model);
+    });
+
+    it('moves the target onto its control\'s wire, dropping that control', () => {
+        const model = circuitReducer(cnotModel(), { type: 'moveGate', from: { qubit: 1, slot: 1 }, to: { qubit: 0, slot: 1 } });
+        expect(layout(model)).toEqual(['H X', '- -', '- -']);
+        expectConsistent(model);
+    });
+
+    it('swaps the ends of a two-qubit gate when one is dropped onto the other', () => {
+        const model = apply(createCircuitModel(3),
+            { type: 'insertGate', qubit: 0, slot: 0, gate: withGateAngle(createCircuitGate('RXX'), 0.5) },
+            { type: 'moveGate', from: { qubit: 1, slot: 0 }, to: { qubit: 0, slot: 0 } });
+        expect(layout(model)).toEqual(['~1', 'RXX', '-']);
+
+        const stretched = circuitReducer(model, { type: 'moveGate', from: { qubit: 0, slot: 0 }, to: { qubit: 2, slot: 0 } });
+        expect(layout(stretched)).toEqual(['-', 'RXX', '~1']);
+        expectConsistent(stretched);
+    });
+
+    it('shifts every wire when the moved unit needs an occupied cell', () => {
+        const model = apply(cnotModel(), { type: 'addBarrier', slot: 0 },
+            { type: 'moveGate', from: { qubit: 1, slot: 1 }, to: { qubit: 1, slot: 0 } });
+        expect(layout(model)).toEqual(['·1 H -', 'X - -', '- - -']);
+        expect(model.barriers).toEqual([1]);
+        expectConsistent(model);
+    });
+
+    it('ignores moves from empty cells', () => {
+        const model = cnotModel();
+        expect(circuitReducer(model, { type: 'moveGate', from: { qubit: 2, slot: 0 }, to: { qubit: 0, slot: 3 } })).toBe(model);
+    });
+});
+
+describe('circuit model: removing', () => {
+    it('detaches a removed control dot and removes a gate with its dots', () => {
+        const detached = circuitReducer(cnotModel(), { type: 'removeGate', qubit: 0, slot: 1 });
+        expect(layout(detached)).toEqual(['H -', '- X', '- -']);
+        expect(detached.circuits[1][1].controls).toEqual([]);
+
+        const removed = circuitReducer(cnotModel(), { type: 'removeGate', qubit: 1, slot: 1 });
+        expect(layout(removed)).toEqual(['H -', '- -', '- -']);
+    });
+
+    it('removes a whole two-qubit gate from its partner end', () => {
+        const model = apply(createCircuitModel(2),
+            { type: 'insertGate', qubit: 0, slot: 0, gate: createCircuitGate('SWAP') },
+            { type: 'removeGate', qubit: 1, slot: 0 });
+        expect(layout(model)).toEqual(['-', '-']);
+    });
+
+    it('renumbers controls, conditions and classical bits when a qubit is removed', () => {
+        const model = apply(createCircuitModel(3),
+            { type: 'insertGate', qubit: 2, slot: 0, gate: createCircuitGate('M') },
+            { type: 'updateGate', qubit: 2, slot: 0, gate: { ...createCircuitGate('M'), classicalBit: 2 } },
+            { type: 'insertGate', qubit: 2, slot: 1, gate: controlled('X') },
+            { type: 'updateGate', qubit: 2, slot: 1, gate: { ...controlled('X', 0, 1), condition: { bit: 2, value: 1 } } },
+            { type: 'removeQubit', qubit: 1 });
+        expect(layout(model)).toEqual(['- ·1', 'M X']);
+        expect(model.circuits[1][0].classicalBit).toBe(1);
+        expect(model.circuits[1][1].controls).toEqual([{ qubit: 0, open: false }]);
+        expect(model.circuits[1][1].condition).toEqual({ bit: 1, value: 1 });
+        expectConsistent(model);
+    });
+
+    it('leaves no control dots behind when a two-qubit gate loses its partner wire', () => {
+        const model = apply(createCircuitModel(3),
+            { type: 'insertGate', qubit: 1, slot: 0, gate: createCircuitGate('SWAP') },
+            { type: 'updateGate', qubit: 1, slot: 0, gate: { ...createCircuitGate('SWAP'), partner: 2, controls: [{ qubit: 0, open: false }] } },
+            { type: 'removeQubit', qubit: 2 });
+        expect(layout(model)).toEqual(['-', '-']);
+    });
+
+    it('keeps at least one qubit', () => {
+        const model = createCircuitModel(1);
+        expect(circuitReducer(model, { type: 'removeQubit', qubit: 0 })).toBe(model);
+    });
+});
+
+describe('circuit model: blocks', () => {
+    // q0: H ·1 -   q1: - X Z   q2: - - -
+    const blockModel = () => circuitReducer(cnotModel(), { type: 'insertGate', qubit: 1, slot: 2, gate: createCircuitGate('Z') });
+
+    it('copies whole units relative to the block\'s top-left, whichever cell was picked', () => {
+        // Picking the control dot brings its CNOT along
+        const block = copyBlock(blockModel().circuits, [{ qubit: 0, slot: 1 }, { qubit: 1, slot: 2 }, { qubit: 2, slot: 2 }]);
+        expect(block).toMatchObject({ height: 2, width: 2, origin: { qubit: 0, slot: 1 } });
+        expect(block.units.map(({ qubit, slot, gate }) => [qubit, slot, gate.gate])).toEqual([[1, 0, 'X'], [1, 1, 'Z']]);
+        expect(block.units[0].gate.controls).toEqual([{ qubit: 0, open: false }]);
+        expect(copyBlock(blockModel().circuits, [{ qubit: 2, slot: 0 }])).toBeNull();
+    });
+
+    it('pastes with control links moved along, shifting occupied columns like an insert', () => {
+        const model = apply(blockModel(), { type: 'addBarrier', slot: 2 });
+        const block = copyBlock(model.circuits, [{ qubit: 1, slot: 1 }, { qubit: 1, slot: 2 }]);
+
+        const below = circuitReducer(model, { type: 'pasteBlock', qubit: 1, slot: 0, block });
+        expect(layout(below)).toEqual(['H ·1 -', '·2 X Z', 'X Z -']);
+        expect(below.barriers).toEqual([2]);
+        expectConsistent(below);
+
+        // Each block column that lands on taken wires pushes the rest of the circuit right
+        const over = circuitReducer(model, { type: 'pasteBlock', qubit: 0, slot: 1, block });
+        expect(layout(over)).toEqual(['H ·1 - ·1 -', '- X Z X Z', '- - - - -']);
+        expect(over.barriers).toEqual([4]);
+        expectConsistent(over);
+
+        // Too close to the bottom for the block's two wires
+        expect(circuitReducer(model, { type: 'pasteBlock', qubit: 2, slot: 0, block })).toBe(model);
+    });
+
+    it('cuts and moves whole units', () => {
+        const cut = circuitReducer(blockModel(), { type: 'removeBlock', cells: [{ qubit: 0, slot: 1 }, { qubit: 0, slot: 0 }] });
+        expect(layout(cut)).toEqual(['- - -', '- - Z', '- - -']);
+
+        const moved = circuitReducer(blockModel(), { type: 'moveBlock', cells: [{ qubit: 1, slot: 1 }, { qubit: 1, slot: 2 }], qubitOffset: 1, slotOffset: 2 });
+        expect(layout(moved)).toEqual(['H - - - -', '- - - ·2 -', '- - - X Z']);
+        expectConsistent(moved);
+    });
+});
+
+describe('circuit model: custom gates', () => {
+    // q0: H ·1 -   q1: - X Z   q2: - - -, with everything on q0 and q1 made into one gate
+    const cells = [{ qubit: 0, slot: 0 }, { qubit: 1, slot: 1 }, { qubit: 1, slot: 2 }];
+    const blockModel = () => circuitReducer(cnotModel(), { type: 'insertGate', qubit: 1, slot: 2, gate: createCircuitGate('Z') });
+    const defineModel = () => {
+        const model = blockModel();
+        const definition = createCustomGate({ name: 'prep', circuits: getBlockCircuit(copyBlock(model.circuits, cells)) });
+        return circuitReducer(model, { type: 'defineCustomGate', definition, cells });
+    };
+
+    it('replaces a complete block by one instance spanning its wires', () => {
+        expect(isBlockComplete(blockModel().circuits, cells)).toBe(true);
+        // The CNOT sits inside the rectangle of H and Z without being selected
+        expect(isBlockComplete(blockModel().circuits, [{ qubit: 0, slot: 0 }, { qubit: 1, slot: 2 }])).toBe(false);
+
+        const model = defineModel();
+        expect(model.customGates.map(d => d.name)).toEqual(['prep']);
+        expect(layout(model)).toEqual(['CUSTOM - -', '~0 - -', '- - -']);
+        expect(model.circuits[0][0]).toMatchObject({ name: 'prep', wires: [0, 1] });
+        expectConsistent(model);
+    });
+
+    it('expands back into its gates, passing its controls on to each of them', () => {
+        const expanded = circuitReducer(defineModel(), { type: 'expandCustomGate', qubit: 1, slot: 0 });
+        expect(layout(expanded)).toEqual(layout(blockModel()));
+
+        const gate = { ...defineModel().circuits[0][0], controls: [{ qubit: 2, open: true }] };
+        const controlledModel = circuitReducer(defineModel(), { type: 'updateGate', qubit: 0, slot: 0, gate });
+        const expandedControlled = circuitReducer(controlledModel, { type: 'expandCustomGate', qubit: 0, slot: 0 });
+        expect(layout(expandedControlled)).toEqual(['H ·1 -', '- X Z', '·0 ·1 ·1']);
+        expect(expandedControlled.circuits[1][1].controls).toEqual([{ qubit: 0, open: false }, { qubit: 2, open: true }]);
+        expect(expandedControlled.customGates).toHaveLength(1); // The definition stays in the palette
+        expectConsistent(expandedControlled);
+    });
+
+    it('rewrites every instance when the definition changes', () => {
+        const model = apply(defineModel(), { type: 'insertGate', qubit: 1, slot: 1, gate: createCustomGateInstance(defineModel().customGates[0]) });
+        const redefinition = updateCustomGate(model.customGates[0], { label: 'X0', circuits: [[createCircuitGate('X')], [null]] });
+        const redefined = circuitReducer(model, { type: 'redefineCustomGate', definition: redefinition });
+        [redefined.circuits[0][0], redefined.circuits[1][1]].forEach(instance => {
+            expect(instance).toMatchObject({ label: 'X0', matrix: redefinition.matrix });
+        });
+        expect(redefined.circuits[1][1].wires).toEqual([1, 2]);
+    });
+
+    it('keeps instances on the grid when inserting, moving and removing wires', () => {
+        const definition = defineModel().customGates[0];
+        const model = apply(createCircuitModel(3), { type: 'load', circuits: [[], [], []], barriers: [], customGates: [definition] },
+            { type: 'insertGate', qubit: 2, slot: 0, gate: createCustomGateInstance(definition) });
+        expect(layout(model)).toEqual(['-', 'CUSTOM', '~1']);
+
+        // Dragged by its lower wire, the gate keeps that wire under the pointer as far as it fits
+        const moved = circuitReducer(model, { type: 'moveGate', from: { qubit: 2, slot: 0 }, to: { qubit: 0, slot: 1 } });
+        expect(layout(moved)).toEqual(['- CUSTOM', '- ~0', '- -']);
+        expect(moved.circuits[0][1].wires).toEqual([0, 1]);
+
+        expect(layout(circuitReducer(model, { type: 'removeQubit', qubit: 0 }))).toEqual(['CUSTOM', '~0']);
+        expect(layout(circuitReducer(model, { type: 'removeQubit', qubit: 2 }))).toEqual(['-', '-']);
+    });
+});
+
+describe('circuit model: barriers', () => {
+    it('adds each barrier slot once, in order, and removes it again', () => {
+        const model = apply(createCircuitModel(1), { type: 'addBarrier', slot: 3 }, { type: 'addBarrier', slot: 1 });
+        expect(model.barriers).toEqual([1, 3]);
+        expect(circuitReducer(model, { type: 'addBarrier', slot: 3 })).toBe(model);
+        expect(circuitReducer(model, { type: 'removeBarrier', slot: 1 }).barriers).toEqual([3]);
+        expect(circuitReducer(model, { type: 'removeBarrier', slot: 2 })).toBe(model);
+    });
+});
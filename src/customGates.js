@@ -0,0 +1,108 @@
+// Custom gates: part of a circuit saved under a name and placed like any other gate
+// A definition is { name, label, color, circuits, matrix }: circuits is the inner circuit on wires
+// 0 .. k-1 and matrix its 2^k x 2^k unitary. An instance is the cell
+//   { gate: 'CUSTOM', name, wires, matrix, controls, condition, label, color, description }
+// on the first of its wires (wires[0], the most significant bit of the matrix basis), with a
+// PARTNER cell on every other wire. Instances carry a copy of the matrix so the simulator never
+// looks definitions up; editing a definition rewrites every instance of it.
+
+import { getGateControls, isCustomGate, isNoiseChannel } from './quantum.js';
+import { getCircuitUnitary } from './statevector.js';
+
+export const CUSTOM_GATE_COLOR = '#FF8AD8';
+
+// The unitary of a k-qubit gate has 4^k entries and is rebuilt on every edit of the definition
+export const MAX_CUSTOM_GATE_QUBITS = 6;
+
+export class CustomGateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CustomGateError';
+    }
+}
+
+// Names OpenQASM export would collide with: keywords and the gates of qelib1.inc and stdgates.inc
+const RESERVED_NAMES = new Set([
+    'OPENQASM', 'include', 'qreg', 'creg', 'qubit', 'bit', 'gate', 'opaque', 'measure', 'reset', 'barrier',
+    'if', 'else', 'ctrl', 'negctrl', 'inv', 'pow', 'input', 'const', 'angle', 'float', 'int', 'uint', 'pi',
+    'U', 'CX', 'id', 'x', 'y', 'z', 'h', 's', 'sdg', 't', 'tdg', 'sx', 'rx', 'ry', 'rz', 'p', 'phase',
+    'u', 'u1', 'u2', 'u3', 'cx', 'cy', 'cz', 'ch', 'csx', 'crx', 'cry', 'crz', 'cp', 'cphase', 'cu', 'cu1',
+    'cu3', 'ccx', 'swap', 'cswap', 'iswap', 'sqrt_swap', 'rxx', 'ryy', 'rzz', 'gphase'
+]);
+
+export const isReservedGateName = (name) => RESERVED_NAMES.has(name);
+
+export const findCustomGate = (customGates, name) => customGates.find(d => d.name === name) || null;
+
+const isGateCell = (cell) => cell && cell.gate !== 'CONTROL' && cell.gate !== 'PARTNER';
+
+// Throws a CustomGateError when the inner circuit cannot be one gate
+const checkInnerCircuit = (circuits) => {
+    if (circuits.length === 0 || !circuits.some(row => row.some(isGateCell))) {
+        throw new CustomGateError('a custom gate needs at least one gate inside');
+    }
+    if (circuits.length > MAX_CUSTOM_GATE_QUBITS) {
+        throw new CustomGateError(`a custom gate can span at most ${MAX_CUSTOM_GATE_QUBITS} qubits, this one spans ${circuits.length}`);
+    }
+    const cells = circuits.flatMap(row => row.filter(isGateCell));
+    if (cells.some(cell => cell.gate === 'M')) throw new CustomGateError('a custom gate cannot measure');
+    if (cells.some(isNoiseChannel)) throw new CustomGateError('a custom gate is unitary, so it cannot hold noise channels');
+    if (cells.some(cell => cell.condition)) throw new CustomGateError('a custom gate cannot hold classically-controlled gates');
+    if (cells.some(isCustomGate)) throw new CustomGateError('a custom gate cannot hold other custom gates; expand them first');
+};
+
+const buildDefinition = ({ name, label, color, circuits }) => {
+    checkInnerCircuit(circuits);
+    return {
+        name,
+        label: label?.trim() || name,
+        color: color || CUSTOM_GATE_COLOR,
+        circuits,
+        matrix: getCircuitUnitary(circuits)
+    };
+};
+
+/**
+ * New definition { name, label?, color?, circuits }. The name has to be a valid OpenQASM
+ * identifier that no built-in or existing custom gate uses.
+ * Throws a CustomGateError naming the first problem.
+ */
+export const createCustomGate = ({ name, label, color, circuits }, customGates = []) => {
+    const trimmed = (name || '').trim();
+    if (!/^[A-Za-z_]\w*$/.test(trimmed)) {
+        throw new CustomGateError('a gate name starts with a letter or _ and holds only letters, digits and _');
+    }
+    if (isReservedGateName(trimmed)) throw new CustomGateError(`"${trimmed}" is already a built-in gate or keyword`);
+    if (findCustomGate(customGates, trimmed)) throw new CustomGateError(`there already is a custom gate "${trimmed}"`);
+    return buildDefinition({ name: trimmed, label, color, circuits });
+};
+
+// Definition with changes to its label, color or inner circuit; the name and qubit count stay
+export const updateCustomGate = (definition, changes) => {
+    const circuits = changes.circuits ?? definition.circuits;
+    if (circuits.length !== definition.circuits.length) {
+        throw new CustomGateError(`${definition.name} acts on ${definition.circuits.length} qubits, the new circuit has ${circuits.length}`);
+    }
+    return buildDefinition({ ...definition, ...changes, name: definition.name, circuits });
+};
+
+const copyMatrix = (matrix) => matrix.map(row => row.map(c => ({ ...c })));
+
+// Cell for an instance of the definition on wires top .. top + k - 1
+export const createCustomGateInstance = (definition, top = 0) => ({
+    gate: 'CUSTOM',
+    name: definition.name,
+    wires: definition.circuits.map((_, i) => top + i),
+    matrix: copyMatrix(definition.matrix),
+    controls: [],
+    condition: null,
+    label: definition.label,
+    color: definition.color,
+    description: `${definition.name} - custom gate on ${definition.circuits.length} qubits`
+});
+
+// Instance brought up to date with its definition; wires, controls and condition stay
+export const refreshCustomGateInstance = (instance, definition) => {
+    const { matrix, label, color, description } = createCustomGateInstance(definition);
+    return { ...instance, matrix, label, color, description, controls: getGateControls(instance) };
+};
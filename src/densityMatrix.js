@@ -0,0 +1,201 @@
+// Density-matrix simulation of the circuit grid, used when the circuit holds noise channels
+// ρ is a 2^n x 2^n array of rows in the statevector basis order (qubit 0 the most significant bit).
+// Gates act as ρ → UρU†, noise channels as ρ → Σ K ρ K† over their Kraus operators, and a
+// measurement splits the state into one branch per outcome, as in simulateCircuitBranches.
+// An enabled noise model (see noiseModel.js) adds its channels after every operation.
+
+import { complex, cAdd, cMul, cConj, cScale } from './quantum.js';
+import { createInitialStatevector, getCircuitOperations, applyOperation, classicalLabel } from './statevector.js';
+import { getOperationNoise, getQubitNoise } from './noiseModel.js';
+
+// Branches below this probability are dropped during mid-circuit measurement
+const MIN_BRANCH_PROBABILITY = 1e-12;
+
+// Widest circuit simulated as a density matrix: ρ has 4^n entries and is rebuilt on every edit
+export const MAX_DENSITY_QUBITS = 7;
+
+export class DensityMatrixError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DensityMatrixError';
+    }
+}
+
+// |ψ⟩⟨ψ| for a pure state
+export const densityMatrixFromState = (state) => state.map(a => state.map(b => cMul(a, cConj(b))));
+
+// Product state with every qubit in the chosen initial mode ('zero' | 'one' | 'plus')
+export const createInitialDensityMatrix = (numQubits, mode = 'zero') => {
+    return densityMatrixFromState(createInitialStatevector(numQubits, mode));
+};
+
+// A ρ A† for a linear map applyToState that acts as A on a column vector.
+// With M = Aρ, A M† = A ρ† A† = A ρ A†, since ρ is Hermitian.
+const conjugate = (rho, applyToState) => {
+    const size = rho.length;
+    const columnsOfM = Array.from({ length: size }, (_, c) => applyToState(rho.map(row => row[c])));
+    const columns = Array.from({ length: size }, (_, j) => applyToState(columnsOfM.map(column => cConj(column[j]))));
+    return Array.from({ length: size }, (_, r) => columns.map(column => column[r]));
+};
+
+// Block entries in the order (0,0), (0,1), (1,0), (1,1) of (row bit, column bit) of one qubit
+const BLOCK_BITS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+
+// 4x4 superoperator S = Σ K ⊗ K̄ of a channel, acting on a 2x2 block written as a vector of 4 entries
+const getSuperoperator = (krausOperators) => BLOCK_BITS.map(([a, b]) => BLOCK_BITS.map(([c, d]) =>
+    krausOperators.reduce((acc, k) => cAdd(acc, cMul(k[a][c], cConj(k[b][d]))), complex(0))));
+
+const multiplySuperoperators = (a, b) => a.map(row => b[0].map((_, c) =>
+    row.reduce((acc, v, k) => cAdd(acc, cMul(v, b[k][c])), complex(0))));
+
+// Apply S in place to every block of ρ at rows r, r' and columns c, c' that differ only in the mask bit
+const applySuperoperator = (rho, superoperator, mask) => {
+    const s = superoperator.flat();
+    const re = [0, 0, 0, 0];
+    const im = [0, 0, 0, 0];
+    for (let r = 0; r < rho.length; r++) {
+        if (r & mask) continue;
+        const rows = [rho[r], rho[r], rho[r | mask], rho[r | mask]];
+        for (let c = 0; c < rho.length; c++) {
+            if (c & mask) continue;
+            const cols = [c, c | mask, c, c | mask];
+            for (let e = 0; e < 4; e++) {
+                re[e] = 0;
+                im[e] = 0;
+                for (let f = 0; f < 4; f++) {
+                    const x = rows[f][cols[f]];
+                    re[e] += s[4 * e + f].re * x.re - s[4 * e + f].im * x.im;
+                    im[e] += s[4 * e + f].re * x.im + s[4 * e + f].im * x.re;
+                }
+            }
+            for (let e = 0; e < 4; e++) {
+                const entry = rows[e][cols[e]];
+                entry.re = re[e];
+                entry.im = im[e];
+            }
+        }
+    }
+};
+
+/**
+ * Single-qubit noise channels [{ qubit, kraus }] applied in order, each as ρ → Σ K ρ K†.
+ * A channel only mixes the four entries of ρ whose rows and columns differ just in its qubit's bit,
+ * so it acts block by block through its superoperator instead of conjugating all of ρ per K; the
+ * channels on one qubit are multiplied into one superoperator first, and ρ is copied once.
+ */
+export const applyChannels = (rho, channels, numQubits) => {
+    if (channels.length === 0) return rho;
+    const perQubit = new Map();
+    for (const { qubit, kraus } of channels) {
+        const superoperator = getSuperoperator(kraus);
+        const previous = perQubit.get(qubit);
+        perQubit.set(qubit, previous ? multiplySuperoperators(superoperator, previous) : superoperator);
+    }
+    const out = rho.map(row => row.map(v => complex(v.re, v.im)));
+    perQubit.forEach((superoperator, qubit) => applySuperoperator(out, superoperator, 1 << (numQubits - 1 - qubit)));
+    return out;
+};
+
+// Noise channel on one qubit: Σ K ρ K† over its 2x2 Kraus operators
+export const applyChannel = (rho, krausOperators, qubitIndex, numQubits) =>
+    applyChannels(rho, [{ qubit: qubitIndex, kraus: krausOperators }], numQubits);
+
+// Projective measurement of one qubit: { probability, rho } for outcome 0 or 1, with the
+// post-measurement ρ renormalized (null when the outcome is impossible)
+export const measureDensityMatrix = (rho, qubitIndex, numQubits, outcome) => {
+    const mask = 1 << (numQubits - 1 - qubitIndex);
+    const keeps = (i) => ((i & mask) !== 0) === (outcome === 1);
+    const probability = rho.reduce((sum, row, i) => (keeps(i) ? sum + row[i].re : sum), 0);
+    if (probability < MIN_BRANCH_PROBABILITY) return { probability: 0, rho: null };
+    return {
+        probability,
+        rho: rho.map((row, r) => row.map((v, c) => (keeps(r) && keeps(c) ? cScale(v, 1 / probability) : complex(0))))
+    };
+};
+
+// Tr(ρ²): 1 for a pure state, down to 1/2^n for the maximally mixed one
+export const getPurity = (rho) => {
+    let purity = 0;
+    rho.forEach((row, r) => row.forEach((v, c) => { purity += cMul(v, rho[c][r]).re; }));
+    return purity;
+};
+
+// Branches that recorded the same classical bits evolve alike from here on, so they merge into one
+// mixed branch
+const mergeBranches = (branches) => {
+    const merged = new Map();
+    for (const branch of branches) {
+        const key = classicalLabel(branch.classicalBits);
+        const other = merged.get(key);
+        if (!other) {
+            merged.set(key, branch);
+            continue;
+        }
+        const probability = other.probability + branch.probability;
+        const mix = (a, wa, b, wb) => a.map((row, r) => row.map((v, c) => cAdd(cScale(v, wa), cScale(b[r][c], wb))));
+        merged.set(key, { ...other, probability, rho: mix(other.rho, other.probability / probability, branch.rho, branch.probability / probability) });
+    }
+    return [...merged.values()];
+};
+
+// Split each branch on one measurement; with a readout error the bit is also recorded flipped
+const measureBranches = (branches, op, numQubits, readoutError) => {
+    const next = [];
+    for (const branch of branches) {
+        for (const outcome of [0, 1]) {
+            const result = measureDensityMatrix(branch.rho, op.target, numQubits, outcome);
+            if (!result.rho) continue;
+            const records = readoutError > 0 ? [[outcome, 1 - readoutError], [1 - outcome, readoutError]] : [[outcome, 1]];
+            for (const [bit, weight] of records) {
+                if (weight <= 0) continue;
+                const classicalBits = [...branch.classicalBits];
+                if (op.classicalBit >= 0 && op.classicalBit < numQubits) classicalBits[op.classicalBit] = bit;
+                next.push({ probability: branch.probability * result.probability * weight, state: null, rho: result.rho, classicalBits });
+            }
+        }
+    }
+    return readoutError > 0 ? mergeBranches(next) : next;
+};
+
+/**
+ * Run the circuit on a density matrix and return every measurement branch.
+ * Each branch is { probability, state: null, rho, classicalBits }, shaped like the branches of
+ * simulateCircuitBranches so getBranchProbabilities, getMixedReducedDensityMatrix and sampleShots
+ * take either. noiseModel is applied after every operation when it is enabled.
+ * Throws a DensityMatrixError for circuits wider than MAX_DENSITY_QUBITS.
+ */
+export const simulateDensityBranches = (circuits, { initialStateMode = 'zero', slotLimit = Infinity, noiseModel = null } = {}) => {
+    const numQubits = circuits.length;
+    if (numQubits > MAX_DENSITY_QUBITS) {
+        throw new DensityMatrixError(`noise is simulated on up to ${MAX_DENSITY_QUBITS} qubits, this circuit has ${numQubits}`);
+    }
+    let branches = [{
+        probability: 1,
+        state: null,
+        rho: createInitialDensityMatrix(numQubits, initialStateMode),
+        classicalBits: Array(numQubits).fill(0)
+    }];
+
+    for (const op of getCircuitOperations(circuits, slotLimit)) {
+        const noise = getOperationNoise(noiseModel, op);
+        if (op.measure) {
+            // The qubit relaxes while it is read out, then the result is recorded
+            const relaxed = branches.map(branch => ({ ...branch, rho: applyChannels(branch.rho, noise, numQubits) }));
+            const readoutError = noiseModel?.enabled ? getQubitNoise(noiseModel, op.target).readoutError : 0;
+            branches = measureBranches(relaxed, op, numQubits, readoutError);
+            continue;
+        }
+        branches = branches.map(branch => {
+            // Classically-controlled gates and channels only act on branches whose register matches
+            if (op.condition && branch.classicalBits[op.condition.bit] !== op.condition.value) return branch;
+            // A channel, or a gate on one qubit without controls, goes through the same pass as the model's noise
+            if (op.noise) return { ...branch, rho: applyChannels(branch.rho, [{ qubit: op.target, kraus: op.kraus }, ...noise], numQubits) };
+            if (op.partner === null && !op.wires && op.controls.length === 0) {
+                return { ...branch, rho: applyChannels(branch.rho, [{ qubit: op.target, kraus: [op.matrix] }, ...noise], numQubits) };
+            }
+            const rho = conjugate(branch.rho, state => applyOperation(state, op, numQubits));
+            return { ...branch, rho: applyChannels(rho, noise, numQubits) };
+        });
+    }
+    return branches;
+};
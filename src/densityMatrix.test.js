@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cAbs, cSub, cAdd, cMul, cConj, createGateInstance, densityMatrixToBlochCoords, getNoiseKrausOperators, withNoiseProbability } from './quantum.js';
+import { simulateCircuitBranches, getBranchProbabilities, getMixedReducedDensityMatrix, getCircuitUnitary } from './statevector.js';
+import { MAX_DENSITY_QUBITS, DensityMatrixError, densityMatrixFromState, simulateDensityBranches, applyChannels, getPurity } from './densityMatrix.js';
+import { controlled, controlDot } from './testUtils.js';
+
+const TOL = 1e-9;
+const NOISE_CHANNELS = ['BIT_FLIP', 'PHASE_FLIP', 'DEPOLARIZING', 'AMPLITUDE_DAMPING', 'PHASE_DAMPING'];
+
+const expectMatrixClose = (actual, expected, tol = TOL) => {
+    expect(actual.length).toBe(expected.length);
+    actual.forEach((row, r) => row.forEach((v, c) => expect(cAbs(cSub(v, expected[r][c]))).toBeLessThan(tol)));
+};
+
+const noise = (name, p) => withNoiseProbability(createGateInstance(name), p);
+
+const trace = (rho) => rho.reduce((sum, row, i) => sum + row[i].re, 0);
+const blochOf = (circuits, qubit) => {
+    const branches = simulateDensityBranches(circuits);
+    return densityMatrixToBlochCoords(getMixedReducedDensityMatrix(branches, qubit, circuits.length));
+};
+
+describe('noise channels', () => {
+    it('has trace-preserving Kraus operators for every probability', () => {
+        for (const name of NOISE_CHANNELS) {
+            for (const p of [0, 0.1, 0.5, 1]) {
+                // Σ K†K = I
+                const sum = [[complex(0), complex(0)], [complex(0), complex(0)]];
+                for (const k of getNoiseKrausOperators(name, p)) {
+                    for (let r = 0; r < 2; r++) {
+                        for (let c = 0; c < 2; c++) {
+                            sum[r][c] = cAdd(sum[r][c], cAdd(cMul(cConj(k[0][r]), k[0][c]), cMul(cConj(k[1][r]), k[1][c])));
+                        }
+                    }
+                }
+                expectMatrixClose(sum, [[complex(1), complex(0)], [complex(0), complex(1)]]);
+            }
+        }
+    });
+
+    it('keeps the probability between 0 and 1', () => {
+        expect(createGateInstance('DEPOLARIZING').probability).toBe(0.1);
+        expect(noise('BIT_FLIP', 1.5).probability).toBe(1);
+        expect(noise('BIT_FLIP', -0.2).probability).toBe(0);
+    });
+
+    it('shrinks |+⟩ towards the centre of the Bloch sphere under depolarizing noise', () => {
+        const coords = blochOf([[createGateInstance('H'), noise('DEPOLARIZING', 0.3)]], 0);
+        expect(coords.x).toBeCloseTo(0.7, 9);
+        expect(coords.length).toBeCloseTo(0.7, 9);
+        expect(coords.purity).toBeLessThan(1);
+    });
+
+    it('shrinks only the equator under phase flips and phase damping', () => {
+        const flipped = blochOf([[createGateInstance('H'), noise('PHASE_FLIP', 0.25)]], 0);
+        expect(flipped.x).toBeCloseTo(0.5, 9);
+
+        const damped = blochOf([[createGateInstance('RY'), noise('PHASE_DAMPING', 0.36)]], 0);
+        const ideal = blochOf([[createGateInstance('RY')]], 0);
+        expect(damped.x).toBeCloseTo(ideal.x * 0.8, 9);
+        expect(damped.z).toBeCloseTo(ideal.z, 9);
+    });
+
+    it('relaxes |1⟩ to |0⟩ under full amplitude damping', () => {
+        const branches = simulateDensityBranches([[createGateInstance('X'), noise('AMPLITUDE_DAMPING', 1)]]);
+        expectMatrixClose(branches[0].rho, [[complex(1), complex(0)], [complex(0), complex(0)]]);
+        expect(getPurity(branches[0].rho)).toBeCloseTo(1, 9);
+    });
+
+    it('flips a bit with the channel probability', () => {
+        const circuits = [[noise('BIT_FLIP', 0.2)], [createGateInstance('X')]];
+        const probs = getBranchProbabilities(simulateDensityBranches(circuits), 2, false);
+        expect(probs.map(p => p.state)).toEqual(['01', '11']);
+        expect(probs[0].probability).toBeCloseTo(0.8, 9);
+        expect(probs[1].probability).toBeCloseTo(0.2, 9);
+    });
+
+    it('applies channels block by block as Σ K ρ K† on the whole matrix', () => {
+        const circuits = [[createGateInstance('H')], [controlDot(0), createGateInstance('RY')], [createGateInstance('RX'), controlled('S', 1)]];
+        const rho = densityMatrixFromState(simulateCircuitBranches(circuits)[0].state);
+        const channels = [
+            { qubit: 1, kraus: getNoiseKrausOperators('AMPLITUDE_DAMPING', 0.3) },
+            { qubit: 1, kraus: getNoiseKrausOperators('DEPOLARIZING', 0.2) },
+            { qubit: 2, kraus: getNoiseKrausOperators('PHASE_DAMPING', 0.4) }
+        ];
+
+        // K on one qubit of three as the full 8x8 matrix, applied as Σ K ρ K† one channel at a time
+        const onQubit = (k, qubit) => Array.from({ length: 8 }, (_, r) => Array.from({ length: 8 }, (_, c) => {
+            const mask = 1 << (2 - qubit);
+            if ((r & ~mask) !== (c & ~mask)) return complex(0);
+            return k[(r & mask) ? 1 : 0][(c & mask) ? 1 : 0];
+        }));
+        const multiply = (a, b) => a.map(row => b[0].map((_, c) => row.reduce((acc, v, i) => cAdd(acc, cMul(v, b[i][c])), complex(0))));
+        const dagger = (a) => a[0].map((_, c) => a.map(row => cConj(row[c])));
+        const expected = channels.reduce((acc, { qubit, kraus }) => kraus
+            .map(k => onQubit(k, qubit))
+            .map(k => multiply(multiply(k, acc), dagger(k)))
+            .reduce((a, b) => a.map((row, r) => row.map((v, c) => cAdd(v, b[r][c])))), rho);
+
+        const before = rho.map(row => row.map(v => ({ ...v })));
+        expectMatrixClose(applyChannels(rho, channels, 3), expected);
+        expectMatrixClose(rho, before);
+    });
+});
+
+describe('density-matrix simulator', () => {
+    it('matches the statevector simulator on a noiseless circuit', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), controlDot(2)],
+            [createGateInstance('RY'), controlled('X', 0), createGateInstance('SX')],
+            [null, createGateInstance('S'), controlled('Z', 0)]
+        ];
+        const [pure] = simulateCircuitBranches(circuits);
+        const [mixed] = simulateDensityBranches(circuits);
+        expectMatrixClose(mixed.rho, densityMatrixFromState(pure.state));
+        expect(trace(mixed.rho)).toBeCloseTo(1, 9);
+        expect(getPurity(mixed.rho)).toBeCloseTo(1, 9);
+    });
+
+    it('keeps the trace at 1 while noise lowers the purity', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), noise('DEPOLARIZING', 0.5)],
+            [null, controlled('X', 0), noise('AMPLITUDE_DAMPING', 0.4)]
+        ];
+        const [branch] = simulateDensityBranches(circuits);
+        expect(trace(branch.rho)).toBeCloseTo(1, 9);
+        expect(getPurity(branch.rho)).toBeLessThan(0.9);
+        expect(getPurity(branch.rho)).toBeGreaterThan(0.25);
+    });
+
+    it('splits into measurement branches that record their classical bits', () => {
+        const circuits = [[createGateInstance('X'), noise('BIT_FLIP', 0.25), createGateInstance('M')]];
+        const branches = simulateDensityBranches(circuits);
+        expect(branches).toHaveLength(2);
+        const byBit = Object.fromEntries(branches.map(b => [b.classicalBits[0], b]));
+        expect(byBit[1].probability).toBeCloseTo(0.75, 9);
+        expect(byBit[0].probability).toBeCloseTo(0.25, 9);
+        expectMatrixClose(byBit[0].rho, [[complex(1), complex(0)], [complex(0), complex(0)]]);
+    });
+
+    it('applies classically-controlled channels only on matching branches', () => {
+        const flipIfOne = { ...noise('BIT_FLIP', 1), condition: { bit: 0, value: 1 } };
+        const circuits = [
+            [createGateInstance('H'), createGateInstance('M'), null],
+            [null, null, flipIfOne]
+        ];
+        const probs = getBranchProbabilities(simulateDensityBranches(circuits), 2, false);
+        expect(probs.map(p => p.state).sort()).toEqual(['00', '11']);
+    });
+
+    it('has no unitary once the circuit holds noise', () => {
+        expect(getCircuitUnitary([[createGateInstance('H')]])).not.toBeNull();
+        expect(getCircuitUnitary([[createGateInstance('H'), noise('PHASE_FLIP', 0.1)]])).toBeNull();
+    });
+
+    it(`refuses circuits wider than ${MAX_DENSITY_QUBITS} qubits`, () => {
+        expect(MAX_DENSITY_QUBITS).toBe(7);
+        const circuits = (numQubits) => [[noise('BIT_FLIP', 0.1)], ...Array.from({ length: numQubits - 1 }, () => [])];
+        expect(simulateDensityBranches(circuits(MAX_DENSITY_QUBITS))[0].rho).toHaveLength(2 ** MAX_DENSITY_QUBITS);
+        expect(() => simulateDensityBranches(circuits(MAX_DENSITY_QUBITS + 1))).toThrow(DensityMatrixError);
+    });
+});
@@ -0,0 +1,174 @@
+// Equivalence of two circuits up to global phase
+// Both unitaries come from getCircuitUnitary. Everything follows from the eigenphases θ_k of
+// W = A†B: B = e^(iφ)A exactly when they are all φ. Otherwise the operator-norm distance
+// min_φ ‖B - e^(iφ)A‖ is the chord 2·sin(w/4), where w is the shortest arc of the unit circle that
+// holds every e^(iθ_k), and φ is the middle of that arc. An input mixing the eigenvectors of the two
+// eigenphases farthest apart (Δ ≤ π) gives outputs whose overlap |⟨Aψ|Bψ⟩| is only cos(Δ/2).
+
+import { complex, cAdd, cMul, cConj, cAbs, cPhase, cFromPolar, cScale } from './quantum.js';
+import { getCircuitUnitary, getGlobalPhase } from './statevector.js';
+import { MAX_UNITARY_QUBITS } from './unitaryView.js';
+
+// Operator-norm distance below which two circuits count as equivalent
+export const EQUIVALENCE_TOLERANCE = 1e-6;
+
+export class EquivalenceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EquivalenceError';
+    }
+}
+
+// ── Matrices ──
+
+// A† B
+const adjointProduct = (a, b) => a.map((_, r) => b.map((__, c) =>
+    a.reduce((acc, row, k) => cAdd(acc, cMul(cConj(row[r]), b[k][c])), complex(0))));
+
+const applyMatrix = (matrix, vector) => matrix.map(row => row.reduce((acc, v, k) => cAdd(acc, cMul(v, vector[k])), complex(0)));
+
+const innerProduct = (u, v) => u.reduce((acc, x, k) => cAdd(acc, cMul(cConj(x), v[k])), complex(0));
+
+const normalize = (vector) => {
+    const norm = Math.sqrt(vector.reduce((acc, x) => acc + cAbs(x) ** 2, 0));
+    return vector.map(x => cScale(x, 1 / norm));
+};
+
+/**
+ * Eigenvectors of a real symmetric matrix by cyclic Jacobi rotations, as the columns of the
+ * returned array of rows. The input is not changed.
+ */
+export const symmetricEigenvectors = (matrix, { tolerance = 1e-12, maxSweeps = 50 } = {}) => {
+    const size = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (__, c) => (r === c ? 1 : 0)));
+    const offDiagonal = () => a.reduce((sum, row, r) => sum + row.reduce((s, x, c) => (r === c ? s : s + x * x), 0), 0);
+
+    for (let sweep = 0; sweep < maxSweeps && offDiagonal() > tolerance; sweep++) {
+        for (let p = 0; p < size - 1; p++) {
+            for (let q = p + 1; q < size; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < size; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < size; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < size; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    return v;
+};
+
+// Shears tried for M = H + cK; one that lines up two eigenphases of W is followed by the next
+const SHEARS = [0.6180339887, -1.4142135624, 2.7182818285];
+
+/**
+ * Eigenpairs [{ phase, vector }] of a unitary W. Its Hermitian parts H = (W + W†)/2 and
+ * K = (W - W†)/2i commute, so the eigenvectors of M = H + cK are eigenvectors of W whenever
+ * M does not give two different eigenvalues of W the same value. M is diagonalized through its
+ * real symmetric form [[Re M, -Im M], [Im M, Re M]], which holds every eigenvalue twice.
+ */
+export const getUnitaryEigenpairs = (unitary) => {
+    const size = unitary.length;
+    for (const shear of SHEARS) {
+        const m = unitary.map((row, r) => row.map((w, c) => {
+            const wt = cConj(unitary[c][r]);
+            const h = cScale(cAdd(w, wt), 0.5);
+            const k = complex((w.im - wt.im) / 2, -(w.re - wt.re) / 2); // (W - W†)/2i
+            return cAdd(h, cScale(k, shear));
+        }));
+        const embedded = Array.from({ length: 2 * size }, (_, r) => Array.from({ length: 2 * size }, (__, c) => {
+            const entry = m[r % size][c % size];
+            if ((r < size) === (c < size)) return entry.re;
+            return r < size ? -entry.im : entry.im;
+        }));
+        const vectors = symmetricEigenvectors(embedded);
+        const pairs = [];
+        for (let col = 0; col < 2 * size; col++) {
+            const vector = normalize(Array.from({ length: size }, (_, k) => complex(vectors[k][col], vectors[k + size][col])));
+            const value = innerProduct(vector, applyMatrix(unitary, vector));
+            pairs.push({ value, vector });
+        }
+        // A mixture of two eigenvectors shows up as a value inside the unit circle
+        if (pairs.every(({ value }) => Math.abs(cAbs(value) - 1) < 1e-6)) {
+            return pairs.map(({ value, vector }) => ({ phase: cPhase(value), vector }));
+        }
+    }
+    throw new EquivalenceError('could not find the eigenvalues of A†B');
+};
+
+// Shortest arc holding every phase: { width, middle }
+const getPhaseArc = (phases) => {
+    const sorted = [...phases].sort((a, b) => a - b);
+    let gap = sorted[0] + 2 * Math.PI - sorted[sorted.length - 1];
+    let start = sorted[0];
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] > gap) {
+            gap = sorted[i] - sorted[i - 1];
+            start = sorted[i];
+        }
+    }
+    const width = 2 * Math.PI - gap;
+    const middle = start + width / 2;
+    return { width, middle: Math.atan2(Math.sin(middle), Math.cos(middle)) };
+};
+
+// Angle between two phases on the circle, in [0, π]
+const phaseDistance = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+
+// ── Comparison ──
+
+/**
+ * Compare two unitaries of the same size up to global phase:
+ * { equivalent, distance, globalPhase, state, overlap } with B ≈ e^(i·globalPhase) A. When they differ,
+ * state is an input they send to outputs with overlap |⟨Aψ|Bψ⟩| = overlap < 1 (null when equivalent).
+ */
+export const compareUnitaries = (a, b, tolerance = EQUIVALENCE_TOLERANCE) => {
+    const pairs = getUnitaryEigenpairs(adjointProduct(a, b));
+    const { width, middle } = getPhaseArc(pairs.map(p => p.phase));
+    const distance = 2 * Math.sin(width / 4);
+    if (distance < tolerance) return { equivalent: true, distance, globalPhase: middle, state: null, overlap: 1 };
+
+    let best = { separation: -1 };
+    pairs.forEach((p, i) => pairs.slice(i + 1).forEach(q => {
+        const separation = phaseDistance(p.phase, q.phase);
+        if (separation > best.separation) best = { separation, p, q };
+    }));
+    let state = normalize(best.p.vector.map((x, k) => cAdd(x, best.q.vector[k])));
+    state = state.map(x => cMul(x, cFromPolar(1, -getGlobalPhase(state)))); // First amplitude real and positive
+    return { equivalent: false, distance, globalPhase: middle, state, overlap: Math.cos(best.separation / 2) };
+};
+
+/**
+ * Compare two circuit grids. Throws an EquivalenceError when they act on different numbers of
+ * qubits, are too wide to compare, or are not unitary.
+ */
+export const compareCircuits = (circuits, reference, tolerance = EQUIVALENCE_TOLERANCE) => {
+    if (circuits.length !== reference.length) {
+        throw new EquivalenceError(`the circuits act on ${circuits.length} and ${reference.length} qubits`);
+    }
+    if (circuits.length > MAX_UNITARY_QUBITS) {
+        throw new EquivalenceError(`circuits are compared on up to ${MAX_UNITARY_QUBITS} qubits`);
+    }
+    const a = getCircuitUnitary(circuits);
+    const b = getCircuitUnitary(reference);
+    if (!a || !b) throw new EquivalenceError('measurements, classically-controlled gates and noise channels have no unitary');
+    return compareUnitaries(a, b, tolerance);
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cAbs, cMul, cConj, cAdd, createGateInstance, createU3Matrix, createTwoQubitMatrix, withGateAngle } from './quantum.js';
+import { createSeededRandom } from './sampling.js';
+import { EquivalenceError, getUnitaryEigenpairs, compareUnitaries, compareCircuits } from './equivalence.js';
+import { controlled, controlDot, expectThrows } from './testUtils.js';
+
+const gate = (name, angle) => (angle === undefined ? createGateInstance(name) : withGateAngle(createGateInstance(name), angle));
+
+// |⟨Aψ|Bψ⟩| for the reported state
+const outputOverlap = (a, b, state) => {
+    const apply = (m) => m.map(row => row.reduce((acc, v, k) => cAdd(acc, cMul(v, state[k])), complex(0)));
+    const [u, v] = [apply(a), apply(b)];
+    return cAbs(u.reduce((acc, x, k) => cAdd(acc, cMul(cConj(x), v[k])), complex(0)));
+};
+
+describe('unitary eigenvalues', () => {
+    it('finds the eigenphases of random unitaries', () => {
+        const random = createSeededRandom(7);
+        for (let trial = 0; trial < 20; trial++) {
+            const angles = Array.from({ length: 4 }, () => (random() * 2 - 1) * Math.PI);
+            const u = createU3Matrix(...angles);
+            const pairs = getUnitaryEigenpairs(u);
+            // Eigenvalues multiply to det U = e^(2iγ) · e^(i(φ+λ)), each appearing twice
+            const phaseSum = pairs.reduce((sum, p) => sum + p.phase, 0) / 2;
+            const expected = 2 * angles[3] + angles[1] + angles[2];
+            expect(Math.abs(Math.sin((phaseSum - expected) / 2))).toBeLessThan(1e-9);
+        }
+    });
+
+    it('handles repeated eigenvalues', () => {
+        const swap = createTwoQubitMatrix('SWAP');
+        const phases = getUnitaryEigenpairs(swap).map(p => Math.round(Math.cos(p.phase)));
+        expect(phases.filter(x => x === 1)).toHaveLength(6);
+        expect(phases.filter(x => x === -1)).toHaveLength(2);
+    });
+});
+
+describe('circuit equivalence', () => {
+    it('accepts textbook identities up to global phase', () => {
+        // HXH = Z
+        expect(compareCircuits([[gate('H'), gate('X'), gate('H')]], [[gate('Z')]]).equivalent).toBe(true);
+        // RZ(θ) = e^(-iθ/2) P(θ)
+        const rz = compareCircuits([[gate('P', 0.7)]], [[gate('RZ', 0.7)]]);
+        expect(rz.equivalent).toBe(true);
+        expect(rz.globalPhase).toBeCloseTo(-0.35, 9);
+        // CZ = (I ⊗ H) CX (I ⊗ H)
+        const cz = [[controlDot(1)], [controlled('Z', 0)]];
+        const hcxh = [[null, controlDot(1), null], [gate('H'), controlled('X', 0), gate('H')]];
+        expect(compareCircuits(cz, hcxh).equivalent).toBe(true);
+        // SWAP = three alternating CNOTs
+        const swap = [[{ ...gate('SWAP'), partner: 1 }], [{ gate: 'PARTNER', targetIndex: 0 }]];
+        const cnots = [[controlDot(1), controlled('X', 1), controlDot(1)], [controlled('X', 0), controlDot(0), controlled('X', 0)]];
+        expect(compareCircuits(swap, cnots).equivalent).toBe(true);
+    });
+
+    it('reports the distance and a state that tells the circuits apart', () => {
+        // Z and I agree on |0⟩ and |1⟩ up to phase, but not on |+⟩
+        const a = [[gate('Z')]];
+        const result = compareCircuits(a, [[null]]);
+        expect(result.equivalent).toBe(false);
+        expect(result.distance).toBeCloseTo(Math.SQRT2, 9);
+        expect(result.overlap).toBeCloseTo(0, 9);
+        expect(cAbs(result.state[0])).toBeCloseTo(Math.SQRT1_2, 9);
+        expect(cAbs(result.state[1])).toBeCloseTo(Math.SQRT1_2, 9);
+
+        const t = compareUnitaries(gate('T').matrix, [[complex(1), complex(0)], [complex(0), complex(1)]]);
+        expect(t.distance).toBeCloseTo(2 * Math.sin(Math.PI / 16), 9);
+        expect(t.overlap).toBeCloseTo(Math.cos(Math.PI / 8), 9);
+        expect(outputOverlap(gate('T').matrix, [[complex(1), complex(0)], [complex(0), complex(1)]], t.state)).toBeCloseTo(t.overlap, 9);
+    });
+
+    it('finds a distinguishing input for a wrong optimization', () => {
+        // CX with control and target swapped
+        const cx = [[controlDot(1)], [controlled('X', 0)]];
+        const xc = [[controlled('X', 1)], [controlDot(0)]];
+        const result = compareCircuits(cx, xc);
+        expect(result.equivalent).toBe(false);
+        expect(result.overlap).toBeLessThan(0.5);
+    });
+
+    it('refuses circuits it cannot compare', () => {
+        expectThrows(() => compareCircuits([[gate('H')]], [[gate('H')], [null]]), EquivalenceError, /1 and 2 qubits/);
+        expectThrows(() => compareCircuits([[gate('H'), gate('M')]], [[gate('H')]]), EquivalenceError, /no unitary/);
+    });
+});
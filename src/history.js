@@ -0,0 +1,41 @@
+// Undo/redo history of circuit documents ({ circuits, barriers, customGates, initialStateMode })
+// The history never inspects documents: it stores the snapshots it is handed, so an edit costs one
+// reference to the previous (immutable) document. A change recorded with the same coalesce key as the
+// change before it (e.g. every tick of one slider drag) extends that step instead of adding a new one.
+
+export const MAX_HISTORY_STEPS = 100;
+
+export const createHistory = () => ({ past: [], future: [], lastCoalesceKey: null });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// Record that the document changed away from previous; a new change always clears the redo stack
+export const recordChange = (history, previous, coalesceKey = null) => {
+    if (coalesceKey !== null && coalesceKey === history.lastCoalesceKey) {
+        return { ...history, future: [] };
+    }
+    return {
+        past: [...history.past, previous].slice(-MAX_HISTORY_STEPS),
+        future: [],
+        lastCoalesceKey: coalesceKey
+    };
+};
+
+// { history, document } one step back from present, or null when there is nothing to undo
+export const undoChange = (history, present) => {
+    if (!canUndo(history)) return null;
+    return {
+        history: { past: history.past.slice(0, -1), future: [present, ...history.future], lastCoalesceKey: null },
+        document: history.past[history.past.length - 1]
+    };
+};
+
+// { history, document } one step forward from present, or null when there is nothing to redo
+export const redoChange = (history, present) => {
+    if (!canRedo(history)) return null;
+    return {
+        history: { past: [...history.past, present], future: history.future.slice(1), lastCoalesceKey: null },
+        document: history.future[0]
+    };
+};
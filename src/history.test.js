@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_HISTORY_STEPS, createHistory, canUndo, canRedo, recordChange, undoChange, redoChange } from './history.js';
+
+// Apply a sequence of edits: each document is recorded as the predecessor of the next one
+const editThrough = (documents, keys = []) => {
+    let history = createHistory();
+    for (let i = 1; i < documents.length; i++) history = recordChange(history, documents[i - 1], keys[i] ?? null);
+    return history;
+};
+
+describe('undo/redo history', () => {
+    it('steps back and forward through recorded documents', () => {
+        let history = editThrough(['a', 'b', 'c']);
+        expect(canRedo(history)).toBe(false);
+
+        let step = undoChange(history, 'c');
+        expect(step.document).toBe('b');
+        step = undoChange(step.history, 'b');
+        expect(step.document).toBe('a');
+        expect(canUndo(step.history)).toBe(false);
+        expect(undoChange(step.history, 'a')).toBeNull();
+
+        step = redoChange(step.history, 'a');
+        expect(step.document).toBe('b');
+        history = step.history;
+        expect(canUndo(history) && canRedo(history)).toBe(true);
+
+        // Editing after an undo drops the redo stack
+        history = recordChange(history, 'b');
+        expect(canRedo(history)).toBe(false);
+        expect(undoChange(history, 'x').document).toBe('b');
+    });
+
+    it('coalesces consecutive changes with the same key into one step', () => {
+        const history = editThrough(['a', 'b', 'b1', 'b2', 'c'], [null, null, 'drag-1', 'drag-1', 'drag-1']);
+        const step = undoChange(history, 'c');
+        expect(step.document).toBe('b');
+        expect(undoChange(step.history, 'b').document).toBe('a');
+
+        // The same key after an undo starts a new step
+        const after = recordChange(recordChange(step.history, 'b', 'drag-1'), 'd', 'drag-1');
+        expect(undoChange(after, 'e').document).toBe('b');
+    });
+
+    it(`keeps at most ${MAX_HISTORY_STEPS} steps`, () => {
+        const documents = Array.from({ length: MAX_HISTORY_STEPS + 10 }, (_, i) => i);
+        const history = editThrough(documents);
+        expect(history.past.length).toBe(MAX_HISTORY_STEPS);
+        expect(history.past[0]).toBe(documents.length - 1 - MAX_HISTORY_STEPS); // Oldest steps are forgotten
+    });
+});
@@ -1,9 +1,15 @@
+import { useState } from 'react';
 import BlochSphereView from '../BlochSphere';
 import GatePalette from '../GatePalette';
 import CircuitBuilder from '../CircuitBuilder';
 import GateSettings from '../GateSettings';
 import AnimationPlayer from '../AnimationPlayer';
 import ProbabilityBars from '../ProbabilityBars';
+import ShotsPanel from '../ShotsPanel';
+import QasmPanel from '../QasmPanel';
+import NoiseModelPanel from '../NoiseModelPanel';
+import UnitaryPanel from '../UnitaryPanel';
+import EquivalencePanel from '../EquivalencePanel';
 import StateDisplay from '../StateDisplay';
 
 export default function QbitsWorkspace({
@@ -17,6 +23,7 @@ export default function QbitsWorkspace({
     onStartDragV,
     circuits,
     barriers,
+    customGates,
     qubitVisibility,
     selectedGate,
     highlightedBarrier,
@@ -28,7 +35,21 @@ export default function QbitsWorkspace({
     segmentDurations,
     probabilities,
     allProbabilities,
+    idealProbabilities,
+    probabilityDistribution,
+    onChangeProbabilityDistribution,
+    readoutErrors,
+    noiseModel,
+    onUpdateNoiseModel,
     qubitBranches,
+    statevector,
+    basisHighlight,
+    onSelectBasisState,
+    finalBranches,
+    visibleBranches,
+    hasMeasurements,
+    selectedOutcome,
+    onSelectOutcome,
     focusQubit,
     allControlSignals,
     visibilityChangeToken,
@@ -36,6 +57,12 @@ export default function QbitsWorkspace({
     onInsertGate,
     onRemoveGate,
     onMoveGate,
+    onPasteBlock,
+    onRemoveBlock,
+    onMoveBlock,
+    onCreateCustomGate,
+    onRedefineCustomGate,
+    onExpandCustomGate,
     onGateClick,
     onGateMiddleClick,
     onAddQubit,
@@ -49,13 +76,29 @@ export default function QbitsWorkspace({
     onControlSignal,
     onFrameChange,
     onPlayPause,
+    onLoadCircuit,
+    onSaveWorkspace,
+    onOpenWorkspace,
+    onCopyLink,
+    onKeepCircuit,
+    onUndo,
+    onRedo,
+    canUndo,
+    canRedo,
+    workspaceError,
+    onDismissWorkspaceError,
+    simulationNotice,
 }) {
+    // Keyboard hand-off between the circuit grid and the gate settings (Enter / Esc)
+    const [settingsFocusToken, setSettingsFocusToken] = useState(0);
+    const [circuitFocusToken, setCircuitFocusToken] = useState(0);
+
     return (
         <div className="app">
             <main className="app-main" ref={containerRef}>
                 <div className="left-panel" ref={leftPanelRef} style={{ width: leftPanelWidth }}>
                     <div className="config-section styled-scrollbar" style={{ height: `${configHeightPercent}%` }}>
-                        <GatePalette />
+                        <GatePalette customGates={customGates} />
                         <CircuitBuilder
                             circuits={circuits}
                             barriers={barriers}
@@ -67,6 +110,10 @@ export default function QbitsWorkspace({
                             onInsertGate={onInsertGate}
                             onRemoveGate={onRemoveGate}
                             onMoveGate={onMoveGate}
+                            onPasteBlock={onPasteBlock}
+                            onRemoveBlock={onRemoveBlock}
+                            onMoveBlock={onMoveBlock}
+                            onCreateCustomGate={onCreateCustomGate}
                             onGateClick={onGateClick}
                             onGateMiddleClick={onGateMiddleClick}
                             onAddQubit={onAddQubit}
@@ -77,16 +124,41 @@ export default function QbitsWorkspace({
                             onRemoveBarrier={onRemoveBarrier}
                             initialStateMode={initialStateMode}
                             onCycleInitialState={onCycleInitialState}
+                            classicalBits={selectedOutcome}
+                            basisHighlight={basisHighlight}
+                            onSaveWorkspace={onSaveWorkspace}
+                            onOpenWorkspace={onOpenWorkspace}
+                            onCopyLink={onCopyLink}
+                            onKeepCircuit={onKeepCircuit}
+                            onUpdateGate={onUpdateGate}
+                            onEditGate={() => setSettingsFocusToken(t => t + 1)}
+                            focusToken={circuitFocusToken}
+                            onUndo={onUndo}
+                            onRedo={onRedo}
+                            canUndo={canUndo}
+                            canRedo={canRedo}
+                            workspaceError={workspaceError}
+                            onDismissWorkspaceError={onDismissWorkspaceError}
+                            simulationNotice={simulationNotice}
                         />
                         <GateSettings
                             gate={selectedGateData}
                             gateIndex={selectedGate?.slotIndex}
                             qubitIndex={selectedGate?.qubitIndex}
                             numQubits={circuits.length}
+                            customGates={customGates}
                             onRemove={selectedGate?.isBarrier ? () => onRemoveBarrier(selectedGate.slot) : onRemoveGate}
                             onUpdate={onUpdateGate}
                             onControlSignal={onControlSignal}
+                            onRedefineCustomGate={onRedefineCustomGate}
+                            onExpandCustomGate={onExpandCustomGate}
+                            focusToken={settingsFocusToken}
+                            onReturnFocus={() => setCircuitFocusToken(t => t + 1)}
                         />
+                        <NoiseModelPanel noiseModel={noiseModel} circuits={circuits} onUpdate={onUpdateNoiseModel} />
+                        <UnitaryPanel circuits={circuits} />
+                        <EquivalencePanel circuits={circuits} />
+                        <QasmPanel circuits={circuits} barriers={barriers} customGates={customGates} onLoadCircuit={onLoadCircuit} />
                     </div>
 
                     <div className={`resize-handle-h ${isDraggingV ? 'active' : ''}`} onMouseDown={onStartDragV} />
@@ -100,8 +172,28 @@ export default function QbitsWorkspace({
                             onFrameChange={onFrameChange}
                             onPlayPause={onPlayPause}
                         />
-                        <ProbabilityBars probabilities={probabilities} allProbabilities={allProbabilities} />
-                        <StateDisplay qubitStates={qubitBranches} />
+                        <ProbabilityBars
+                            probabilities={probabilities}
+                            allProbabilities={allProbabilities}
+                            idealProbabilities={idealProbabilities}
+                            distribution={probabilityDistribution}
+                            onChangeDistribution={onChangeProbabilityDistribution}
+                        />
+                        <ShotsPanel
+                            branches={finalBranches}
+                            numQubits={circuits.length}
+                            hasMeasurements={hasMeasurements}
+                            readoutErrors={readoutErrors}
+                            selectedOutcome={selectedOutcome}
+                            onSelectOutcome={onSelectOutcome}
+                        />
+                        <StateDisplay
+                            qubitStates={qubitBranches}
+                            statevector={statevector}
+                            branches={visibleBranches}
+                            selectedBasis={basisHighlight?.index ?? null}
+                            onSelectBasisState={onSelectBasisState}
+                        />
                     </div>
                 </div>
 
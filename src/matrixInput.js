@@ -0,0 +1,171 @@
+// Gate matrices typed in by the user
+// Each entry is a complex expression such as 0.5, -i/sqrt(2), 1/2 + i*sqrt(3)/2, e^(i*pi/4) or
+// exp(-i π/8). A matrix is refused unless M·M† is the identity within UNITARY_TOLERANCE; one that
+// passes is orthonormalized, so entries typed to a few decimals (0.7071) still give an exactly
+// unitary gate instead of one the simulator would have to renormalize after every step.
+
+import { complex, cAdd, cSub, cMul, cConj, cAbs, cPhase, cFromPolar, cScale, createUGateFromMatrix } from './quantum.js';
+
+// Loose enough for entries typed to four decimals, far too tight for a mistyped sign or entry
+export const UNITARY_TOLERANCE = 1e-3;
+
+export class MatrixInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MatrixInputError';
+    }
+}
+
+// ── Complex entries ──
+
+const cDiv = (a, b) => {
+    const den = b.re * b.re + b.im * b.im;
+    return complex((a.re * b.re + a.im * b.im) / den, (a.im * b.re - a.re * b.im) / den);
+};
+const cExp = (z) => cFromPolar(Math.exp(z.re), z.im);
+const cLog = (z) => complex(Math.log(cAbs(z)), cPhase(z));
+const cPow = (base, exponent) => (cAbs(base) === 0 ? complex(0) : cExp(cMul(exponent, cLog(base))));
+
+// Functions of real arguments are refused complex ones rather than silently dropping the imaginary part
+const realFunction = (name, fn) => (z) => {
+    if (Math.abs(z.im) > 1e-12) throw new MatrixInputError(`${name} takes a real argument`);
+    return complex(fn(z.re));
+};
+
+const FUNCTIONS = {
+    sqrt: (z) => cPow(z, complex(0.5)),
+    exp: cExp,
+    cos: realFunction('cos', Math.cos),
+    sin: realFunction('sin', Math.sin)
+};
+
+const CONSTANTS = { pi: complex(Math.PI), π: complex(Math.PI), e: complex(Math.E), i: complex(0, 1), j: complex(0, 1) };
+
+/**
+ * Value of one matrix entry. Besides + - * / ^ and parentheses it knows i (or j), pi (or π), e,
+ * sqrt, exp, cos and sin, and reads a number followed by a name or parenthesis as a product (2i, 3pi).
+ * Throws a MatrixInputError for anything else.
+ */
+export const parseComplex = (text) => {
+    const source = String(text).trim();
+    const tokens = source.match(/\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?|[A-Za-z_]\w*|\S/g) || [];
+    let pos = 0;
+    const fail = (message) => { throw new MatrixInputError(`"${source}": ${message}`); };
+    const expectToken = (tok) => { if (tokens[pos++] !== tok) fail(`expected "${tok}"`); };
+
+    const primary = () => {
+        const tok = tokens[pos++];
+        if (tok === undefined) fail(source ? 'incomplete expression' : 'empty entry');
+        if (tok === '(') { const v = sum(); expectToken(')'); return v; }
+        if (tok === '-') return cScale(power(), -1);
+        if (tok === '+') return power();
+        if (FUNCTIONS[tok]) { expectToken('('); const v = sum(); expectToken(')'); return FUNCTIONS[tok](v); }
+        if (CONSTANTS[tok]) return CONSTANTS[tok];
+        if (/^[\d.]/.test(tok)) return complex(parseFloat(tok));
+        return fail(`unknown symbol "${tok}"`);
+    };
+    const power = () => {
+        const base = primary();
+        if (tokens[pos] === '^') { pos++; return cPow(base, power()); }
+        return base;
+    };
+    // Juxtaposition binds like *, so 2i/3 is (2·i)/3
+    const startsFactor = (tok) => tok === '(' || (tok !== undefined && /^[A-Za-z_π]/.test(tok));
+    const product = () => {
+        let v = power();
+        while (tokens[pos] === '*' || tokens[pos] === '/' || startsFactor(tokens[pos])) {
+            const op = tokens[pos] === '*' || tokens[pos] === '/' ? tokens[pos++] : '*';
+            const rhs = power();
+            v = op === '*' ? cMul(v, rhs) : cDiv(v, rhs);
+        }
+        return v;
+    };
+    const sum = () => {
+        let v = product();
+        while (tokens[pos] === '+' || tokens[pos] === '-') {
+            const op = tokens[pos++];
+            const rhs = product();
+            v = op === '+' ? cAdd(v, rhs) : cSub(v, rhs);
+        }
+        return v;
+    };
+
+    const value = sum();
+    if (pos < tokens.length) fail(`unexpected "${tokens[pos]}"`);
+    if (!Number.isFinite(value.re) || !Number.isFinite(value.im)) fail('not a finite number');
+    return value;
+};
+
+// Short text for an entry that parseComplex reads back: 0.7071, -0.5i, 0.5-0.5i
+export const formatComplex = (z, digits = 4) => {
+    const round = (x) => {
+        const r = Number(x.toFixed(digits));
+        return Object.is(r, -0) ? 0 : r;
+    };
+    const re = round(z.re);
+    const im = round(z.im);
+    if (im === 0) return String(re);
+    const imText = Math.abs(im) === 1 ? 'i' : `${Math.abs(im)}i`;
+    if (re === 0) return im < 0 ? `-${imText}` : imText;
+    return `${re}${im < 0 ? '-' : '+'}${imText}`;
+};
+
+// ── Unitarity ──
+
+// Largest entry of M·M† - I
+export const getUnitarityDeviation = (matrix) => {
+    let deviation = 0;
+    matrix.forEach((rowA, r) => matrix.forEach((rowB, c) => {
+        const entry = rowA.reduce((acc, v, k) => cAdd(acc, cMul(v, cConj(rowB[k]))), complex(0));
+        deviation = Math.max(deviation, cAbs(cSub(entry, complex(r === c ? 1 : 0))));
+    }));
+    return deviation;
+};
+
+// Gram-Schmidt on the columns: the nearby exactly unitary matrix for one that passed the check
+const orthonormalize = (matrix) => {
+    const size = matrix.length;
+    const columns = [];
+    for (let col = 0; col < size; col++) {
+        let v = matrix.map(row => row[col]);
+        columns.forEach(u => {
+            const overlap = u.reduce((acc, x, k) => cAdd(acc, cMul(cConj(x), v[k])), complex(0));
+            v = v.map((x, k) => cSub(x, cMul(overlap, u[k])));
+        });
+        const norm = Math.sqrt(v.reduce((acc, x) => acc + cAbs(x) ** 2, 0));
+        columns.push(v.map(x => cScale(x, 1 / norm)));
+    }
+    return matrix.map((_, r) => columns.map(column => column[r]));
+};
+
+/**
+ * Square matrix of complex values from rows of entry texts, checked to be unitary.
+ * Throws a MatrixInputError naming the entry that cannot be read, or how far from unitary the matrix is.
+ */
+export const parseUnitary = (entries, tolerance = UNITARY_TOLERANCE) => {
+    const size = entries.length;
+    if (size === 0 || (size & (size - 1)) !== 0 || entries.some(row => row.length !== size)) {
+        throw new MatrixInputError('a gate matrix is square with 2, 4, 8, ... rows');
+    }
+    const matrix = entries.map((row, r) => row.map((text, c) => {
+        try {
+            return parseComplex(text);
+        } catch (err) {
+            if (err instanceof MatrixInputError) throw new MatrixInputError(`row ${r + 1}, column ${c + 1}: ${err.message}`);
+            throw err;
+        }
+    }));
+    const deviation = getUnitarityDeviation(matrix);
+    if (!(deviation <= tolerance)) {
+        throw new MatrixInputError(`not unitary: M·M† differs from the identity by up to ${deviation.toPrecision(2)} (tolerance ${tolerance})`);
+    }
+    return orthonormalize(matrix);
+};
+
+// ── Gates ──
+
+// U gate for a 2x2 unitary: the exact matrix, with θ/φ/λ and its global phase in the decomposition
+export const createMatrixGate = (matrix) => {
+    if (matrix.length !== 2) throw new MatrixInputError('only single-qubit (2x2) matrices can be entered so far');
+    return createUGateFromMatrix(matrix);
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cAbs, cSub, cFromPolar, createU3Matrix, extractRotationFromMatrix, getU3GlobalPhase, createTwoQubitMatrix, GATES } from './quantum.js';
+import { MatrixInputError, parseComplex, formatComplex, parseUnitary, getUnitarityDeviation, createMatrixGate } from './matrixInput.js';
+import { expectThrows } from './testUtils.js';
+
+const expectComplexClose = (actual, expected, tol = 1e-9) => {
+    expect(cAbs(cSub(actual, expected))).toBeLessThan(tol);
+};
+
+describe('matrix entries', () => {
+    it('reads complex expressions', () => {
+        expectComplexClose(parseComplex('0.5'), complex(0.5));
+        expectComplexClose(parseComplex('-i/sqrt(2)'), complex(0, -Math.SQRT1_2));
+        expectComplexClose(parseComplex('1/2 + i*sqrt(3)/2'), complex(0.5, Math.sqrt(3) / 2));
+        expectComplexClose(parseComplex('2i'), complex(0, 2));
+        expectComplexClose(parseComplex('e^(i*pi/4)'), cFromPolar(1, Math.PI / 4));
+        expectComplexClose(parseComplex('exp(-i π/8)'), cFromPolar(1, -Math.PI / 8));
+        expectComplexClose(parseComplex('1e-3'), complex(0.001));
+    });
+
+    it('names what it cannot read', () => {
+        expectThrows(() => parseComplex(''), MatrixInputError, /empty entry/);
+        expectThrows(() => parseComplex('0.5 +'), MatrixInputError, /incomplete/);
+        expectThrows(() => parseComplex('theta'), MatrixInputError, /unknown symbol "theta"/);
+        expectThrows(() => parseComplex('cos(i)'), MatrixInputError, /real argument/);
+        expectThrows(() => parseComplex('1/0'), MatrixInputError, /finite/);
+    });
+
+    it('formats entries so they read back', () => {
+        ['0', '0.7071', '-i', '0.5-0.5i', '-0.25+i'].forEach(text => expect(formatComplex(parseComplex(text))).toBe(text));
+        expect(formatComplex(complex(-1e-12, 1e-12))).toBe('0');
+    });
+});
+
+describe('unitary matrices', () => {
+    it('accepts rounded entries and makes them exactly unitary', () => {
+        const matrix = parseUnitary([['0.7071', '0.7071'], ['0.7071', '-0.7071']]);
+        expect(getUnitarityDeviation(matrix)).toBeLessThan(1e-12);
+        matrix.flat().forEach((v, k) => expectComplexClose(v, GATES.H.defaultMatrix[k >> 1][k & 1], 1e-4));
+    });
+
+    it('refuses matrices that are not unitary', () => {
+        expectThrows(() => parseUnitary([['1', '1'], ['0', '1']]), MatrixInputError, /not unitary/);
+        expectThrows(() => parseUnitary([['0.6', '0'], ['0', '1']]), MatrixInputError, /not unitary/);
+        expectThrows(() => parseUnitary([['1', '0', '0'], ['0', '1', '0'], ['0', '0', '1']]), MatrixInputError, /square with 2, 4/);
+        expectThrows(() => parseUnitary([['1', 'x'], ['0', '1']]), MatrixInputError, /row 1, column 2/);
+    });
+
+    it('turns a 2x2 unitary into a U gate that keeps its exact matrix and global phase', () => {
+        const matrix = createU3Matrix(1.1, -0.4, 2.3, 0.7);
+        const gate = createMatrixGate(matrix);
+        expect(gate.gate).toBe('U');
+        expect(gate.matrix).toBe(matrix);
+        expect(getU3GlobalPhase(gate)).toBeCloseTo(0.7, 9);
+
+        const { theta, phi, lambda, globalPhase } = extractRotationFromMatrix(matrix);
+        createU3Matrix(theta, phi, lambda, globalPhase).flat().forEach((v, k) => expectComplexClose(v, matrix[k >> 1][k & 1]));
+        expectThrows(() => createMatrixGate(createTwoQubitMatrix('SWAP')), MatrixInputError, /2x2/);
+    });
+});
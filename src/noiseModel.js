@@ -0,0 +1,142 @@
+// Workspace-wide hardware noise model
+// Besides noise channels placed by hand, a workspace can describe the device it would run on. While
+// the model is enabled, simulateDensityBranches applies it after every gate of the grid:
+//   gate error     depolarizing noise with the probability set for the gate's type, on every qubit it touches
+//   relaxation     every qubit the gate touches relaxes for the gate's duration with its own T1 and T2
+//   readout error  a measured bit is recorded flipped with the qubit's readout probability
+// Qubits a gate does not touch stay as they are. T1 and T2 are in microseconds, gate durations in
+// nanoseconds, as device data sheets give them; a null T1 or T2 means that kind of decay is off.
+//
+// A model is { enabled, qubits: [{ t1, t2, readoutError }], durations: { singleQubit, twoQubit, measure },
+// gateErrors: { [gate type]: p } }. qubits may be shorter than the circuit: missing wires are ideal.
+
+import { getNoiseKrausOperators, getGateControls, isCustomGate, isNoiseChannel } from './quantum.js';
+import { basisLabel } from './statevector.js';
+
+export const IDEAL_QUBIT = { t1: null, t2: null, readoutError: 0 };
+
+// Typical superconducting-qubit gate and readout times
+export const DEFAULT_DURATIONS = { singleQubit: 50, twoQubit: 300, measure: 1000 };
+
+export const createNoiseModel = () => ({
+    enabled: false,
+    qubits: [],
+    durations: { ...DEFAULT_DURATIONS },
+    gateErrors: {}
+});
+
+export const getQubitNoise = (model, qubit) => ({ ...IDEAL_QUBIT, ...model?.qubits[qubit] });
+
+// Per-qubit readout flip probabilities for numQubits wires
+export const getReadoutErrors = (model, numQubits) =>
+    Array.from({ length: numQubits }, (_, q) => getQubitNoise(model, q).readoutError);
+
+// ── Editing ──
+
+// Model with some fields of one qubit replaced, padding the list with ideal qubits up to it
+export const withQubitNoise = (model, qubit, changes) => {
+    const qubits = Array.from({ length: Math.max(model.qubits.length, qubit + 1) }, (_, q) => getQubitNoise(model, q));
+    qubits[qubit] = { ...qubits[qubit], ...changes };
+    return { ...model, qubits };
+};
+
+// Model without the entry of a removed wire, so the wires below keep their own values
+export const withoutQubitNoise = (model, qubit) => ({ ...model, qubits: model.qubits.filter((_, q) => q !== qubit) });
+
+// ── Gate types ──
+
+/**
+ * Type a gate error belongs to: its label with one C per control (H, CX, CCZ, SWAP, or a custom
+ * gate's name), so a CNOT can be given a different error from an X.
+ */
+export const getGateType = (gate) => {
+    const name = isCustomGate(gate) ? gate.name : gate.gate;
+    return 'C'.repeat(getGateControls(gate).length) + name;
+};
+
+const isGateCell = (cell) => cell && !['CONTROL', 'PARTNER', 'BARRIER', 'M'].includes(cell.gate) && !isNoiseChannel(cell);
+
+// Gate types used in the circuit, in the order they first appear column by column
+export const getCircuitGateTypes = (circuits) => {
+    const types = new Set();
+    const width = Math.max(0, ...circuits.map(row => row.length));
+    for (let slot = 0; slot < width; slot++) {
+        circuits.forEach(row => { if (isGateCell(row[slot])) types.add(getGateType(row[slot])); });
+    }
+    return [...types];
+};
+
+// True when the model is enabled and would change anything
+export const isNoiseModelActive = (model) => Boolean(model?.enabled) && (
+    model.qubits.some(q => q.t1 !== null || q.t2 !== null || q.readoutError > 0) ||
+    Object.values(model.gateErrors).some(p => p > 0)
+);
+
+// ── Channels ──
+
+/**
+ * Kraus operator sets for relaxation over durationNs on a qubit with the given T1 and T2 (μs):
+ * amplitude damping with γ = 1 - e^(-t/T1), then phase damping for whatever dephasing T2 adds on
+ * top, so coherences end up scaled by e^(-t/T2). T2 cannot exceed 2·T1; a longer one is capped.
+ */
+export const getRelaxationChannels = ({ t1, t2 }, durationNs) => {
+    const t = durationNs / 1000;
+    if (!(t > 0)) return [];
+    const channels = [];
+    const decayRate = t1 ? 1 / t1 : 0;
+    if (decayRate > 0) channels.push(getNoiseKrausOperators('AMPLITUDE_DAMPING', 1 - Math.exp(-t * decayRate)));
+    // Amplitude damping already scales coherences by e^(-t/(2·T1))
+    const dephasingRate = (t2 ? 1 / t2 : 0) - decayRate / 2;
+    if (dephasingRate > 0) channels.push(getNoiseKrausOperators('PHASE_DAMPING', 1 - Math.exp(-2 * t * dephasingRate)));
+    return channels;
+};
+
+// Wires an operation from getCircuitOperations acts on, controls included
+export const getOperationQubits = (op) => {
+    const qubits = op.wires ? [...op.wires] : [op.target];
+    if (op.partner !== null && op.partner !== undefined) qubits.push(op.partner);
+    (op.controls || []).forEach(({ qubit }) => qubits.push(qubit));
+    return qubits;
+};
+
+const getOperationDuration = (model, op, qubits) => {
+    if (op.measure) return model.durations.measure;
+    return qubits.length > 1 ? model.durations.twoQubit : model.durations.singleQubit;
+};
+
+/**
+ * Channels the model adds after one operation: [{ qubit, kraus }] in the order they apply.
+ * A measurement only relaxes for its duration (before the readout); its readout error is
+ * applied to the recorded bit instead.
+ */
+export const getOperationNoise = (model, op) => {
+    if (!isNoiseModelActive(model) || op.noise) return [];
+    const qubits = op.measure ? [op.target] : getOperationQubits(op);
+    const duration = getOperationDuration(model, op, qubits);
+    const gateError = op.measure ? 0 : model.gateErrors[getGateType(op.gate)] ?? 0;
+    const channels = [];
+    for (const qubit of qubits) {
+        if (gateError > 0) channels.push({ qubit, kraus: getNoiseKrausOperators('DEPOLARIZING', gateError) });
+        getRelaxationChannels(getQubitNoise(model, qubit), duration).forEach(kraus => channels.push({ qubit, kraus }));
+    }
+    return channels;
+};
+
+/**
+ * Distribution of a final readout of every qubit, from exact basis probabilities: each bit is read
+ * flipped with its qubit's readout error. Takes and returns getBranchProbabilities lists with every
+ * basis state; the result is sorted the same way, most likely first.
+ */
+export const applyReadoutErrors = (allProbabilities, readoutErrors) => {
+    const numQubits = readoutErrors.length;
+    let totals = Array(1 << numQubits).fill(0);
+    allProbabilities.forEach(({ state, probability }) => { totals[parseInt(state, 2)] = probability; });
+    readoutErrors.forEach((error, q) => {
+        if (!(error > 0)) return;
+        const mask = 1 << (numQubits - 1 - q);
+        totals = totals.map((p, i) => (1 - error) * p + error * totals[i ^ mask]);
+    });
+    return totals
+        .map((probability, i) => ({ state: basisLabel(i, numQubits), probability }))
+        .sort((a, b) => b.probability - a.probability);
+};
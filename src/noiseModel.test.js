@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { createGateInstance, densityMatrixToBlochCoords } from './quantum.js';
+import { getBranchProbabilities, getMixedReducedDensityMatrix } from './statevector.js';
+import { simulateDensityBranches } from './densityMatrix.js';
+import { sampleShots } from './sampling.js';
+import {
+    createNoiseModel,
+    withQubitNoise,
+    withoutQubitNoise,
+    getGateType,
+    getCircuitGateTypes,
+    isNoiseModelActive,
+    getOperationNoise,
+    applyReadoutErrors
+} from './noiseModel.js';
+import { controlled, controlDot } from './testUtils.js';
+
+const enabledModel = (changes = {}) => ({ ...createNoiseModel(), enabled: true, ...changes });
+
+const blochOf = (circuits, qubit, noiseModel) => densityMatrixToBlochCoords(
+    getMixedReducedDensityMatrix(simulateDensityBranches(circuits, { noiseModel }), qubit, circuits.length)
+);
+
+describe('noise model', () => {
+    it('names gate types by their controls', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), controlDot(1), createGateInstance('M')],
+            [createGateInstance('X'), controlled('X', 0), controlled('Z', 0), createGateInstance('BIT_FLIP')]
+        ];
+        expect(getGateType(circuits[1][1])).toBe('CX');
+        expect(getCircuitGateTypes(circuits)).toEqual(['H', 'X', 'CX', 'CZ']);
+    });
+
+    it('keeps per-qubit values in order as wires come and go', () => {
+        const model = withQubitNoise(createNoiseModel(), 2, { t1: 50 });
+        expect(model.qubits.map(q => q.t1)).toEqual([null, null, 50]);
+        expect(withoutQubitNoise(model, 0).qubits.map(q => q.t1)).toEqual([null, 50]);
+    });
+
+    it('does nothing until it is enabled and set', () => {
+        const model = withQubitNoise(createNoiseModel(), 0, { t1: 10 });
+        expect(isNoiseModelActive(model)).toBe(false);
+        expect(isNoiseModelActive(enabledModel())).toBe(false);
+        expect(isNoiseModelActive({ ...model, enabled: true })).toBe(true);
+
+        const circuits = [[createGateInstance('X')]];
+        const coords = blochOf(circuits, 0, model);
+        expect(coords.z).toBeCloseTo(-1, 12);
+    });
+
+    it('relaxes the qubits a gate touches for its duration', () => {
+        // T1 = 1 μs, T2 = 0.5 μs; one 100 ns gate on each wire
+        const model = enabledModel({
+            qubits: [{ t1: 1, t2: 0.5, readoutError: 0 }, { t1: 1, t2: 0.5, readoutError: 0 }],
+            durations: { singleQubit: 100, twoQubit: 300, measure: 1000 }
+        });
+        const excited = blochOf([[createGateInstance('X')]], 0, model);
+        expect((1 - excited.z) / 2).toBeCloseTo(Math.exp(-0.1), 9); // P(1) = e^(-t/T1)
+
+        const plus = blochOf([[createGateInstance('H')]], 0, model);
+        expect(plus.x).toBeCloseTo(Math.exp(-0.1 / 0.5), 9); // coherence e^(-t/T2)
+
+        // The untouched wire stays pure
+        const idle = blochOf([[createGateInstance('H')], [null]], 1, model);
+        expect(idle.z).toBeCloseTo(1, 12);
+    });
+
+    it('caps T2 at 2·T1', () => {
+        const capped = enabledModel({ qubits: [{ t1: 1, t2: 5, readoutError: 0 }] });
+        const limit = enabledModel({ qubits: [{ t1: 1, t2: 2, readoutError: 0 }] });
+        const circuits = [[createGateInstance('H')]];
+        expect(blochOf(circuits, 0, capped).x).toBeCloseTo(blochOf(circuits, 0, limit).x, 12);
+    });
+
+    it('depolarizes every qubit of a gate with its type error', () => {
+        const model = enabledModel({ gateErrors: { CX: 0.2, X: 0 } });
+        const circuits = [
+            [createGateInstance('X'), controlDot(1)],
+            [null, controlled('X', 0)]
+        ];
+        const cx = { gate: circuits[1][1], target: 1, partner: null, wires: null, controls: [{ qubit: 0, open: false }] };
+        expect(getOperationNoise(model, cx).map(c => c.qubit)).toEqual([1, 0]);
+
+        // |11⟩ after the CX; depolarizing p shrinks each vector to 1 - p
+        expect(blochOf(circuits, 0, model).z).toBeCloseTo(-0.8, 9);
+        expect(blochOf(circuits, 1, model).z).toBeCloseTo(-0.8, 9);
+    });
+
+    it('records measured bits flipped with the readout error', () => {
+        const model = enabledModel({ qubits: [{ t1: null, t2: null, readoutError: 0.1 }] });
+        const branches = simulateDensityBranches([[createGateInstance('X'), createGateInstance('M')]], { noiseModel: model });
+        expect(branches).toHaveLength(2);
+        const byBit = Object.fromEntries(branches.map(b => [b.classicalBits[0], b]));
+        expect(byBit[1].probability).toBeCloseTo(0.9, 12);
+        expect(byBit[0].probability).toBeCloseTo(0.1, 12);
+        // The qubit itself was measured as |1⟩ either way
+        expect(byBit[0].rho[1][1].re).toBeCloseTo(1, 12);
+    });
+
+    it('merges branches that recorded the same bits', () => {
+        const model = enabledModel({ qubits: [{ t1: null, t2: null, readoutError: 0.25 }] });
+        const branches = simulateDensityBranches([[createGateInstance('H'), createGateInstance('M')]], { noiseModel: model });
+        expect(branches).toHaveLength(2);
+        branches.forEach(b => expect(b.probability).toBeCloseTo(0.5, 12));
+        const zero = branches.find(b => b.classicalBits[0] === 0);
+        expect(zero.rho[0][0].re).toBeCloseTo(0.75, 12);
+    });
+
+    it('smears a final readout distribution', () => {
+        const exact = getBranchProbabilities(simulateDensityBranches([[createGateInstance('X')], [null]]), 2, true);
+        const noisy = applyReadoutErrors(exact, [0.1, 0.2]);
+        const byState = Object.fromEntries(noisy.map(({ state, probability }) => [state, probability]));
+        expect(noisy[0].state).toBe('10');
+        expect(byState['10']).toBeCloseTo(0.9 * 0.8, 12);
+        expect(byState['00']).toBeCloseTo(0.1 * 0.8, 12);
+        expect(byState['11']).toBeCloseTo(0.9 * 0.2, 12);
+        expect(byState['01']).toBeCloseTo(0.1 * 0.2, 12);
+
+        const counts = sampleShots(simulateDensityBranches([[createGateInstance('X')]]), { shots: 2000, seed: 3, numQubits: 1, readoutErrors: [0.25] });
+        const flipped = counts.find(c => c.outcome === '0').count / 2000;
+        expect(flipped).toBeGreaterThan(0.2);
+        expect(flipped).toBeLessThan(0.3);
+    });
+});
@@ -92,7 +92,12 @@ function VectorField({ mouseRef }) {
     return <canvas ref={canvasRef} className="qbits-landing-vectors" />;
 }
 
-export default function QbitsLanding({ onStart }) {
+const formatSavedAt = (savedAt) => new Date(savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const describeCircuit = ({ numQubits, gateCount, savedAt }) =>
+    `${numQubits} qubit${numQubits === 1 ? '' : 's'} · ${gateCount} gate${gateCount === 1 ? '' : 's'} · ${formatSavedAt(savedAt)}`;
+
+export default function QbitsLanding({ onStart, savedSession = null, onRestoreSession, recentCircuits = [], onOpenRecent, onDeleteRecent }) {
     const mouseRef = useRef({
         x: typeof window !== 'undefined' ? window.innerWidth * 0.5 : 0,
         y: typeof window !== 'undefined' ? window.innerHeight * 0.5 : 0,
@@ -119,6 +124,37 @@ export default function QbitsLanding({ onStart }) {
                 <button type="button" className="qbits-start-button" onClick={onStart}>
                     Start
                 </button>
+                {savedSession && (
+                    <div className="qbits-restore">
+                        <button type="button" className="qbits-restore-button" onClick={onRestoreSession}>
+                            Restore previous session
+                        </button>
+                        <span className="qbits-landing-meta">{describeCircuit(savedSession)}</span>
+                    </div>
+                )}
+                {recentCircuits.length > 0 && (
+                    <div className="qbits-recent">
+                        <p className="qbits-recent-title">Recent circuits</p>
+                        <ul className="qbits-recent-list">
+                            {recentCircuits.map(circuit => (
+                                <li key={circuit.name} className="qbits-recent-item">
+                                    <button type="button" className="qbits-recent-open" onClick={() => onOpenRecent(circuit.name)}>
+                                        <span className="qbits-recent-name">{circuit.name}</span>
+                                        <span className="qbits-landing-meta">{describeCircuit(circuit)}</span>
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="qbits-recent-delete"
+                                        onClick={() => onDeleteRecent(circuit.name)}
+                                        title={`Forget "${circuit.name}"`}
+                                    >
+                                        ×
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
             </section>
         </div>
     );
@@ -8,6 +8,7 @@ import {
     createGateInstance,
     createU3Matrix,
     gateHasPhaseKickbackPotential,
+    withGateAngle,
     getKickbackPhaseForControlledGate
 } from './quantum.js';
 
@@ -175,6 +176,13 @@ describe('kickback gate classification', () => {
         expect(gateHasPhaseKickbackPotential(cancelPhaseU)).toBe(false);
         expect(gateHasPhaseKickbackPotential(nonPhaseU)).toBe(false);
     });
+
+    it('counts a global phase alone as kickback-capable', () => {
+        const minusIdentity = createGateInstance('U', { theta: 0, phi: 0, lambda: 0, globalPhase: Math.PI });
+        expect(gateHasPhaseKickbackPotential(minusIdentity)).toBe(true);
+        expect(gateHasPhaseKickbackPotential(withGateAngle(createGateInstance('RX'), 2 * Math.PI))).toBe(true);
+        expect(gateHasPhaseKickbackPotential(withGateAngle(createGateInstance('RZ'), 4 * Math.PI))).toBe(false);
+    });
 });
 
 describe('kickback phase extraction from target eigenstates', () => {
@@ -193,6 +201,16 @@ describe('kickback phase extraction from target eigenstates', () => {
         expect(phase).toBe(0);
     });
 
+    it('includes the global phase of the target gate', () => {
+        const minusIdentity = createGateInstance('U', { theta: 0, phi: 0, lambda: 0, globalPhase: Math.PI });
+        [[complex(1), complex(0)], [complex(SQRT1_2), complex(0, SQRT1_2)]].forEach(state => {
+            expect(Math.abs(getKickbackPhaseForControlledGate(minusIdentity, state))).toBeCloseTo(Math.PI, 9);
+        });
+        // RZ(θ) = e^(-iθ/2) P(θ): on |0⟩ the kickback is the global phase alone
+        const rz = withGateAngle(createGateInstance('RZ'), Math.PI / 2);
+        expect(getKickbackPhaseForControlledGate(rz, [complex(1), complex(0)])).toBeCloseTo(-Math.PI / 4, 9);
+    });
+
     it('returns null when target is not an eigenstate of controlled gate', () => {
         const X = createGateInstance('X');
         const zero = [complex(1), complex(0)];
@@ -0,0 +1,558 @@
+// OpenQASM 2.0 import and export of the circuit grid
+// Wire i is q[i] and classical bit i is c[i]. Columns are written left to right; a barrier at
+// slot s is written before the gates of column s. Imported gates are packed into the leftmost
+// column where every wire they span is free. Custom gates are written as gate definitions (and
+// parameterless definitions made of qelib1 gates are read back as custom gates).
+// The statement splitter, expression evaluator and column packing are shared with qasm3.js.
+
+import { GATES, createCircuitGate, getGateControls, getU3GlobalPhase, isTwoQubitGate, isCustomGate, isNoiseChannel, withGateAngle } from './quantum.js';
+import { getUnitWires, placeGateUnit } from './circuitModel.js';
+import { MAX_QUBITS } from './statevector.js';
+import { CustomGateError, createCustomGate, createCustomGateInstance, findCustomGate } from './customGates.js';
+
+export class QasmError extends Error {
+    constructor(message, line = null) {
+        super(line !== null ? `Line ${line}: ${message}` : message);
+        this.name = 'QasmError';
+        this.line = line;
+    }
+}
+
+// ── Gate tables ──
+
+// qelib1.inc name -> gate in this app. controls = leading control arguments, params = angle count
+export const QASM_GATES = {
+    id: { gate: 'I' },
+    x: { gate: 'X' },
+    y: { gate: 'Y' },
+    z: { gate: 'Z' },
+    h: { gate: 'H' },
+    s: { gate: 'S' },
+    sdg: { gate: 'SDG' },
+    t: { gate: 'T' },
+    tdg: { gate: 'TDG' },
+    sx: { gate: 'SX' },
+    rx: { gate: 'RX', params: 1 },
+    ry: { gate: 'RY', params: 1 },
+    rz: { gate: 'RZ', params: 1 },
+    p: { gate: 'P', params: 1 },
+    u1: { gate: 'P', params: 1 },
+    u2: { gate: 'U', params: 2 },
+    u3: { gate: 'U', params: 3 },
+    u: { gate: 'U', params: 3 },
+    U: { gate: 'U', params: 3 },
+    cx: { gate: 'X', controls: 1 },
+    CX: { gate: 'X', controls: 1 },
+    cy: { gate: 'Y', controls: 1 },
+    ch: { gate: 'H', controls: 1 },
+    csx: { gate: 'SX', controls: 1 },
+    crx: { gate: 'RX', controls: 1, params: 1 },
+    cry: { gate: 'RY', controls: 1, params: 1 },
+    crz: { gate: 'RZ', controls: 1, params: 1 },
+    cp: { gate: 'P', controls: 1, params: 1 },
+    cu1: { gate: 'P', controls: 1, params: 1 },
+    cu3: { gate: 'U', controls: 1, params: 3 },
+    ccx: { gate: 'X', controls: 2 },
+    cz: { gate: 'CZ' },
+    swap: { gate: 'SWAP' },
+    cswap: { gate: 'SWAP', controls: 1 },
+    iswap: { gate: 'ISWAP' },
+    sqrt_swap: { gate: 'SQRT_SWAP' },
+    rxx: { gate: 'RXX', params: 1 },
+    ryy: { gate: 'RYY', params: 1 },
+    rzz: { gate: 'RZZ', params: 1 }
+};
+
+// Export names: uncontrolled, singly-controlled, and two-qubit gates
+const SINGLE_QUBIT_NAMES = { I: 'id', X: 'x', Y: 'y', Z: 'z', H: 'h', S: 's', SDG: 'sdg', T: 't', TDG: 'tdg', SX: 'sx', RX: 'rx', RY: 'ry', RZ: 'rz', P: 'p' };
+const CONTROLLED_NAMES = { X: 'cx', Y: 'cy', Z: 'cz', H: 'ch', SX: 'csx', RX: 'crx', RY: 'cry', RZ: 'crz', P: 'cp' };
+const CONTROLLED_PHASES = { S: Math.PI / 2, SDG: -Math.PI / 2, T: Math.PI / 4, TDG: -Math.PI / 4 };
+const TWO_QUBIT_NAMES = { SWAP: 'swap', ISWAP: 'iswap', SQRT_SWAP: 'sqrt_swap', CZ: 'cz', RXX: 'rxx', RYY: 'ryy', RZZ: 'rzz' };
+
+// Gates missing from qelib1.inc are exported with a definition in qelib1 gates, like Qiskit does.
+// The importer recognizes these names and skips their bodies.
+const GATE_DEFINITIONS = {
+    ryy: 'gate ryy(theta) a,b { rx(pi/2) a; rx(pi/2) b; cx a,b; rz(theta) b; cx a,b; rx(-pi/2) a; rx(-pi/2) b; }',
+    iswap: 'gate iswap a,b { s a; s b; h a; cx a,b; cx b,a; h b; }',
+    sqrt_swap: 'gate sqrt_swap a,b { rxx(pi/4) a,b; ryy(pi/4) a,b; rzz(pi/4) a,b; }'
+};
+const DEFINITION_DEPENDENCIES = { sqrt_swap: ['ryy'] };
+
+// ── Export ──
+
+// Angles that are simple multiples of π are written as such (e.g. 3*pi/4)
+export const formatAngle = (angle) => {
+    if (Math.abs(angle) < 1e-12) return '0';
+    for (const den of [1, 2, 3, 4, 6, 8, 12, 16]) {
+        const num = angle * den / Math.PI;
+        const rounded = Math.round(num);
+        if (rounded !== 0 && Math.abs(num - rounded) < 1e-9) {
+            const sign = rounded < 0 ? '-' : '';
+            const coeff = Math.abs(rounded) === 1 ? 'pi' : `${Math.abs(rounded)}*pi`;
+            return den === 1 ? `${sign}${coeff}` : `${sign}${coeff}/${den}`;
+        }
+    }
+    return String(angle);
+};
+
+// Statements for one gate cell (without the if-prefix); q names the wires
+const gateStatements = (gate, qi, slot, bitRef, definitions, q = (i) => `q[${i}]`) => {
+    const where = `${gate.label || gate.gate} on q[${qi}] in column ${slot}`;
+    const controls = getGateControls(gate);
+    const controlArgs = controls.map(c => q(c.qubit));
+    const angle = gate.angle !== undefined ? `(${formatAngle(gate.angle)})` : '';
+
+    if (gate.gate === 'M') {
+        return [`measure ${q(qi)} -> ${bitRef(gate.classicalBit ?? qi)};`];
+    }
+    if (isNoiseChannel(gate)) throw new QasmError(`${where}: noise channels have no OpenQASM equivalent`);
+
+    if (isCustomGate(gate)) {
+        if (controls.length > 0) throw new QasmError(`${where}: a controlled custom gate has no OpenQASM 2.0 equivalent`);
+        definitions.add(gate.name);
+        return [`${gate.name} ${gate.wires.map(q).join(',')};`];
+    }
+
+    if (isTwoQubitGate(gate)) {
+        const name = TWO_QUBIT_NAMES[gate.gate];
+        for (const dep of [...(DEFINITION_DEPENDENCIES[name] || []), name]) {
+            if (GATE_DEFINITIONS[dep]) definitions.add(dep);
+        }
+        if (controls.length === 0) return [`${name}${angle} ${q(qi)},${q(gate.partner)};`];
+        if (controls.length === 1 && gate.gate === 'SWAP') return [`cswap ${controlArgs[0]},${q(qi)},${q(gate.partner)};`];
+        throw new QasmError(`${where}: a controlled ${gate.gate} has no OpenQASM 2.0 equivalent`);
+    }
+
+    if (controls.length === 0) {
+        if (gate.gate === 'U') {
+            const { theta, phi, lambda } = gate.decomposition;
+            return [`u3(${formatAngle(theta)},${formatAngle(phi)},${formatAngle(lambda)}) ${q(qi)};`];
+        }
+        if (!SINGLE_QUBIT_NAMES[gate.gate]) throw new QasmError(`${where}: unsupported gate`);
+        return [`${SINGLE_QUBIT_NAMES[gate.gate]}${angle} ${q(qi)};`];
+    }
+
+    if (controls.length === 1) {
+        const args = `${controlArgs[0]},${q(qi)}`;
+        if (CONTROLLED_NAMES[gate.gate]) return [`${CONTROLLED_NAMES[gate.gate]}${angle} ${args};`];
+        if (CONTROLLED_PHASES[gate.gate] !== undefined) return [`cp(${formatAngle(CONTROLLED_PHASES[gate.gate])}) ${args};`];
+        if (gate.gate === 'I') return [`id ${q(qi)};`];
+        if (gate.gate === 'U') {
+            const { theta, phi, lambda } = gate.decomposition;
+            const statements = [`cu3(${formatAngle(theta)},${formatAngle(phi)},${formatAngle(lambda)}) ${args};`];
+            // cu3 drops the matrix's global phase, which a control turns into a relative phase
+            const phase = getU3GlobalPhase(gate);
+            if (Math.abs(phase) > 1e-9) statements.push(`p(${formatAngle(phase)}) ${controlArgs[0]};`);
+            return statements;
+        }
+    }
+
+    if (controls.length === 2 && gate.gate === 'X') return [`ccx ${controlArgs.join(',')},${q(qi)};`];
+
+    throw new QasmError(`${where}: a ${controls.length}-controlled ${gate.gate} has no OpenQASM 2.0 equivalent`);
+};
+
+// Statements of the circuit's columns, left to right
+const circuitStatements = (circuits, barriers, bitRef, definitions, q = (i) => `q[${i}]`) => {
+    let maxSlot = -1;
+    circuits.forEach(row => row.forEach((g, slot) => { if (g) maxSlot = Math.max(maxSlot, slot); }));
+    const barrierSlots = new Set(barriers);
+    const lastSlot = Math.max(maxSlot, ...barriers);
+
+    const body = [];
+    for (let slot = 0; slot <= lastSlot; slot++) {
+        if (barrierSlots.has(slot)) body.push('barrier q;');
+        circuits.forEach((row, qi) => {
+            const gate = row[slot];
+            if (!gate || gate.gate === 'CONTROL' || gate.gate === 'PARTNER' || gate.gate === 'BARRIER') return;
+            const prefix = gate.condition ? `if(c${gate.condition.bit}==${gate.condition.value}) ` : '';
+            const flips = getGateControls(gate).filter(c => c.open).map(c => `x ${q(c.qubit)};`);
+            body.push(
+                ...flips,
+                ...gateStatements(gate, qi, slot, bitRef, definitions, q).map(stmt => prefix + stmt),
+                ...flips
+            );
+        });
+    }
+    return body;
+};
+
+// "gate name q0,q1 { ... }" for a custom gate; its inner circuit has no measurements or conditions
+const customGateDefinition = (definition, definitions) => {
+    const q = (i) => `q${i}`;
+    const body = circuitStatements(definition.circuits, [], null, definitions, q);
+    return `gate ${definition.name} ${definition.circuits.map((_, i) => q(i)).join(',')} { ${body.join(' ')} }`;
+};
+
+/**
+ * Write the circuit as OpenQASM 2.0 text.
+ * Open controls are written as X gates around the controlled gate. When any gate is
+ * classically controlled, each classical bit gets its own one-bit register (c0, c1, ...)
+ * because OpenQASM 2.0 conditions compare whole registers. Custom gates used in the circuit
+ * are defined (from customGates) in the header.
+ * Throws a QasmError for gates with no OpenQASM 2.0 equivalent.
+ */
+export const exportQasm = (circuits, barriers = [], customGates = []) => {
+    const numQubits = circuits.length;
+    const cells = circuits.flatMap(row => row.filter(Boolean));
+    const hasConditions = cells.some(g => g.condition);
+    const hasClassical = hasConditions || cells.some(g => g.gate === 'M');
+    const bitRef = (bit) => (hasConditions ? `c${bit}[0]` : `c[${bit}]`);
+
+    const definitions = new Set();
+    const body = circuitStatements(circuits, barriers, bitRef, definitions);
+    const customDefinitions = customGates
+        .filter(definition => definitions.has(definition.name))
+        .map(definition => customGateDefinition(definition, definitions));
+    const missing = [...definitions].find(name => !GATE_DEFINITIONS[name] && !findCustomGate(customGates, name));
+    if (missing) throw new QasmError(`custom gate "${missing}" has no definition`);
+
+    const header = ['OPENQASM 2.0;', 'include "qelib1.inc";'];
+    Object.keys(GATE_DEFINITIONS).forEach(name => { if (definitions.has(name)) header.push(GATE_DEFINITIONS[name]); });
+    header.push(...customDefinitions);
+    header.push(`qreg q[${numQubits}];`);
+    if (hasConditions) {
+        for (let bit = 0; bit < numQubits; bit++) header.push(`creg c${bit}[1];`);
+    } else if (hasClassical) {
+        header.push(`creg c[${numQubits}];`);
+    }
+    return [...header, ...body].join('\n') + '\n';
+};
+
+// ── Import ──
+
+// Split source into statements ending in ";" (or "}" for blocks), keeping the start line.
+// firstLine is the line number of the first character, for splitting the body of a block.
+export const splitStatements = (source, firstLine = 1) => {
+    const statements = [];
+    let text = '';
+    let startLine = null;
+    let line = firstLine;
+    let braceDepth = 0;
+    const flush = () => {
+        statements.push({ text: text.trim().replace(/;$/, '').trim(), line: startLine });
+        text = '';
+        startLine = null;
+    };
+
+    // Block comments keep their line breaks so line numbers stay right
+    const uncommented = source
+        .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+        .replace(/\/\/[^\n]*/g, '');
+    for (const ch of uncommented) {
+        if (startLine === null && /\S/.test(ch)) startLine = line;
+        if (ch === '\n') line++;
+        if (startLine !== null) text += ch;
+        if (ch === '{') braceDepth++;
+        else if (ch === '}' && --braceDepth === 0) flush();
+        else if (ch === ';' && braceDepth === 0) flush();
+    }
+    if (text.trim()) throw new QasmError('missing ";" at the end of the statement', startLine);
+    return statements.filter(s => s.text);
+};
+
+// Recursive-descent evaluator for gate parameters: numbers, pi, + - * / ^ (or **), unary minus,
+// parentheses and the functions sin, cos, tan, exp, ln, sqrt. symbols maps further names to
+// numbers (constants) or functions of one argument.
+const FUNCTIONS = { sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, sqrt: Math.sqrt };
+
+export const evaluateExpression = (source, line, symbols = {}) => {
+    const tokens = source.match(/\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?|[A-Za-z_]\w*|\S/g) || [];
+    let pos = 0;
+    const fail = (message) => { throw new QasmError(message, line); };
+    const expectToken = (tok) => { if (tokens[pos++] !== tok) fail(`expected "${tok}" in parameter "${source}"`); };
+
+    const primary = () => {
+        const tok = tokens[pos++];
+        if (tok === undefined) fail(`incomplete parameter "${source}"`);
+        if (tok === '(') { const v = sum(); expectToken(')'); return v; }
+        if (tok === '-') return -power();
+        if (tok === '+') return power();
+        if (tok === 'pi') return Math.PI;
+        const symbol = FUNCTIONS[tok] ?? symbols[tok];
+        if (typeof symbol === 'function') { expectToken('('); const v = sum(); expectToken(')'); return symbol(v); }
+        if (typeof symbol === 'number') return symbol;
+        if (/^[\d.]/.test(tok)) return parseFloat(tok);
+        return fail(`unknown symbol "${tok}" in parameter "${source}"`);
+    };
+    const power = () => {
+        const base = primary();
+        if (tokens[pos] === '^') { pos++; return base ** power(); }
+        if (tokens[pos] === '*' && tokens[pos + 1] === '*') { pos += 2; return base ** power(); }
+        return base;
+    };
+    const product = () => {
+        let v = power();
+        while ((tokens[pos] === '*' && tokens[pos + 1] !== '*') || tokens[pos] === '/') {
+            const op = tokens[pos++];
+            const rhs = power();
+            v = op === '*' ? v * rhs : v / rhs;
+        }
+        return v;
+    };
+    const sum = () => {
+        let v = product();
+        while (tokens[pos] === '+' || tokens[pos] === '-') {
+            const op = tokens[pos++];
+            const rhs = product();
+            v = op === '+' ? v + rhs : v - rhs;
+        }
+        return v;
+    };
+
+    if (tokens.length === 0) fail('empty parameter');
+    const value = sum();
+    if (pos < tokens.length) fail(`unexpected "${tokens[pos]}" in parameter "${source}"`);
+    return value;
+};
+
+// Split on commas that are not inside parentheses
+export const splitTopLevel = (text) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of text) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) { parts.push(current.trim()); current = ''; } else current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+};
+
+// "name(params) args" -> { name, params, args }, with balanced parentheses in params
+export const parseApplication = (text, line, symbols = {}) => {
+    const nameMatch = text.match(/^[A-Za-z_]\w*/);
+    if (!nameMatch) throw new QasmError(`cannot parse statement "${text}"`, line);
+    const name = nameMatch[0];
+    let rest = text.slice(name.length).trim();
+    let params = [];
+    if (rest.startsWith('(')) {
+        let depth = 0;
+        let end = -1;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i] === '(') depth++;
+            if (rest[i] === ')' && --depth === 0) { end = i; break; }
+        }
+        if (end < 0) throw new QasmError(`unbalanced parentheses in "${text}"`, line);
+        params = splitTopLevel(rest.slice(1, end)).map(p => evaluateExpression(p, line, symbols));
+        rest = rest.slice(end + 1).trim();
+    }
+    return { name, params, args: rest ? splitTopLevel(rest) : [] };
+};
+
+// Wires (or bits) named by one argument: q[0] is one index, a whole register is all of its indices
+export const resolveRegister = (registers, arg, line, kind) => {
+    const m = arg.match(/^([A-Za-z_]\w*)\s*(?:\[\s*(\d+)\s*\])?$/);
+    if (!m) throw new QasmError(`cannot parse ${kind} argument "${arg}"`, line);
+    const reg = registers[m[1]];
+    if (!reg) throw new QasmError(`unknown ${kind} register "${m[1]}"`, line);
+    if (m[2] === undefined) return Array.from({ length: reg.size }, (_, i) => reg.offset + i);
+    const index = parseInt(m[2], 10);
+    if (index >= reg.size) throw new QasmError(`${m[1]}[${index}] is out of range (size ${reg.size})`, line);
+    return [reg.offset + index];
+};
+
+// Expand register arguments: q[0] stays one wire, a whole register applies once per index
+export const broadcast = (lists, line) => {
+    const length = Math.max(...lists.map(l => l.length));
+    if (lists.some(l => l.length !== 1 && l.length !== length)) {
+        throw new QasmError('registers in one statement must have the same size', line);
+    }
+    return Array.from({ length }, (_, i) => lists.map(l => (l.length === 1 ? l[0] : l[i])));
+};
+
+// Throws unless a gate application has the parameter and qubit counts of its QASM_GATES entry
+const checkApplication = (spec, { name, params, args }, line) => {
+    const expectedParams = spec.params || 0;
+    if (params.length !== expectedParams) throw new QasmError(`${name} takes ${expectedParams} parameter(s), got ${params.length}`, line);
+    const expectedArgs = (spec.controls || 0) + (GATES[spec.gate].numQubits === 2 ? 2 : 1);
+    if (args.length !== expectedArgs) throw new QasmError(`${name} takes ${expectedArgs} qubit(s), got ${args.length}`, line);
+};
+
+// "gate name a,b { ... }" without parameters and made of qelib1 gates -> custom gate definition
+const parseGateDefinition = (text, line, customGates) => {
+    const m = text.match(/^gate\s+([A-Za-z_]\w*)\s*(\([^)]*\))?\s*([^{]*)\{([\s\S]*)\}$/);
+    if (!m) throw new QasmError('cannot parse gate definition', line);
+    const [, name, params, argText, body] = m;
+    if (params && params.slice(1, -1).trim()) throw new QasmError(`gate ${name}: custom gates with parameters are not supported`, line);
+    const wires = splitTopLevel(argText);
+    if (wires.length === 0) throw new QasmError(`gate ${name} has no qubit arguments`, line);
+
+    const operations = [];
+    const bodyLine = line + (text.slice(0, text.indexOf('{')).match(/\n/g) || []).length;
+    for (const statement of splitStatements(body, bodyLine)) {
+        const application = parseApplication(statement.text, statement.line);
+        const spec = QASM_GATES[application.name];
+        if (!spec) throw new QasmError(`gate ${name}: "${application.name}" cannot be used inside a custom gate here`, statement.line);
+        checkApplication(spec, application, statement.line);
+        const qubits = application.args.map(arg => {
+            const index = wires.indexOf(arg);
+            if (index < 0) throw new QasmError(`gate ${name}: unknown qubit argument "${arg}"`, statement.line);
+            return index;
+        });
+        if (new Set(qubits).size !== qubits.length) throw new QasmError(`${application.name} uses the same qubit twice`, statement.line);
+        operations.push(createQasmGate(spec, application.params, qubits));
+    }
+    try {
+        return createCustomGate({ name, circuits: placeGates(operations, wires.length).circuits }, customGates);
+    } catch (err) {
+        if (err instanceof CustomGateError) throw new QasmError(`gate ${name}: ${err.message}`, line);
+        throw err;
+    }
+};
+
+/**
+ * Parse OpenQASM 2.0 text into { circuits, barriers, customGates } made of the same gate objects
+ * the palette creates. Quantum registers are laid out as consecutive wires in declaration order,
+ * and classical registers likewise as consecutive classical bits. Gate definitions become custom
+ * gates, which have to be applied to consecutive qubits in order.
+ * Throws a QasmError naming the line of the first statement this app cannot represent.
+ */
+export const importQasm = (source) => {
+    const qregs = {};
+    const cregs = {};
+    let numQubits = 0;
+    let numBits = 0;
+    const operations = [];
+    const customGates = [];
+
+    const handleStatement = (text, line, condition = null) => {
+        let m;
+        if ((m = text.match(/^OPENQASM\s+(\S+)$/))) {
+            if (!/^2(\.0)?$/.test(m[1])) throw new QasmError(`OpenQASM ${m[1]} is not supported here, expected OPENQASM 2.0`, line);
+            return;
+        }
+        if ((m = text.match(/^include\s+"([^"]+)"$/))) {
+            if (m[1] !== 'qelib1.inc') throw new QasmError(`include "${m[1]}" is not supported (only qelib1.inc)`, line);
+            return;
+        }
+        if ((m = text.match(/^(qreg|creg)\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/))) {
+            const size = parseInt(m[3], 10);
+            if (m[1] === 'qreg') {
+                if (numQubits + size > MAX_QUBITS) throw new QasmError(`qreg ${m[2]} brings the circuit to ${numQubits + size} qubits; at most ${MAX_QUBITS} are supported`, line);
+                qregs[m[2]] = { offset: numQubits, size };
+                numQubits += size;
+            } else {
+                cregs[m[2]] = { offset: numBits, size };
+                numBits += size;
+            }
+            return;
+        }
+        if ((m = text.match(/^gate\s+([A-Za-z_]\w*)/))) {
+            if (QASM_GATES[m[1]]) return; // Definition of a gate we already know
+            customGates.push(parseGateDefinition(text, line, customGates));
+            return;
+        }
+        if ((m = text.match(/^if\s*\(\s*([A-Za-z_]\w*)\s*==\s*(\d+)\s*\)\s*(.+)$/s))) {
+            const reg = cregs[m[1]];
+            if (!reg) throw new QasmError(`unknown classical register "${m[1]}"`, line);
+            const value = parseInt(m[2], 10);
+            if (reg.size !== 1 || value > 1) {
+                throw new QasmError(`condition on the ${reg.size}-bit register "${m[1]}" is not supported; only one-bit conditions are`, line);
+            }
+            if (reg.offset >= numQubits) throw new QasmError(`classical bit ${reg.offset} is out of range: one classical bit per qubit is supported`, line);
+            handleStatement(m[3].trim(), line, { bit: reg.offset, value });
+            return;
+        }
+        if ((m = text.match(/^measure\s+(.+?)\s*->\s*(.+)$/))) {
+            // The simulator measures unconditionally, so a conditional measurement could not be kept
+            if (condition) throw new QasmError('conditional measurement is not supported', line);
+            const pairs = broadcast([resolveRegister(qregs, m[1], line, 'qubit'), resolveRegister(cregs, m[2], line, 'classical')], line);
+            for (const [qubit, bit] of pairs) {
+                if (bit >= numQubits) throw new QasmError(`classical bit ${bit} is out of range: one classical bit per qubit is supported`, line);
+                operations.push({ target: qubit, gate: { ...createCircuitGate('M'), classicalBit: bit } });
+            }
+            return;
+        }
+        if (/^barrier\b/.test(text)) {
+            operations.push({ line, barrier: true });
+            return;
+        }
+        if (/^(reset|opaque)\b/.test(text)) {
+            throw new QasmError(`"${text.split(/\s/)[0]}" is not supported`, line);
+        }
+
+        const application = parseApplication(text, line);
+        const { name, params, args } = application;
+        const custom = findCustomGate(customGates, name);
+        if (custom) {
+            addCustomGate(custom, application, line, condition);
+            return;
+        }
+        const spec = QASM_GATES[name];
+        if (!spec) throw new QasmError(`unknown or unsupported gate "${name}"`, line);
+        checkApplication(spec, application, line);
+
+        for (const qubits of broadcast(args.map(a => resolveRegister(qregs, a, line, 'qubit')), line)) {
+            if (new Set(qubits).size !== qubits.length) throw new QasmError(`${name} uses the same qubit twice`, line);
+            const { target, gate } = createQasmGate(spec, params, qubits);
+            operations.push({ target, gate: { ...gate, condition } });
+        }
+    };
+
+    const addCustomGate = (definition, { name, params, args }, line, condition) => {
+        const span = definition.circuits.length;
+        if (params.length > 0) throw new QasmError(`${name} takes no parameters`, line);
+        if (args.length !== span) throw new QasmError(`${name} takes ${span} qubit(s), got ${args.length}`, line);
+        for (const qubits of broadcast(args.map(a => resolveRegister(qregs, a, line, 'qubit')), line)) {
+            if (qubits.some((q, i) => q !== qubits[0] + i)) throw new QasmError(`${name} has to be applied to consecutive qubits in order`, line);
+            operations.push({ target: qubits[0], gate: { ...createCustomGateInstance(definition, qubits[0]), condition } });
+        }
+    };
+
+    for (const { text, line } of splitStatements(source)) handleStatement(text, line);
+    if (numQubits === 0) throw new QasmError('no qreg declared');
+
+    return { ...placeGates(operations, numQubits), customGates };
+};
+
+// Build the gate for a QASM_GATES entry applied to qubits (controls first): { target, gate }
+export const createQasmGate = (spec, params, qubits) => {
+    const controls = qubits.slice(0, spec.controls || 0).map(qubit => ({ qubit, open: false }));
+    const [target, partner] = qubits.slice(spec.controls || 0);
+
+    let gate;
+    if (spec.gate === 'U') {
+        const [theta, phi, lambda] = params.length === 2 ? [Math.PI / 2, ...params] : params;
+        gate = createCircuitGate('U', { theta, phi, lambda });
+    } else {
+        gate = createCircuitGate(spec.gate);
+        if (GATES[spec.gate].hasAngle) gate = withGateAngle(gate, params[0]);
+    }
+    gate = { ...gate, controls, condition: null };
+    if (isTwoQubitGate(gate)) gate.partner = partner;
+    return { target, gate };
+};
+
+// Pack { target, gate } items into columns: each gate goes to the first slot where every wire
+// it spans is free. { barrier: true } items become a barrier after everything placed so far.
+export const placeGates = (operations, numQubits) => {
+    const rows = Array.from({ length: numQubits }, () => []);
+    const frontier = Array(numQubits).fill(0);
+    const barriers = [];
+
+    for (const op of operations) {
+        if (op.barrier) {
+            const slot = Math.max(...frontier);
+            if (!barriers.includes(slot)) barriers.push(slot);
+            frontier.fill(slot);
+            continue;
+        }
+        const { target, gate } = op;
+        const wires = [target, ...getUnitWires(gate)];
+        const top = Math.min(...wires);
+        const bottom = Math.max(...wires);
+        let slot = 0;
+        for (let q = top; q <= bottom; q++) slot = Math.max(slot, frontier[q]);
+
+        placeGateUnit(rows, target, slot, gate);
+        for (let q = top; q <= bottom; q++) frontier[q] = slot + 1;
+    }
+
+    const width = Math.max(0, ...rows.map(r => r.length));
+    return {
+        circuits: rows.map(row => Array.from({ length: width }, (_, s) => row[s] ?? null)),
+        barriers
+    };
+};
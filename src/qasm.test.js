@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import { cAbs, cMul, cConj, createCircuitGate, withGateAngle } from './quantum.js';
+import { simulateCircuit, simulateCircuitBranches, getBranchProbabilities, MAX_QUBITS } from './statevector.js';
+import { exportQasm, importQasm, QasmError, QASM_GATES } from './qasm.js';
+import { createCustomGate, createCustomGateInstance, isReservedGateName } from './customGates.js';
+import { controlled, controlDot, partnerCell, expectThrows } from './testUtils.js';
+
+// |⟨a|b⟩| = 1 when two states agree up to a global phase
+const overlap = (a, b) => cAbs(a.reduce((acc, amp, i) => {
+    const term = cMul(cConj(amp), b[i]);
+    return { re: acc.re + term.re, im: acc.im + term.im };
+}, { re: 0, im: 0 }));
+
+const probabilityMap = (circuits) => Object.fromEntries(
+    getBranchProbabilities(simulateCircuitBranches(circuits), circuits.length, false)
+        .map(({ state, probability }) => [state, Number(probability.toFixed(6))])
+);
+
+describe('OpenQASM 2.0 export', () => {
+    it('writes a Bell circuit with qelib1 names', () => {
+        const circuits = [
+            [createCircuitGate('H'), controlDot(1), createCircuitGate('M')],
+            [null, controlled('X', 0), createCircuitGate('M')]
+        ];
+        expect(exportQasm(circuits, [2])).toBe([
+            'OPENQASM 2.0;',
+            'include "qelib1.inc";',
+            'qreg q[2];',
+            'creg c[2];',
+            'h q[0];',
+            'cx q[0],q[1];',
+            'barrier q;',
+            'measure q[0] -> c[0];',
+            'measure q[1] -> c[1];',
+            ''
+        ].join('\n'));
+    });
+
+    it('wraps open controls in X gates and writes angles as multiples of pi', () => {
+        const circuits = [
+            [controlDot(1, true)],
+            [{ ...withGateAngle(createCircuitGate('RZ'), 3 * Math.PI / 4), controls: [{ qubit: 0, open: true }] }]
+        ];
+        const body = exportQasm(circuits).split('\n').slice(3);
+        expect(body).toEqual(['x q[0];', 'crz(3*pi/4) q[0],q[1];', 'x q[0];', '']);
+    });
+
+    it('adds definitions for gates outside qelib1.inc', () => {
+        const circuits = [[{ ...createCircuitGate('SQRT_SWAP'), partner: 1 }], [partnerCell(0)]];
+        const text = exportQasm(circuits);
+        expect(text).toContain('gate ryy(theta) a,b');
+        expect(text).toContain('gate sqrt_swap a,b');
+        expect(text).toContain('sqrt_swap q[0],q[1];');
+    });
+
+    it('rejects gates with no OpenQASM 2.0 equivalent', () => {
+        const circuits = [[controlDot(2)], [controlDot(2)], [controlled('H', 0, 1)]];
+        expect(() => exportQasm(circuits)).toThrow(QasmError);
+    });
+});
+
+describe('OpenQASM 2.0 import', () => {
+    it('parses a Qiskit-style file into palette gate objects', () => {
+        const { circuits, barriers } = importQasm(`
+            // Bell pair on a second register
+            OPENQASM 2.0;
+            include "qelib1.inc";
+            qreg a[1];
+            qreg b[1];
+            creg c[2];
+            u2(0, pi) a[0];
+            cx a[0], b[0];
+            barrier a, b;
+            measure a[0] -> c[0];
+            measure b -> c[1];
+        `);
+        expect(circuits.length).toBe(2);
+        expect(circuits[0][0].gate).toBe('U');
+        expect(circuits[0][0].label).toBe('U');
+        expect(circuits[0][1]).toEqual({ gate: 'CONTROL', targetIndex: 1, open: false });
+        expect(circuits[1][1].controls).toEqual([{ qubit: 0, open: false }]);
+        expect(barriers).toEqual([2]);
+        expect(circuits[1][2].classicalBit).toBe(1);
+        expect(probabilityMap(circuits)).toEqual({ '00': 0.5, '11': 0.5 });
+    });
+
+    it('packs gates into the leftmost free column', () => {
+        const { circuits } = importQasm('OPENQASM 2.0; include "qelib1.inc"; qreg q[3]; h q; x q[0]; swap q[0],q[2]; z q[1];');
+        expect(circuits.map(row => row.map(g => g?.gate ?? null))).toEqual([
+            ['H', 'X', 'SWAP', null],
+            ['H', null, null, 'Z'],
+            ['H', null, 'PARTNER', null]
+        ]);
+    });
+
+    it('round-trips rotations, two-qubit gates, measurements and conditions', () => {
+        const circuits = [
+            [createCircuitGate('H'), controlDot(1), { ...withGateAngle(createCircuitGate('RYY'), 0.7), partner: 2 }, createCircuitGate('M'), null],
+            [withGateAngle(createCircuitGate('RX'), -Math.PI / 3), controlled('SX', 0), null, null, { ...createCircuitGate('Z'), condition: { bit: 0, value: 1 } }],
+            [createCircuitGate('TDG'), null, partnerCell(0), null, null]
+        ];
+        const imported = importQasm(exportQasm(circuits, [3]));
+        expect(imported.barriers).toEqual([3]);
+        expect(imported.circuits[1].find(g => g?.gate === 'Z').condition).toEqual({ bit: 0, value: 1 });
+        expect(probabilityMap(imported.circuits)).toEqual(probabilityMap(circuits));
+    });
+
+    it('keeps the global phase of a controlled U through cu3', () => {
+        // A U gate made from Rz keeps the Rz matrix, so its control sees an extra phase
+        const rz = withGateAngle(createCircuitGate('RZ'), Math.PI / 2);
+        const circuits = [
+            [createCircuitGate('H'), controlDot(1)],
+            [createCircuitGate('H'), { ...rz, gate: 'U', controls: [{ qubit: 0, open: false }] }]
+        ];
+        const exported = exportQasm(circuits);
+        expect(exported).toContain('cu3(');
+        const roundTrip = simulateCircuit(importQasm(exported).circuits);
+        expect(overlap(roundTrip, simulateCircuit(circuits))).toBeCloseTo(1, 6);
+    });
+
+    it('matches the exported iSWAP and RYY definitions', () => {
+        const prepare = 'OPENQASM 2.0; include "qelib1.inc"; qreg q[2]; h q[0]; t q[0]; ry(0.4) q[1];';
+        const pairs = [
+            ['iswap q[0],q[1];', 's q[0]; s q[1]; h q[0]; cx q[0],q[1]; cx q[1],q[0]; h q[1];'],
+            ['ryy(0.9) q[0],q[1];', 'rx(pi/2) q[0]; rx(pi/2) q[1]; cx q[0],q[1]; rz(0.9) q[1]; cx q[0],q[1]; rx(-pi/2) q[0]; rx(-pi/2) q[1];']
+        ];
+        for (const [native, expanded] of pairs) {
+            const a = simulateCircuit(importQasm(prepare + native).circuits);
+            const b = simulateCircuit(importQasm(prepare + expanded).circuits);
+            expect(overlap(a, b)).toBeCloseTo(1, 6);
+        }
+    });
+
+    it('round-trips custom gates as gate definitions', () => {
+        const bell = createCustomGate({ name: 'bell', circuits: [[createCircuitGate('H'), controlDot(1)], [null, controlled('X', 0)]] });
+        const circuits = [[null], [createCustomGateInstance(bell, 1)], [partnerCell(1)]];
+        const exported = exportQasm(circuits, [], [bell]);
+        expect(exported).toContain('gate bell q0,q1 { h q0; cx q0,q1; }');
+        expect(exported).toContain('bell q[1],q[2];');
+
+        const imported = importQasm(exported);
+        expect(imported.customGates.map(d => d.name)).toEqual(['bell']);
+        expect(imported.circuits[1][0]).toMatchObject({ gate: 'CUSTOM', name: 'bell', wires: [1, 2] });
+        expect(imported.circuits[2][0]).toEqual(partnerCell(1));
+        expect(overlap(simulateCircuit(imported.circuits), simulateCircuit(circuits))).toBeCloseTo(1, 6);
+
+        const controlledBell = { ...createCustomGateInstance(bell, 1), controls: [{ qubit: 0, open: false }] };
+        expect(() => exportQasm([[controlDot(1)], [controlledBell], [partnerCell(1)]], [], [bell]))
+            .toThrow(/controlled custom gate/);
+        expectThrows(() => importQasm('qreg q[3];\ngate bell a,b { h a; cx a,b; }\nbell q[2],q[0];'), QasmError, /consecutive qubits/, { line: 3 });
+        expect(Object.keys(QASM_GATES).every(isReservedGateName)).toBe(true);
+    });
+
+    it('reports unsupported statements with their line number', () => {
+        expectThrows(() => importQasm('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[1];\nreset q[0];'), QasmError, /reset/, { line: 4 });
+        expectThrows(() => importQasm('OPENQASM 3.0;'), QasmError, /not supported/, { line: 1 });
+        expectThrows(() => importQasm('OPENQASM 2.0;\nqreg q[2];\n\nfoo q[0];'), QasmError, /unknown or unsupported gate "foo"/, { line: 4 });
+        expectThrows(() => importQasm('OPENQASM 2.0;\nqreg q[1];\ngate mine(t) a { rx(t) a; }'), QasmError, /custom gates with parameters/, { line: 3 });
+        expectThrows(() => importQasm('OPENQASM 2.0;\nqreg q[1];\nrx(2*theta) q[0];'), QasmError, /unknown symbol "theta"/, { line: 3 });
+        expectThrows(() => importQasm('OPENQASM 2.0;\nqreg q[2];\ncreg c[2];\nif(c==3) x q[0];'), QasmError, /2-bit register/, { line: 4 });
+        expectThrows(() => importQasm('qreg q[2];\ncreg c0[1];\ncreg c1[1];\nif(c0==1) measure q[1] -> c1[0];'), QasmError, /conditional measurement/, { line: 4 });
+        expectThrows(() => importQasm('qreg q[1];\ncreg a[1];\ncreg b[1];\nif(b==1) x q[0];'), QasmError, /classical bit 1 is out of range/, { line: 4 });
+        expectThrows(() => importQasm('qreg q[2];\ncx q[0],\n   q[0];'), QasmError, /same qubit twice/, { line: 2 });
+        expectThrows(() => importQasm(`qreg a[2];\nqreg b[${MAX_QUBITS - 1}];`), QasmError, new RegExp(`${MAX_QUBITS + 1} qubits; at most ${MAX_QUBITS}`), { line: 2 });
+    });
+});
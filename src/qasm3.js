@@ -0,0 +1,583 @@
+// OpenQASM 3 import and export of the circuit grid
+// Gate modifiers map onto the grid directly: ctrl @ / negctrl @ become closed / open controls,
+// and inv @ / pow(k) @ are folded into the gate itself. A modified gate keeps its palette name
+// when one matches (inv @ s is S†, pow(2) @ t is S, inv @ rx(θ) is RX(-θ)); anything else becomes
+// a U gate carrying the exact matrix. Statements the grid cannot hold (loops, reset, subroutines,
+// timing, ...) are collected and reported together in one QasmError.
+
+import { GATES, complex, cAdd, cSub, cMul, cConj, cAbs, cPhase, cFromPolar, cScale, createCircuitGate, createUGateFromMatrix, withGateAngle, getGateControls, getU3GlobalPhase, isTwoQubitGate, isCustomGate, isNoiseChannel } from './quantum.js';
+import {
+    QasmError, QASM_GATES, formatAngle, splitStatements, evaluateExpression,
+    parseApplication, resolveRegister, broadcast, createQasmGate, placeGates, splitTopLevel
+} from './qasm.js';
+import { CustomGateError, createCustomGate, createCustomGateInstance, findCustomGate } from './customGates.js';
+import { MAX_QUBITS } from './statevector.js';
+
+// ── Gate tables ──
+
+// stdgates.inc adds phase/cphase to the qelib1 names; cu (4 parameters) and gphase are handled separately
+const QASM3_GATES = {
+    ...QASM_GATES,
+    phase: { gate: 'P', params: 1 },
+    cphase: { gate: 'P', controls: 1, params: 1 }
+};
+
+const GATE_NAMES = {
+    I: 'id', X: 'x', Y: 'y', Z: 'z', H: 'h', S: 's', SDG: 'sdg', T: 't', TDG: 'tdg', SX: 'sx',
+    RX: 'rx', RY: 'ry', RZ: 'rz', P: 'p', U: 'U',
+    SWAP: 'swap', ISWAP: 'iswap', SQRT_SWAP: 'sqrt_swap', CZ: 'cz', RXX: 'rxx', RYY: 'ryy', RZZ: 'rzz'
+};
+
+// Gates missing from stdgates.inc. The bodies are exact (including global phase) because
+// ctrl @ turns a global phase into a relative one.
+const GATE_DEFINITIONS = {
+    rxx: 'gate rxx(theta) a, b { h a; h b; cx a, b; rz(theta) b; cx a, b; h a; h b; }',
+    ryy: 'gate ryy(theta) a, b { rx(pi/2) a; rx(pi/2) b; cx a, b; rz(theta) b; cx a, b; rx(-pi/2) a; rx(-pi/2) b; }',
+    rzz: 'gate rzz(theta) a, b { cx a, b; rz(theta) b; cx a, b; }',
+    iswap: 'gate iswap a, b { s a; s b; h a; cx a, b; cx b, a; h b; }',
+    sqrt_swap: 'gate sqrt_swap a, b { rxx(pi/4) a, b; ryy(pi/4) a, b; rzz(pi/4) a, b; gphase(pi/8); }'
+};
+const DEFINITION_DEPENDENCIES = { sqrt_swap: ['rxx', 'ryy', 'rzz'] };
+
+// Leading keyword -> feature that has no place in the circuit grid
+const UNSUPPORTED_STATEMENTS = [
+    [/^reset\b/, 'reset'],
+    [/^for\b/, 'for loops'],
+    [/^while\b/, 'while loops'],
+    [/^switch\b/, 'switch statements'],
+    [/^def\b/, 'subroutines (def)'],
+    [/^extern\b/, 'extern functions'],
+    [/^(box|delay|duration|stretch)\b/, 'timing (box, delay, duration)'],
+    [/^(cal|defcal|defcalgrammar)\b/, 'pulse calibrations'],
+    [/^let\b/, 'aliases (let)'],
+    [/^output\b/, 'output variables'],
+    [/^(return|break|continue|end)\b/, 'control flow (return, break, continue, end)'],
+    [/^opaque\b/, 'opaque gates'],
+    [/^(bool|complex|array)\b/, 'classical types other than angle, float, int and bit'],
+    [/\$\d/, 'physical qubits ($n)']
+];
+
+const CONSTANTS = { π: Math.PI, tau: 2 * Math.PI, τ: 2 * Math.PI, euler: Math.E, ℯ: Math.E, arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan };
+
+const TOLERANCE = 1e-9;
+
+// ── Export ──
+
+// ctrl/negctrl modifiers for a control list, with runs folded into ctrl(n) @
+const controlModifiers = (controls) => {
+    const runs = [];
+    for (const { open } of controls) {
+        const word = open ? 'negctrl' : 'ctrl';
+        const last = runs[runs.length - 1];
+        if (last && last.word === word) last.count++;
+        else runs.push({ word, count: 1 });
+    }
+    return runs.map(({ word, count }) => (count > 1 ? `${word}(${count}) @ ` : `${word} @ `)).join('');
+};
+
+// Statements for one gate cell (without the if-prefix); q names the wires
+const gateStatements = (gate, qi, slot, definitions, q = (i) => `q[${i}]`) => {
+    if (gate.gate === 'M') return [`c[${gate.classicalBit ?? qi}] = measure ${q(qi)};`];
+    if (isNoiseChannel(gate)) throw new QasmError(`${gate.label} on q[${qi}] in column ${slot}: noise channels have no OpenQASM equivalent`);
+
+    const controls = getGateControls(gate);
+    const modifiers = controlModifiers(controls);
+    const controlArgs = controls.map(c => q(c.qubit));
+    if (isCustomGate(gate)) {
+        definitions.add(gate.name);
+        return [`${modifiers}${gate.name} ${[...controlArgs, ...gate.wires.map(q)].join(', ')};`];
+    }
+
+    const name = GATE_NAMES[gate.gate];
+    if (!name) throw new QasmError(`${gate.label || gate.gate} on q[${qi}] in column ${slot}: unsupported gate`);
+    const args = [...controlArgs, q(qi), ...(isTwoQubitGate(gate) ? [q(gate.partner)] : [])].join(', ');
+
+    if (isTwoQubitGate(gate)) {
+        for (const dep of [...(DEFINITION_DEPENDENCIES[name] || []), name]) {
+            if (GATE_DEFINITIONS[dep]) definitions.add(dep);
+        }
+    }
+
+    if (gate.gate === 'U') {
+        const { theta, phi, lambda } = gate.decomposition;
+        const statements = [`${modifiers}U(${formatAngle(theta)}, ${formatAngle(phi)}, ${formatAngle(lambda)}) ${args};`];
+        // U fixes its |0⟩⟨0| entry to be real; gphase restores the rest of the matrix
+        const phase = getU3GlobalPhase(gate);
+        if (Math.abs(phase) > TOLERANCE) {
+            statements.push(controls.length
+                ? `${modifiers}gphase(${formatAngle(phase)}) ${controlArgs.join(', ')};`
+                : `gphase(${formatAngle(phase)});`);
+        }
+        return statements;
+    }
+
+    const angle = gate.angle !== undefined ? `(${formatAngle(gate.angle)})` : '';
+    return [`${modifiers}${name}${angle} ${args};`];
+};
+
+// Statements of the circuit's columns, left to right
+const circuitStatements = (circuits, barriers, definitions, q = (i) => `q[${i}]`) => {
+    let maxSlot = -1;
+    circuits.forEach(row => row.forEach((g, slot) => { if (g) maxSlot = Math.max(maxSlot, slot); }));
+    const barrierSlots = new Set(barriers);
+    const lastSlot = Math.max(maxSlot, ...barriers);
+
+    const body = [];
+    for (let slot = 0; slot <= lastSlot; slot++) {
+        if (barrierSlots.has(slot)) body.push('barrier q;');
+        circuits.forEach((row, qi) => {
+            const gate = row[slot];
+            if (!gate || gate.gate === 'CONTROL' || gate.gate === 'PARTNER' || gate.gate === 'BARRIER') return;
+            const statements = gateStatements(gate, qi, slot, definitions, q);
+            if (!gate.condition) {
+                body.push(...statements);
+                return;
+            }
+            const test = `if (c[${gate.condition.bit}] == ${gate.condition.value})`;
+            if (statements.length === 1) body.push(`${test} ${statements[0]}`);
+            else body.push(`${test} {`, ...statements.map(stmt => `    ${stmt}`), '}');
+        });
+    }
+    return body;
+};
+
+/**
+ * Write the circuit as OpenQASM 3.0 text.
+ * Controls of any number and polarity become ctrl @ / negctrl @ modifiers, and a classical
+ * condition becomes if (c[k] == v). Every gate in the palette can be written; custom gates
+ * used in the circuit are defined (from customGates) in the header.
+ */
+export const exportQasm3 = (circuits, barriers = [], customGates = []) => {
+    const numQubits = circuits.length;
+    const cells = circuits.flatMap(row => row.filter(Boolean));
+    const hasClassical = cells.some(g => g.condition || g.gate === 'M');
+
+    const definitions = new Set();
+    const body = circuitStatements(circuits, barriers, definitions);
+    const customDefinitions = customGates
+        .filter(definition => definitions.has(definition.name))
+        .map(definition => {
+            const q = (i) => `q${i}`;
+            const inner = circuitStatements(definition.circuits, [], definitions, q);
+            return `gate ${definition.name} ${definition.circuits.map((_, i) => q(i)).join(', ')} { ${inner.join(' ')} }`;
+        });
+    const missing = [...definitions].find(name => !GATE_DEFINITIONS[name] && !findCustomGate(customGates, name));
+    if (missing) throw new QasmError(`custom gate "${missing}" has no definition`);
+
+    const header = ['OPENQASM 3.0;', 'include "stdgates.inc";'];
+    Object.keys(GATE_DEFINITIONS).forEach(name => { if (definitions.has(name)) header.push(GATE_DEFINITIONS[name]); });
+    header.push(...customDefinitions);
+    header.push(`qubit[${numQubits}] q;`);
+    if (hasClassical) header.push(`bit[${numQubits}] c;`);
+    return [...header, ...body].join('\n') + '\n';
+};
+
+// ── Matrix helpers for inv @ and pow(k) @ ──
+
+const cDiv = (a, b) => {
+    const denom = b.re * b.re + b.im * b.im;
+    return cScale(cMul(a, cConj(b)), 1 / denom);
+};
+
+const matricesEqual = (a, b) => a.every((row, r) => row.every((v, c) => cAbs(cSub(v, b[r][c])) < TOLERANCE));
+
+const multiply = (a, b) => a.map(row => b[0].map((_, c) => row.reduce((acc, v, k) => cAdd(acc, cMul(v, b[k][c])), complex(0))));
+
+const dagger = (m) => m.map((row, r) => row.map((_, c) => cConj(m[c][r])));
+
+const identity = (size) => Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => complex(r === c ? 1 : 0)));
+
+// Principal k-th power of a 2x2 unitary: each eigenvalue e^(iα), α in (-π, π], becomes e^(ikα)
+const powerMatrix = (matrix, k) => {
+    const [[a, b], [c, d]] = matrix;
+    const half = cScale(cAdd(a, d), 0.5);
+    const det = cSub(cMul(a, d), cMul(b, c));
+    const disc = cSub(cMul(half, half), det);
+    const root = cFromPolar(Math.sqrt(cAbs(disc)), cPhase(disc) / 2);
+    const e1 = cAdd(half, root);
+    const e2 = cSub(half, root);
+    const f1 = cFromPolar(1, k * cPhase(e1));
+    const f2 = cFromPolar(1, k * cPhase(e2));
+    if (cAbs(root) < TOLERANCE) return [[f1, complex(0)], [complex(0), f1]];
+    // M^k = f1 P1 + f2 P2 with the eigenprojectors P1 = (M - e2)/(e1 - e2), P2 = (M - e1)/(e2 - e1)
+    const diff = cSub(e1, e2);
+    const scale = cDiv(cSub(f1, f2), diff);
+    const shift = cDiv(cSub(cMul(f2, e1), cMul(f1, e2)), diff);
+    return matrix.map((row, r) => row.map((v, col) => cAdd(cMul(scale, v), r === col ? shift : complex(0))));
+};
+
+// Palette gate for a single-qubit matrix: a fixed gate, a phase gate, or a U gate with the exact matrix
+const FIXED_GATES = ['I', 'X', 'Y', 'Z', 'H', 'S', 'SDG', 'T', 'TDG', 'SX'];
+
+const gateForMatrix = (matrix) => {
+    const named = FIXED_GATES.find(name => matricesEqual(GATES[name].defaultMatrix, matrix));
+    if (named) return createCircuitGate(named);
+    if (cAbs(matrix[0][1]) < TOLERANCE && cAbs(matrix[1][0]) < TOLERANCE && cAbs(cSub(matrix[0][0], complex(1))) < TOLERANCE) {
+        return withGateAngle(createCircuitGate('P'), cPhase(matrix[1][1]));
+    }
+    return createUGateFromMatrix(matrix);
+};
+
+const FIXED_TWO_QUBIT_GATES = ['SWAP', 'ISWAP', 'SQRT_SWAP', 'CZ'];
+
+// Apply pow(k) @ (inv @ is pow(-1)) to a gate, keeping its controls
+const powerGate = (gate, k, line) => {
+    if (Math.abs(k - 1) < TOLERANCE) return gate;
+    if (gate.angle !== undefined) return withGateAngle(gate, gate.angle * k);
+
+    if (!isTwoQubitGate(gate)) return { ...gateForMatrix(powerMatrix(gate.matrix, k)), controls: gate.controls };
+
+    // Fixed two-qubit gates: integer powers, plus the square root of SWAP
+    let matrix = null;
+    if (gate.gate === 'SWAP' && Math.abs(k - 0.5) < TOLERANCE) {
+        matrix = GATES.SQRT_SWAP.defaultMatrix;
+    } else if (Math.abs(k - Math.round(k)) < TOLERANCE) {
+        const base = k < 0 ? dagger(gate.matrix) : gate.matrix;
+        matrix = identity(4);
+        for (let i = 0; i < Math.abs(Math.round(k)); i++) matrix = multiply(matrix, base);
+    }
+    const named = matrix && FIXED_TWO_QUBIT_GATES.find(name => matricesEqual(GATES[name].defaultMatrix, matrix));
+    if (!named) throw new QasmError(`${k === -1 ? 'inv' : `pow(${k})`} @ ${GATES[gate.gate].label} has no equivalent two-qubit gate here`, line);
+    return { ...createCircuitGate(named), controls: gate.controls, partner: gate.partner };
+};
+
+// ── Import ──
+
+// Multiply the last operation's gate by e^(iγ) when it is a single-qubit gate without controls;
+// false when there is no such gate to carry the phase
+const foldGlobalPhase = (operations, phase) => {
+    const last = operations[operations.length - 1];
+    const gate = last?.gate;
+    if (!gate || isTwoQubitGate(gate) || isCustomGate(gate) || getGateControls(gate).length > 0) return false;
+    const phased = gate.gate === 'U'
+        ? createCircuitGate('U', { ...gate.decomposition, globalPhase: getU3GlobalPhase(gate) + phase })
+        : createUGateFromMatrix(gate.matrix.map(row => row.map(v => cMul(v, cFromPolar(1, phase)))));
+    last.gate = { ...phased, controls: [], condition: gate.condition };
+    return true;
+};
+
+// Features in a statement list (and inside if/else bodies) that the grid cannot represent
+const findUnsupportedFeatures = (statements, found = []) => {
+    for (const { text, line } of statements) {
+        const block = text.match(/^(if\s*\(.*?\)|else)\s*\{([\s\S]*)\}$/);
+        if (block) {
+            findUnsupportedFeatures(splitStatements(block[2], line + (text.slice(0, text.indexOf('{')).match(/\n/g) || []).length), found);
+            continue;
+        }
+        const match = UNSUPPORTED_STATEMENTS.find(([pattern]) => pattern.test(text));
+        if (match) {
+            found.push({ feature: match[1], line });
+        } else if (/^[A-Za-z_]\w*(\s*\[[^\]]*\])?\s*([-+*/%&|^]|\*\*|<<|>>)?=(?!=)/.test(text) && !/=\s*measure\b/.test(text)) {
+            found.push({ feature: 'classical assignments', line });
+        }
+    }
+    return found;
+};
+
+// Index of the parenthesis closing the one at text[open]
+const matchingParen = (text, open) => {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+};
+
+/**
+ * Parse OpenQASM 3 text into { circuits, barriers, customGates, inputs, warnings }.
+ * Gate definitions without parameters become custom gates, applied to consecutive qubits in order;
+ * inside them an uncontrolled gphase is kept on the gate before it, since ctrl @ makes it visible.
+ * `input angle θ;` parameters take their value from options.inputs (a number or an expression
+ * such as "pi/2"); missing ones are set to 0 with a warning. inputs lists every declared input
+ * with the value used. if/else on a single bit becomes a classical condition on each gate in
+ * the body. warnings holds lossless-but-notable steps such as a dropped global phase.
+ * Throws a QasmError listing every statement kind the grid cannot represent.
+ */
+export const importQasm3 = (source, { inputs: inputValues = {} } = {}) => {
+    const qregs = {};
+    const cregs = {};
+    let numQubits = 0;
+    let numBits = 0;
+    const symbols = { ...CONSTANTS };
+    const inputs = [];
+    const warnings = [];
+    const operations = [];
+    const customGates = [];
+    const warn = (message, line) => warnings.push(`Line ${line}: ${message}`);
+
+    // Where gate applications go: the circuit on the declared registers, or the body of a gate definition
+    const topLevel = { operations, resolve: (arg, line) => resolveRegister(qregs, arg, line, 'qubit'), definition: null };
+
+    // Pragmas and annotations are line-based hints with no effect on the circuit
+    const cleaned = source.replace(/^[ \t]*(#pragma|@[A-Za-z_])[^\n]*/gm, (text, _keyword, offset) => {
+        warn(`ignored "${text.trim()}"`, source.slice(0, offset).split('\n').length);
+        return '';
+    });
+    const statements = splitStatements(cleaned);
+
+    const unsupported = findUnsupportedFeatures(statements);
+    if (unsupported.length > 0) {
+        const list = unsupported.map(({ feature, line }) => `${feature} (line ${line})`).join(', ');
+        throw new QasmError(`cannot be represented in the circuit: ${list}`, unsupported[0].line);
+    }
+
+    const declareRegister = (kind, name, size, line) => {
+        if (kind === 'qubit') {
+            if (numQubits + size > MAX_QUBITS) throw new QasmError(`${name} brings the circuit to ${numQubits + size} qubits; at most ${MAX_QUBITS} are supported`, line);
+            qregs[name] = { offset: numQubits, size };
+            numQubits += size;
+        } else {
+            cregs[name] = { offset: numBits, size };
+            numBits += size;
+        }
+    };
+
+    const checkBit = (bit, line) => {
+        if (bit >= numQubits) throw new QasmError(`classical bit ${bit} is out of range: one classical bit per qubit is supported`, line);
+    };
+
+    // "c[0] == 1", "c[0]", "!c[0]", "c == 1" (one-bit register) -> { bit, value }
+    const parseCondition = (text, line) => {
+        let m;
+        let ref;
+        let value;
+        if ((m = text.match(/^(!?)\s*([A-Za-z_]\w*(?:\s*\[\s*\d+\s*\])?)$/))) {
+            ref = m[2];
+            value = m[1] ? 0 : 1;
+        } else if ((m = text.match(/^([A-Za-z_]\w*(?:\s*\[\s*\d+\s*\])?)\s*(==|!=)\s*(\d+|true|false)$/))) {
+            ref = m[1];
+            const compared = m[3] === 'true' ? 1 : m[3] === 'false' ? 0 : parseInt(m[3], 10);
+            if (compared > 1) throw new QasmError(`condition "${text}" compares with ${compared}; only single-bit conditions are supported`, line);
+            value = m[2] === '==' ? compared : 1 - compared;
+        } else {
+            throw new QasmError(`condition "${text}" is not supported; only single-bit comparisons are`, line);
+        }
+        const bits = resolveRegister(cregs, ref, line, 'classical');
+        if (bits.length !== 1) throw new QasmError(`condition on the ${bits.length}-bit register "${ref}" is not supported; only one-bit conditions are`, line);
+        checkBit(bits[0], line);
+        return { bit: bits[0], value };
+    };
+
+    const addMeasurements = (qubitArg, bitArg, line, condition) => {
+        // The simulator measures unconditionally, so a measurement inside if/else could not be kept
+        if (condition) throw new QasmError('measurement inside an if/else body is not supported', line);
+        const qubits = resolveRegister(qregs, qubitArg, line, 'qubit');
+        const bits = bitArg ? resolveRegister(cregs, bitArg, line, 'classical') : qubits;
+        if (!bitArg) warn(`the result of measure ${qubitArg} is kept in the classical bit with the same index`, line);
+        for (const [qubit, bit] of broadcast([qubits, bits], line)) {
+            checkBit(bit, line);
+            operations.push({ target: qubit, gate: { ...createCircuitGate('M'), classicalBit: bit } });
+        }
+    };
+
+    // Modifier chain "ctrl(2) @ inv @ rx(θ) a, b, c" -> gates placed on the grid
+    const addGateApplication = (text, line, condition, scope = topLevel) => {
+        const parts = text.split('@').map(p => p.trim());
+        const application = parseApplication(parts.pop(), line, symbols);
+        const modifierControls = [];
+        let power = 1;
+        for (const modifier of parts) {
+            let m;
+            if ((m = modifier.match(/^(ctrl|negctrl)\s*(?:\((.+)\))?$/))) {
+                const count = m[2] ? evaluateExpression(m[2], line, symbols) : 1;
+                if (!Number.isInteger(count) || count < 1) throw new QasmError(`${m[1]}(${m[2]}) needs a positive integer`, line);
+                for (let i = 0; i < count; i++) modifierControls.push(m[1] === 'negctrl');
+            } else if (modifier === 'inv') {
+                power = -power;
+            } else if ((m = modifier.match(/^pow\s*\((.+)\)$/))) {
+                power *= evaluateExpression(m[1], line, symbols);
+            } else {
+                throw new QasmError(`unknown gate modifier "${modifier}"`, line);
+            }
+        }
+
+        const { name, params, args } = application;
+        const custom = findCustomGate(customGates, name);
+        let expectedParams;
+        let gateQubits;
+        if (name === 'gphase') {
+            [expectedParams, gateQubits] = [1, 0];
+        } else if (name === 'cu') {
+            [expectedParams, gateQubits] = [4, 2];
+        } else if (custom) {
+            if (power !== 1) throw new QasmError(`inv @ and pow @ are not supported on the custom gate "${name}"`, line);
+            [expectedParams, gateQubits] = [0, custom.circuits.length];
+        } else {
+            const spec = QASM3_GATES[name];
+            if (!spec) throw new QasmError(`unknown or unsupported gate "${name}"`, line);
+            expectedParams = spec.params || 0;
+            gateQubits = (spec.controls || 0) + (GATES[spec.gate].numQubits === 2 ? 2 : 1);
+        }
+        if (params.length !== expectedParams) throw new QasmError(`${name} takes ${expectedParams} parameter(s), got ${params.length}`, line);
+        const expectedArgs = modifierControls.length + gateQubits;
+        if (args.length !== expectedArgs) throw new QasmError(`${parts.length ? 'this modified ' : ''}${name} takes ${expectedArgs} qubit(s), got ${args.length}`, line);
+
+        if (name === 'gphase' && modifierControls.length === 0) {
+            // Inside a definition the phase shows once the gate is controlled, so it goes into the gate before
+            if (scope.definition && foldGlobalPhase(scope.operations, params[0] * power)) return;
+            warn(`global phase gphase(${formatAngle(params[0])}) has no visible effect and was dropped`, line);
+            return;
+        }
+
+        for (const qubits of broadcast(args.map(a => scope.resolve(a, line)), line)) {
+            if (new Set(qubits).size !== qubits.length) throw new QasmError(`${name} uses the same qubit twice`, line);
+            const controls = modifierControls.map((open, i) => ({ qubit: qubits[i], open }));
+            const operands = qubits.slice(controls.length);
+            let target;
+            let gate;
+
+            if (name === 'gphase') {
+                // A controlled global phase is a phase gate on its last control
+                const last = controls.pop();
+                const phase = params[0] * power;
+                target = last.qubit;
+                gate = last.open
+                    ? gateForMatrix([[cFromPolar(1, phase), complex(0)], [complex(0), complex(1)]])
+                    : withGateAngle(createCircuitGate('P'), phase);
+                gate = { ...gate, controls: [] };
+            } else if (name === 'cu') {
+                // cu(θ, φ, λ, γ) = controlled e^(iγ) U(θ, φ, λ)
+                const [theta, phi, lambda, globalPhase] = params;
+                target = operands[1];
+                gate = powerGate({ ...createCircuitGate('U', { theta, phi, lambda, globalPhase }), controls: [{ qubit: operands[0], open: false }] }, power, line);
+            } else if (custom) {
+                if (operands.some((q, i) => q !== operands[0] + i)) throw new QasmError(`${name} has to be applied to consecutive qubits in order`, line);
+                target = operands[0];
+                gate = createCustomGateInstance(custom, target);
+            } else {
+                ({ target, gate } = createQasmGate(QASM3_GATES[name], params, operands));
+                gate = powerGate(gate, power, line);
+            }
+            gate = { ...gate, controls: [...controls, ...(gate.controls || [])], condition };
+            scope.operations.push({ target, gate });
+        }
+    };
+
+    // "gate name a, b { ... }" without parameters -> custom gate definition, as in OpenQASM 2.0
+    const addGateDefinition = (text, line) => {
+        const m = text.match(/^gate\s+([A-Za-z_]\w*)\s*(\([^)]*\))?\s*([^{]*)\{([\s\S]*)\}$/);
+        if (!m) throw new QasmError('cannot parse gate definition', line);
+        const [, name, params, argText, body] = m;
+        if (params && params.slice(1, -1).trim()) throw new QasmError(`gate ${name}: custom gates with parameters are not supported`, line);
+        const wires = splitTopLevel(argText);
+        if (wires.length === 0) throw new QasmError(`gate ${name} has no qubit arguments`, line);
+
+        const scope = {
+            operations: [],
+            resolve: (arg, statementLine) => {
+                const index = wires.indexOf(arg);
+                if (index < 0) throw new QasmError(`gate ${name}: unknown qubit argument "${arg}"`, statementLine);
+                return [index];
+            },
+            definition: name
+        };
+        const bodyLine = line + (text.slice(0, text.indexOf('{')).match(/\n/g) || []).length;
+        for (const statement of splitStatements(body, bodyLine)) addGateApplication(statement.text, statement.line, null, scope);
+        try {
+            customGates.push(createCustomGate({ name, circuits: placeGates(scope.operations, wires.length).circuits }, customGates));
+        } catch (err) {
+            if (err instanceof CustomGateError) throw new QasmError(`gate ${name}: ${err.message}`, line);
+            throw err;
+        }
+    };
+
+    const handleStatement = (text, line, condition) => {
+        let m;
+        if ((m = text.match(/^OPENQASM\s+(\S+)$/))) {
+            if (!/^3(\.\d+)?$/.test(m[1])) throw new QasmError(`expected OPENQASM 3, found OPENQASM ${m[1]}`, line);
+            return;
+        }
+        if ((m = text.match(/^include\s+"([^"]+)"$/))) {
+            if (m[1] !== 'stdgates.inc') throw new QasmError(`include "${m[1]}" is not supported (only stdgates.inc)`, line);
+            return;
+        }
+        if ((m = text.match(/^(qubit|bit)\s*(?:\[\s*(\d+)\s*\])?\s+([A-Za-z_]\w*)$/))) {
+            declareRegister(m[1], m[3], m[2] === undefined ? 1 : parseInt(m[2], 10), line);
+            return;
+        }
+        if ((m = text.match(/^(qreg|creg)\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/))) {
+            declareRegister(m[1] === 'qreg' ? 'qubit' : 'bit', m[2], parseInt(m[3], 10), line);
+            return;
+        }
+        if ((m = text.match(/^input\s+(angle|float|int|uint)\s*(?:\[\s*\d+\s*\])?\s+([A-Za-z_]\w*)$/))) {
+            const given = inputValues[m[2]];
+            let value = 0;
+            if (given === undefined || given === '') {
+                warn(`input ${m[2]} has no value; using 0`, line);
+            } else {
+                value = typeof given === 'number' ? given : evaluateExpression(String(given), line, symbols);
+            }
+            symbols[m[2]] = value;
+            inputs.push({ name: m[2], value });
+            return;
+        }
+        if ((m = text.match(/^(?:const\s+)?(angle|float|int|uint)\s*(?:\[\s*\d+\s*\])?\s+([A-Za-z_]\w*)\s*=\s*(.+)$/s))) {
+            symbols[m[2]] = evaluateExpression(m[3], line, symbols);
+            return;
+        }
+        if ((m = text.match(/^gate\s+([A-Za-z_]\w*)/))) {
+            if (!QASM3_GATES[m[1]] && !GATE_DEFINITIONS[m[1]]) addGateDefinition(text, line);
+            return; // Otherwise the definition of a gate we already know
+        }
+        if ((m = text.match(/^(.+?)\s*=\s*measure\s+(.+)$/s))) {
+            addMeasurements(m[2].trim(), m[1].trim(), line, condition);
+            return;
+        }
+        if ((m = text.match(/^measure\s+(.+?)\s*->\s*(.+)$/s))) {
+            addMeasurements(m[1].trim(), m[2].trim(), line, condition);
+            return;
+        }
+        if ((m = text.match(/^measure\s+(.+)$/s))) {
+            addMeasurements(m[1].trim(), null, line, condition);
+            return;
+        }
+        if (/^barrier\b/.test(text)) {
+            operations.push({ barrier: true });
+            return;
+        }
+        addGateApplication(text, line, condition);
+    };
+
+    // Statements of a body: "{ a; b; }" or a single statement
+    const runBody = (body, line, condition) => {
+        if (!body.startsWith('{')) {
+            runStatements([{ text: body.replace(/;$/, '').trim(), line }], condition);
+            return;
+        }
+        if (!body.endsWith('}')) throw new QasmError('missing "}" at the end of the block', line);
+        runStatements(splitStatements(body.slice(1, -1), line), condition);
+    };
+
+    const runStatements = (list, condition = null) => {
+        let previous = null; // Condition of the if directly before, for a following else
+        for (const { text, line } of list) {
+            if (/^else\b/.test(text)) {
+                if (!previous) throw new QasmError('"else" without a matching "if"', line);
+                const body = text.replace(/^else\s*/, '');
+                if (/^if\b/.test(body)) throw new QasmError('"else if" is not supported; only one condition per gate is', line);
+                runBody(body, line + (text.slice(0, text.length - body.length).match(/\n/g) || []).length, { ...previous, value: 1 - previous.value });
+                previous = null;
+                continue;
+            }
+            previous = null;
+            if (/^if\s*\(/.test(text)) {
+                if (condition) throw new QasmError('nested if statements are not supported; only one condition per gate is', line);
+                const open = text.indexOf('(');
+                const close = matchingParen(text, open);
+                if (close < 0) throw new QasmError('unbalanced parentheses in the if condition', line);
+                const ifCondition = parseCondition(text.slice(open + 1, close).trim(), line);
+                const body = text.slice(close + 1).trim();
+                runBody(body, line + (text.slice(0, close).match(/\n/g) || []).length, ifCondition);
+                previous = ifCondition;
+                continue;
+            }
+            handleStatement(text, line, condition);
+        }
+    };
+
+    runStatements(statements);
+    if (numQubits === 0) throw new QasmError('no qubits declared');
+
+    return { ...placeGates(operations, numQubits), customGates, inputs, warnings };
+};
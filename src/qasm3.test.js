@@ -0,0 +1,218 @@
+import { describe, it, expect } from 'vitest';
+import { cAbs, cSub, createCircuitGate, withGateAngle } from './quantum.js';
+import { simulateCircuit, simulateCircuitBranches, getBranchProbabilities, MAX_QUBITS } from './statevector.js';
+import { QasmError } from './qasm.js';
+import { exportQasm3, importQasm3 } from './qasm3.js';
+import { createCustomGate, createCustomGateInstance } from './customGates.js';
+import { controlDot, partnerCell, expectThrows } from './testUtils.js';
+
+const withControls = (gate, ...controls) => ({ ...gate, controls });
+
+// Exact equality of amplitudes, global phase included
+const expectSameState = (a, b) => {
+    expect(a.length).toBe(b.length);
+    a.forEach((amp, i) => expect(cAbs(cSub(amp, b[i]))).toBeLessThan(1e-9));
+};
+
+const probabilityMap = (circuits) => Object.fromEntries(
+    getBranchProbabilities(simulateCircuitBranches(circuits), circuits.length, false)
+        .map(({ state, probability }) => [state, Number(probability.toFixed(6))])
+);
+
+const gatesOf = (circuits) => circuits.map(row => row.map(g => g?.gate ?? null));
+
+describe('OpenQASM 3 export', () => {
+    it('writes controls of both polarities as ctrl and negctrl modifiers', () => {
+        const circuits = [
+            [controlDot(2)],
+            [controlDot(2, true)],
+            [withControls(createCircuitGate('H'), { qubit: 0, open: false }, { qubit: 1, open: true })]
+        ];
+        expect(exportQasm3(circuits)).toBe([
+            'OPENQASM 3.0;',
+            'include "stdgates.inc";',
+            'qubit[3] q;',
+            'ctrl @ negctrl @ h q[0], q[1], q[2];',
+            ''
+        ].join('\n'));
+    });
+
+    it('writes measurements as assignments and conditions as if statements', () => {
+        const circuits = [
+            [createCircuitGate('H'), createCircuitGate('M'), null],
+            [null, null, { ...createCircuitGate('X'), condition: { bit: 0, value: 1 } }]
+        ];
+        const body = exportQasm3(circuits, [1]).split('\n').slice(3);
+        expect(body).toEqual(['bit[2] c;', 'h q[0];', 'barrier q;', 'c[0] = measure q[0];', 'if (c[0] == 1) x q[1];', '']);
+    });
+});
+
+describe('OpenQASM 3 import', () => {
+    it('round-trips every gate kind exactly, including controlled two-qubit gates and U phases', () => {
+        const rz = withGateAngle(createCircuitGate('RZ'), Math.PI / 3);
+        const circuits = [
+            [createCircuitGate('H'), controlDot(2, true), createCircuitGate('H'), { ...withGateAngle(createCircuitGate('RXX'), 0.4), partner: 1 }, controlDot(3)],
+            [createCircuitGate('SX'), controlDot(2), createCircuitGate('TDG'), partnerCell(0), controlDot(2)],
+            [createCircuitGate('H'), withControls({ ...rz, gate: 'U' }, { qubit: 0, open: true }, { qubit: 1, open: false }), { ...createCircuitGate('ISWAP'), partner: 3 }, null, partnerCell(3)],
+            [createCircuitGate('Y'), null, partnerCell(2), null, withControls({ ...createCircuitGate('SQRT_SWAP'), partner: 2 }, { qubit: 0, open: false }, { qubit: 1, open: true })]
+        ];
+        circuits[1][4] = controlDot(3, true);
+        const { circuits: imported } = importQasm3(exportQasm3(circuits));
+        expectSameState(simulateCircuit(imported), simulateCircuit(circuits));
+    });
+
+    it('round-trips measurements and conditions', () => {
+        const circuits = [
+            [createCircuitGate('H'), createCircuitGate('M'), null],
+            [createCircuitGate('H'), null, { ...createCircuitGate('Z'), condition: { bit: 0, value: 0 } }]
+        ];
+        expect(probabilityMap(importQasm3(exportQasm3(circuits)).circuits)).toEqual(probabilityMap(circuits));
+    });
+
+    it('folds inv and pow modifiers into palette gates where one matches', () => {
+        const { circuits } = importQasm3(`
+            OPENQASM 3.0;
+            include "stdgates.inc";
+            qubit[2] q;
+            inv @ s q[0];
+            pow(2) @ t q[0];
+            pow(0.5) @ x q[0];
+            inv @ rx(0.3) q[0];
+            pow(1/2) @ swap q[0], q[1];
+            inv @ pow(3) @ p(0.1) q[1];
+        `);
+        expect(gatesOf(circuits)[0]).toEqual(['SDG', 'S', 'SX', 'RX', 'SQRT_SWAP', null]);
+        expect(circuits[0][3].angle).toBeCloseTo(-0.3, 12);
+        expect(circuits[1][5].gate).toBe('P');
+        expect(circuits[1][5].angle).toBeCloseTo(-0.3, 12);
+    });
+
+    it('turns other powers into U gates with the exact matrix', () => {
+        // (H^(1/3))^3 = H
+        const cubeRoot = 'OPENQASM 3; qubit[2] q; h q[0]; pow(1/3) @ h q[1]; pow(1/3) @ h q[1]; pow(1/3) @ h q[1]; ctrl @ pow(1/3) @ h q[0], q[1];';
+        const reference = 'OPENQASM 3; qubit[2] q; h q[0]; h q[1]; ctrl @ pow(1/3) @ h q[0], q[1];';
+        const { circuits } = importQasm3(cubeRoot);
+        expect(circuits[1][1].gate).toBe('U');
+        expectSameState(simulateCircuit(circuits), simulateCircuit(importQasm3(reference).circuits));
+    });
+
+    it('maps negctrl modifiers and built-in controls onto one controlled gate', () => {
+        const { circuits } = importQasm3('OPENQASM 3; include "stdgates.inc"; qubit[4] q; negctrl(2) @ cx q[3], q[2], q[0], q[1];');
+        expect(circuits[1][0].gate).toBe('X');
+        expect(circuits[1][0].controls).toEqual([
+            { qubit: 3, open: true },
+            { qubit: 2, open: true },
+            { qubit: 0, open: false }
+        ]);
+        expect(circuits[3][0]).toEqual({ gate: 'CONTROL', targetIndex: 1, open: true });
+    });
+
+    it('writes definitions that stay exact under ctrl', () => {
+        const exported = exportQasm3([
+            [{ ...createCircuitGate('ISWAP'), partner: 1 }, { ...createCircuitGate('SQRT_SWAP'), partner: 1 }, { ...withGateAngle(createCircuitGate('RYY'), 0.7), partner: 1 }],
+            [partnerCell(0), partnerCell(0), partnerCell(0)]
+        ]);
+        const prepare = 'OPENQASM 3; include "stdgates.inc"; qubit[3] q; h q[0]; h q[1]; t q[1]; ry(0.4) q[2];';
+        const cases = [['iswap', ''], ['sqrt_swap', ''], ['ryy', '(0.7)']];
+        for (const [name, params] of cases) {
+            const definition = exported.match(new RegExp(`gate ${name}\\b[^{]*\\{([^}]*)\\}`))[1];
+            // Controlled copy of the body, with the definition's own parameter bound to the value
+            const body = definition.split(';').map(s => s.trim()).filter(Boolean)
+                .map(s => s.replace(/\btheta\b/g, params.slice(1, -1) || '0'))
+                .map(s => (s.startsWith('gphase') ? `ctrl @ ${s} q[0];` : `ctrl @ ${s.replace(/\ba\b/g, 'q[1]').replace(/\bb\b/g, 'q[2]').replace(/ (q\[1\]|q\[2\])/, ' q[0], $1')};`))
+                .join(' ');
+            const native = importQasm3(`${prepare} ctrl @ ${name}${params} q[0], q[1], q[2];`);
+            const expanded = importQasm3(`${prepare} ${body}`);
+            expectSameState(simulateCircuit(expanded.circuits), simulateCircuit(native.circuits));
+        }
+    });
+
+    it('binds input angles and turns if/else blocks into conditions', () => {
+        const source = `OPENQASM 3.0;
+include "stdgates.inc";
+input angle[32] theta;
+const float half = theta / 2;
+qubit[2] q;
+bit[2] c;
+rx(theta) q[0];
+c[0] = measure q[0];
+if (c[0]) {
+    x q[1];
+} else {
+    ry(half) q[1];
+}`;
+        const { circuits, inputs, warnings } = importQasm3(source, { inputs: { theta: 'pi/2' } });
+        expect(inputs).toEqual([{ name: 'theta', value: Math.PI / 2 }]);
+        expect(warnings).toEqual([]);
+        expect(circuits[0][0].angle).toBeCloseTo(Math.PI / 2, 12);
+        const row = circuits[1].filter(Boolean);
+        expect(row.map(g => [g.gate, g.condition])).toEqual([['X', { bit: 0, value: 1 }], ['RY', { bit: 0, value: 0 }]]);
+        expect(row[1].angle).toBeCloseTo(Math.PI / 4, 12);
+
+        const unbound = importQasm3(source);
+        expect(unbound.inputs).toEqual([{ name: 'theta', value: 0 }]);
+        expect(unbound.warnings).toEqual(['Line 3: input theta has no value; using 0']);
+    });
+
+    it('places a controlled gphase on the control and drops a bare one with a warning', () => {
+        const { circuits, warnings } = importQasm3('OPENQASM 3;\nqubit[2] q;\ngphase(pi/4);\nctrl @ gphase(pi/2) q[1];\nnegctrl @ ctrl @ gphase(pi) q[0], q[1];');
+        expect(warnings).toEqual(['Line 3: global phase gphase(pi/4) has no visible effect and was dropped']);
+        expect(circuits[1][0].gate).toBe('P');
+        expect(circuits[1][0].angle).toBeCloseTo(Math.PI / 2, 12);
+        expect(circuits[1][1].controls).toEqual([{ qubit: 0, open: true }]);
+    });
+
+    it('round-trips custom gates, keeping the global phase of their inner gates', () => {
+        const phased = createCustomGate({
+            name: 'phased',
+            circuits: [
+                [createCircuitGate('U', { theta: 0.3, phi: 0.2, lambda: 0.1, globalPhase: 0.5 }), controlDot(1)],
+                [createCircuitGate('H'), withControls(createCircuitGate('X'), { qubit: 0, open: false })]
+            ]
+        });
+        // Controlled, so the inner global phase shows as a relative phase
+        const circuits = [
+            [createCircuitGate('H'), controlDot(1)],
+            [createCircuitGate('H'), withControls(createCustomGateInstance(phased, 1), { qubit: 0, open: false })],
+            [null, partnerCell(1)]
+        ];
+        const exported = exportQasm3(circuits, [], [phased]);
+        expect(exported).toContain('gate phased q0, q1 {');
+        expect(exported).toContain('ctrl @ phased q[0], q[1], q[2];');
+
+        const imported = importQasm3(exported);
+        expect(imported.warnings).toEqual([]);
+        expect(imported.customGates.map(d => d.name)).toEqual(['phased']);
+        imported.customGates[0].matrix.forEach((row, r) => row.forEach((v, c) => expect(cAbs(cSub(v, phased.matrix[r][c]))).toBeLessThan(1e-9)));
+        expect(imported.circuits[1][1]).toMatchObject({ gate: 'CUSTOM', name: 'phased', wires: [1, 2], controls: [{ qubit: 0, open: false }] });
+        expectSameState(simulateCircuit(imported.circuits), simulateCircuit(circuits));
+    });
+
+    it('rejects custom gate definitions the grid cannot hold', () => {
+        expect(() => importQasm3('OPENQASM 3; qubit[1] q; gate mine(t) a { rx(t) a; }')).toThrow(/custom gates with parameters/);
+        expect(() => importQasm3('OPENQASM 3; qubit[1] q; gate mine a { x b; }')).toThrow(/unknown qubit argument "b"/);
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; gate pair a, b { cx a, b; } pair q[1], q[0];')).toThrow(/consecutive qubits/);
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; gate pair a, b { cx a, b; } inv @ pair q[0], q[1];')).toThrow(/not supported on the custom gate/);
+    });
+
+    it('reports every feature the circuit cannot represent', () => {
+        const source = 'OPENQASM 3;\nqubit[2] q;\nreset q[0];\nfor int i in [0:2] { x q[0]; }\ngate mine a { x a; }\nif (true) { delay[10ns] q[0]; }';
+        const run = () => importQasm3(source);
+        expectThrows(run, QasmError, /reset \(line 3\)/, { line: 3 });
+        expect(run).toThrow('for loops (line 4)');
+        expect(run).not.toThrow('line 5');
+        expect(run).toThrow('timing (box, delay, duration) (line 6)');
+    });
+
+    it('rejects conditions on more than one bit', () => {
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; bit[2] c; if (c == 2) x q[0];')).toThrow(/single-bit/);
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; bit[2] c; if (c == 1) x q[0];')).toThrow(/2-bit register/);
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; bit[2] c; if (c[0]) c[1] = measure q[1];')).toThrow(/measurement inside an if\/else/);
+        expect(() => importQasm3('OPENQASM 3; qubit[2] q; bit[2] c; if (c[0]) { x q[0]; } else { measure q[1] -> c[1]; }')).toThrow(/measurement inside an if\/else/);
+    });
+
+    it('rejects more qubits than the simulator takes', () => {
+        expect(importQasm3(`OPENQASM 3; qubit[${MAX_QUBITS}] q;`).circuits).toHaveLength(MAX_QUBITS);
+        expect(() => importQasm3(`OPENQASM 3; qubit[${MAX_QUBITS}] q; qubit extra;`)).toThrow(new RegExp(`at most ${MAX_QUBITS}`));
+    });
+});
@@ -36,14 +36,137 @@ export const getInitialQubitState = (mode = 'zero') => {
 
 // Gate matrices
 
-// Create U3 gate matrix from angles (theta, phi, lambda)
-export const createU3Matrix = (theta, phi, lambda) => [
-    [complex(Math.cos(theta / 2)), cScale(cFromPolar(1, -lambda), -Math.sin(theta / 2))],
-    [cScale(cFromPolar(1, phi), Math.sin(theta / 2)), cScale(cFromPolar(1, phi + lambda), Math.cos(theta / 2))]
+// Create U3 gate matrix from angles (theta, phi, lambda), optionally times a global phase e^(iγ)
+// U3 = [[cos(θ/2), -e^(iλ) sin(θ/2)], [e^(iφ) sin(θ/2), e^(i(φ+λ)) cos(θ/2)]] = Rz(φ) Ry(θ) Rz(λ) up to global phase
+// Older versions wrote -e^(-iλ) in the top right, which is not unitary when sin(θ/2)·sin(λ) ≠ 0; U gates saved
+// then keep their angles and load with this matrix (see the 0 → 1 workspace migration)
+export const createU3Matrix = (theta, phi, lambda, globalPhase = 0) => [
+    [cFromPolar(Math.cos(theta / 2), globalPhase), cFromPolar(-Math.sin(theta / 2), lambda + globalPhase)],
+    [cFromPolar(Math.sin(theta / 2), phi + globalPhase), cFromPolar(Math.cos(theta / 2), phi + lambda + globalPhase)]
 ];
 
+// Single-qubit rotation gates with one angle, using the usual (OpenQASM) conventions:
+// RX/RY/RZ(θ) = exp(-iθ/2 · σ), so RZ carries a global phase e^(-iθ/2) relative to P(θ) = diag(1, e^(iθ)).
+export const createRotationMatrix = (gateName, angle) => {
+    const c = Math.cos(angle / 2);
+    const s = Math.sin(angle / 2);
+    switch (gateName) {
+        case 'RX':
+            return [[complex(c), complex(0, -s)], [complex(0, -s), complex(c)]];
+        case 'RY':
+            return [[complex(c), complex(-s)], [complex(s), complex(c)]];
+        case 'RZ':
+            return [[cFromPolar(1, -angle / 2), complex(0)], [complex(0), cFromPolar(1, angle / 2)]];
+        case 'P':
+            return [[complex(1), complex(0)], [complex(0), cFromPolar(1, angle)]];
+        default:
+            return null;
+    }
+};
+
+// U3 angles and global phase of a rotation gate. U3 fixes the |0⟩⟨0| entry to be real, so
+// RZ(θ) = e^(-iθ/2) U3(0, 0, θ); RX, RY and P match U3 exactly.
+export const getRotationDecomposition = (gateName, angle) => {
+    switch (gateName) {
+        case 'RX':
+            return { theta: angle, phi: -Math.PI / 2, lambda: Math.PI / 2, globalPhase: 0 };
+        case 'RY':
+            return { theta: angle, phi: 0, lambda: 0, globalPhase: 0 };
+        case 'RZ':
+            return { theta: 0, phi: 0, lambda: angle, globalPhase: -angle / 2 };
+        case 'P':
+            return { theta: 0, phi: 0, lambda: angle, globalPhase: 0 };
+        default:
+            return null;
+    }
+};
+
+// Two-qubit gate matrices in the basis |ab⟩ = |00⟩, |01⟩, |10⟩, |11⟩, where a is the wire
+// holding the gate and b its partner wire. All of these gates are symmetric under a ↔ b.
+export const createTwoQubitMatrix = (gateName, angle = 0) => {
+    const c = complex(Math.cos(angle / 2));
+    const s = complex(0, -Math.sin(angle / 2)); // -i sin(θ/2)
+    const sConj = cConj(s);
+    const z = complex(0);
+    const one = complex(1);
+    const half = (re, im) => complex(re / 2, im / 2);
+    switch (gateName) {
+        case 'SWAP':
+            return [[one, z, z, z], [z, z, one, z], [z, one, z, z], [z, z, z, one]];
+        case 'ISWAP':
+            return [[one, z, z, z], [z, z, complex(0, 1), z], [z, complex(0, 1), z, z], [z, z, z, one]];
+        case 'SQRT_SWAP':
+            return [[one, z, z, z], [z, half(1, 1), half(1, -1), z], [z, half(1, -1), half(1, 1), z], [z, z, z, one]];
+        case 'CZ':
+            return [[one, z, z, z], [z, one, z, z], [z, z, one, z], [z, z, z, complex(-1)]];
+        // exp(-iθ/2 · P⊗P) = cos(θ/2) I - i sin(θ/2) P⊗P
+        case 'RXX':
+            return [[c, z, z, s], [z, c, s, z], [z, s, c, z], [s, z, z, c]];
+        case 'RYY':
+            return [[c, z, z, sConj], [z, c, s, z], [z, s, c, z], [sConj, z, z, c]];
+        case 'RZZ': {
+            const low = cFromPolar(1, -angle / 2);
+            const high = cFromPolar(1, angle / 2);
+            return [[low, z, z, z], [z, high, z, z], [z, z, high, z], [z, z, z, low]];
+        }
+        default:
+            return null;
+    }
+};
+
+// Noise channels act on density matrices only (see densityMatrix.js): ρ → Σ K ρ K† over the Kraus
+// operators of the channel, each with a probability p in [0, 1].
+//   BIT_FLIP           X with probability p
+//   PHASE_FLIP         Z with probability p
+//   DEPOLARIZING       ρ → (1 - p) ρ + p I/2, which shrinks the Bloch vector by 1 - p
+//   AMPLITUDE_DAMPING  |1⟩ decays to |0⟩ with probability p (energy loss, T1)
+//   PHASE_DAMPING      coherences shrink by √(1 - p) without energy loss (T2)
+export const getNoiseKrausOperators = (gateName, p) => {
+    const keep = (weight) => [[complex(Math.sqrt(weight)), complex(0)], [complex(0), complex(Math.sqrt(weight))]];
+    const scaled = (matrix, weight) => matrix.map(row => row.map(v => cScale(v, Math.sqrt(weight))));
+    const X = [[complex(0), complex(1)], [complex(1), complex(0)]];
+    const Y = [[complex(0), complex(0, -1)], [complex(0, 1), complex(0)]];
+    const Z = [[complex(1), complex(0)], [complex(0), complex(-1)]];
+    switch (gateName) {
+        case 'BIT_FLIP':
+            return [keep(1 - p), scaled(X, p)];
+        case 'PHASE_FLIP':
+            return [keep(1 - p), scaled(Z, p)];
+        case 'DEPOLARIZING':
+            return [keep(1 - 3 * p / 4), scaled(X, p / 4), scaled(Y, p / 4), scaled(Z, p / 4)];
+        case 'AMPLITUDE_DAMPING':
+            return [
+                [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - p))]],
+                [[complex(0), complex(Math.sqrt(p))], [complex(0), complex(0)]]
+            ];
+        case 'PHASE_DAMPING':
+            return [
+                [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - p))]],
+                [[complex(0), complex(0)], [complex(0), complex(Math.sqrt(p))]]
+            ];
+        default:
+            return null;
+    }
+};
+
+// Palette entry of a noise channel. The identity matrix and decomposition keep the code that walks
+// gate matrices (kickback, the per-qubit animation) treating the channel as doing nothing to a pure state.
+const noiseChannel = (name, label, description) => ({
+    name,
+    label,
+    description,
+    color: '#A9AEBF',
+    isNoise: true,
+    defaultProbability: 0.1,
+    showDecomposition: false,
+    animDuration: 0.5,
+    defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(1)]],
+    defaultDecomposition: { theta: 0, phi: 0, lambda: 0, globalPhase: 0 }
+});
+
 // Gate colors (pastel theme): I/X share the same green used by state vectors.
-// All gates store both matrix and decomposition for unified handling
+// All gates store both matrix and decomposition for unified handling. The decomposition
+// { theta, phi, lambda, globalPhase } gives the matrix exactly: matrix = e^(iγ) · U3(θ, φ, λ).
 export const GATES = {
     I: {
         name: 'I',
@@ -53,7 +176,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 0,
         defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(1)]],
-        defaultDecomposition: { theta: 0, phi: 0, lambda: 0 }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: 0, globalPhase: 0 }
     },
     X: {
         name: 'X',
@@ -63,7 +186,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 1,
         defaultMatrix: [[complex(0), complex(1)], [complex(1), complex(0)]],
-        defaultDecomposition: { theta: Math.PI, phi: 0, lambda: Math.PI }
+        defaultDecomposition: { theta: Math.PI, phi: 0, lambda: Math.PI, globalPhase: 0 }
     },
     Y: {
         name: 'Y',
@@ -73,7 +196,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 1,
         defaultMatrix: [[complex(0), complex(0, -1)], [complex(0, 1), complex(0)]],
-        defaultDecomposition: { theta: Math.PI, phi: Math.PI / 2, lambda: Math.PI / 2 }
+        defaultDecomposition: { theta: Math.PI, phi: Math.PI / 2, lambda: Math.PI / 2, globalPhase: 0 }
     },
     Z: {
         name: 'Z',
@@ -83,7 +206,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 1,
         defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(-1)]],
-        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI, globalPhase: 0 }
     },
     H: {
         name: 'H',
@@ -93,7 +216,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 1,
         defaultMatrix: [[complex(SQRT2_INV), complex(SQRT2_INV)], [complex(SQRT2_INV), complex(-SQRT2_INV)]],
-        defaultDecomposition: { theta: Math.PI / 2, phi: 0, lambda: Math.PI }
+        defaultDecomposition: { theta: Math.PI / 2, phi: 0, lambda: Math.PI, globalPhase: 0 }
     },
     S: {
         name: 'S',
@@ -103,7 +226,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 0.5,
         defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(0, 1)]],
-        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI / 2 }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI / 2, globalPhase: 0 }
     },
     T: {
         name: 'T',
@@ -113,7 +236,96 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 0.25,
         defaultMatrix: [[complex(1), complex(0)], [complex(0), cFromPolar(1, Math.PI / 4)]],
-        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI / 4 }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: Math.PI / 4, globalPhase: 0 }
+    },
+    SDG: {
+        name: 'SDG',
+        label: 'S†',
+        description: 'S-dagger - -π/2 rotation around Z axis (inverse of S)',
+        color: '#4DBAF5',
+        showDecomposition: false,
+        animDuration: 0.5,
+        rotation: { axis: 'z', angle: -Math.PI / 2 },
+        defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(0, -1)]],
+        defaultDecomposition: { theta: 0, phi: 0, lambda: -Math.PI / 2, globalPhase: 0 }
+    },
+    TDG: {
+        name: 'TDG',
+        label: 'T†',
+        description: 'T-dagger - -π/4 rotation around Z axis (inverse of T)',
+        color: '#4DBAF5',
+        showDecomposition: false,
+        animDuration: 0.25,
+        rotation: { axis: 'z', angle: -Math.PI / 4 },
+        defaultMatrix: [[complex(1), complex(0)], [complex(0), cFromPolar(1, -Math.PI / 4)]],
+        defaultDecomposition: { theta: 0, phi: 0, lambda: -Math.PI / 4, globalPhase: 0 }
+    },
+    SX: {
+        name: 'SX',
+        label: '√X',
+        description: 'Square root of X - π/2 rotation around X axis (= e^(iπ/4) RX(π/2))',
+        color: '#8EFFE2',
+        showDecomposition: false,
+        animDuration: 0.5,
+        rotation: { axis: 'x', angle: Math.PI / 2 },
+        defaultMatrix: [
+            [complex(0.5, 0.5), complex(0.5, -0.5)],
+            [complex(0.5, -0.5), complex(0.5, 0.5)]
+        ],
+        defaultDecomposition: { theta: Math.PI / 2, phi: -Math.PI / 2, lambda: Math.PI / 2, globalPhase: Math.PI / 4 }
+    },
+    // Rotation gates take a single angle (gate instance field `angle`)
+    RX: {
+        name: 'RX',
+        label: 'Rx',
+        description: 'Rx(θ) - rotation by θ around X axis',
+        color: '#8EFFE2',
+        hasAngle: true,
+        rotationAxis: 'x',
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 2,
+        defaultMatrix: createRotationMatrix('RX', Math.PI / 2),
+        defaultDecomposition: getRotationDecomposition('RX', Math.PI / 2)
+    },
+    RY: {
+        name: 'RY',
+        label: 'Ry',
+        description: 'Ry(θ) - rotation by θ around Y axis',
+        color: '#B08CFF',
+        hasAngle: true,
+        rotationAxis: 'y',
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 2,
+        defaultMatrix: createRotationMatrix('RY', Math.PI / 2),
+        defaultDecomposition: getRotationDecomposition('RY', Math.PI / 2)
+    },
+    RZ: {
+        name: 'RZ',
+        label: 'Rz',
+        description: 'Rz(θ) - rotation by θ around Z axis, diag(e^(-iθ/2), e^(iθ/2))',
+        color: '#4DBAF5',
+        hasAngle: true,
+        rotationAxis: 'z',
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 4,
+        defaultMatrix: createRotationMatrix('RZ', Math.PI / 4),
+        defaultDecomposition: getRotationDecomposition('RZ', Math.PI / 4)
+    },
+    P: {
+        name: 'P',
+        label: 'P',
+        description: 'Phase P(θ) - adds phase e^(iθ) to |1⟩, diag(1, e^(iθ))',
+        color: '#4DBAF5',
+        hasAngle: true,
+        rotationAxis: 'z',
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 4,
+        defaultMatrix: createRotationMatrix('P', Math.PI / 4),
+        defaultDecomposition: getRotationDecomposition('P', Math.PI / 4)
     },
     U: {
         name: 'U',
@@ -123,7 +335,109 @@ export const GATES = {
         showDecomposition: true,
         animDuration: null, // Computed from params
         defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(1)]], // Identity by default
-        defaultDecomposition: { theta: 0, phi: 0, lambda: 0 }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: 0, globalPhase: 0 }
+    },
+    M: {
+        name: 'M',
+        label: 'M',
+        description: 'Measurement - collapses the qubit and writes the outcome to a classical bit',
+        color: '#D7D9E0',
+        isMeasurement: true,
+        showDecomposition: false,
+        animDuration: 0.5,
+        defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(1)]],
+        defaultDecomposition: { theta: 0, phi: 0, lambda: 0, globalPhase: 0 }
+    },
+    BIT_FLIP: noiseChannel('BIT_FLIP', 'BF', 'Bit flip - applies X with probability p'),
+    PHASE_FLIP: noiseChannel('PHASE_FLIP', 'PF', 'Phase flip - applies Z with probability p'),
+    DEPOLARIZING: noiseChannel('DEPOLARIZING', 'DEP', 'Depolarizing - replaces the qubit by the maximally mixed state with probability p'),
+    AMPLITUDE_DAMPING: noiseChannel('AMPLITUDE_DAMPING', 'AD', 'Amplitude damping - |1⟩ decays to |0⟩ with probability p'),
+    PHASE_DAMPING: noiseChannel('PHASE_DAMPING', 'PD', 'Phase damping - loses phase coherence without losing energy'),
+    // Two-qubit gates span the wire they are dropped on and a partner wire (a PARTNER cell)
+    SWAP: {
+        name: 'SWAP',
+        label: 'SW',
+        description: 'SWAP - exchanges the states of two qubits',
+        color: '#FF9F5A',
+        numQubits: 2,
+        wireSymbol: 'cross',
+        showDecomposition: false,
+        animDuration: 1,
+        defaultMatrix: createTwoQubitMatrix('SWAP'),
+        defaultDecomposition: null
+    },
+    ISWAP: {
+        name: 'ISWAP',
+        label: 'iSW',
+        description: 'iSWAP - swaps |01⟩ and |10⟩ with a phase of i',
+        color: '#FF9F5A',
+        numQubits: 2,
+        showDecomposition: false,
+        animDuration: 1,
+        defaultMatrix: createTwoQubitMatrix('ISWAP'),
+        defaultDecomposition: null
+    },
+    SQRT_SWAP: {
+        name: 'SQRT_SWAP',
+        label: '√SW',
+        description: '√SWAP - half of a SWAP, entangles |01⟩ and |10⟩',
+        color: '#FF9F5A',
+        numQubits: 2,
+        showDecomposition: false,
+        animDuration: 1,
+        defaultMatrix: createTwoQubitMatrix('SQRT_SWAP'),
+        defaultDecomposition: null
+    },
+    CZ: {
+        name: 'CZ',
+        label: 'CZ',
+        description: 'Controlled-Z - flips the phase of |11⟩ (symmetric in both qubits)',
+        color: '#4DBAF5',
+        numQubits: 2,
+        wireSymbol: 'dot',
+        showDecomposition: false,
+        animDuration: 0.5,
+        defaultMatrix: createTwoQubitMatrix('CZ'),
+        defaultDecomposition: null
+    },
+    RXX: {
+        name: 'RXX',
+        label: 'XX',
+        description: 'Ising XX coupling - exp(-iθ/2 X⊗X)',
+        color: '#8EFFE2',
+        numQubits: 2,
+        hasAngle: true,
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 2,
+        defaultMatrix: createTwoQubitMatrix('RXX', Math.PI / 2),
+        defaultDecomposition: null
+    },
+    RYY: {
+        name: 'RYY',
+        label: 'YY',
+        description: 'Ising YY coupling - exp(-iθ/2 Y⊗Y)',
+        color: '#B08CFF',
+        numQubits: 2,
+        hasAngle: true,
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 2,
+        defaultMatrix: createTwoQubitMatrix('RYY', Math.PI / 2),
+        defaultDecomposition: null
+    },
+    RZZ: {
+        name: 'RZZ',
+        label: 'ZZ',
+        description: 'Ising ZZ coupling - exp(-iθ/2 Z⊗Z)',
+        color: '#4DBAF5',
+        numQubits: 2,
+        hasAngle: true,
+        showDecomposition: false,
+        animDuration: 1,
+        defaultAngle: Math.PI / 2,
+        defaultMatrix: createTwoQubitMatrix('RZZ', Math.PI / 2),
+        defaultDecomposition: null
     },
     BARRIER: {
         name: 'BARRIER',
@@ -134,7 +448,7 @@ export const GATES = {
         showDecomposition: false,
         animDuration: 0,
         defaultMatrix: [[complex(1), complex(0)], [complex(0), complex(1)]],
-        defaultDecomposition: { theta: 0, phi: 0, lambda: 0 }
+        defaultDecomposition: { theta: 0, phi: 0, lambda: 0, globalPhase: 0 }
     }
 };
 
@@ -152,26 +466,121 @@ export const createGateInstance = (gateName, decomposition = null) => {
     const gateRef = GATES[gateName];
     if (!gateRef) return null;
 
-    const decomp = decomposition || { ...gateRef.defaultDecomposition };
+    if (gateRef.numQubits === 2) {
+        const instance = {
+            gate: gateName,
+            matrix: createTwoQubitMatrix(gateName),
+            decomposition: null,
+            controls: [],
+            condition: null,
+            partner: null // Second wire; the matrix treats the gate's own wire as the first qubit
+        };
+        return gateRef.hasAngle ? withGateAngle(instance, gateRef.defaultAngle) : instance;
+    }
+
+    if (gateRef.hasAngle && !decomposition) {
+        return withGateAngle({ gate: gateName, controls: [], condition: null }, gateRef.defaultAngle);
+    }
+
+    const decomp = { globalPhase: 0, ...(decomposition || gateRef.defaultDecomposition) };
     const matrix = gateName === 'U' || decomposition
-        ? createU3Matrix(decomp.theta, decomp.phi, decomp.lambda)
+        ? createU3Matrix(decomp.theta, decomp.phi, decomp.lambda, decomp.globalPhase)
         : gateRef.defaultMatrix.map(row => row.map(c => ({ ...c })));
 
-    return {
+    const instance = {
         gate: gateName,
         matrix,
         decomposition: decomp,
-        controlIndex: null
+        controls: [], // [{ qubit, open }]: closed controls fire on |1⟩, open controls on |0⟩
+        condition: null // { bit, value }: only fire when classical bit c[bit] equals value
+    };
+    // null = write to the classical bit with the same index as the measured qubit
+    if (gateRef.isMeasurement) instance.classicalBit = null;
+    if (gateRef.isNoise) instance.probability = gateRef.defaultProbability;
+    return instance;
+};
+
+// Gate instance as stored in a circuit cell: the instance plus the palette label, color and description
+export const createCircuitGate = (gateName, decomposition = null) => {
+    const gateRef = GATES[gateName];
+    const instance = createGateInstance(gateName, decomposition);
+    if (!instance) return null;
+    return {
+        ...instance,
+        label: gateRef.label,
+        color: gateRef.color,
+        description: gateRef.description,
+        isBarrier: gateRef.isBarrier || false
+    };
+};
+
+// Controls of a gate instance (empty for CONTROL dots, barriers and uncontrolled gates)
+export const getGateControls = (gateInstance) => {
+    if (!gateInstance || gateInstance.gate === 'CONTROL' || gateInstance.gate === 'PARTNER') return [];
+    return gateInstance.controls || [];
+};
+
+export const isControlledGate = (gateInstance) => getGateControls(gateInstance).length > 0;
+
+// Set the angle of a single-angle gate (RX/RY/RZ/P or RXX/RYY/RZZ), rebuilding its matrix
+// and, for single-qubit gates, the U3 decomposition used by the → U button
+export const withGateAngle = (gateInstance, angle) => {
+    if (GATES[gateInstance.gate]?.numQubits === 2) {
+        return { ...gateInstance, angle, matrix: createTwoQubitMatrix(gateInstance.gate, angle) };
+    }
+    return {
+        ...gateInstance,
+        angle,
+        matrix: createRotationMatrix(gateInstance.gate, angle),
+        decomposition: getRotationDecomposition(gateInstance.gate, angle)
     };
 };
 
+// Fixed-axis rotation drawn by the Bloch sphere animation ({ axis, angle }), or null for
+// gates that animate through their U3 decomposition
+export const getAxisRotation = (gateInstance) => {
+    const gateRef = GATES[gateInstance?.gate];
+    if (!gateRef) return null;
+    if (gateRef.rotationAxis) return { axis: gateRef.rotationAxis, angle: gateInstance.angle ?? gateRef.defaultAngle };
+    return gateRef.rotation || null;
+};
+
+// True for gate instances whose matrix is 4x4 and spans a partner wire
+export const isTwoQubitGate = (gateInstance) => GATES[gateInstance?.gate]?.numQubits === 2;
+
+// True for noise channel instances, which carry a probability instead of a unitary
+export const isNoiseChannel = (gateInstance) => Boolean(GATES[gateInstance?.gate]?.isNoise);
+
+// Noise channel with probability p, clamped to [0, 1]
+export const withNoiseProbability = (gateInstance, probability) => ({
+    ...gateInstance,
+    probability: Math.min(1, Math.max(0, Number.isFinite(probability) ? probability : 0))
+});
+
+// True for instances of a user-defined composite gate (see customGates.js): the cell on the first of
+// its wires holds the 2^k x 2^k matrix, the other wires hold PARTNER cells
+export const isCustomGate = (gateInstance) => gateInstance?.gate === 'CUSTOM';
+
 // Update matrix from decomposition (call when sliders change)
 export const updateMatrixFromDecomposition = (gateInstance) => {
-    const { theta, phi, lambda } = gateInstance.decomposition;
-    gateInstance.matrix = createU3Matrix(theta, phi, lambda);
+    const { theta, phi, lambda, globalPhase = 0 } = gateInstance.decomposition;
+    gateInstance.matrix = createU3Matrix(theta, phi, lambda, globalPhase);
     return gateInstance;
 };
 
+// Phase γ with matrix = e^(iγ) · U3(decomposition): what a control turns into a relative phase.
+// Instances saved before the decomposition carried it get it from their exact matrix.
+export const getU3GlobalPhase = (gateInstance) => {
+    if (Number.isFinite(gateInstance.decomposition.globalPhase)) return gateInstance.decomposition.globalPhase;
+    const { theta, phi, lambda } = gateInstance.decomposition;
+    const u3 = createU3Matrix(theta, phi, lambda);
+    const [r, c] = cAbs(u3[0][0]) > 1e-9 ? [0, 0] : [1, 0];
+    return cPhase(cMul(gateInstance.matrix[r][c], cConj(u3[r][c])));
+};
+
+// U gate with exactly this 2x2 matrix, its decomposition read off by extractRotationFromMatrix
+export const createUGateFromMatrix = (matrix) => ({ ...createCircuitGate('U', extractRotationFromMatrix(matrix)), matrix });
+
 // Apply a gate instance to a state
 export const applyGate = (state, gateInstance) => {
     if (gateInstance.gate === 'BARRIER') return state;
@@ -207,63 +616,41 @@ const normalizeAngle = (angle) => {
     return a;
 };
 
-const complexDiv = (a, b) => {
-    const den = b.re * b.re + b.im * b.im;
-    if (den < 1e-12) return complex(0, 0);
-    return complex(
-        (a.re * b.re + a.im * b.im) / den,
-        (a.im * b.re - a.re * b.im) / den
-    );
-};
+const hasKickbackTarget = (gateInstance) => gateInstance && gateInstance.matrix && gateInstance.gate !== 'BARRIER' &&
+    gateInstance.gate !== 'CONTROL' && gateInstance.gate !== 'M' && !isTwoQubitGate(gateInstance) && !isCustomGate(gateInstance) &&
+    !isNoiseChannel(gateInstance);
 
 // Returns target-gate eigenphase phi when U|psi> = e^(i*phi)|psi>, else null.
+// U is the full matrix, global phase included: a controlled e^(iπ)·I kicks back π from any target state.
 export const getKickbackPhaseForControlledGate = (targetGate, targetStateBefore, tolerance = 0.01) => {
-    if (!targetGate || targetGate.gate === 'BARRIER' || targetGate.gate === 'CONTROL' || !targetGate.matrix) {
-        return null;
-    }
+    if (!hasKickbackTarget(targetGate)) return null;
 
     const state = targetStateBefore || STATE_ZERO();
-    const evolved = applyMatrix(state, targetGate.matrix);
-    const referenceIdx = state.findIndex(amp => cAbs(amp) > tolerance);
-    if (referenceIdx < 0) return null;
-
-    const rawPhase = complexDiv(evolved[referenceIdx], state[referenceIdx]);
-    const rawMag = cAbs(rawPhase);
-    if (rawMag <= tolerance) return null;
+    const [[a, b], [c, d]] = targetGate.matrix;
+    const evolved = [cAdd(cMul(a, state[0]), cMul(b, state[1])), cAdd(cMul(c, state[0]), cMul(d, state[1]))];
+    const norm = cAbs(state[0]) ** 2 + cAbs(state[1]) ** 2;
+    if (norm <= tolerance) return null;
 
-    const unitPhase = cScale(rawPhase, 1 / rawMag);
+    // <psi|U|psi> / <psi|psi> is e^(i*phi) exactly when psi is an eigenstate
+    const overlap = cScale(cAdd(cMul(cConj(state[0]), evolved[0]), cMul(cConj(state[1]), evolved[1])), 1 / norm);
     for (let i = 0; i < state.length; i++) {
-        const expected = cMul(unitPhase, state[i]);
-        const diff = cAbs(cSub(evolved[i], expected));
+        const diff = cAbs(cSub(evolved[i], cMul(overlap, state[i])));
         if (diff > tolerance * 2) return null;
     }
 
-    const phase = normalizeAngle(cPhase(unitPhase));
+    const phase = normalizeAngle(cPhase(overlap));
     return Math.abs(phase) > tolerance ? phase : 0;
 };
 
 // True when a gate can produce visible phase kickback in this visualizer.
-// We treat phase-only controlled operations as kickback-capable.
+// We treat phase-only controlled operations as kickback-capable: a diagonal matrix that is not the
+// identity, so a global phase alone (RX(2π) = -I) counts.
 export const gateHasPhaseKickbackPotential = (gateInstance, tolerance = 0.01) => {
-    if (!gateInstance || gateInstance.gate === 'BARRIER' || gateInstance.gate === 'CONTROL') {
-        return false;
-    }
-
-    if (['Z', 'S', 'T'].includes(gateInstance.gate)) {
-        return true;
-    }
-
-    if (gateInstance.gate !== 'U' || !gateInstance.decomposition) {
-        return false;
-    }
+    if (!hasKickbackTarget(gateInstance)) return false;
 
-    const { theta = 0, phi = 0, lambda = 0 } = gateInstance.decomposition;
-    if (Math.abs(theta) > tolerance) {
-        return false;
-    }
-
-    const relativePhase = normalizeAngle(phi + lambda);
-    return Math.abs(relativePhase) > tolerance;
+    const [[a, b], [c, d]] = gateInstance.matrix;
+    if (cAbs(b) > tolerance || cAbs(c) > tolerance) return false;
+    return Math.abs(cPhase(a)) > tolerance || Math.abs(cPhase(d)) > tolerance;
 };
 
 // Calculate combined probabilities for multiple independent qubits
@@ -292,46 +679,38 @@ export const getMultiQubitProbabilities = (qubitStates, includeZero = true) => {
     return results;
 };
 
-// Extract rotation parameters (theta, phi, lambda) from a 2x2 unitary matrix
-// Uses ZYZ decomposition: U = e^(iα) * Rz(φ) * Ry(θ) * Rz(λ)
+// ZYZ decomposition of a 2x2 unitary with the global phase the U3 form leaves out:
+// matrix = e^(iγ) · U3(θ, φ, λ) for { theta: θ in [0, π], phi: φ, lambda: λ, globalPhase: γ }, angles in [-π, π].
+// With a = e^(iγ) cos(θ/2), b = -e^(i(γ+λ)) sin(θ/2), c = e^(i(γ+φ)) sin(θ/2), d = e^(i(γ+φ+λ)) cos(θ/2),
+// each phase is read off the larger entry of its row pair, so an entry near zero (θ near 0 or π) never
+// decides an angle through its noisy phase. Diagonal matrices get φ = 0 and antidiagonal ones γ = 0.
 export const extractRotationFromMatrix = (matrix) => {
-    if (!matrix || !matrix[0] || !matrix[1]) return { theta: 0, phi: 0, lambda: 0 };
+    if (!matrix || !matrix[0] || !matrix[1]) return { theta: 0, phi: 0, lambda: 0, globalPhase: 0 };
 
     const [[a, b], [c, d]] = matrix;
-
-    // Magnitude of a (should equal cos(theta/2))
-    const aMag = cAbs(a);
-    const cMag = cAbs(c);
-
-    // Handle edge cases
-    if (aMag < 0.0001) {
-        // theta = π (a ≈ 0)
-        const theta = Math.PI;
-        const phi = cPhase(c);
-        const lambda = -cPhase(b);
-        return { theta, phi, lambda };
-    }
-
-    if (cMag < 0.0001) {
-        // theta = 0 (c ≈ 0, identity-like)
-        const phiPlusLambda = cPhase(d) - cPhase(a);
-        return { theta: 0, phi: phiPlusLambda / 2, lambda: phiPlusLambda / 2 };
+    const cosMag = cAbs(a);
+    const sinMag = cAbs(c);
+    const theta = 2 * Math.atan2(sinMag, cosMag);
+    const EPS = 1e-12;
+
+    let globalPhase;
+    let phi;
+    let lambda;
+    if (sinMag < EPS) {
+        globalPhase = cPhase(a);
+        phi = 0;
+        lambda = cPhase(d) - globalPhase;
+    } else if (cosMag < EPS) {
+        globalPhase = 0;
+        phi = cPhase(c);
+        lambda = cPhase(cScale(b, -1));
+    } else {
+        globalPhase = cPhase(a);
+        phi = cPhase(c) - globalPhase;
+        // γ + φ + λ from d when the cosine entries are the larger ones, γ + λ from b otherwise
+        lambda = cosMag >= sinMag ? cPhase(d) - cPhase(c) : cPhase(cScale(b, -1)) - globalPhase;
     }
-
-    // General case
-    const theta = 2 * Math.acos(Math.min(1, aMag));
-
-    // Extract phases
-    const aPhase = cPhase(a);
-    const cPhase_ = cPhase(c);
-    const bPhase = cPhase(b);
-
-    // phi + lambda = phase(d) - phase(a) (global phase adjusted)
-    // phi - lambda = phase(c) - phase(b) + π
-    const phi = cPhase_;
-    const lambda = -bPhase;
-
-    return { theta, phi, lambda };
+    return { theta, phi: normalizeAngle(phi), lambda: normalizeAngle(lambda), globalPhase: normalizeAngle(globalPhase) };
 };
 
 // Convert qubit state to Bloch sphere coordinates
@@ -349,18 +728,36 @@ export const stateToBlochCoords = (state) => {
     const y = Math.sin(theta) * Math.sin(phi);
     const z = Math.cos(theta);
 
-    return { x, y, z, theta, phi };
+    return { x, y, z, theta, phi, length: 1, purity: 1 };
 };
 
-// Format angle for display
+// Convert a 2x2 single-qubit density matrix to Bloch coordinates.
+// Mixed states give a vector of length < 1 inside the sphere; purity = Tr(ρ²) = (1 + |r|²) / 2.
+export const densityMatrixToBlochCoords = (rho) => {
+    const x = 2 * rho[0][1].re;
+    const y = -2 * rho[0][1].im;
+    const z = rho[0][0].re - rho[1][1].re;
+
+    const length = Math.min(1, Math.sqrt(x * x + y * y + z * z));
+    const theta = length < 1e-9 ? 0 : Math.acos(Math.max(-1, Math.min(1, z / length)));
+    const phi = Math.atan2(y, x);
+
+    return { x, y, z, theta, phi, length, purity: (1 + length * length) / 2 };
+};
+
+// Format angle for display: multiples of π/2, π/3, π/4, π/6 and π/8 in π notation (3π/4), others in radians
 export const formatAngle = (rad) => {
-    const pi = Math.PI;
     if (Math.abs(rad) < 0.001) return '0';
-    if (Math.abs(rad - pi) < 0.001) return 'π';
-    if (Math.abs(rad + pi) < 0.001) return '-π';
-    if (Math.abs(rad - pi / 2) < 0.001) return 'π/2';
-    if (Math.abs(rad + pi / 2) < 0.001) return '-π/2';
-    if (Math.abs(rad - pi / 4) < 0.001) return 'π/4';
-    if (Math.abs(rad + pi / 4) < 0.001) return '-π/4';
+    for (const den of [1, 2, 3, 4, 6, 8]) {
+        const num = Math.round(rad * den / Math.PI);
+        if (num !== 0 && Math.abs(rad - num * Math.PI / den) < 0.001) {
+            const sign = num < 0 ? '-' : '';
+            const coeff = Math.abs(num) === 1 ? 'π' : `${Math.abs(num)}π`;
+            return den === 1 ? `${sign}${coeff}` : `${sign}${coeff}/${den}`;
+        }
+    }
     return rad.toFixed(2);
 };
+
+// Color for a complex phase: red at 0, going once round the color wheel from -π to π
+export const phaseColor = (phase) => `hsl(${((phase * 180) / Math.PI + 360) % 360}, 80%, 60%)`;
@@ -7,8 +7,13 @@ import {
     cAbs,
     cFromPolar,
     createGateInstance,
-    getInitialQubitState
+    createU3Matrix,
+    extractRotationFromMatrix,
+    getAxisRotation,
+    getInitialQubitState,
+    withGateAngle
 } from './quantum.js';
+import { createSeededRandom } from './sampling.js';
 
 const TOL = 1e-6;
 const SQRT1_2 = 1 / Math.sqrt(2);
@@ -153,7 +158,7 @@ describe('single-qubit gate mathematics', () => {
             cScale(cFromPolar(1, phi), Math.sin(theta / 2))
         ];
         const expectedOnOne = [
-            cScale(cFromPolar(1, -lambda), -Math.sin(theta / 2)),
+            cScale(cFromPolar(1, lambda), -Math.sin(theta / 2)),
             cScale(cFromPolar(1, phi + lambda), Math.cos(theta / 2))
         ];
 
@@ -174,6 +179,68 @@ describe('single-qubit gate mathematics', () => {
     });
 });
 
+const matMul = (a, b) => a.map((row, r) => b[0].map((_, c) =>
+    row.reduce((acc, _, k) => cAdd(acc, cMul(a[r][k], b[k][c])), complex(0))));
+
+const expectMatrixClose = (actual, expected, tol = TOL) => {
+    actual.forEach((row, r) => row.forEach((entry, c) => expectComplexClose(entry, expected[r][c], tol)));
+};
+
+describe('rotation gate family', () => {
+    const theta = 0.9;
+
+    it('builds Rx, Ry, Rz and P with their standard matrices', () => {
+        const c = Math.cos(theta / 2);
+        const s = Math.sin(theta / 2);
+        expectMatrixClose(withGateAngle(createGateInstance('RX'), theta).matrix,
+            [[complex(c), complex(0, -s)], [complex(0, -s), complex(c)]]);
+        expectMatrixClose(withGateAngle(createGateInstance('RY'), theta).matrix,
+            [[complex(c), complex(-s)], [complex(s), complex(c)]]);
+        expectMatrixClose(withGateAngle(createGateInstance('RZ'), theta).matrix,
+            [[cFromPolar(1, -theta / 2), complex(0)], [complex(0), cFromPolar(1, theta / 2)]]);
+        expectMatrixClose(withGateAngle(createGateInstance('P'), theta).matrix,
+            [[complex(1), complex(0)], [complex(0), cFromPolar(1, theta)]]);
+    });
+
+    it('keeps decompositions that rebuild the matrix up to the documented global phase', () => {
+        for (const name of ['RX', 'RY', 'P']) {
+            const gate = withGateAngle(createGateInstance(name), theta);
+            const { theta: t, phi, lambda } = gate.decomposition;
+            expectMatrixClose(createU3Matrix(t, phi, lambda), gate.matrix);
+        }
+        const rz = withGateAngle(createGateInstance('RZ'), theta);
+        const { lambda } = rz.decomposition;
+        const rebuilt = createU3Matrix(0, 0, lambda).map(row => row.map(e => cMul(cFromPolar(1, -theta / 2), e)));
+        expectMatrixClose(rebuilt, rz.matrix);
+    });
+
+    it('SX squares to X, and the dagger gates undo S and T', () => {
+        const SX = createGateInstance('SX').matrix;
+        expectMatrixClose(matMul(SX, SX), createGateInstance('X').matrix);
+        const identity = createGateInstance('I').matrix;
+        expectMatrixClose(matMul(createGateInstance('S').matrix, createGateInstance('SDG').matrix), identity);
+        expectMatrixClose(matMul(createGateInstance('T').matrix, createGateInstance('TDG').matrix), identity);
+    });
+
+    it('rebuilds every fixed gate from its decomposition up to a global phase (→ U button)', () => {
+        for (const name of ['X', 'Y', 'Z', 'H', 'S', 'T', 'SDG', 'TDG', 'SX']) {
+            const gate = createGateInstance(name);
+            const { theta: t, phi, lambda } = gate.decomposition;
+            const rebuilt = createU3Matrix(t, phi, lambda);
+            const [r, c] = gate.matrix[0][0].re !== 0 || gate.matrix[0][0].im !== 0 ? [0, 0] : [0, 1];
+            const phase = complexDiv(gate.matrix[r][c], rebuilt[r][c]);
+            expectMatrixClose(rebuilt.map(row => row.map(e => cMul(phase, e))), gate.matrix);
+        }
+    });
+
+    it('animates rotation gates around their own axis', () => {
+        expect(getAxisRotation(withGateAngle(createGateInstance('RX'), theta))).toEqual({ axis: 'x', angle: theta });
+        expect(getAxisRotation(createGateInstance('SX'))).toEqual({ axis: 'x', angle: Math.PI / 2 });
+        expect(getAxisRotation(createGateInstance('TDG'))).toEqual({ axis: 'z', angle: -Math.PI / 4 });
+        expect(getAxisRotation(createGateInstance('U'))).toBeNull();
+    });
+});
+
 describe('larger multi-qubit circuit mathematics', () => {
     it('builds a 3-qubit GHZ state', () => {
         const H = createGateInstance('H').matrix;
@@ -237,3 +304,84 @@ describe('larger multi-qubit circuit mathematics', () => {
         expectStateEquivalentUpToGlobalPhase(actual, expected);
     });
 });
+
+describe('ZYZ decomposition', () => {
+    const random = createSeededRandom(2024);
+    const randomAngle = () => (random() * 2 - 1) * Math.PI;
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+    // Gram-Schmidt on a matrix of Gaussian entries: a unitary spread over all of U(2)
+    const randomUnitary = () => {
+        const [a, c] = [complex(gaussian(), gaussian()), complex(gaussian(), gaussian())];
+        const norm = Math.hypot(cAbs(a), cAbs(c));
+        const phase = cFromPolar(1, randomAngle());
+        // Second column orthogonal to the first: (-conj(c), conj(a)) times a random phase
+        return [
+            [cScale(a, 1 / norm), cScale(cMul(phase, complex(-c.re, c.im)), 1 / norm)],
+            [cScale(c, 1 / norm), cScale(cMul(phase, complex(a.re, -a.im)), 1 / norm)]
+        ];
+    };
+
+    const expectExactDecomposition = (matrix) => {
+        const { theta, phi, lambda, globalPhase } = extractRotationFromMatrix(matrix);
+        expect(theta).toBeGreaterThanOrEqual(0);
+        expect(theta).toBeLessThanOrEqual(Math.PI);
+        [phi, lambda, globalPhase].forEach(angle => expect(Math.abs(angle)).toBeLessThanOrEqual(Math.PI));
+        const rebuilt = createU3Matrix(theta, phi, lambda, globalPhase);
+        for (let r = 0; r < 2; r++) {
+            for (let c = 0; c < 2; c++) expectComplexClose(rebuilt[r][c], matrix[r][c], 1e-9);
+        }
+    };
+
+    it('rebuilds random unitaries exactly, global phase included', () => {
+        for (let k = 0; k < 500; k++) expectExactDecomposition(randomUnitary());
+    });
+
+    it('rebuilds U3 matrices with any angles and global phase', () => {
+        for (let k = 0; k < 500; k++) {
+            expectExactDecomposition(createU3Matrix(random() * Math.PI, randomAngle(), randomAngle(), randomAngle()));
+        }
+    });
+
+    it('handles the fixed gates and their multiples by a phase', () => {
+        ['I', 'X', 'Y', 'Z', 'H', 'S', 'SDG', 'T', 'TDG', 'SX'].forEach(name => {
+            const matrix = createGateInstance(name).matrix;
+            expectExactDecomposition(matrix);
+            expectExactDecomposition(matrix.map(row => row.map(v => cMul(cFromPolar(1, 2.5), v))));
+        });
+    });
+
+    it('stays exact next to θ = 0 and θ = π', () => {
+        [0, 1e-13, 1e-10, 1e-7, Math.PI - 1e-7, Math.PI - 1e-10, Math.PI - 1e-13, Math.PI].forEach(theta => {
+            for (let k = 0; k < 20; k++) {
+                expectExactDecomposition(createU3Matrix(theta, randomAngle(), randomAngle(), randomAngle()));
+            }
+        });
+    });
+
+    it('matches the decomposition every gate carries, global phase included', () => {
+        ['I', 'X', 'Y', 'Z', 'H', 'S', 'SDG', 'T', 'TDG', 'SX', 'RX', 'RY', 'RZ', 'P'].forEach(name => {
+            [createGateInstance(name), ...(name.startsWith('R') || name === 'P' ? [withGateAngle(createGateInstance(name), randomAngle() * 2)] : [])].forEach(gate => {
+                const { theta, phi, lambda, globalPhase } = gate.decomposition;
+                const rebuilt = createU3Matrix(theta, phi, lambda, globalPhase);
+                for (let r = 0; r < 2; r++) {
+                    for (let c = 0; c < 2; c++) expectComplexClose(rebuilt[r][c], gate.matrix[r][c], 1e-12);
+                }
+            });
+        });
+    });
+
+    it('picks φ = 0 for diagonal and γ = 0 for antidiagonal matrices', () => {
+        const diagonal = extractRotationFromMatrix([[cFromPolar(1, 0.4), complex(0)], [complex(0), cFromPolar(1, -1.2)]]);
+        expect(diagonal.theta).toBeCloseTo(0, 12);
+        expect(diagonal.phi).toBe(0);
+        expect(diagonal.globalPhase).toBeCloseTo(0.4, 12);
+        expect(diagonal.lambda).toBeCloseTo(-1.6, 12);
+
+        const antidiagonal = extractRotationFromMatrix([[complex(0), cFromPolar(1, 0.3)], [cFromPolar(1, 2), complex(0)]]);
+        expect(antidiagonal.theta).toBeCloseTo(Math.PI, 12);
+        expect(antidiagonal.globalPhase).toBe(0);
+        expect(antidiagonal.phi).toBeCloseTo(2, 12);
+        expect(antidiagonal.lambda).toBeCloseTo(0.3 - Math.PI, 12);
+    });
+});
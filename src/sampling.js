@@ -0,0 +1,60 @@
+// Shot sampling with a seedable PRNG so classroom demos are reproducible
+
+import { basisLabel, classicalLabel, getBasisProbabilities } from './statevector.js';
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1)
+export const createSeededRandom = (seed = 1) => {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Pick an index from a list of weights using one random draw
+const pickWeighted = (weights, r) => {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let acc = 0;
+    for (let i = 0; i < weights.length; i++) {
+        acc += weights[i] / total;
+        if (r < acc) return i;
+    }
+    return weights.length - 1;
+};
+
+/**
+ * Sample N shots from the simulated branches.
+ * With measurements in the circuit an outcome is the classical register (c[0] first);
+ * without any, every qubit is read out at the end and the outcome is the basis label, with each
+ * bit read flipped with probability readoutErrors[qubit] when given (measured bits already carry
+ * their readout error in the branches).
+ * Returns [{ outcome, count }] sorted by count, most frequent first.
+ */
+export const sampleShots = (branches, { shots = 1024, seed = 1, numQubits, useClassicalRegister = false, readoutErrors = null } = {}) => {
+    const random = createSeededRandom(seed);
+    const branchWeights = branches.map(b => b.probability);
+    const basisWeights = branches.map(getBasisProbabilities);
+    const counts = {};
+
+    for (let shot = 0; shot < shots; shot++) {
+        const branchIdx = pickWeighted(branchWeights, random());
+        const branch = branches[branchIdx];
+        let outcome;
+        if (useClassicalRegister) {
+            outcome = classicalLabel(branch.classicalBits);
+        } else {
+            let index = pickWeighted(basisWeights[branchIdx], random());
+            (readoutErrors || []).forEach((error, q) => {
+                if (error > 0 && random() < error) index ^= 1 << (numQubits - 1 - q);
+            });
+            outcome = basisLabel(index, numQubits);
+        }
+        counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+
+    return Object.entries(counts)
+        .map(([outcome, count]) => ({ outcome, count }))
+        .sort((a, b) => b.count - a.count || a.outcome.localeCompare(b.outcome));
+};
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { createGateInstance } from './quantum.js';
+import { simulateCircuitBranches } from './statevector.js';
+import { createSeededRandom, sampleShots } from './sampling.js';
+
+describe('seeded shot sampling', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const a = createSeededRandom(42);
+        const b = createSeededRandom(42);
+        const c = createSeededRandom(43);
+        const seqA = Array.from({ length: 5 }, a);
+        expect(Array.from({ length: 5 }, b)).toEqual(seqA);
+        expect(Array.from({ length: 5 }, c)).not.toEqual(seqA);
+        seqA.forEach(r => {
+            expect(r).toBeGreaterThanOrEqual(0);
+            expect(r).toBeLessThan(1);
+        });
+    });
+
+    it('samples a deterministic circuit into a single outcome', () => {
+        const branches = simulateCircuitBranches([[createGateInstance('X')], []]);
+        expect(sampleShots(branches, { shots: 50, seed: 7, numQubits: 2 })).toEqual([{ outcome: '10', count: 50 }]);
+    });
+
+    it('samples the classical register roughly in proportion to branch probabilities', () => {
+        const branches = simulateCircuitBranches([[createGateInstance('H'), createGateInstance('M')]]);
+        const counts = sampleShots(branches, { shots: 4000, seed: 3, numQubits: 1, useClassicalRegister: true });
+        const total = counts.reduce((sum, c) => sum + c.count, 0);
+        expect(total).toBe(4000);
+        expect(counts.map(c => c.outcome).sort()).toEqual(['0', '1']);
+        counts.forEach(c => expect(Math.abs(c.count / total - 0.5)).toBeLessThan(0.05));
+        expect(sampleShots(branches, { shots: 4000, seed: 3, numQubits: 1, useClassicalRegister: true })).toEqual(counts);
+    });
+});
@@ -0,0 +1,61 @@
+// Shareable circuit links: the whole workspace, deflated and base64url-encoded into the URL fragment
+// The fragment never reaches the server, so links keep working on a static host such as the
+// GitHub Pages deployment under VITE_BASE_PATH: the page path is left untouched and no routing
+// is involved.
+
+import { WorkspaceError, serializeWorkspace, loadWorkspace } from './workspace.js';
+
+const HASH_KEY = 'circuit';
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+};
+
+// Run bytes through a CompressionStream or DecompressionStream
+const pipeBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Encoded workspace in a location hash ("#circuit=..."), or null when it holds no circuit
+const getHashPayload = (hash) => new URLSearchParams((hash || '').replace(/^#/, '')).get(HASH_KEY) || null;
+
+export const hasWorkspaceHash = (hash) => getHashPayload(hash) !== null;
+
+// "#circuit=..." for the app state ({ circuits, barriers, initialStateMode, qubitVisibility })
+export const encodeWorkspaceHash = async (state) => {
+    const json = JSON.stringify(serializeWorkspace(state));
+    const packed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `#${HASH_KEY}=${toBase64Url(packed)}`;
+};
+
+/**
+ * App state from a location hash made by encodeWorkspaceHash.
+ * Rejects with a WorkspaceError when the link is truncated, damaged or from a newer version.
+ */
+export const decodeWorkspaceHash = async (hash) => {
+    const payload = getHashPayload(hash);
+    if (!payload) throw new WorkspaceError('the link holds no circuit');
+    let json;
+    try {
+        const bytes = await pipeBytes(fromBase64Url(payload), new DecompressionStream('deflate-raw'));
+        json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        throw new WorkspaceError('the circuit link is damaged or incomplete');
+    }
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new WorkspaceError('the circuit link is damaged or incomplete');
+    }
+    return loadWorkspace(data);
+};
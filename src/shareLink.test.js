@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { createCircuitGate, withGateAngle } from './quantum.js';
+import { WorkspaceError } from './workspace.js';
+import { encodeWorkspaceHash, decodeWorkspaceHash, hasWorkspaceHash } from './shareLink.js';
+
+const state = {
+    circuits: [
+        [createCircuitGate('H'), { gate: 'CONTROL', targetIndex: 1, open: true }, createCircuitGate('M')],
+        [null, { ...withGateAngle(createCircuitGate('RY'), 0.25), controls: [{ qubit: 0, open: true }] }, { ...createCircuitGate('X'), condition: { bit: 0, value: 1 } }]
+    ],
+    barriers: [2],
+    initialStateMode: 'one',
+    qubitVisibility: [false, true]
+};
+
+describe('shareable circuit links', () => {
+    it('round-trips the workspace through a URL-safe hash', async () => {
+        const hash = await encodeWorkspaceHash(state);
+        expect(hash).toMatch(/^#circuit=[A-Za-z0-9_-]+$/);
+        expect(hasWorkspaceHash(hash)).toBe(true);
+
+        const loaded = await decodeWorkspaceHash(hash);
+        expect(loaded.barriers).toEqual([2]);
+        expect(loaded.initialStateMode).toBe('one');
+        expect(loaded.qubitVisibility).toEqual([false, true]);
+        expect(loaded.circuits[1][1].angle).toBe(0.25);
+        expect(loaded.circuits[1][1].controls).toEqual([{ qubit: 0, open: true }]);
+        expect(loaded.circuits[1][2].condition).toEqual({ bit: 0, value: 1 });
+    });
+
+    it('ignores hashes without a circuit', () => {
+        expect(hasWorkspaceHash('')).toBe(false);
+        expect(hasWorkspaceHash('#section-2')).toBe(false);
+    });
+
+    it('rejects truncated links with a WorkspaceError', async () => {
+        const hash = await encodeWorkspaceHash(state);
+        await expect(decodeWorkspaceHash(hash.slice(0, 30))).rejects.toBeInstanceOf(WorkspaceError);
+        await expect(decodeWorkspaceHash('#circuit=%%%')).rejects.toBeInstanceOf(WorkspaceError);
+    });
+});
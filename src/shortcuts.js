@@ -0,0 +1,48 @@
+// Keyboard shortcuts of the circuit editor, shared by CircuitBuilder and the cheat sheet
+
+// Letter -> gate placed at the cursor
+export const GATE_SHORTCUTS = { h: 'H', x: 'X', y: 'Y', z: 'Z', s: 'S', t: 'T', u: 'U' };
+
+export const SHORTCUT_GROUPS = [
+    {
+        title: 'Cursor',
+        shortcuts: [
+            { keys: ['←', '→', '↑', '↓'], action: 'Move the cursor and select what is under it' },
+            { keys: ['Home', 'End'], action: 'Jump to the first / last column' },
+            { keys: ['Esc'], action: 'Clear the selection; from the settings, back to the circuit' }
+        ]
+    },
+    {
+        title: 'Edit',
+        shortcuts: [
+            { keys: Object.values(GATE_SHORTCUTS), action: 'Place the gate at the cursor' },
+            { keys: ['C'], action: 'Add a control to the selected gate' },
+            { keys: ['B'], action: 'Add or remove a barrier after the cursor column' },
+            { keys: ['Del', '⌫'], action: 'Remove the gate or control dot at the cursor' },
+            { keys: ['Enter'], action: 'Edit the selected gate in the settings' }
+        ]
+    },
+    {
+        title: 'Selection',
+        shortcuts: [
+            { keys: ['Shift+click'], action: 'Add a gate to the selection or take it out' },
+            { keys: ['Drag'], action: 'On empty space: select every gate inside the rectangle' },
+            { keys: ['Ctrl+A'], action: 'Select every gate' },
+            { keys: ['Ctrl+C', 'Ctrl+X'], action: 'Copy / cut the selection (or the gate at the cursor)' },
+            { keys: ['Ctrl+V'], action: 'Paste at the cursor, shifting occupied columns right' },
+            { keys: ['Del', '⌫'], action: 'Remove every selected gate' },
+            { keys: ['Drag'], action: 'On a selected gate: move the whole selection' }
+        ]
+    },
+    {
+        title: 'History',
+        shortcuts: [
+            { keys: ['Ctrl+Z'], action: 'Undo' },
+            { keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], action: 'Redo' }
+        ]
+    },
+    {
+        title: 'Help',
+        shortcuts: [{ keys: ['?'], action: 'Show or hide this sheet' }]
+    }
+];
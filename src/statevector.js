@@ -0,0 +1,371 @@
+// Full 2^n statevector simulation of the circuit grid
+// Basis index bit order: qubit 0 is the most significant bit, so index 0b10 on two
+// qubits is |10⟩ (q[0] = 1, q[1] = 0). This matches the labels in getMultiQubitProbabilities.
+
+import { complex, cAdd, cMul, cConj, cAbs, cPhase, getInitialQubitState, getGateControls, getNoiseKrausOperators, isTwoQubitGate, isCustomGate, isNoiseChannel } from './quantum.js';
+import { createSeededRandom } from './sampling.js';
+
+// Most wires a circuit may have: every render simulates 2^n amplitudes, and bit masks need n < 32
+export const MAX_QUBITS = 14;
+
+const qubitMask = (qubitIndex, numQubits) => 1 << (numQubits - 1 - qubitIndex);
+
+// Branches below this probability are dropped during mid-circuit measurement
+const MIN_BRANCH_PROBABILITY = 1e-12;
+
+// Amplitudes all measurement branches together may hold. Past it a measurement keeps one sampled
+// outcome per branch instead of both, so measuring every wire of a wide circuit stays bounded.
+const MAX_BRANCH_AMPLITUDES = 1 << 16;
+
+// Kronecker product of single-qubit (or larger) states, left to right
+export const tensorProduct = (states) => {
+    let result = [complex(1)];
+    for (const state of states) {
+        const next = [];
+        for (const a of result) {
+            for (const b of state) {
+                next.push(cMul(a, b));
+            }
+        }
+        result = next;
+    }
+    return result;
+};
+
+// Product state with every qubit in the chosen initial mode ('zero' | 'one' | 'plus')
+export const createInitialStatevector = (numQubits, mode = 'zero') => {
+    return tensorProduct(Array.from({ length: numQubits }, () => getInitialQubitState(mode)));
+};
+
+// Apply a 2x2 matrix to one qubit of the full state
+export const applySingleQubitGate = (state, matrix, qubitIndex, numQubits) => {
+    return applyControlledGate(state, matrix, null, qubitIndex, numQubits);
+};
+
+// Apply a 2x2 matrix to the target qubit on the subspace selected by the controls.
+// controls: [{ qubit, open }] where closed controls need |1⟩ and open controls need |0⟩;
+// an empty list (or null) applies the matrix unconditionally.
+export const applyControlledGate = (state, matrix, controls, targetQubit, numQubits) => {
+    const out = [...state];
+    let controlMask = 0;
+    let controlValue = 0;
+    for (const { qubit, open } of controls || []) {
+        const mask = qubitMask(qubit, numQubits);
+        controlMask |= mask;
+        if (!open) controlValue |= mask;
+    }
+    const targetMask = qubitMask(targetQubit, numQubits);
+
+    for (let i = 0; i < state.length; i++) {
+        if ((i & controlMask) !== controlValue) continue;
+        if ((i & targetMask) !== 0) continue;
+
+        const j = i | targetMask;
+        const a0 = state[i];
+        const a1 = state[j];
+        out[i] = cAdd(cMul(matrix[0][0], a0), cMul(matrix[0][1], a1));
+        out[j] = cAdd(cMul(matrix[1][0], a0), cMul(matrix[1][1], a1));
+    }
+    return out;
+};
+
+// Apply a 4x4 matrix to the qubit pair (first, second), where first is the more significant
+// bit of the matrix basis |first second⟩, optionally restricted by controls like applyControlledGate
+export const applyTwoQubitGate = (state, matrix, first, second, numQubits, controls = null) => {
+    const out = [...state];
+    let controlMask = 0;
+    let controlValue = 0;
+    for (const { qubit, open } of controls || []) {
+        const mask = qubitMask(qubit, numQubits);
+        controlMask |= mask;
+        if (!open) controlValue |= mask;
+    }
+    const firstMask = qubitMask(first, numQubits);
+    const secondMask = qubitMask(second, numQubits);
+
+    for (let i = 0; i < state.length; i++) {
+        if ((i & controlMask) !== controlValue) continue;
+        if ((i & (firstMask | secondMask)) !== 0) continue;
+
+        const indices = [i, i | secondMask, i | firstMask, i | firstMask | secondMask];
+        const amps = indices.map(idx => state[idx]);
+        indices.forEach((idx, row) => {
+            out[idx] = amps.reduce((acc, amp, col) => cAdd(acc, cMul(matrix[row][col], amp)), complex(0));
+        });
+    }
+    return out;
+};
+
+// Apply a 2^k x 2^k matrix to the wires listed (wires[0] is the most significant bit of the matrix
+// basis), optionally restricted by controls like applyControlledGate
+export const applyMultiQubitGate = (state, matrix, wires, numQubits, controls = null) => {
+    const out = [...state];
+    let controlMask = 0;
+    let controlValue = 0;
+    for (const { qubit, open } of controls || []) {
+        const mask = qubitMask(qubit, numQubits);
+        controlMask |= mask;
+        if (!open) controlValue |= mask;
+    }
+    const wireMasks = wires.map(q => qubitMask(q, numQubits));
+    const allWires = wireMasks.reduce((acc, mask) => acc | mask, 0);
+    // Offsets of the matrix basis states: bit k of the matrix index sits on wires[wires.length - 1 - k]
+    const offsets = Array.from({ length: 1 << wires.length }, (_, index) =>
+        wireMasks.reduce((acc, mask, w) => (index & (1 << (wires.length - 1 - w)) ? acc | mask : acc), 0));
+
+    for (let i = 0; i < state.length; i++) {
+        if ((i & controlMask) !== controlValue) continue;
+        if ((i & allWires) !== 0) continue;
+
+        const amps = offsets.map(offset => state[i | offset]);
+        offsets.forEach((offset, row) => {
+            out[i | offset] = amps.reduce((acc, amp, col) => cAdd(acc, cMul(matrix[row][col], amp)), complex(0));
+        });
+    }
+    return out;
+};
+
+// Wires of a custom gate are valid when they are distinct, on the circuit and start with its own wire
+const hasValidWires = (gate, qi, numQubits) => Array.isArray(gate.wires) && gate.wires[0] === qi &&
+    new Set(gate.wires).size === gate.wires.length && gate.wires.every(q => q >= 0 && q < numQubits) &&
+    gate.matrix?.length === 1 << gate.wires.length;
+
+/**
+ * Flatten the circuit grid into an ordered list of operations.
+ * Columns are processed left to right; gates in one column act on disjoint qubits,
+ * so their order inside a column does not matter. Only slots below slotLimit are included.
+ */
+export const getCircuitOperations = (circuits, slotLimit = Infinity) => {
+    const operations = [];
+    let maxSlot = -1;
+    circuits.forEach(row => row.forEach((gate, slot) => { if (gate) maxSlot = Math.max(maxSlot, slot); }));
+
+    for (let slot = 0; slot <= maxSlot && slot < slotLimit; slot++) {
+        circuits.forEach((row, qi) => {
+            const gate = row[slot];
+            if (!gate || gate.gate === 'CONTROL' || gate.gate === 'PARTNER' || gate.gate === 'BARRIER' || !gate.matrix) return;
+            if (gate.gate === 'M') {
+                operations.push({
+                    slot,
+                    target: qi,
+                    measure: true,
+                    classicalBit: gate.classicalBit ?? qi,
+                    gate
+                });
+                return;
+            }
+            if (isNoiseChannel(gate)) {
+                operations.push({
+                    slot,
+                    target: qi,
+                    noise: true,
+                    kraus: getNoiseKrausOperators(gate.gate, gate.probability ?? 0),
+                    condition: gate.condition || null,
+                    gate
+                });
+                return;
+            }
+            // Two-qubit and custom gates without valid wires are skipped
+            if (isTwoQubitGate(gate) && !(gate.partner >= 0 && gate.partner < circuits.length && gate.partner !== qi)) return;
+            if (isCustomGate(gate) && !hasValidWires(gate, qi, circuits.length)) return;
+            operations.push({
+                slot,
+                target: qi,
+                partner: isTwoQubitGate(gate) ? gate.partner : null,
+                wires: isCustomGate(gate) ? gate.wires : null,
+                controls: getGateControls(gate),
+                condition: gate.condition || null,
+                matrix: gate.matrix,
+                gate
+            });
+        });
+    }
+    return operations;
+};
+
+// Apply one gate operation from getCircuitOperations (not a measurement or noise) to a state
+export const applyOperation = (state, op, numQubits) => {
+    if (op.wires) return applyMultiQubitGate(state, op.matrix, op.wires, numQubits, op.controls);
+    if (op.partner !== null) return applyTwoQubitGate(state, op.matrix, op.target, op.partner, numQubits, op.controls);
+    return applyControlledGate(state, op.matrix, op.controls, op.target, numQubits);
+};
+
+// Projective measurement of one qubit: returns { probability, state } for outcome 0 or 1,
+// with the post-measurement state renormalized (null when the outcome is impossible)
+export const measureQubit = (state, qubitIndex, numQubits, outcome) => {
+    const mask = qubitMask(qubitIndex, numQubits);
+    const keeps = (i) => ((i & mask) !== 0) === (outcome === 1);
+    const probability = state.reduce((sum, amp, i) => (keeps(i) ? sum + amp.re * amp.re + amp.im * amp.im : sum), 0);
+    if (probability < MIN_BRANCH_PROBABILITY) return { probability: 0, state: null };
+    const norm = Math.sqrt(probability);
+    return { probability, state: state.map((amp, i) => (keeps(i) ? complex(amp.re / norm, amp.im / norm) : complex(0))) };
+};
+
+/**
+ * Run the circuit and return every measurement branch.
+ * Each branch is { probability, state, classicalBits } where classicalBits[i] holds c[i]
+ * (the classical register has one bit per qubit, all starting at 0).
+ * Without measurements there is exactly one branch with probability 1.
+ * When the branches would outgrow MAX_BRANCH_AMPLITUDES, each further measurement follows one
+ * outcome per branch, drawn with its probability from a fixed seed; every branch is then marked
+ * sampled: true and the probabilities are estimates.
+ * Noise channels are left out, since a pure state cannot hold them; see simulateDensityBranches.
+ */
+export const simulateCircuitBranches = (circuits, { initialStateMode = 'zero', slotLimit = Infinity } = {}) => {
+    const numQubits = circuits.length;
+    const maxBranches = Math.max(1, MAX_BRANCH_AMPLITUDES >> numQubits);
+    const random = createSeededRandom();
+    let sampled = false;
+    let branches = [{
+        probability: 1,
+        state: createInitialStatevector(numQubits, initialStateMode),
+        classicalBits: Array(numQubits).fill(0)
+    }];
+
+    for (const op of getCircuitOperations(circuits, slotLimit)) {
+        if (op.measure) {
+            const mask = qubitMask(op.target, numQubits);
+            const outcomes = branches.map(branch => {
+                const one = branch.state.reduce((sum, amp, i) => ((i & mask) ? sum + amp.re * amp.re + amp.im * amp.im : sum), 0);
+                return [0, 1].filter(outcome => (outcome ? one : 1 - one) >= MIN_BRANCH_PROBABILITY).map(outcome => ({ outcome, one }));
+            });
+            const sampling = outcomes.reduce((count, possible) => count + possible.length, 0) > maxBranches;
+            sampled = sampled || sampling;
+            branches = branches.flatMap((branch, b) => {
+                const possible = outcomes[b];
+                const draw = sampling && possible.length > 1;
+                const kept = draw ? [random() < possible[0].one ? 1 : 0] : possible.map(({ outcome }) => outcome);
+                return kept.flatMap(outcome => {
+                    const result = measureQubit(branch.state, op.target, numQubits, outcome);
+                    if (!result.state) return [];
+                    const classicalBits = [...branch.classicalBits];
+                    if (op.classicalBit >= 0 && op.classicalBit < numQubits) classicalBits[op.classicalBit] = outcome;
+                    // A drawn outcome stands in for both, so the branch keeps its whole probability
+                    return [{ probability: branch.probability * (draw ? 1 : result.probability), state: result.state, classicalBits }];
+                });
+            });
+            continue;
+        }
+        if (op.noise) continue;
+        branches = branches.map(branch => {
+            // Classically-controlled gates only act on branches whose register matches
+            if (op.condition && branch.classicalBits[op.condition.bit] !== op.condition.value) return branch;
+            return { ...branch, state: applyOperation(branch.state, op, numQubits) };
+        });
+    }
+    return sampled ? branches.map(branch => ({ ...branch, sampled: true })) : branches;
+};
+
+/**
+ * Unitary matrix of a circuit, unitary[row][col] = ⟨row|U|col⟩ in the same basis order as the
+ * statevector. Only the columns fromSlot .. toSlot - 1 are included when given. Returns null when
+ * those columns measure, have classically-controlled gates or noise channels, since those are not unitary.
+ */
+export const getCircuitUnitary = (circuits, { fromSlot = 0, toSlot = Infinity } = {}) => {
+    const numQubits = circuits.length;
+    const operations = getCircuitOperations(circuits, toSlot).filter(op => op.slot >= fromSlot);
+    if (operations.some(op => op.measure || op.condition || op.noise)) return null;
+
+    const size = 1 << numQubits;
+    const columns = Array.from({ length: size }, (_, col) => {
+        let state = Array.from({ length: size }, (_, i) => complex(i === col ? 1 : 0));
+        for (const op of operations) state = applyOperation(state, op, numQubits);
+        return state;
+    });
+    return Array.from({ length: size }, (_, row) => columns.map(column => column[row]));
+};
+
+// Run the circuit (optionally only the slots before slotLimit) and return the final amplitudes.
+// Measurements collapse to their most likely outcome; use simulateCircuitBranches for all outcomes.
+export const simulateCircuit = (circuits, options = {}) => {
+    const branches = simulateCircuitBranches(circuits, options);
+    return branches.reduce((best, b) => (b.probability > best.probability ? b : best)).state;
+};
+
+// Classical register as a string, c[0] first
+export const classicalLabel = (classicalBits) => classicalBits.join('');
+
+// Basis label for an index, q[0] first
+export const basisLabel = (index, numQubits) => index.toString(2).padStart(numQubits, '0');
+
+// Global phase γ of a state: the phase of its first nonzero amplitude, so the state is e^(iγ) times
+// one whose first amplitude is real and positive (the form single-qubit kets are shown in)
+export const getGlobalPhase = (state, tolerance = 1e-9) => {
+    const first = state.find(amp => cAbs(amp) > tolerance);
+    return first ? cPhase(first) : 0;
+};
+
+// Measurement probabilities of every basis state, sorted like getMultiQubitProbabilities
+export const getStatevectorProbabilities = (state, numQubits, includeZero = true) => {
+    return getBranchProbabilities([{ probability: 1, state }], numQubits, includeZero);
+};
+
+// Basis-state probabilities inside one branch: |amplitude|² of its state, or the diagonal of its
+// density matrix for branches from simulateDensityBranches
+export const getBasisProbabilities = (branch) => {
+    if (branch.rho) return branch.rho.map((row, i) => Math.max(0, row[i].re));
+    return branch.state.map(amp => cAbs(amp) ** 2);
+};
+
+// Basis-state probabilities of a weighted mixture of branches
+export const getBranchProbabilities = (branches, numQubits, includeZero = true) => {
+    const totals = Array(1 << numQubits).fill(0);
+    for (const branch of branches) {
+        getBasisProbabilities(branch).forEach((p, i) => { totals[i] += branch.probability * p; });
+    }
+    const results = [];
+    totals.forEach((probability, i) => {
+        if (includeZero || probability > 0.001) {
+            results.push({ state: basisLabel(i, numQubits), probability });
+        }
+    });
+    results.sort((a, b) => b.probability - a.probability);
+    return results;
+};
+
+// Partial trace over every qubit except qubitIndex: ρ[a][b] = Σ ψ(a, rest) ψ*(b, rest)
+export const getReducedDensityMatrix = (state, qubitIndex, numQubits) => {
+    const mask = qubitMask(qubitIndex, numQubits);
+    const rho = [[complex(0), complex(0)], [complex(0), complex(0)]];
+    for (let i = 0; i < state.length; i++) {
+        if ((i & mask) !== 0) continue;
+        const a0 = state[i];
+        const a1 = state[i | mask];
+        rho[0][0] = cAdd(rho[0][0], cMul(a0, cConj(a0)));
+        rho[0][1] = cAdd(rho[0][1], cMul(a0, cConj(a1)));
+        rho[1][0] = cAdd(rho[1][0], cMul(a1, cConj(a0)));
+        rho[1][1] = cAdd(rho[1][1], cMul(a1, cConj(a1)));
+    }
+    return rho;
+};
+
+// Partial trace of a full density matrix over every qubit except qubitIndex: ρ_q[a][b] = Σ ρ[(a, rest)][(b, rest)]
+export const traceOutOtherQubits = (rho, qubitIndex, numQubits) => {
+    const mask = qubitMask(qubitIndex, numQubits);
+    const reduced = [[complex(0), complex(0)], [complex(0), complex(0)]];
+    for (let i = 0; i < rho.length; i++) {
+        if ((i & mask) !== 0) continue;
+        [i, i | mask].forEach((row, a) => [i, i | mask].forEach((col, b) => {
+            reduced[a][b] = cAdd(reduced[a][b], rho[row][col]);
+        }));
+    }
+    return reduced;
+};
+
+// Reduced density matrix of one qubit for a weighted mixture of branches (pure states or density matrices)
+export const getMixedReducedDensityMatrix = (branches, qubitIndex, numQubits) => {
+    const total = branches.reduce((sum, b) => sum + b.probability, 0) || 1;
+    const rho = [[complex(0), complex(0)], [complex(0), complex(0)]];
+    for (const branch of branches) {
+        const part = branch.rho
+            ? traceOutOtherQubits(branch.rho, qubitIndex, numQubits)
+            : getReducedDensityMatrix(branch.state, qubitIndex, numQubits);
+        const weight = branch.probability / total;
+        for (let r = 0; r < 2; r++) {
+            for (let c = 0; c < 2; c++) {
+                rho[r][c] = cAdd(rho[r][c], complex(part[r][c].re * weight, part[r][c].im * weight));
+            }
+        }
+    }
+    return rho;
+};
@@ -0,0 +1,362 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cAbs, createGateInstance, createTwoQubitMatrix, densityMatrixToBlochCoords, withGateAngle } from './quantum.js';
+import {
+    createInitialStatevector,
+    simulateCircuit,
+    getStatevectorProbabilities,
+    getReducedDensityMatrix,
+    simulateCircuitBranches,
+    getBranchProbabilities,
+    getCircuitUnitary,
+    getGlobalPhase
+} from './statevector.js';
+import { createCustomGate, createCustomGateInstance } from './customGates.js';
+import { controlled, controlDot, partnerCell } from './testUtils.js';
+
+const TOL = 1e-6;
+const SQRT1_2 = 1 / Math.sqrt(2);
+
+const expectStateClose = (actual, expected, tol = TOL) => {
+    expect(actual.length).toBe(expected.length);
+    for (let i = 0; i < actual.length; i++) {
+        expect(Math.abs(actual[i].re - expected[i].re)).toBeLessThan(tol);
+        expect(Math.abs(actual[i].im - expected[i].im)).toBeLessThan(tol);
+    }
+};
+
+// Place gates like App.jsx does: target gate with a controls list plus one CONTROL dot per control
+// Two-qubit gate on its own wire plus the PARTNER cell drawn on the second wire
+const twoQubit = (name, partner, angle) => ({
+    ...createGateInstance(name),
+    partner,
+    ...(angle !== undefined ? { angle, matrix: createTwoQubitMatrix(name, angle) } : {})
+});
+
+describe('statevector simulator', () => {
+    it('prepares a Bell state with H then CX', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1)],
+            [null, controlled('X', 0)]
+        ];
+        const state = simulateCircuit(circuits);
+        expectStateClose(state, [complex(SQRT1_2), complex(0), complex(0), complex(SQRT1_2)]);
+
+        const probs = getStatevectorProbabilities(state, 2, false);
+        expect(probs.map(p => p.state).sort()).toEqual(['00', '11']);
+        probs.forEach(p => expect(Math.abs(p.probability - 0.5)).toBeLessThan(TOL));
+    });
+
+    it('builds a GHZ state across three rows', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), null],
+            [null, controlled('X', 0), controlDot(2)],
+            [null, null, controlled('X', 1)]
+        ];
+        const state = simulateCircuit(circuits);
+        expect(cAbs(state[0]) ** 2).toBeCloseTo(0.5, 6);
+        expect(cAbs(state[7]) ** 2).toBeCloseTo(0.5, 6);
+    });
+
+    it('does not fire a controlled gate when the control is |0>', () => {
+        const circuits = [
+            [controlDot(1)],
+            [controlled('X', 0)]
+        ];
+        expectStateClose(simulateCircuit(circuits), createInitialStatevector(2));
+    });
+
+    it('stops at the slot limit used for barrier frames', () => {
+        const circuits = [[createGateInstance('X'), createGateInstance('X')]];
+        expectStateClose(simulateCircuit(circuits, { slotLimit: 1 }), [complex(0), complex(1)]);
+        expectStateClose(simulateCircuit(circuits), [complex(1), complex(0)]);
+    });
+
+    it('starts every qubit in the chosen initial mode', () => {
+        const state = createInitialStatevector(2, 'plus');
+        state.forEach(amp => expect(amp.re).toBeCloseTo(0.5, 6));
+        expectStateClose(createInitialStatevector(2, 'one'), [complex(0), complex(0), complex(0), complex(1)]);
+    });
+});
+
+describe('reduced Bloch vectors', () => {
+    const blochOf = (circuits, qubit) => densityMatrixToBlochCoords(
+        getReducedDensityMatrix(simulateCircuit(circuits), qubit, circuits.length)
+    );
+
+    it('shrinks both Bell-pair vectors to the centre of the sphere', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1)],
+            [null, controlled('X', 0)]
+        ];
+        for (const qubit of [0, 1]) {
+            const coords = blochOf(circuits, qubit);
+            expect(coords.length).toBeLessThan(TOL);
+            expect(coords.purity).toBeCloseTo(0.5, 6);
+        }
+    });
+
+    it('keeps unentangled qubits pure on the surface', () => {
+        const circuits = [
+            [createGateInstance('H')],
+            [createGateInstance('H'), createGateInstance('S')]
+        ];
+        const plus = blochOf(circuits, 0);
+        expect(plus.x).toBeCloseTo(1, 6);
+        expect(plus.length).toBeCloseTo(1, 6);
+        expect(plus.purity).toBeCloseTo(1, 6);
+
+        const plusI = blochOf(circuits, 1);
+        expect(plusI.y).toBeCloseTo(1, 6);
+        expect(plusI.z).toBeCloseTo(0, 6);
+    });
+
+    it('gives a partially entangled qubit a vector inside the sphere', () => {
+        const circuits = [
+            [createGateInstance('U', { theta: Math.PI / 3, phi: 0, lambda: 0 }), controlDot(1)],
+            [null, controlled('X', 0)]
+        ];
+        const coords = blochOf(circuits, 1);
+        expect(coords.length).toBeGreaterThan(0.1);
+        expect(coords.length).toBeLessThan(0.99);
+        expect(coords.z).toBeCloseTo(Math.cos(Math.PI / 3), 6);
+    });
+});
+
+describe('mid-circuit measurement', () => {
+    it('splits |+> into two collapsed branches with classical bits', () => {
+        const circuits = [[createGateInstance('H'), createGateInstance('M')]];
+        const branches = simulateCircuitBranches(circuits);
+        expect(branches).toHaveLength(2);
+        for (const branch of branches) {
+            expect(branch.probability).toBeCloseTo(0.5, 6);
+            const outcome = branch.classicalBits[0];
+            expect(cAbs(branch.state[outcome])).toBeCloseTo(1, 6);
+        }
+    });
+
+    it('destroys interference between H gates (H M H gives 50/50)', () => {
+        const withMeasurement = [[createGateInstance('H'), createGateInstance('M'), createGateInstance('H')]];
+        const probs = getBranchProbabilities(simulateCircuitBranches(withMeasurement), 1);
+        probs.forEach(p => expect(p.probability).toBeCloseTo(0.5, 6));
+
+        const withoutMeasurement = [[createGateInstance('H'), null, createGateInstance('H')]];
+        const clean = getBranchProbabilities(simulateCircuitBranches(withoutMeasurement), 1);
+        expect(clean[0]).toEqual({ state: '0', probability: expect.closeTo(1, 6) });
+    });
+
+    it('correlates classical bits of a measured Bell pair', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), createGateInstance('M')],
+            [null, controlled('X', 0), createGateInstance('M')]
+        ];
+        const branches = simulateCircuitBranches(circuits);
+        expect(branches.map(b => b.classicalBits.join('')).sort()).toEqual(['00', '11']);
+    });
+
+    it('writes to the chosen classical bit', () => {
+        const measure = { ...createGateInstance('M'), classicalBit: 1 };
+        const branches = simulateCircuitBranches([[createGateInstance('X'), measure], []]);
+        expect(branches).toHaveLength(1);
+        expect(branches[0].classicalBits).toEqual([0, 1]);
+    });
+
+    it('samples outcomes once measuring every wire would outgrow the branch budget', () => {
+        const measureAll = (numQubits) => Array.from({ length: numQubits }, () => [createGateInstance('H'), createGateInstance('M')]);
+        const exact = simulateCircuitBranches(measureAll(4));
+        expect(exact).toHaveLength(16);
+        expect(exact.some(b => b.sampled)).toBe(false);
+
+        const branches = simulateCircuitBranches(measureAll(12));
+        expect(branches.length).toBeLessThanOrEqual(16);
+        expect(branches.every(b => b.sampled)).toBe(true);
+        expect(branches.reduce((sum, b) => sum + b.probability, 0)).toBeCloseTo(1, 9);
+        for (const branch of branches) {
+            // Each run collapsed to the basis state its register recorded
+            expect(cAbs(branch.state[parseInt(branch.classicalBits.join(''), 2)])).toBeCloseTo(1, 9);
+        }
+        expect(simulateCircuitBranches(measureAll(12)).map(b => b.classicalBits.join(''))).toEqual(branches.map(b => b.classicalBits.join('')));
+    });
+});
+
+describe('classically-controlled gates', () => {
+    it('teleports |1> from q0 to q2 using c_if corrections', () => {
+        const xIf = (bit) => ({ ...createGateInstance('X'), condition: { bit, value: 1 } });
+        const zIf = (bit) => ({ ...createGateInstance('Z'), condition: { bit, value: 1 } });
+        const circuits = [
+            [createGateInstance('X'), null, null, controlDot(1), createGateInstance('H'), createGateInstance('M'), null, null],
+            [null, createGateInstance('H'), controlDot(2), controlled('X', 0), null, createGateInstance('M'), null, null],
+            [null, null, controlled('X', 1), null, null, null, xIf(1), zIf(0)]
+        ];
+        const branches = simulateCircuitBranches(circuits);
+        expect(branches).toHaveLength(4);
+        for (const branch of branches) {
+            expect(branch.probability).toBeCloseTo(0.25, 6);
+            const rho = getReducedDensityMatrix(branch.state, 2, 3);
+            expect(rho[1][1].re).toBeCloseTo(1, 6);
+        }
+    });
+
+    it('leaves branches untouched when the condition does not match', () => {
+        const xIfZero = { ...createGateInstance('X'), condition: { bit: 0, value: 0 } };
+        const circuits = [
+            [createGateInstance('X'), createGateInstance('M')],
+            [null, null, xIfZero]
+        ];
+        const branches = simulateCircuitBranches(circuits);
+        expect(branches).toHaveLength(1);
+        expect(cAbs(branches[0].state[2])).toBeCloseTo(1, 6); // |10>: q1 was not flipped
+    });
+});
+
+describe('multi-controlled gates', () => {
+    const basis = (index, numQubits) => Array.from({ length: 1 << numQubits }, (_, i) => complex(i === index ? 1 : 0));
+
+    it('applies a Toffoli only when both controls are |1>', () => {
+        const toffoli = (prep) => simulateCircuit([
+            [...prep[0], controlDot(2)],
+            [...prep[1], controlDot(2)],
+            [null, controlled('X', 0, 1)]
+        ]);
+        const x = createGateInstance('X');
+        expectStateClose(toffoli([[x], [x]]), basis(0b111, 3));
+        expectStateClose(toffoli([[x], [null]]), basis(0b100, 3));
+        expectStateClose(toffoli([[null], [null]]), basis(0b000, 3));
+    });
+
+    it('fires open controls on |0>', () => {
+        const circuits = [
+            [controlDot(1, true)],
+            [controlled('X', { qubit: 0, open: true })]
+        ];
+        expectStateClose(simulateCircuit(circuits), basis(0b01, 2));
+    });
+
+    it('puts a CCZ phase only on |111>', () => {
+        const h = () => createGateInstance('H');
+        const state = simulateCircuit([
+            [h(), controlDot(2)],
+            [h(), controlDot(2)],
+            [h(), controlled('Z', 0, 1)]
+        ]);
+        state.forEach((amp, i) => {
+            expect(amp.re).toBeCloseTo(i === 7 ? -Math.sqrt(1 / 8) : Math.sqrt(1 / 8), 6);
+        });
+    });
+});
+
+describe('global phase', () => {
+    it('turns the global phase of a controlled gate into a relative phase on the control', () => {
+        // e^(iπ)·I does nothing alone, but controlled it is a Z on the control
+        const minusIdentity = { ...createGateInstance('U', { theta: 0, phi: 0, lambda: 0, globalPhase: Math.PI }), controls: [{ qubit: 0, open: false }] };
+        const state = simulateCircuit([
+            [createGateInstance('H'), controlDot(1)],
+            [null, minusIdentity]
+        ]);
+        expectStateClose(state, [complex(SQRT1_2), complex(0), complex(-SQRT1_2), complex(0)]);
+
+        const rx2pi = { ...withGateAngle(createGateInstance('RX'), 2 * Math.PI), controls: [{ qubit: 0, open: false }] };
+        expectStateClose(simulateCircuit([[createGateInstance('H'), controlDot(1)], [null, rx2pi]]), state);
+    });
+
+    it('reads the circuit global phase off the first nonzero amplitude', () => {
+        const rz = withGateAngle(createGateInstance('RZ'), Math.PI / 2);
+        expect(getGlobalPhase(simulateCircuit([[rz]]))).toBeCloseTo(-Math.PI / 4, 12);
+        expect(getGlobalPhase(simulateCircuit([[createGateInstance('SX')]]))).toBeCloseTo(Math.PI / 4, 12);
+        expect(getGlobalPhase(simulateCircuit([[createGateInstance('Y')]]))).toBeCloseTo(Math.PI / 2, 12);
+    });
+});
+
+describe('two-qubit gates', () => {
+    it('SWAP exchanges the states of non-adjacent wires', () => {
+        const circuits = [
+            [createGateInstance('X'), twoQubit('SWAP', 2)],
+            [null, null],
+            [null, partnerCell(0)]
+        ];
+        const state = simulateCircuit(circuits);
+        expect(cAbs(state[0b001]) ** 2).toBeCloseTo(1, 6);
+    });
+
+    it('iSWAP picks up a phase of i on the swapped amplitude', () => {
+        const circuits = [
+            [createGateInstance('X'), twoQubit('ISWAP', 1)],
+            [null, partnerCell(0)]
+        ];
+        expectStateClose(simulateCircuit(circuits), [complex(0), complex(0, 1), complex(0), complex(0)]);
+    });
+
+    it('two √SWAPs make a SWAP', () => {
+        const circuits = [
+            [createGateInstance('X'), twoQubit('SQRT_SWAP', 1), twoQubit('SQRT_SWAP', 1)],
+            [null, partnerCell(0), partnerCell(0)]
+        ];
+        expectStateClose(simulateCircuit(circuits), [complex(0), complex(1), complex(0), complex(0)]);
+    });
+
+    it('CZ is symmetric: placing it on either wire gives the same state', () => {
+        const plus = { initialStateMode: 'plus' };
+        const onTop = simulateCircuit([[twoQubit('CZ', 1)], [partnerCell(0)]], plus);
+        const onBottom = simulateCircuit([[partnerCell(1)], [twoQubit('CZ', 0)]], plus);
+        expectStateClose(onTop, [complex(0.5), complex(0.5), complex(0.5), complex(-0.5)]);
+        expectStateClose(onBottom, onTop);
+    });
+
+    it('RXX(π/2) entangles |00⟩ into (|00⟩ - i|11⟩)/√2', () => {
+        const circuits = [[twoQubit('RXX', 1, Math.PI / 2)], [partnerCell(0)]];
+        expectStateClose(simulateCircuit(circuits), [complex(SQRT1_2), complex(0), complex(0), complex(0, -SQRT1_2)]);
+    });
+
+    it('RYY(π) maps |00⟩ to |11⟩ with the Y⊗Y sign', () => {
+        const circuits = [[twoQubit('RYY', 1, Math.PI)], [partnerCell(0)]];
+        // -i · (Y⊗Y)|00⟩ = -i · (i·i)|11⟩ = i|11⟩
+        expectStateClose(simulateCircuit(circuits), [complex(0), complex(0), complex(0), complex(0, 1)]);
+    });
+
+    it('RZZ only adds parity-dependent phases', () => {
+        const theta = Math.PI / 3;
+        const circuits = [[twoQubit('RZZ', 1, theta)], [partnerCell(0)]];
+        const state = simulateCircuit(circuits, { initialStateMode: 'plus' });
+        const even = state[0b00];
+        const odd = state[0b01];
+        expect(Math.atan2(odd.im, odd.re) - Math.atan2(even.im, even.re)).toBeCloseTo(theta, 6);
+        state.forEach(amp => expect(cAbs(amp)).toBeCloseTo(0.5, 6));
+    });
+});
+
+describe('custom gates', () => {
+    // Inner circuit: q0 ── H ── ● ── T      q1 ── RY(0.7) ── X ──
+    const ry = () => withGateAngle(createGateInstance('RY'), 0.7);
+    const inner = () => [
+        [createGateInstance('H'), controlDot(1), createGateInstance('T')],
+        [ry(), controlled('X', 0), null]
+    ];
+
+    it('builds the unitary of a measurement-free circuit, column by column', () => {
+        const unitary = getCircuitUnitary(inner());
+        // Column k is the state the circuit makes from |k⟩, prepared with X gates (q0 is the high bit)
+        [0, 1, 2, 3].forEach(k => {
+            const prepared = inner().map((row, qi) => [(k >> (1 - qi)) & 1 ? createGateInstance('X') : null, ...row]);
+            expectStateClose(unitary.map(row => row[k]), simulateCircuit(prepared));
+        });
+        expect(getCircuitUnitary([[createGateInstance('M')]])).toBeNull();
+    });
+
+    it('applies its unitary like the gates inside it, on any wires and under controls', () => {
+        const definition = createCustomGate({ name: 'mix', circuits: inner() });
+        const plus = { initialStateMode: 'plus' };
+
+        // Custom gate on q1, q2 below a spectator H on q0
+        const custom = [[createGateInstance('H')], [createCustomGateInstance(definition, 1)], [partnerCell(1)]];
+        const expanded = [[createGateInstance('H')], ...inner()];
+        expectStateClose(simulateCircuit(custom, plus), simulateCircuit(expanded, plus));
+
+        // Controlled from q0: every inner gate picks up the control
+        const controlledCustom = [[controlDot(1)], [{ ...createCustomGateInstance(definition, 1), controls: [{ qubit: 0, open: false }] }], [partnerCell(1)]];
+        const controlledExpanded = [
+            [controlDot(1), controlDot(2), controlDot(1)],
+            [controlled('H', 0), controlDot(2), controlled('T', 0)],
+            [{ ...ry(), controls: [{ qubit: 0, open: false }] }, controlled('X', 1, 0), null]
+        ];
+        expectStateClose(simulateCircuit(controlledCustom, plus), simulateCircuit(controlledExpanded, plus));
+    });
+});
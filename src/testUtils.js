@@ -0,0 +1,24 @@
+// Fixtures and assertions shared by the test files: cells for building circuit grids by hand, and a
+// check for the error classes the parsers and loaders throw
+
+import { expect } from 'vitest';
+import { createCircuitGate } from './quantum.js';
+
+// Gate with controls on the given qubits: a qubit index is a closed control, or pass { qubit, open }
+export const controlled = (name, ...controls) => ({
+    ...createCircuitGate(name),
+    controls: controls.map(c => (typeof c === 'number' ? { qubit: c, open: false } : c))
+});
+
+// Control dot drawn on a wire, pointing at the wire of the gate it controls
+export const controlDot = (target, open = false) => ({ gate: 'CONTROL', targetIndex: target, open });
+
+// Second wire of a two-qubit gate
+export const partnerCell = (target) => ({ gate: 'PARTNER', targetIndex: target });
+
+// run() has to throw an ErrorClass whose message matches pattern and which carries fields, such as
+// the line of a QasmError
+export const expectThrows = (run, ErrorClass, pattern, fields = {}) => {
+    expect(run).toThrow(ErrorClass);
+    expect(run).toThrow(expect.objectContaining({ ...fields, message: expect.stringMatching(pattern) }));
+};
@@ -0,0 +1,69 @@
+// The unitary a circuit implements, for display and copying
+// Matrices come from getCircuitUnitary, unitary[row][col] = ⟨row|U|col⟩ with q[0] the most
+// significant bit of row and col. They are shown up to global phase: scaled so that the first
+// nonzero entry of the first column (the amplitude U|0…0⟩ starts with) is real and positive.
+
+import { cMul, cFromPolar } from './quantum.js';
+import { getCircuitUnitary, getGlobalPhase } from './statevector.js';
+import { formatComplex } from './matrixInput.js';
+
+// A 2^6 x 2^6 grid is as much as the viewer can show legibly
+export const MAX_UNITARY_QUBITS = 6;
+
+// Phase γ with U = e^(iγ) · (the matrix shown)
+export const getUnitaryGlobalPhase = (matrix) => getGlobalPhase(matrix.map(row => row[0]));
+
+export const withoutGlobalPhase = (matrix) => {
+    const undo = cFromPolar(1, -getUnitaryGlobalPhase(matrix));
+    return matrix.map(row => row.map(v => cMul(v, undo)));
+};
+
+/**
+ * Unitary of the columns fromSlot .. toSlot (inclusive) without its global phase, as
+ * { matrix, globalPhase }, or { error } when there is none to show.
+ */
+export const getUnitaryView = (circuits, { fromSlot = 0, toSlot = Infinity } = {}) => {
+    if (circuits.length > MAX_UNITARY_QUBITS) {
+        return { error: `The unitary is shown for up to ${MAX_UNITARY_QUBITS} qubits; this circuit has ${circuits.length}` };
+    }
+    const unitary = getCircuitUnitary(circuits, { fromSlot, toSlot: toSlot + 1 });
+    if (!unitary) return { error: 'Measurements, classically-controlled gates and noise channels have no unitary' };
+    return { matrix: withoutGlobalPhase(unitary), globalPhase: getUnitaryGlobalPhase(unitary) };
+};
+
+// ── Copying ──
+
+// Rows of entries in the notation the matrix entry fields read, padded into columns
+export const formatUnitaryText = (matrix, digits = 4) => {
+    const entries = matrix.map(row => row.map(v => formatComplex(v, digits)));
+    const width = Math.max(...entries.flat().map(text => text.length));
+    return entries.map(row => row.map(text => text.padStart(width)).join('  ')).join('\n');
+};
+
+// Python literal for a complex entry: 1, -0.5j, 0.707107+0.707107j
+const formatPythonComplex = (z, digits) => {
+    const round = (x) => {
+        const r = Number(x.toFixed(digits));
+        return Object.is(r, -0) ? 0 : r;
+    };
+    const re = round(z.re);
+    const im = round(z.im);
+    if (im === 0) return String(re);
+    if (re === 0) return `${im}j`;
+    return `${re}${im < 0 ? '-' : '+'}${Math.abs(im)}j`;
+};
+
+// Python source defining the matrix as a NumPy array U
+export const formatUnitaryNumpy = (matrix, digits = 6) => {
+    const numQubits = Math.log2(matrix.length);
+    const rows = matrix.map(row => `    [${row.map(v => formatPythonComplex(v, digits)).join(', ')}],`);
+    return [
+        'import numpy as np',
+        '',
+        `# Basis |q[0]…q[${numQubits - 1}]⟩ with q[0] the most significant bit (Qiskit orders qubits the other way)`,
+        'U = np.array([',
+        ...rows,
+        '], dtype=complex)',
+        ''
+    ].join('\n');
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { complex, cAbs, cSub, createGateInstance, withGateAngle } from './quantum.js';
+import { getCircuitUnitary } from './statevector.js';
+import { parseComplex } from './matrixInput.js';
+import { getUnitaryView, formatUnitaryText, formatUnitaryNumpy, MAX_UNITARY_QUBITS } from './unitaryView.js';
+import { controlled, controlDot } from './testUtils.js';
+
+const SQRT1_2 = Math.SQRT1_2;
+
+const real = (rows) => rows.map(row => row.map(v => complex(v)));
+const expectMatrixClose = (actual, expected, tol = 1e-9) => {
+    expect(actual.length).toBe(expected.length);
+    actual.forEach((row, r) => row.forEach((v, c) => expect(cAbs(cSub(v, expected[r][c]))).toBeLessThan(tol)));
+};
+
+describe('circuit unitary', () => {
+    it('matches the textbook CNOT with q[0] as the control and most significant bit', () => {
+        const { matrix } = getUnitaryView([[controlDot(1)], [controlled('X', 0)]]);
+        expectMatrixClose(matrix, real([
+            [1, 0, 0, 0],
+            [0, 1, 0, 0],
+            [0, 0, 0, 1],
+            [0, 0, 1, 0]
+        ]));
+    });
+
+    it('covers only the chosen columns', () => {
+        const circuits = [
+            [createGateInstance('H'), controlDot(1), createGateInstance('M')],
+            [null, controlled('X', 0), null]
+        ];
+        expect(getUnitaryView(circuits).error).toMatch(/no unitary/);
+        const h = [[SQRT1_2, 0, SQRT1_2, 0], [0, SQRT1_2, 0, SQRT1_2], [SQRT1_2, 0, -SQRT1_2, 0], [0, SQRT1_2, 0, -SQRT1_2]];
+        expectMatrixClose(getUnitaryView(circuits, { fromSlot: 0, toSlot: 0 }).matrix, real(h));
+        // The Bell-state circuit: CX·(H ⊗ I)
+        expectMatrixClose(getUnitaryView(circuits, { toSlot: 1 }).matrix, real([h[0], h[1], h[3], h[2]]));
+        expectMatrixClose(getCircuitUnitary(circuits, { fromSlot: 1, toSlot: 2 }), getUnitaryView([[controlDot(1)], [controlled('X', 0)]]).matrix);
+    });
+
+    it('is shown up to global phase', () => {
+        const angle = 0.9;
+        const view = getUnitaryView([[withGateAngle(createGateInstance('RZ'), angle)]]);
+        // RZ(θ) = e^(-iθ/2) · diag(1, e^(iθ))
+        expect(view.globalPhase).toBeCloseTo(-angle / 2, 12);
+        expectMatrixClose(view.matrix, [[complex(1), complex(0)], [complex(0), complex(Math.cos(angle), Math.sin(angle))]]);
+    });
+
+    it('is refused for circuits too wide to show', () => {
+        const circuits = Array.from({ length: MAX_UNITARY_QUBITS + 1 }, () => [createGateInstance('H')]);
+        expect(getUnitaryView(circuits).error).toMatch(new RegExp(`up to ${MAX_UNITARY_QUBITS} qubits`));
+    });
+});
+
+describe('copying the unitary', () => {
+    const { matrix } = getUnitaryView([[createGateInstance('H')], [createGateInstance('S')]]);
+
+    it('writes aligned rows the matrix entry fields read back', () => {
+        const text = formatUnitaryText(matrix);
+        const rows = text.split('\n');
+        expect(rows).toHaveLength(4);
+        expect(rows[0].trim().split(/\s+/)).toEqual(['0.7071', '0', '0.7071', '0']);
+        expect(new Set(rows.map(row => row.length)).size).toBe(1);
+        const parsed = rows.map(row => row.trim().split(/\s+/).map(parseComplex));
+        expectMatrixClose(parsed, matrix, 1e-4);
+    });
+
+    it('writes a NumPy array', () => {
+        const source = formatUnitaryNumpy(matrix);
+        expect(source).toMatch(/^import numpy as np\n/);
+        expect(source).toContain('U = np.array([');
+        expect(source).toContain('    [0, 0.707107j, 0, -0.707107j],');
+        expect(source).toContain('], dtype=complex)');
+    });
+});
@@ -0,0 +1,305 @@
+// Versioned JSON workspace files
+// A workspace holds everything a page refresh would otherwise lose: the circuit grid, barriers,
+// the initial state mode, qubit visibility, custom gates and the noise model. Gate cells store only what GATES cannot supply;
+// matrices are rebuilt from the stored decomposition with createU3Matrix (or from the angle),
+// so files stay small and do not change with floating-point noise in the matrices.
+
+import { GATES, createCircuitGate, createU3Matrix, getU3GlobalPhase, withGateAngle, withNoiseProbability } from './quantum.js';
+import { CustomGateError, createCustomGate, createCustomGateInstance, findCustomGate } from './customGates.js';
+import { DEFAULT_DURATIONS, createNoiseModel } from './noiseModel.js';
+import { MAX_QUBITS } from './statevector.js';
+
+/**
+ * Workspace schema, version 3:
+ * {
+ *   format: 'qbits-workspace',
+ *   version: 3,
+ *   initialStateMode: 'zero' | 'one' | 'plus',
+ *   qubitVisibility: boolean[],      // one entry per wire
+ *   barriers: number[],              // slots; a barrier at slot s sits before column s
+ *   circuits: (Cell | null)[][],     // circuits[wire][slot]
+ *   customGates: CustomGate[],       // in the order they were defined
+ *   noiseModel: NoiseModel
+ * }
+ * A CustomGate is { name, label, color, circuits } where circuits is its inner circuit; the matrix
+ * is rebuilt from it on load.
+ * A NoiseModel is { enabled, qubits: [{ t1, t2, readoutError }], durations: { singleQubit, twoQubit, measure },
+ * gateErrors: { [gate type]: p } } as described in noiseModel.js, with null for an unset T1 or T2.
+ * A Cell is one of
+ *   { gate: 'CONTROL', targetIndex, open }
+ *   { gate: 'PARTNER', targetIndex }
+ *   { gate: 'CUSTOM', name, wires, controls?, condition? }
+ *   { gate, decomposition?, phase?, angle?, probability?, controls?, condition?, classicalBit?, partner? }
+ * For gate cells:
+ *   decomposition  { theta, phi, lambda }, stored for single-qubit gates without an angle
+ *   phase          global phase γ with matrix = e^(iγ) U3(decomposition), left out when 0
+ *   angle          for RX/RY/RZ/P and RXX/RYY/RZZ
+ *   probability    for noise channels, in [0, 1]
+ *   controls       [{ qubit, open }], left out when empty
+ *   condition      { bit, value }, left out when unset
+ *   classicalBit   measurement target bit, left out when it is the wire's own bit
+ *   partner        second wire of a two-qubit gate
+ */
+export const WORKSPACE_FORMAT = 'qbits-workspace';
+export const WORKSPACE_VERSION = 3;
+
+const INITIAL_STATE_MODES = ['zero', 'one', 'plus'];
+
+export class WorkspaceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkspaceError';
+    }
+}
+
+// ── Save ──
+
+const serializeCell = (cell) => {
+    if (!cell) return null;
+    if (cell.gate === 'CONTROL') return { gate: 'CONTROL', targetIndex: cell.targetIndex, open: Boolean(cell.open) };
+    if (cell.gate === 'PARTNER') return { gate: 'PARTNER', targetIndex: cell.targetIndex };
+
+    const gateRef = GATES[cell.gate];
+    const saved = { gate: cell.gate };
+    if (cell.gate === 'CUSTOM') {
+        saved.name = cell.name;
+        saved.wires = [...cell.wires];
+    } else if (!gateRef) {
+        return saved; // Reported as an unknown gate on load
+    } else if (gateRef.hasAngle) {
+        saved.angle = cell.angle ?? gateRef.defaultAngle;
+    } else if (gateRef.isNoise) {
+        saved.probability = cell.probability ?? gateRef.defaultProbability;
+    } else if (gateRef.numQubits !== 2 && !gateRef.isMeasurement && !gateRef.isBarrier && cell.decomposition) {
+        const { theta, phi, lambda } = cell.decomposition;
+        saved.decomposition = { theta, phi, lambda };
+        const phase = cell.matrix ? getU3GlobalPhase(cell) : 0;
+        if (Math.abs(phase) > 1e-12) saved.phase = phase;
+    }
+    if (cell.controls?.length) saved.controls = cell.controls.map(({ qubit, open }) => ({ qubit, open: Boolean(open) }));
+    if (cell.condition) saved.condition = { bit: cell.condition.bit, value: cell.condition.value };
+    if (cell.classicalBit !== undefined && cell.classicalBit !== null) saved.classicalBit = cell.classicalBit;
+    if (cell.partner !== undefined && cell.partner !== null) saved.partner = cell.partner;
+    return saved;
+};
+
+const serializeCircuit = (circuits) => circuits.map(row => Array.from(row, serializeCell));
+
+// Plain workspace object for the current app state
+export const serializeWorkspace = ({ circuits, barriers, initialStateMode, qubitVisibility, customGates = [], noiseModel = createNoiseModel() }) => ({
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    initialStateMode,
+    qubitVisibility: circuits.map((_, qi) => qubitVisibility[qi] !== false),
+    barriers: [...barriers],
+    circuits: serializeCircuit(circuits),
+    customGates: customGates.map(({ name, label, color, circuits: inner }) => ({ name, label, color, circuits: serializeCircuit(inner) })),
+    noiseModel: {
+        enabled: Boolean(noiseModel.enabled),
+        qubits: noiseModel.qubits.map(({ t1, t2, readoutError }) => ({ t1, t2, readoutError })),
+        durations: { ...noiseModel.durations },
+        gateErrors: { ...noiseModel.gateErrors }
+    }
+});
+
+export const stringifyWorkspace = (state) => JSON.stringify(serializeWorkspace(state), null, 2);
+
+// ── Migrations ──
+
+// MIGRATIONS[v] turns a version v workspace into version v + 1
+const MIGRATIONS = [
+    // 0 → 1: unversioned { circuits, barriers } dumps of the app state, with whole gate objects
+    // and the single controlIndex that gates used before they could have several controls.
+    // Their U matrices used -e^(-iλ) for the top-right entry, which no unitary matches; only the
+    // entered θ, φ and λ are kept, so such a gate now loads as the standard U3(θ, φ, λ)
+    (data) => ({
+        format: WORKSPACE_FORMAT,
+        version: 1,
+        initialStateMode: data.initialStateMode ?? 'zero',
+        qubitVisibility: data.qubitVisibility ?? (data.circuits || []).map(() => true),
+        barriers: data.barriers ?? [],
+        circuits: (data.circuits || []).map(row => Array.from(row || [], (cell) => {
+            if (!cell || typeof cell !== 'object') return null;
+            if (cell.gate === 'CONTROL') return { gate: 'CONTROL', targetIndex: cell.targetIndex, open: Boolean(cell.open) };
+            const { controlIndex, ...rest } = cell;
+            const controls = rest.controls ?? (controlIndex !== undefined && controlIndex !== null ? [{ qubit: controlIndex, open: false }] : []);
+            return serializeCell({ ...rest, controls });
+        }))
+    }),
+    // 1 → 2: custom gates
+    (data) => ({ ...data, version: 2, customGates: [] }),
+    // 2 → 3: noise model, off
+    (data) => ({ ...data, version: 3, noiseModel: createNoiseModel() })
+];
+
+const migrate = (data) => {
+    let version = data.version ?? 0;
+    if (data.version !== undefined && data.format !== WORKSPACE_FORMAT) {
+        throw new WorkspaceError('this file is not a circuit workspace');
+    }
+    if (!Number.isInteger(version) || version < 0) throw new WorkspaceError(`unknown workspace version "${data.version}"`);
+    if (version > WORKSPACE_VERSION) {
+        throw new WorkspaceError(`this workspace was saved by a newer version (format version ${version}, this app reads up to ${WORKSPACE_VERSION})`);
+    }
+    let migrated = data;
+    while (version < WORKSPACE_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+    return migrated;
+};
+
+// ── Load ──
+
+const isQubitIndex = (value, numQubits) => Number.isInteger(value) && value >= 0 && value < numQubits;
+
+const isWireList = (wires, qi, numQubits) => Array.isArray(wires) && wires[0] === qi &&
+    wires.every(q => isQubitIndex(q, numQubits)) && new Set(wires).size === wires.length;
+
+const buildCell = (cell, qi, slot, numQubits, customGates) => {
+    if (cell === null || cell === undefined) return null;
+    const where = `q[${qi}], column ${slot}`;
+    if (typeof cell !== 'object' || typeof cell.gate !== 'string') throw new WorkspaceError(`${where}: malformed cell`);
+
+    if (cell.gate === 'CONTROL' || cell.gate === 'PARTNER') {
+        if (!isQubitIndex(cell.targetIndex, numQubits)) throw new WorkspaceError(`${where}: ${cell.gate.toLowerCase()} points at a missing wire`);
+        return cell.gate === 'CONTROL'
+            ? { gate: 'CONTROL', targetIndex: cell.targetIndex, open: Boolean(cell.open) }
+            : { gate: 'PARTNER', targetIndex: cell.targetIndex };
+    }
+
+    const gateRef = GATES[cell.gate] || {};
+    let gate;
+    if (cell.gate === 'CUSTOM') {
+        const definition = findCustomGate(customGates, cell.name);
+        if (!definition) throw new WorkspaceError(`${where}: unknown custom gate "${cell.name}"`);
+        if (!isWireList(cell.wires, qi, numQubits) || cell.wires.length !== definition.circuits.length) {
+            throw new WorkspaceError(`${where}: custom gate "${cell.name}" without valid wires`);
+        }
+        gate = { ...createCustomGateInstance(definition), wires: [...cell.wires] };
+    } else if (!GATES[cell.gate]) {
+        throw new WorkspaceError(`${where}: unknown gate "${cell.gate}"`);
+    } else {
+        gate = createCircuitGate(cell.gate);
+    }
+
+    if (gateRef.hasAngle) {
+        gate = withGateAngle(gate, Number.isFinite(cell.angle) ? cell.angle : gateRef.defaultAngle);
+    } else if (gateRef.isNoise) {
+        if (cell.probability !== undefined && !(cell.probability >= 0 && cell.probability <= 1)) {
+            throw new WorkspaceError(`${where}: a noise probability is a number from 0 to 1`);
+        }
+        gate = withNoiseProbability(gate, cell.probability ?? gateRef.defaultProbability);
+    } else if (cell.decomposition && gateRef.numQubits !== 2 && cell.gate !== 'CUSTOM') {
+        const { theta, phi, lambda } = cell.decomposition;
+        if (![theta, phi, lambda].every(Number.isFinite)) throw new WorkspaceError(`${where}: decomposition needs numeric theta, phi and lambda`);
+        const globalPhase = Number.isFinite(cell.phase) ? cell.phase : 0;
+        gate = {
+            ...gate,
+            decomposition: { theta, phi, lambda, globalPhase },
+            matrix: createU3Matrix(theta, phi, lambda, globalPhase)
+        };
+    }
+
+    const controls = cell.controls || [];
+    if (!Array.isArray(controls) || controls.some(c => !isQubitIndex(c?.qubit, numQubits) || c.qubit === qi || gate.wires?.includes(c.qubit))) {
+        throw new WorkspaceError(`${where}: controls point at missing wires`);
+    }
+    gate.controls = controls.map(({ qubit, open }) => ({ qubit, open: Boolean(open) }));
+    // One classical bit per wire, so bits are numbered like the wires
+    if (cell.condition && !isQubitIndex(cell.condition.bit, numQubits)) throw new WorkspaceError(`${where}: condition on a missing classical bit`);
+    gate.condition = cell.condition ? { bit: cell.condition.bit, value: cell.condition.value ? 1 : 0 } : null;
+    if (gateRef.isMeasurement && cell.classicalBit !== undefined) {
+        if (!isQubitIndex(cell.classicalBit, numQubits)) throw new WorkspaceError(`${where}: measurement into a missing classical bit`);
+        gate.classicalBit = cell.classicalBit;
+    }
+    if (gateRef.numQubits === 2) {
+        if (!isQubitIndex(cell.partner, numQubits) || cell.partner === qi) throw new WorkspaceError(`${where}: two-qubit gate without a valid partner wire`);
+        gate.partner = cell.partner;
+    }
+    return gate;
+};
+
+// Rows padded to the widest one, with every cell rebuilt
+const buildCircuit = (rows, customGates) => {
+    const width = Math.max(...rows.map(row => row.length));
+    return rows.map((row, qi) =>
+        Array.from({ length: width }, (_, slot) => buildCell(row[slot], qi, slot, rows.length, customGates)));
+};
+
+// Definitions in file order; each may only use the built-in gates
+const buildCustomGates = (saved) => {
+    if (!Array.isArray(saved)) throw new WorkspaceError('malformed custom gate list');
+    const customGates = [];
+    for (const entry of saved) {
+        const name = String(entry?.name);
+        if (!Array.isArray(entry?.circuits) || entry.circuits.length === 0 || !entry.circuits.every(Array.isArray)) {
+            throw new WorkspaceError(`custom gate "${name}" has no circuit`);
+        }
+        try {
+            const circuits = buildCircuit(entry.circuits, []);
+            customGates.push(createCustomGate({ name, label: entry.label, color: entry.color, circuits }, customGates));
+        } catch (err) {
+            if (err instanceof CustomGateError || err instanceof WorkspaceError) throw new WorkspaceError(`custom gate "${name}": ${err.message}`);
+            throw err;
+        }
+    }
+    return customGates;
+};
+
+const isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isDuration = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isCoherenceTime = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+
+const buildNoiseModel = (saved) => {
+    if (!saved || typeof saved !== 'object' || !Array.isArray(saved.qubits)) throw new WorkspaceError('malformed noise model');
+    const qubits = saved.qubits.map((qubit, q) => {
+        const { t1 = null, t2 = null, readoutError = 0 } = qubit ?? {};
+        if (!isCoherenceTime(t1) || !isCoherenceTime(t2)) throw new WorkspaceError(`noise model, q[${q}]: T1 and T2 are positive times or null`);
+        if (!isProbability(readoutError)) throw new WorkspaceError(`noise model, q[${q}]: a readout error is a number from 0 to 1`);
+        return { t1, t2, readoutError };
+    });
+    const durations = Object.fromEntries(Object.entries(DEFAULT_DURATIONS).map(([key, value]) => [key, saved.durations?.[key] ?? value]));
+    if (!Object.values(durations).every(isDuration)) throw new WorkspaceError('noise model: gate durations are times of at least 0');
+    const gateErrors = { ...saved.gateErrors };
+    for (const [type, p] of Object.entries(gateErrors)) {
+        if (!isProbability(p)) throw new WorkspaceError(`noise model, ${type}: a gate error is a number from 0 to 1`);
+    }
+    return { enabled: Boolean(saved.enabled), qubits, durations, gateErrors };
+};
+
+/**
+ * Turn a parsed workspace object of any known version into app state:
+ * { circuits, barriers, initialStateMode, qubitVisibility, customGates, noiseModel }.
+ * Throws a WorkspaceError for files from newer versions or with broken contents.
+ */
+export const loadWorkspace = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new WorkspaceError('this file is not a circuit workspace');
+    const workspace = migrate(data);
+
+    if (!Array.isArray(workspace.circuits) || workspace.circuits.length === 0 || !workspace.circuits.every(Array.isArray)) {
+        throw new WorkspaceError('the workspace has no qubits');
+    }
+    if (workspace.circuits.length > MAX_QUBITS) {
+        throw new WorkspaceError(`the workspace has ${workspace.circuits.length} qubits; at most ${MAX_QUBITS} are supported`);
+    }
+    const customGates = buildCustomGates(workspace.customGates ?? []);
+    const circuits = buildCircuit(workspace.circuits, customGates);
+
+    const barriers = (workspace.barriers || []).filter(slot => Number.isInteger(slot) && slot >= 0);
+    const initialStateMode = INITIAL_STATE_MODES.includes(workspace.initialStateMode) ? workspace.initialStateMode : 'zero';
+    const qubitVisibility = circuits.map((_, qi) => workspace.qubitVisibility?.[qi] !== false);
+    const noiseModel = buildNoiseModel(workspace.noiseModel);
+    return { circuits, barriers: [...new Set(barriers)], initialStateMode, qubitVisibility, customGates, noiseModel };
+};
+
+// Parse the text of a workspace file; see loadWorkspace
+export const parseWorkspace = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new WorkspaceError('the file is not valid JSON');
+    }
+    return loadWorkspace(data);
+};
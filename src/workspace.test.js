@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { cAbs, cSub, createCircuitGate, createU3Matrix, withGateAngle, withNoiseProbability, GATES } from './quantum.js';
+import { simulateCircuit, MAX_QUBITS } from './statevector.js';
+import { WORKSPACE_VERSION, WorkspaceError, serializeWorkspace, stringifyWorkspace, parseWorkspace, loadWorkspace } from './workspace.js';
+import { createCustomGate, createCustomGateInstance } from './customGates.js';
+import { createNoiseModel, withQubitNoise } from './noiseModel.js';
+import { controlDot, partnerCell, expectThrows } from './testUtils.js';
+
+const expectMatrixClose = (a, b) => {
+    a.forEach((row, r) => row.forEach((v, c) => expect(cAbs(cSub(v, b[r][c]))).toBeLessThan(1e-12)));
+};
+
+const sampleState = () => {
+    // A U gate made from RZ(0.8) with the → U button keeps the RZ matrix
+    const rz = withGateAngle(createCircuitGate('RZ'), 0.8);
+    const uFromRz = { ...createCircuitGate('U', rz.decomposition), matrix: rz.matrix, controls: [{ qubit: 0, open: true }] };
+    return {
+        circuits: [
+            [createCircuitGate('H'), controlDot(1, true), { ...withGateAngle(createCircuitGate('RYY'), 0.3), partner: 2 }, createCircuitGate('M')],
+            [createCircuitGate('SDG'), uFromRz, null, { ...createCircuitGate('X'), condition: { bit: 0, value: 1 } }],
+            [createCircuitGate('U', { theta: 1, phi: 2, lambda: 3 }), null, partnerCell(0), { ...createCircuitGate('M'), classicalBit: 1 }]
+        ],
+        barriers: [2],
+        initialStateMode: 'plus',
+        qubitVisibility: [true, false, true]
+    };
+};
+
+describe('workspace files', () => {
+    it('round-trips the app state, rebuilding identical matrices', () => {
+        const state = sampleState();
+        const loaded = parseWorkspace(stringifyWorkspace(state));
+        expect(loaded.barriers).toEqual([2]);
+        expect(loaded.initialStateMode).toBe('plus');
+        expect(loaded.qubitVisibility).toEqual([true, false, true]);
+        state.circuits.forEach((row, qi) => row.forEach((cell, slot) => {
+            const rebuilt = loaded.circuits[qi][slot];
+            if (!cell) return expect(rebuilt).toBeNull();
+            const { matrix, ...rest } = cell;
+            const { matrix: rebuiltMatrix, ...rebuiltRest } = rebuilt;
+            expect(rebuiltRest).toEqual(rest);
+            if (matrix) expectMatrixClose(rebuiltMatrix, matrix);
+        }));
+        const original = simulateCircuit(state.circuits, { initialStateMode: 'plus' });
+        simulateCircuit(loaded.circuits, { initialStateMode: 'plus' }).forEach((amp, i) => {
+            expect(cAbs(cSub(amp, original[i]))).toBeLessThan(1e-12);
+        });
+    });
+
+    it('stores decompositions and angles instead of matrices', () => {
+        const saved = serializeWorkspace(sampleState());
+        expect(saved.version).toBe(WORKSPACE_VERSION);
+        expect(JSON.stringify(saved)).not.toContain('matrix');
+        // The global phase of a decomposition is saved as phase, left out when 0
+        expect(saved.circuits[0][0]).toEqual({ gate: 'H', decomposition: { theta: Math.PI / 2, phi: 0, lambda: Math.PI } });
+        expect(saved.circuits[0][2]).toEqual({ gate: 'RYY', angle: 0.3, partner: 2 });
+        // The U made from RZ(0.8) keeps the e^(-0.4i) phase of its matrix
+        expect(saved.circuits[1][1].phase).toBeCloseTo(-0.4, 12);
+        expect(loadWorkspace(saved).circuits[1][1].decomposition.globalPhase).toBeCloseTo(-0.4, 12);
+        expect(saved.circuits[1][1].controls).toEqual([{ qubit: 0, open: true }]);
+        expect(saved.circuits[2][3]).toEqual({ gate: 'M', classicalBit: 1 });
+    });
+
+    it('migrates unversioned dumps with the old single controlIndex', () => {
+        const old = {
+            circuits: [
+                [controlDot(1), null],
+                [{ gate: 'X', matrix: GATES.X.defaultMatrix, decomposition: GATES.X.defaultDecomposition, controlIndex: 0 }, { gate: 'U', decomposition: { theta: 0.5, phi: 0, lambda: 0 } }]
+            ],
+            barriers: [1]
+        };
+        const loaded = loadWorkspace(old);
+        expect(loaded.initialStateMode).toBe('zero');
+        expect(loaded.qubitVisibility).toEqual([true, true]);
+        expect(loaded.circuits[0][0]).toEqual(controlDot(1));
+        expect(loaded.circuits[1][0].controls).toEqual([{ qubit: 0, open: false }]);
+        expect(loaded.circuits[1][0].label).toBe('X');
+        expectMatrixClose(loaded.circuits[1][1].matrix, createU3Matrix(0.5, 0, 0));
+    });
+
+    it('loads U gates from unversioned dumps with the standard U3 sign', () => {
+        const [theta, phi, lambda] = [Math.PI / 2, 0.3, 0.7];
+        const s = Math.sin(theta / 2);
+        const c = Math.cos(theta / 2);
+        // The matrix those dumps stored, with -e^(-iλ) in the top right
+        const oldMatrix = [
+            [{ re: c, im: 0 }, { re: -s * Math.cos(-lambda), im: -s * Math.sin(-lambda) }],
+            [{ re: s * Math.cos(phi), im: s * Math.sin(phi) }, { re: c * Math.cos(phi + lambda), im: c * Math.sin(phi + lambda) }]
+        ];
+        const loaded = loadWorkspace({ circuits: [[{ gate: 'U', matrix: oldMatrix, decomposition: { theta, phi, lambda } }]] });
+        const gate = loaded.circuits[0][0];
+        expect(gate.decomposition).toMatchObject({ theta, phi, lambda, globalPhase: 0 });
+        expectMatrixClose(gate.matrix, createU3Matrix(theta, phi, lambda));
+    });
+
+    it('stores custom gate definitions once and rebuilds their instances from them', () => {
+        const bell = createCustomGate({ name: 'bell', label: 'Bell', circuits: [[createCircuitGate('H'), controlDot(1)], [null, { ...createCircuitGate('X'), controls: [{ qubit: 0, open: false }] }]] });
+        const instance = { ...createCustomGateInstance(bell, 1), controls: [{ qubit: 0, open: true }] };
+        const state = { circuits: [[controlDot(1, true)], [instance], [partnerCell(1)]], barriers: [], customGates: [bell], initialStateMode: 'zero', qubitVisibility: [true, true, true] };
+
+        const saved = serializeWorkspace(state);
+        expect(saved.circuits[1][0]).toEqual({ gate: 'CUSTOM', name: 'bell', wires: [1, 2], controls: [{ qubit: 0, open: true }] });
+        expect(saved.customGates.map(({ name, label }) => [name, label])).toEqual([['bell', 'Bell']]);
+
+        const loaded = parseWorkspace(stringifyWorkspace(state));
+        expect(loaded.customGates[0].name).toBe('bell');
+        expectMatrixClose(loaded.circuits[1][0].matrix, bell.matrix);
+        expect(loaded.circuits[2][0]).toEqual(partnerCell(1));
+
+        // Files from before custom gates load without any
+        expect(loadWorkspace({ format: 'qbits-workspace', version: 1, circuits: [[null]] }).customGates).toEqual([]);
+        expectThrows(() => loadWorkspace({ ...saved, customGates: [] }), WorkspaceError, /bell/);
+    });
+
+    it('stores the probability of noise channels', () => {
+        const state = { circuits: [[createCircuitGate('H'), withNoiseProbability(createCircuitGate('DEPOLARIZING'), 0.35)]], barriers: [], initialStateMode: 'zero', qubitVisibility: [true] };
+        const saved = serializeWorkspace(state);
+        expect(saved.circuits[0][1]).toEqual({ gate: 'DEPOLARIZING', probability: 0.35 });
+        expect(parseWorkspace(stringifyWorkspace(state)).circuits[0][1].probability).toBe(0.35);
+        expectThrows(() => loadWorkspace({ ...saved, circuits: [[null, { gate: 'BIT_FLIP', probability: 2 }]] }), WorkspaceError, /noise probability/);
+    });
+
+    it('stores the noise model', () => {
+        const noiseModel = { ...withQubitNoise(createNoiseModel(), 1, { t1: 80, t2: 60, readoutError: 0.02 }), enabled: true, gateErrors: { CX: 0.01 } };
+        const state = { circuits: [[createCircuitGate('H')], [null]], barriers: [], initialStateMode: 'zero', qubitVisibility: [true, true], noiseModel };
+        const loaded = parseWorkspace(stringifyWorkspace(state));
+        expect(loaded.noiseModel).toEqual(noiseModel);
+
+        // Files from before the noise model load with it off
+        expect(loadWorkspace({ format: 'qbits-workspace', version: 2, circuits: [[null]], customGates: [] }).noiseModel).toEqual(createNoiseModel());
+        const saved = serializeWorkspace(state);
+        expectThrows(() => loadWorkspace({ ...saved, noiseModel: { ...saved.noiseModel, qubits: [{ t1: -1 }] } }), WorkspaceError, /T1 and T2/);
+        expectThrows(() => loadWorkspace({ ...saved, noiseModel: { ...saved.noiseModel, gateErrors: { CX: 2 } } }), WorkspaceError, /CX: a gate error/);
+    });
+
+    it('rejects files it cannot read', () => {
+        expectThrows(() => parseWorkspace('{ not json'), WorkspaceError, /not valid JSON/);
+        expectThrows(() => loadWorkspace({ format: 'other', version: 1 }), WorkspaceError, /not a circuit workspace/);
+        expectThrows(() => loadWorkspace({ format: 'qbits-workspace', version: WORKSPACE_VERSION + 1, circuits: [[]] }), WorkspaceError, /newer version/);
+        expectThrows(() => loadWorkspace({ format: 'qbits-workspace', version: 1, circuits: [[{ gate: 'FOO' }]] }), WorkspaceError, /unknown gate "FOO"/);
+        expectThrows(() => loadWorkspace({ format: 'qbits-workspace', version: 1, circuits: [[{ gate: 'SWAP', partner: 3 }], [null]] }), WorkspaceError, /partner/);
+        const v3 = (circuits) => ({ format: 'qbits-workspace', version: WORKSPACE_VERSION, circuits, noiseModel: createNoiseModel() });
+        expectThrows(() => loadWorkspace(v3([[{ gate: 'X', condition: { bit: 1, value: 1 } }]])), WorkspaceError, /condition on a missing classical bit/);
+        expectThrows(() => loadWorkspace(v3([[{ gate: 'X', condition: { bit: '0', value: 1 } }]])), WorkspaceError, /condition on a missing classical bit/);
+        expectThrows(() => loadWorkspace(v3([[{ gate: 'M', classicalBit: 2 }], [null]])), WorkspaceError, /measurement into a missing classical bit/);
+        expectThrows(() => loadWorkspace(v3([[{ gate: 'M', classicalBit: 0.5 }], [null]])), WorkspaceError, /measurement into a missing classical bit/);
+        expect(loadWorkspace(v3([[{ gate: 'M', classicalBit: 1 }], [{ gate: 'X', condition: { bit: 1, value: 1 } }]])).circuits[0][0].classicalBit).toBe(1);
+        const wide = Array.from({ length: MAX_QUBITS + 1 }, () => []);
+        expectThrows(() => loadWorkspace(v3(wide)), WorkspaceError, new RegExp(`at most ${MAX_QUBITS}`));
+    });
+});